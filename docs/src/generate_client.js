@@ -0,0 +1,109 @@
+// docs/src/generate_client.js
+//
+// Page side of generate_worker.js.
+//
+// - One run at a time. Starting a run while another is in flight cancels the older one:
+//   its worker is terminated (generation is synchronous, so it cannot be interrupted any
+//   other way) and a fresh worker is started lazily for the next run.
+// - A cancelled run resolves to null so callers can just drop it.
+// - The finished model arrives as transferred UTF-8 JSON; it is decoded once and handed
+//   back both as text (for JSON export) and as a deserializeModel() model (for render).
+
+import { deserializeModel } from "./model/export/model_json.js";
+
+const decoder = new TextDecoder();
+
+/**
+ * @param {object} [opts]
+ * @param {(p:{id:number, name:string, index:number, total:number}) => void} [opts.onProgress]
+ *   called before each stage runs
+ * @returns {{run:(inputs:object) => Promise<{model:object, json:string, stageTimings:object[]}|null>, cancel:() => void}}
+ */
+export function createGenerateClient(opts = {}) {
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : null;
+
+  let worker = null;
+  let nextRunId = 1;
+  let pending = null; // { runId, resolve, reject }
+
+  function handleMessage(e) {
+    const msg = e.data;
+    if (!pending || !msg || msg.runId !== pending.runId) return;
+
+    if (msg.type === "progress") {
+      if (onProgress) onProgress({ id: msg.id, name: msg.name, index: msg.index, total: msg.total });
+      return;
+    }
+
+    const { resolve, reject } = pending;
+    pending = null;
+
+    if (msg.type === "done") {
+      try {
+        const json = decoder.decode(new Uint8Array(msg.buffer));
+        resolve({ model: deserializeModel(JSON.parse(json)), json, stageTimings: msg.stageTimings });
+      } catch (err) {
+        reject(err);
+      }
+      return;
+    }
+
+    if (msg.type === "error") {
+      const err = new Error(msg.message);
+      if (msg.stack) err.stack = msg.stack;
+      reject(err);
+    }
+  }
+
+  function handleError(e) {
+    // Module load failures and uncaught worker errors. The worker is unusable after this.
+    e.preventDefault();
+    const message = e.message || "generate worker failed to load";
+    dropWorker();
+    if (pending) {
+      const { reject } = pending;
+      pending = null;
+      reject(new Error(`[EMCG] ${message}`));
+    }
+  }
+
+  function ensureWorker() {
+    if (worker) return worker;
+    worker = new Worker(new URL("./generate_worker.js", import.meta.url), { type: "module" });
+    worker.addEventListener("message", handleMessage);
+    worker.addEventListener("error", handleError);
+    return worker;
+  }
+
+  function dropWorker() {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+  }
+
+  /** Cancel the in-flight run, if any. Its promise resolves to null. */
+  function cancel() {
+    if (!pending) return;
+    const { resolve } = pending;
+    pending = null;
+    dropWorker();
+    resolve(null);
+  }
+
+  /**
+   * Generate in the worker.
+   * @param {{seed:number, bastionDensity:string, bastions:number, gateDensity:string, w:number, h:number,
+   *   site:object, params:object|null}} inputs
+   */
+  function run(inputs) {
+    cancel();
+
+    const runId = nextRunId++;
+    return new Promise((resolve, reject) => {
+      pending = { runId, resolve, reject };
+      ensureWorker().postMessage({ type: "generate", runId, inputs });
+    });
+  }
+
+  return { run, cancel };
+}
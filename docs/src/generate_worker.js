@@ -0,0 +1,63 @@
+// docs/src/generate_worker.js
+//
+// Module Web Worker that runs generate() off the main thread (see generate_client.js).
+//
+// Messages in:
+//   { type: "generate", runId, inputs: { seed, bastionDensity, bastions, gateDensity, w, h, site, params } }
+// Messages out:
+//   { type: "progress", runId, id, name, index, total }   before each stage runs
+//   { type: "done", runId, buffer, stageTimings }          buffer: UTF-8 serializeModel() JSON (transferred)
+//   { type: "error", runId, message, stack }
+//
+// The stage cache lives here, so it survives between runs for as long as the worker does.
+// Cancelling a run terminates the worker (generation is synchronous), which drops the cache.
+
+// d3-delaunay must be on globalThis before the model modules (and the UMD shim) evaluate.
+// The UMD assigns globalThis.d3 when there is no CommonJS/AMD host, as in a module worker.
+import "../vendor/d3-delaunay-6.0.4.umd.min.js";
+
+import { generate } from "./model/generate.js";
+import { serializeModel } from "./model/export/model_json.js";
+import { createStageCache } from "./model/pipeline/stage_cache.js";
+import { resolvePipelineStages } from "./model/pipeline/stage_registry.js";
+
+const stageCache = createStageCache();
+const encoder = new TextEncoder();
+
+function runGenerate(runId, inputs) {
+  const { seed, bastionDensity, bastions, gateDensity, w, h, site, params } = inputs;
+  const total = resolvePipelineStages().order.length;
+  let index = 0;
+  let audit = null;
+
+  const hooks = {
+    beforeStage(stage, ctx) {
+      audit = ctx.audit;
+      self.postMessage({ type: "progress", runId, id: stage.id, name: stage.name, index, total });
+      index += 1;
+    },
+  };
+
+  // gateCount is a legacy placeholder; gates come from gateDensity.
+  const model = generate(seed, bastionDensity, bastions, 0, gateDensity, w, h, site, params, hooks, stageCache);
+
+  const bytes = encoder.encode(JSON.stringify(serializeModel(model)));
+  const stageTimings = audit ? audit.stageTimings.slice() : [];
+  self.postMessage({ type: "done", runId, buffer: bytes.buffer, stageTimings }, [bytes.buffer]);
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (!msg || msg.type !== "generate") return;
+
+  try {
+    runGenerate(msg.runId, msg.inputs);
+  } catch (err) {
+    self.postMessage({
+      type: "error",
+      runId: msg.runId,
+      message: String(err && err.message ? err.message : err),
+      stack: err && err.stack ? String(err.stack) : null,
+    });
+  }
+};
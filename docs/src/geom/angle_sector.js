@@ -31,6 +31,17 @@ export function normAngle(a) {
   return x;
 }
 
+/**
+ * Unsigned angle between a and b, in [0, π].
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function angleGap(a, b) {
+  const d = normAngle(a - b);
+  return Math.min(d, Math.PI * 2 - d);
+}
+
 /**
  * Test if angle a lies within sector [a0, a1] going CCW, handling wrap.
  * Inputs are assumed already normalised with normAngle.
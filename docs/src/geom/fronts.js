@@ -0,0 +1,44 @@
+// docs/src/geom/fronts.js
+//
+// Fronts of a bastioned trace: the stretch between two angularly adjacent bastion points
+// (b[2] of each 5-point bastion polygon), as seen from the fort centre.
+
+import { dist } from "./primitives.js";
+import { closestPointOnPolyline } from "./poly.js";
+import { angle, normAngle } from "./angle_sector.js";
+
+// A bastion point further than this from the wall is not carried by it.
+const ON_WALL_EPS = 0.5;
+
+/**
+ * Fronts between angularly adjacent bastion points, in angle order. With `wall`, only bastions
+ * whose point lies on the wall count. a0 is in [0, 2π); a1 and mid may run past 2π.
+ * @param {Array<Array<{x:number,y:number}>>} bastionPolys
+ * @param {number} cx
+ * @param {number} cy
+ * @param {Array<{x:number,y:number}>|null} [wall=null]
+ * @returns {Array<{a0:number, a1:number, mid:number, half:number, chord:number, bastionIds:number[]}>}
+ */
+export function listFronts(bastionPolys, cx, cy, wall = null) {
+  const tips = [];
+  (Array.isArray(bastionPolys) ? bastionPolys : []).forEach((b, id) => {
+    if (!Array.isArray(b) || b.length !== 5) return;
+    if (wall && dist(b[2], closestPointOnPolyline(b[2], wall)) >= ON_WALL_EPS) return;
+    tips.push({ id, p: b[2], a: normAngle(angle(cx, cy, b[2])) });
+  });
+  if (tips.length < 2) return [];
+  tips.sort((p, q) => p.a - q.a);
+
+  return tips.map((t, i) => {
+    const next = tips[(i + 1) % tips.length];
+    const gap = normAngle(next.a - t.a) || Math.PI * 2;
+    return {
+      a0: t.a,
+      a1: t.a + gap,
+      mid: t.a + gap * 0.5,
+      half: gap * 0.5,
+      chord: dist(t.p, next.p),
+      bastionIds: [t.id, next.id],
+    };
+  });
+}
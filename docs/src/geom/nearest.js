@@ -0,0 +1,46 @@
+// docs/src/geom/nearest.js
+//
+// Nearest-point lookups.
+
+import { dist } from "./primitives.js";
+
+/**
+ * Index of the vertex of poly nearest p (the first one on ties), or -1 for an empty poly.
+ * @param {Array<{x:number,y:number}>} poly
+ * @param {{x:number,y:number}} p
+ * @returns {number}
+ */
+export function nearestVertexIndex(poly, p) {
+  let best = -1;
+  let bestD = Infinity;
+  for (let i = 0; i < poly.length; i++) {
+    const d = dist(poly[i], p);
+    if (d < bestD) {
+      bestD = d;
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Id of the node nearest p, the smaller id on ties (as snapPointToGraph), or null without nodes.
+ * With `ids`, only those nodes count.
+ * @param {Array<{id:number,x:number,y:number}>} nodes   indexed by id
+ * @param {{x:number,y:number}} p
+ * @param {number[]|null} [ids=null]
+ * @returns {number|null}
+ */
+export function nearestNode(nodes, p, ids = null) {
+  let best = null;
+  let bestD = Infinity;
+  for (const n of ids ? ids.map((id) => nodes[id]) : nodes) {
+    if (!n) continue;
+    const d = dist(n, p);
+    if (d < bestD - 1e-12 || (Math.abs(d - bestD) <= 1e-12 && best != null && n.id < best)) {
+      bestD = d;
+      best = n.id;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,34 @@
+// docs/src/geom/polyline.js
+//
+// Open polyline helpers: length and resampling.
+
+import { dist, lerpPt } from "./primitives.js";
+
+/**
+ * Length of a polyline, plus its closing edge when `closed`.
+ * @param {Array<{x:number,y:number}>} line
+ * @param {boolean} [closed=false]
+ * @returns {number}
+ */
+export function polylineLength(line, closed = false) {
+  if (!Array.isArray(line) || line.length < 2) return 0;
+  let s = 0;
+  for (let i = 1; i < line.length; i++) s += dist(line[i - 1], line[i]);
+  if (closed) s += dist(line[line.length - 1], line[0]);
+  return s;
+}
+
+/**
+ * Points along an open polyline, at most `step` apart. The line's own points are kept.
+ * @param {Array<{x:number,y:number}>} line
+ * @param {number} step
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function densifyLine(line, step) {
+  const out = [line[0]];
+  for (let i = 1; i < line.length; i++) {
+    const k = Math.max(1, Math.ceil(dist(line[i - 1], line[i]) / step));
+    for (let j = 1; j <= k; j++) out.push(lerpPt(line[i - 1], line[i], j / k));
+  }
+  return out;
+}
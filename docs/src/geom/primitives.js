@@ -21,6 +21,7 @@ export function add(a, b) { return { x: a.x + b.x, y: a.y + b.y }; }
 export function sub(a, b) { return { x: a.x - b.x, y: a.y - b.y }; }
 export function mul(a, s) { return { x: a.x * s, y: a.y * s }; }
 export function perp(a) { return { x: -a.y, y: a.x }; }
+export function lerpPt(a, b, t) { return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }; }
 
 export function dist(a, b) {
   const dx = a.x - b.x, dy = a.y - b.y;
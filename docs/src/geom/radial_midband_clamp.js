@@ -5,7 +5,8 @@
 
 import { rayPolyMaxT, safeNorm } from "./radial_ray_clamp.js";
 
-export function clampPointToMidBandAlongRay(p, centre, innerPoly, outerPoly, t, innerMargin, midMargin) {
+// tMin (optional, default 0) raises the minimum radius to that fraction of the band.
+export function clampPointToMidBandAlongRay(p, centre, innerPoly, outerPoly, t, innerMargin, midMargin, tMin = 0) {
   const n = safeNorm(p.x - centre.x, p.y - centre.y);
   if (!n) return p;
 
@@ -16,8 +17,9 @@ export function clampPointToMidBandAlongRay(p, centre, innerPoly, outerPoly, t,
   if (!Number.isFinite(rIn) || !Number.isFinite(rOut)) return p;
   if (rOut <= rIn + 1e-6) return p;
 
-  // Minimum radius: keep outside inner hull.
-  const rMin = rIn + (innerMargin || 0);
+  // Minimum radius: keep outside inner hull (and at least tMin of the way to the outer hull).
+  const tLo = Math.max(0, Math.min(1, Number.isFinite(tMin) ? tMin : 0));
+  const rMin = rIn + Math.max(innerMargin || 0, tLo * (rOut - rIn));
 
   // Midway radius between inner and outer hulls.
   const tt = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0.3));
@@ -31,7 +33,7 @@ export function clampPointToMidBandAlongRay(p, centre, innerPoly, outerPoly, t,
   return p;
 }
 
-export function clampPolylineToMidBandAlongRays(poly, centre, innerPoly, outerPoly, t, innerMargin, midMargin) {
+export function clampPolylineToMidBandAlongRays(poly, centre, innerPoly, outerPoly, t, innerMargin, midMargin, tMin = 0) {
   if (!Array.isArray(poly) || poly.length < 2) return poly;
   if (!Array.isArray(innerPoly) || innerPoly.length < 3) return poly;
   if (!Array.isArray(outerPoly) || outerPoly.length < 3) return poly;
@@ -40,7 +42,7 @@ export function clampPolylineToMidBandAlongRays(poly, centre, innerPoly, outerPo
   for (let i = 0; i < poly.length; i++) {
     const p = poly[i];
     out[i] = (p && Number.isFinite(p.x) && Number.isFinite(p.y))
-      ? clampPointToMidBandAlongRay(p, centre, innerPoly, outerPoly, t, innerMargin, midMargin)
+      ? clampPointToMidBandAlongRay(p, centre, innerPoly, outerPoly, t, innerMargin, midMargin, tMin)
       : p;
   }
   return out;
@@ -67,6 +67,34 @@ export function rayPolyMaxT(centre, dir, poly) {
   return tMax;
 }
 
+/**
+ * Nearest intersection distance along a ray from centre in direction dir: where the ray first
+ * enters a polygon that does not contain centre.
+ *
+ * @param {{x:number,y:number}} centre
+ * @param {{x:number,y:number}} dir
+ * @param {Array<{x:number,y:number}>} poly
+ * @returns {number|null}
+ */
+export function rayPolyMinT(centre, dir, poly) {
+  if (!Array.isArray(poly) || poly.length < 3) return null;
+
+  let tMin = null;
+
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    if (!a || !b) continue;
+
+    const t = raySegmentT(centre, dir, a, b);
+    if (t == null) continue;
+
+    if (tMin == null || t < tMin) tMin = t;
+  }
+
+  return tMin;
+}
+
 /**
  * @param {number} vx
  * @param {number} vy
@@ -7,12 +7,29 @@ window.__EMCG_BOOTED__ = 1;
 
 console.log("BOOT COUNT", window.__EMCG_BOOTED__);
 
-import { generate } from "./model/generate.js";
+import { computeBastionTargetN } from "./model/generate.js";
 import { render } from "./render/render.js";
+import { renderSvg } from "./render/render_svg.js";
+import { createGenerateClient } from "./generate_client.js";
+import { readUrlState, formatUrlState } from "./url_state.js";
 
 const canvas = document.getElementById("c");
 const ctx = canvas.getContext("2d");
 
+// A shared link carries the controls and param overrides it was generated with. The city is
+// generated in the world frame, so it matches whatever the canvas size; render() fits it in.
+const urlState = readUrlState(window.location.search);
+const paramOverrides = urlState.params;
+
+function applyUrlStateToControls(s) {
+  if (s.seed != null) document.getElementById("seed").value = String(s.seed);
+  if (s.bastions != null) document.getElementById("bastionDensity").value = s.bastions;
+  if (s.gates != null) document.getElementById("gateDensity").value = s.gates;
+  if (s.school != null) document.getElementById("fortSchool").value = s.school;
+  if (s.water != null) document.getElementById("water").value = s.water;
+  if (s.dock != null) document.getElementById("dock").checked = s.dock;
+}
+
 function resizeCanvasToDevicePixels() {
   const rect = canvas.getBoundingClientRect();
   const dpr = window.devicePixelRatio || 1;
@@ -27,47 +44,21 @@ function resizeCanvasToDevicePixels() {
   return { w, h };
 }
 
-function computeBastionTargetN({ w, h, density }) {
-  // Mirrors run_pipeline.js framing: baseR ~ min(w,h)*0.33
-  const baseR = Math.min(w, h) * 0.33;
-
-  // Approximate curtain length by circumference. This keeps the UI deterministic
-  // without needing to run the generator first.
-  const approxCurtainLen = 2 * Math.PI * baseR;
-
-  // Spacing tuned so Medium roughly matches the old default (8-ish bastions).
-  const baseSpacing = Math.max(60, baseR * 0.75);
-
-  let N0 = Math.round(approxCurtainLen / baseSpacing);
-
-  let mult = 1.0;
-  if (density === "low") mult = 0.75;
-  else if (density === "high") mult = 1.25;
-
-  let N = Math.round(N0 * mult);
-
-  // Clamp to safe bounds similar to your old UI range.
-  N = Math.max(5, Math.min(14, N));
-  return N;
-}
-
 function getInputs() {
   const water = String(document.getElementById("water").value || "none");
   const dock = Boolean(document.getElementById("dock").checked);
 
   const bastionDensity = String(document.getElementById("bastionDensity").value || "medium");
   const gateDensity = String(document.getElementById("gateDensity").value || "medium");
-  const { w, h } = resizeCanvasToDevicePixels();
-  const bastions = computeBastionTargetN({ w, h, density: bastionDensity });
+  const school = String(document.getElementById("fortSchool").value || "generic");
   return {
     seed: Number(document.getElementById("seed").value) || 1331,
     bastionDensity,
-  
-    // New: gate density (until you add a UI control, keep it as a stable default)
-    gateDensity: "medium",
-  
+    gateDensity,
+    school,
+
     site: {
-      water,  // "none" | "river" | "coast"
+      water,  // SITE_WATER_KINDS: "none" | "river" | "coast" | "confluence" | "canals"
       hasDock: water !== "none" && dock,
     },
   };
@@ -85,19 +76,85 @@ function syncDockControl() {
 }
 
 let model = null;
+let modelJson = null;
+let modelSize = null;
+
+const statusEl = document.getElementById("status");
+
+// Generation runs in a worker (generate_worker.js); a newer regenerate() cancels the older run.
+const generator = createGenerateClient({
+  onProgress({ id, name, index, total }) {
+    statusEl.textContent = `${index + 1}/${total} Stage ${id}: ${name}`;
+  },
+});
 
-function regenerate() {
+async function regenerate() {
   syncDockControl();
   const { w, h } = resizeCanvasToDevicePixels();
-  const { seed, bastionDensity, gateDensity, site } = getInputs();
-  const bastions = computeBastionTargetN({ w, h, density: bastionDensity });
+  const { seed, bastionDensity, gateDensity, school, site } = getInputs();
+  const bastions = computeBastionTargetN({ density: bastionDensity, school });
   
-  console.log("REGEN", { seed, bastionDensity, bastions, w, h });
-  
-  // gateCount argument can be kept as a legacy placeholder (for now pass null or 0).
-  model = generate(seed, bastionDensity, bastions, 0, gateDensity, w, h, site);
+  console.log("REGEN", { seed, bastionDensity, school, bastions, w, h });
+
+  let result;
+  try {
+    result = await generator.run({
+      seed, bastionDensity, bastions, gateDensity, w, h, site,
+      params: { ...paramOverrides, fortSchool: school },
+    });
+  } catch (err) {
+    statusEl.textContent = "Generation failed (see console)";
+    console.error(err);
+    return;
+  }
+
+  // Superseded by a newer regenerate().
+  if (!result) return;
+
+  statusEl.textContent = "";
+  model = result.model;
+  modelJson = result.json;
+  modelSize = { seed, w, h };
   window.model = model; // debug
+  window.stageTimings = result.stageTimings; // debug
   render(ctx, model);
+
+  const query = formatUrlState({
+    seed,
+    bastions: bastionDensity,
+    gates: gateDensity,
+    school,
+    water: site.water,
+    dock: site.hasDock,
+    params: paramOverrides,
+  });
+  history.replaceState(null, "", `${window.location.pathname}${query}${window.location.hash}`);
+}
+
+function downloadText(text, type, filename) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Exports use the model as generated (not the current control values).
+function exportSvg() {
+  if (!model || !modelSize) return;
+
+  const { seed, w, h } = modelSize;
+  const svg = renderSvg(model, { width: w, height: h });
+  downloadText(svg, "image/svg+xml", `emcg-${seed}-${w}x${h}.svg`);
+}
+
+function exportJson() {
+  if (!modelJson || !modelSize) return;
+
+  const { seed, w, h } = modelSize;
+  downloadText(modelJson, "application/json", `emcg-${seed}-${w}x${h}.json`);
 }
 
 // Wire events ONCE
@@ -106,6 +163,12 @@ document.getElementById("seed").addEventListener("change", regenerate);
 document.getElementById("bastionDensity").addEventListener("change", () => {
   regenerate();
 });
+document.getElementById("gateDensity").addEventListener("change", () => {
+  regenerate();
+});
+document.getElementById("fortSchool").addEventListener("change", () => {
+  regenerate();
+});
 document.getElementById("water").addEventListener("change", () => {
   syncDockControl();
   regenerate();
@@ -113,13 +176,19 @@ document.getElementById("water").addEventListener("change", () => {
 document.getElementById("dock").addEventListener("change", () => {
   regenerate();
 });
+document.getElementById("exportSvg").addEventListener("click", exportSvg);
+document.getElementById("exportJson").addEventListener("click", exportJson);
 
-// Debounced resize (prevents 3–5 regen calls during layout settle)
+// Debounced resize. The city does not depend on the canvas size, so only redraw it.
 let resizeTimer = null;
 window.addEventListener("resize", () => {
   clearTimeout(resizeTimer);
-  resizeTimer = setTimeout(regenerate, 100);
+  resizeTimer = setTimeout(() => {
+    resizeCanvasToDevicePixels();
+    if (model) render(ctx, model);
+  }, 100);
 });
 
 // Initial render
+applyUrlStateToControls(urlState);
 regenerate();
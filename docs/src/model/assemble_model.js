@@ -8,6 +8,10 @@ export function assembleModel({
   cx,
   cy,
   debug,
+  // World frame, unit system and the view it was generated for (units.js)
+  world,
+  units,
+  view,
   // Walls + moatworks
   wallBase,
   wallCurtainForDraw,
@@ -16,9 +20,22 @@ export function assembleModel({
   bastionHull,
   gatesWarped,
   ravelins,
+  hornworks,
+  tenailles,
+  counterguards,
+  innerEnceinte,
+  posterns,
+  wetDitch,
+  fieldsOfFire,
+  siege,
   ditchOuter,
   ditchInner,
   glacisOuter,
+  coveredWay,
+  glacisCrest,
+  placesOfArms,
+  traverses,
+  ravelinCoveredWays,
   ditchWidth,
   glacisWidth,
 
@@ -51,6 +68,7 @@ export function assembleModel({
   centre,
   baseR,
   citadel,
+  citadelLinks,
   avenue,
   primaryGateWarped,
 
@@ -123,6 +141,10 @@ export function assembleModel({
     cy,
     debug,
 
+    world: world ?? null,
+    units: units ?? null,
+    view: view ?? null,
+
     // Walls + moatworks
     wallBase,
     wallCurtain,
@@ -131,9 +153,22 @@ export function assembleModel({
     bastionHull,
     gates,
     ravelins,
+    hornworks: Array.isArray(hornworks) ? hornworks : [],
+    tenailles: Array.isArray(tenailles) ? tenailles : [],
+    counterguards: Array.isArray(counterguards) ? counterguards : [],
+    innerEnceinte: innerEnceinte ?? null,
+    posterns: posterns ?? null,
+    wetDitch: wetDitch ?? null,
+    fieldsOfFire: fieldsOfFire ?? null,
+    siege: siege ?? null,
     ditchOuter,
     ditchInner,
     glacisOuter,
+    coveredWay: coveredWay ?? null,
+    glacisCrest: glacisCrest ?? null,
+    placesOfArms: Array.isArray(placesOfArms) ? placesOfArms : [],
+    traverses: Array.isArray(traverses) ? traverses : [],
+    ravelinCoveredWays: Array.isArray(ravelinCoveredWays) ? ravelinCoveredWays : [],
     ditchWidth,
     glacisWidth,
 
@@ -166,8 +201,10 @@ export function assembleModel({
 
     // Anchors
     centre,
+    baseR: safeBaseR,
     squareR: safeBaseR * 0.055,
     citadel,
+    citadelLinks: citadelLinks ?? null,
     avenue,
     primaryGate: primaryGateWarped,
     site,
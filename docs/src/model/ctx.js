@@ -1,15 +1,21 @@
 // docs/src/model/ctx.js
 import { mulberry32 } from "./rng/mulberry32.js";
 import { rngFork } from "./rng/rng_fork.js";
+import { WORLD_FRAME, resolveUnits, fitViewTransform } from "./units.js";
 
-export function createCtx({ seed, w, h, site, params }) {
+// `w`, `h` are the size of the canvas the city will be viewed in. They only set ctx.view: stages
+// work in the fixed world frame (ctx.canvas keeps its name for them), so the city is the same at
+// any canvas size. `units` is { unit, metresPerUnit } (units.js defaults when absent).
+export function createCtx({ seed, w, h, site, params, units = null }) {
   const canvas = {
-    w,
-    h,
-    cx: w * 0.5,
-    cy: h * 0.55,
+    w: WORLD_FRAME.w,
+    h: WORLD_FRAME.h,
+    cx: WORLD_FRAME.w * 0.5,
+    cy: WORLD_FRAME.h * 0.55,
   };
 
+  const view = fitViewTransform(WORLD_FRAME, { w, h });
+
   // One global RNG is fine for non-geometry UI choices, but stages should use forks.
   const rngGlobal = mulberry32(seed >>> 0);
 
@@ -26,6 +32,8 @@ export function createCtx({ seed, w, h, site, params }) {
   return {
     seed,
     canvas,
+    view,
+    units: resolveUnits(units),
     site: { ...site },
     params: { ...params },
     rng,
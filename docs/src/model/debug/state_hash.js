@@ -0,0 +1,161 @@
+// docs/src/model/debug/state_hash.js
+//
+// Deterministic, quantised hashes of pipeline state for golden-seed regression checks.
+//
+// - hashStateValue(value, opts): hash any ctx.state value (plain objects, arrays, typed arrays,
+//   Maps, Sets, FieldRegistry). Object keys are hashed in sorted order so key reordering in
+//   stage code does not count as a change.
+// - makeStageHashRecorder(opts): runPipeline() hook that records, per stage, the hash of each
+//   ctx.state key that stage added or changed.
+//
+// Floats are quantised before hashing (default 1e-3 px for geometry). FieldRegistry values go
+// through hashFieldRecord() so field hashes match field_debug.js. With { exact: true } floats
+// are hashed by their bit pattern instead (stage cache keys, where any change must count).
+
+import { fnv1aUpdate32, quantise, hashFieldRecord } from "../fields/field_debug.js";
+import { fnv1a32 } from "../rng/rng_fork.js";
+
+const TAG = Object.freeze({
+  NULL: 1,
+  FALSE: 2,
+  TRUE: 3,
+  NUMBER: 4,
+  NAN: 5,
+  POS_INF: 6,
+  NEG_INF: 7,
+  STRING: 8,
+  ARRAY: 9,
+  TYPED: 10,
+  OBJECT: 11,
+  MAP: 12,
+  FIELDS: 13,
+  CYCLE: 14,
+});
+
+// Scratch buffer for exact float hashing.
+const F64 = new Float64Array(1);
+const U32 = new Uint32Array(F64.buffer);
+
+function isFieldRegistry(v) {
+  return !!v && typeof v.names === "function" && typeof v.get === "function" && typeof v.meta === "function";
+}
+
+function updateString(h, s) {
+  h = fnv1aUpdate32(h, TAG.STRING);
+  return fnv1aUpdate32(h, fnv1a32(s));
+}
+
+function updateValue(h, v, q, stack) {
+  if (v === null || v === undefined) return fnv1aUpdate32(h, TAG.NULL);
+
+  const t = typeof v;
+  if (t === "boolean") return fnv1aUpdate32(h, v ? TAG.TRUE : TAG.FALSE);
+  if (t === "string") return updateString(h, v);
+  if (t === "number") {
+    if (Number.isNaN(v)) return fnv1aUpdate32(h, TAG.NAN);
+    if (v === Infinity) return fnv1aUpdate32(h, TAG.POS_INF);
+    if (v === -Infinity) return fnv1aUpdate32(h, TAG.NEG_INF);
+    h = fnv1aUpdate32(h, TAG.NUMBER);
+    if (q === null) {
+      F64[0] = v === 0 ? 0 : v;
+      h = fnv1aUpdate32(h, U32[0]);
+      return fnv1aUpdate32(h, U32[1]);
+    }
+    return fnv1aUpdate32(h, quantise(v, q));
+  }
+  // Functions and symbols are behaviour, not state.
+  if (t !== "object") return h;
+
+  if (ArrayBuffer.isView(v)) {
+    h = fnv1aUpdate32(h, TAG.TYPED);
+    h = fnv1aUpdate32(h, v.length >>> 0);
+    for (let i = 0; i < v.length; i++) h = updateValue(h, v[i], q, stack);
+    return h;
+  }
+
+  if (stack.has(v)) return fnv1aUpdate32(h, TAG.CYCLE);
+  stack.add(v);
+
+  if (isFieldRegistry(v)) {
+    h = fnv1aUpdate32(h, TAG.FIELDS);
+    for (const name of v.names()) {
+      h = (q === null)
+        ? updateValue(updateString(h, name), v.get(name), q, stack)
+        : updateString(h, hashFieldRecord(v.get(name)));
+    }
+  } else if (Array.isArray(v) || v instanceof Set) {
+    const arr = Array.isArray(v) ? v : Array.from(v);
+    h = fnv1aUpdate32(h, TAG.ARRAY);
+    h = fnv1aUpdate32(h, arr.length >>> 0);
+    for (const item of arr) h = updateValue(h, item, q, stack);
+  } else if (v instanceof Map) {
+    const keys = Array.from(v.keys()).map(String).sort();
+    const byKey = new Map(Array.from(v.entries()).map(([k, val]) => [String(k), val]));
+    h = fnv1aUpdate32(h, TAG.MAP);
+    h = fnv1aUpdate32(h, keys.length >>> 0);
+    for (const k of keys) {
+      h = updateString(h, k);
+      h = updateValue(h, byKey.get(k), q, stack);
+    }
+  } else {
+    const keys = Object.keys(v).sort();
+    h = fnv1aUpdate32(h, TAG.OBJECT);
+    h = fnv1aUpdate32(h, keys.length >>> 0);
+    for (const k of keys) {
+      h = updateString(h, k);
+      h = updateValue(h, v[k], q, stack);
+    }
+  }
+
+  stack.delete(v);
+  return h;
+}
+
+/**
+ * Hash any state value.
+ * @param {*} value
+ * @param {object} [opts]
+ * @param {number} [opts.quantum=1e-3] - float quantisation step
+ * @param {boolean} [opts.exact=false] - hash float bit patterns instead of quantising
+ * @returns {string} 8-char hex
+ */
+export function hashStateValue(value, opts) {
+  const quantum = (opts && opts.exact === true)
+    ? null
+    : ((opts && Number.isFinite(opts.quantum) && opts.quantum > 0) ? opts.quantum : 1e-3);
+  const h = updateValue(2166136261, value, quantum, new Set());
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Build a runPipeline() hook that records per-stage state hashes.
+ *
+ * Every ctx.state key is re-hashed after each stage (stages mutate earlier outputs in place,
+ * e.g. Stage 130 writes anchors.docks), and a stage is credited with the keys whose hash is
+ * new or different from the previous stage.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.quantum=1e-3]
+ * @returns {{hooks:{afterStage:Function}, stages:Array<{id:number, name:string, keys:Object<string,string>}>}}
+ */
+export function makeStageHashRecorder(opts) {
+  const stages = [];
+  const last = new Map();
+
+  const hooks = {
+    afterStage(stage, ctx) {
+      const state = ctx.state || {};
+      const keys = {};
+
+      for (const k of Object.keys(state).sort()) {
+        const hash = hashStateValue(state[k], opts);
+        if (last.get(k) !== hash) keys[k] = hash;
+        last.set(k, hash);
+      }
+
+      stages.push({ id: stage.id, name: stage.name, keys });
+    },
+  };
+
+  return { hooks, stages };
+}
@@ -0,0 +1,403 @@
+// docs/src/model/export/model_json.js
+//
+// Versioned JSON export of the generated model (Milestone 12).
+//
+// serializeModel(model) -> plain JSON-safe object (no class instances, Maps or typed arrays).
+// deserializeModel(json) -> model object with the same shape assembleModel() returns,
+// so render(ctx, model) can draw it without regenerating.
+//
+// Contract:
+// - `schema` and `version` are checked on load; bump MODEL_SCHEMA_VERSION on any breaking change.
+// - Numbers are written at full precision so a round trip draws the identical map.
+// - Non-finite numbers become null (JSON cannot represent them).
+// - Runtime-only state is rebuilt on load: FieldRegistry, graph.edgeByPair, shared aliases
+//   (roads/primaryRoads, mesh.waterModel/water, hullModel parts).
+// - Debug payloads (model.debug, warp sample fields) are not exported.
+
+import { assembleModel } from "../assemble_model.js";
+import { FieldRegistry } from "../fields/field_registry.js";
+import { assert } from "../util/assert.js";
+
+export const MODEL_SCHEMA_ID = "emcg_model";
+export const MODEL_SCHEMA_VERSION = 1;
+
+/**
+ * Deep copy into JSON-safe values.
+ * - Typed arrays -> arrays
+ * - Sets -> arrays
+ * - Maps and functions are dropped (callers rebuild runtime lookups)
+ * - Non-finite numbers -> null
+ * Throws on cycles so a bad model fails loudly instead of producing a partial file.
+ */
+function toPlain(v, stack = new Set()) {
+  if (v === null || v === undefined) return null;
+
+  const t = typeof v;
+  if (t === "number") return Number.isFinite(v) ? v : null;
+  if (t === "string" || t === "boolean") return v;
+  if (t === "function" || t === "symbol" || t === "bigint") return undefined;
+
+  if (ArrayBuffer.isView(v)) return Array.from(v, (x) => (Number.isFinite(x) ? x : null));
+  if (v instanceof Map) return undefined;
+
+  assert(!stack.has(v), "[EMCG] serializeModel: cyclic reference in model.");
+  stack.add(v);
+
+  let out;
+  if (Array.isArray(v) || v instanceof Set) {
+    out = [];
+    for (const item of v) {
+      const p = toPlain(item, stack);
+      out.push(p === undefined ? null : p);
+    }
+  } else {
+    out = {};
+    for (const k of Object.keys(v)) {
+      const p = toPlain(v[k], stack);
+      if (p !== undefined) out[k] = p;
+    }
+  }
+
+  stack.delete(v);
+  return out;
+}
+
+function pick(obj, keys) {
+  if (!obj || typeof obj !== "object") return null;
+  const out = {};
+  for (const k of keys) {
+    if (k in obj) out[k] = obj[k];
+  }
+  return out;
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// ---------- Fields ----------
+
+function serializeFields(fields) {
+  if (!fields || typeof fields.names !== "function") return null;
+
+  const records = [];
+  for (const name of fields.names()) {
+    const rec = fields.get(name);
+    records.push({
+      spec: toPlain(rec.spec),
+      values: Array.from(rec.values),
+      min: rec.min,
+      max: rec.max,
+    });
+  }
+
+  return {
+    sizes: { faceCount: fields.sizes.faceCount, vertexCount: fields.sizes.vertexCount },
+    records,
+  };
+}
+
+function deserializeFields(data) {
+  if (!data) return null;
+
+  const reg = new FieldRegistry(data.sizes);
+  for (const rec of data.records || []) {
+    reg.add(rec.spec, rec.values);
+  }
+  return reg;
+}
+
+// ---------- Mesh ----------
+
+function serializeGraph(graph) {
+  if (!graph) return null;
+  return toPlain(pick(graph, ["eps", "nodes", "edges", "adj", "cells", "edgeCells", "__source"]));
+}
+
+function deserializeGraph(data) {
+  if (!data) return null;
+
+  const edgeByPair = new Map();
+  for (const e of data.edges || []) {
+    if (!e) continue;
+    edgeByPair.set(pairKey(e.a, e.b), e.id);
+  }
+
+  return { ...data, edgeByPair };
+}
+
+// ---------- Warp ----------
+
+// Only what render reads (draw hints + overlay polylines). Sample fields are debug-only.
+const WARP_KEYS = ["centre", "params", "drawCurtain", "drawComposite", "draw", "wallOriginal", "wallWarped", "rMean"];
+
+/**
+ * Serialize a generated model to a plain, versioned JSON object.
+ * @param {object} model - output of generate()
+ * @returns {object}
+ */
+export function serializeModel(model) {
+  assert(model && typeof model === "object", "[EMCG] serializeModel requires a model object.");
+
+  const m = model;
+  const mesh = m.mesh || {};
+
+  return {
+    schema: MODEL_SCHEMA_ID,
+    version: MODEL_SCHEMA_VERSION,
+
+    frame: toPlain({
+      cx: m.cx,
+      cy: m.cy,
+      centre: m.centre,
+      baseR: m.baseR,
+      world: m.world,
+      units: m.units,
+      view: m.view,
+      footprint: m.footprint,
+      outerBoundary: m.outerBoundary,
+    }),
+
+    site: toPlain(m.site),
+
+    fortifications: toPlain({
+      wallBase: m.wallBase,
+      wallCurtain: m.wallCurtain,
+      wall: m.wall,
+      bastionPolys: m.bastionPolys,
+      bastionHull: m.bastionHull,
+      gates: m.gates,
+      gatesOriginal: m.gatesOriginal,
+      primaryGate: m.primaryGate,
+      ravelins: m.ravelins,
+      hornworks: m.hornworks,
+      tenailles: m.tenailles,
+      counterguards: m.counterguards,
+      innerEnceinte: m.innerEnceinte,
+      posterns: m.posterns,
+      wetDitch: m.wetDitch,
+      fieldsOfFire: m.fieldsOfFire,
+      siege: m.siege,
+      ditchInner: m.ditchInner,
+      ditchOuter: m.ditchOuter,
+      glacisOuter: m.glacisOuter,
+      coveredWay: m.coveredWay,
+      glacisCrest: m.glacisCrest,
+      placesOfArms: m.placesOfArms,
+      traverses: m.traverses,
+      ravelinCoveredWays: m.ravelinCoveredWays,
+      ditchWidth: m.ditchWidth,
+      glacisWidth: m.glacisWidth,
+      ring: m.ring,
+      ring2: m.ring2,
+      citadel: m.citadel,
+      citadelLinks: m.citadelLinks,
+      warp: {
+        wall: pick(m.warp?.wall, WARP_KEYS),
+        outworks: pick(m.warp?.outworks, WARP_KEYS),
+      },
+    }),
+
+    hulls: toPlain({
+      fortHulls: m.fortHulls,
+      coreSet: m.coreSet,
+      innerHullModel: m.innerHullModel,
+      outerHullModel: m.outerHullModel,
+      hullProofs: m.hullProofs,
+      citadelFit: m.citadelFit,
+      coastGeometry: m.coastGeometry,
+    }),
+
+    wards: toPlain({
+      wards: m.wards,
+      wardSeeds: m.wardSeeds,
+      wardRoleIndices: m.wardRoleIndices,
+      districts: m.districts,
+    }),
+
+    mesh: {
+      cityMesh: toPlain(mesh.cityMesh ?? null),
+      graph: serializeGraph(mesh.graph ?? mesh.vorGraph ?? null),
+      boundaryBinding: toPlain(m.boundaryBinding),
+      gatePortals: toPlain(m.gatePortals),
+      boundaryExits: toPlain(m.boundaryExits),
+    },
+
+    fields: serializeFields(m.fields),
+
+    intents: toPlain({
+      waterIntent: m.waterIntent,
+      waterIntentDerived: m.waterIntentDerived,
+      corridorIntent: m.corridorIntent,
+      newTownIntent: m.newTownIntent,
+      fieldsMeta: m.fieldsMeta,
+      wardFieldMeta: m.wardFieldMeta,
+    }),
+
+    roads: toPlain({
+      primaryRoads: m.primaryRoads,
+      primaryRoadsMeta: m.primaryRoadsMeta,
+      primaryRoadsSnappedNodes: m.primaryRoadsSnappedNodes,
+      primaryRoadsGateForRoad: m.primaryRoadsGateForRoad,
+      primaryGatePortal: m.primaryGatePortal,
+      primaryBoundaryExit: m.primaryBoundaryExit,
+      secondaryRoads: m.secondaryRoads,
+      roadGraph: m.roadGraph,
+      avenue: m.avenue,
+    }),
+
+    blocks: toPlain(m.blocks),
+
+    water: toPlain(m.water),
+
+    newTown: toPlain(m.newTown),
+    landmarks: toPlain(m.landmarks),
+    anchors: toPlain(m.anchors),
+  };
+}
+
+/**
+ * Load a serialized model back into the shape render() expects.
+ * @param {object|string} json - serializeModel() output, or its JSON string
+ * @returns {object} model
+ */
+export function deserializeModel(json) {
+  const data = (typeof json === "string") ? JSON.parse(json) : json;
+
+  assert(data && typeof data === "object", "[EMCG] deserializeModel requires a JSON object or string.");
+  assert(data.schema === MODEL_SCHEMA_ID, `[EMCG] deserializeModel: unknown schema ${String(data.schema)}.`);
+  assert(
+    data.version === MODEL_SCHEMA_VERSION,
+    `[EMCG] deserializeModel: unsupported schema version ${String(data.version)} (expected ${MODEL_SCHEMA_VERSION}).`
+  );
+
+  const frame = data.frame || {};
+  const fort = data.fortifications || {};
+  const hulls = data.hulls || {};
+  const wards = data.wards || {};
+  const meshData = data.mesh || {};
+  const intents = data.intents || {};
+  const roads = data.roads || {};
+
+  const graph = deserializeGraph(meshData.graph);
+  const water = data.water ?? null;
+
+  const hullModel = {
+    coreSet: hulls.coreSet ?? null,
+    innerHull: hulls.innerHullModel ?? null,
+    outerHull: hulls.outerHullModel ?? null,
+    hullProofs: hulls.hullProofs ?? null,
+    citadelFit: hulls.citadelFit ?? null,
+    coastGeometry: hulls.coastGeometry ?? null,
+  };
+
+  const mesh = {
+    cityMesh: meshData.cityMesh ?? null,
+    graph,
+    waterModel: water,
+    boundaryBinding: meshData.boundaryBinding ?? null,
+    gatePortals: meshData.gatePortals ?? null,
+  };
+
+  return assembleModel({
+    // Core frame
+    footprint: frame.footprint,
+    cx: frame.cx,
+    cy: frame.cy,
+    centre: frame.centre,
+    baseR: frame.baseR,
+    world: frame.world ?? null,
+    units: frame.units ?? null,
+    view: frame.view ?? null,
+    debug: {},
+
+    // Walls + moatworks
+    wallBase: fort.wallBase,
+    wallCurtainForDraw: fort.wallCurtain,
+    wallForDraw: fort.wall,
+    bastionPolysWarpedSafe: fort.bastionPolys,
+    bastionHull: fort.bastionHull,
+    gatesWarped: fort.gates,
+    ravelins: fort.ravelins,
+    hornworks: fort.hornworks ?? null,
+    tenailles: fort.tenailles ?? null,
+    counterguards: fort.counterguards ?? null,
+    innerEnceinte: fort.innerEnceinte ?? null,
+    posterns: fort.posterns ?? null,
+    wetDitch: fort.wetDitch ?? null,
+    fieldsOfFire: fort.fieldsOfFire ?? null,
+    siege: fort.siege ?? null,
+    ditchOuter: fort.ditchOuter,
+    ditchInner: fort.ditchInner,
+    glacisOuter: fort.glacisOuter,
+    coveredWay: fort.coveredWay ?? null,
+    glacisCrest: fort.glacisCrest ?? null,
+    placesOfArms: fort.placesOfArms ?? null,
+    traverses: fort.traverses ?? null,
+    ravelinCoveredWays: fort.ravelinCoveredWays ?? null,
+    ditchWidth: fort.ditchWidth,
+    glacisWidth: fort.glacisWidth,
+
+    // Districts / blocks
+    districts: wards.districts,
+    blocks: data.blocks ?? null,
+    warpWall: fort.warp?.wall ?? null,
+    warpOutworks: fort.warp?.outworks ?? null,
+    fortHulls: hulls.fortHulls ?? null,
+    hullModel,
+    coreSet: hullModel.coreSet,
+    innerHullModel: hullModel.innerHull,
+    outerHullModel: hullModel.outerHull,
+    hullProofs: hullModel.hullProofs,
+    citadelFit: hullModel.citadelFit,
+    coastGeometry: hullModel.coastGeometry,
+    wardsWithRoles: wards.wards ?? null,
+    wardSeeds: wards.wardSeeds ?? null,
+    wardRoleIndices: wards.wardRoleIndices ?? null,
+    vorGraph: graph,
+    mesh,
+    boundaryBinding: mesh.boundaryBinding,
+    gatePortals: mesh.gatePortals,
+    boundaryExits: meshData.boundaryExits ?? null,
+
+    // Anchors
+    citadel: fort.citadel ?? null,
+    citadelLinks: fort.citadelLinks ?? null,
+    avenue: roads.avenue ?? null,
+    primaryGateWarped: fort.primaryGate ?? null,
+
+    // Site / water
+    site: data.site ?? null,
+    waterModel: water,
+
+    // Milestone 4.8 contract outputs
+    waterIntent: intents.waterIntent ?? null,
+    waterIntentDerived: intents.waterIntentDerived ?? null,
+    corridorIntent: intents.corridorIntent ?? null,
+    newTownIntent: intents.newTownIntent ?? null,
+    fields: deserializeFields(data.fields),
+    fieldsMeta: intents.fieldsMeta ?? null,
+    wardFieldMeta: intents.wardFieldMeta ?? null,
+
+    // Roads
+    roads: roads.primaryRoads ?? null,
+    primaryRoads: roads.primaryRoads ?? null,
+    primaryRoadsMeta: roads.primaryRoadsMeta ?? null,
+    primaryRoadsSnappedNodes: roads.primaryRoadsSnappedNodes ?? null,
+    primaryRoadsGateForRoad: roads.primaryRoadsGateForRoad ?? null,
+    primaryGatePortal: roads.primaryGatePortal ?? null,
+    primaryBoundaryExit: roads.primaryBoundaryExit ?? null,
+    ring: fort.ring ?? null,
+    ring2: fort.ring2 ?? null,
+    secondaryRoads: roads.secondaryRoads ?? null,
+    secondaryRoadsLegacy: roads.secondaryRoads ?? null,
+    roadGraph: roads.roadGraph ?? null,
+
+    // New Town / boundary / markers
+    newTown: data.newTown ?? null,
+    outerBoundary: frame.outerBoundary,
+    gatesOriginal: fort.gatesOriginal ?? null,
+    landmarks: data.landmarks ?? null,
+    anchors: data.anchors ?? null,
+  });
+}
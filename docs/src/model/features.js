@@ -9,6 +9,7 @@
 // - pickGates
 // - generateRoadsToCentre
 // - makeRavelin
+// - makeHornwork
 // - minDistPointToPoly
 // - bastionAngularOffset
 
@@ -319,20 +320,29 @@ export function bastionAngularOffset(bastionCount) {
 }
 
 // ---------- Outworks ----------
+// options.angularOffset: rotation off the gate direction (default bastionAngularOffset).
+// options.scale: size multiplier for the ravelin face (default 1).
+// options.retryForward: forward offset multipliers tried when the first placement hits the fort
+//   (default [0.85, 0.72, 0.60]: pulled in towards the wall).
 export function makeRavelin(
   gate, cx, cy, wallR, ditchWidth, glacisWidth,
   newTownPoly, bastionCount,
   bastionPolys = null,
-  wallPoly = null
+  wallPoly = null,
+  options = {}
 ) {
   const out0 = normalize({ x: gate.x - cx, y: gate.y - cy });
-  const theta = bastionAngularOffset(bastionCount);
+  const theta = Number.isFinite(options.angularOffset)
+    ? options.angularOffset
+    : bastionAngularOffset(bastionCount);
+  const scale = Number.isFinite(options.scale) ? options.scale : 1;
+  const retryForward = Array.isArray(options.retryForward) ? options.retryForward : [0.85, 0.72, 0.60];
 
   const forwardFactor = clamp(0.28 - (bastionCount - 5) * (0.10 / 7), 0.18, 0.28);
   const forward = ditchWidth + glacisWidth + wallR * forwardFactor;
 
-  const baseW = wallR * 0.10;
-  const depth = wallR * 0.12;
+  const baseW = wallR * 0.10 * scale;
+  const depth = wallR * 0.12 * scale;
 
   function build(sign, fwd) {
     const out = rotate(out0, sign * theta);
@@ -396,8 +406,9 @@ export function makeRavelin(
   if (!hitsFort(preferred)) return preferred;
   if (!hitsFort(alternate)) return alternate;
 
-  // Shrink forward deterministically and retry both sides
-  for (const m of [0.85, 0.72, 0.60]) {
+  // Retry both sides at each retryForward multiple of the forward offset. The default factors
+  // are below 1 and pull the ravelin in towards the wall; only factors above 1 move it forward.
+  for (const m of retryForward) {
     const fwd2 = forward * m;
 
     const p2 = build(+1, fwd2);
@@ -423,3 +434,46 @@ export function makeRavelin(
   return null;
 }
 
+
+// Hornwork / crownwork outline in front of one front of the enceinte.
+//
+// Local frame: out = unit direction away from the centre, side = perp(out); distances along `out`
+// are measured from `anchor` (a point on the main wall).
+// - Two long wings run from the gorge (t0, just beyond the main ditch) out to the front.
+// - The front is two demi-bastions joined by a curtain (hornwork). A crownwork adds a full
+//   bastion in the middle of the front, so it has two curtains.
+// Returns a closed polygon (the gorge edge closes it), or null for bad inputs.
+//
+// dims: { halfWidth, gorge, length } in pixels.
+export function makeHornwork(kind, anchor, outDir, dims) {
+  const out = normalize(outDir);
+  if (!Number.isFinite(out.x) || !Number.isFinite(out.y)) return null;
+
+  const W = dims?.halfWidth;
+  const t0 = dims?.gorge;
+  const L = dims?.length;
+  if (!(W > 0) || !Number.isFinite(t0) || !(L > 0)) return null;
+
+  const side = perp(out);
+  const at = (s, t) => add(anchor, add(mul(side, s), mul(out, t)));
+
+  const tF = t0 + L;           // front curtain line
+  const salient = W * 0.35;    // demi-bastion point ahead of the curtain
+  const face = W * 0.30;       // demi-bastion width along the front
+  const flank = W * 0.12;      // demi-bastion flank height
+
+  const right = [at(W, t0), at(W, tF + salient), at(W - face, tF + flank), at(W - face, tF)];
+  const left = [at(-W + face, tF), at(-W + face, tF + flank), at(-W, tF + salient), at(-W, t0)];
+
+  if (kind !== "crownwork") return [...right, ...left];
+
+  const half = W * 0.18;
+  const centre = [
+    at(half, tF),
+    at(half, tF + flank),
+    at(0, tF + salient * 1.3),
+    at(-half, tF + flank),
+    at(-half, tF),
+  ];
+  return [...right, ...centre, ...left];
+}
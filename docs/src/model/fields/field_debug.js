@@ -6,6 +6,7 @@
 // - hashFloat64Array(values, opts): stable hash for regression tests / golden seeds
 // - hashFieldRecord(fieldRecord, opts): hashes a registry record (values + basic meta)
 // - makeFaceHeatFromField(fields, faceFieldName): convenience for debug rendering
+// - fnv1aUpdate32 / quantise: shared primitives for other deterministic hashes (debug/state_hash.js)
 //
 // Design goals:
 // - Deterministic across platforms (within reasonable JS floating constraints)
@@ -34,7 +35,7 @@ function toUint32(x) {
  * @param {number} x
  * @returns {number}
  */
-function fnv1aUpdate32(h, x) {
+export function fnv1aUpdate32(h, x) {
   // FNV-1a: h ^= x; h *= 16777619
   h ^= (x >>> 0);
   // Multiply in uint32 space:
@@ -50,7 +51,7 @@ function fnv1aUpdate32(h, x) {
  * @param {number} q
  * @returns {number} int32-ish
  */
-function quantise(v, q) {
+export function quantise(v, q) {
   // Handle -0 explicitly to avoid sign-noise.
   if (v === 0) return 0;
   // Round to nearest integer multiple of q.
@@ -0,0 +1,125 @@
+// docs/src/model/fort_schools.js
+//
+// Fortification school presets.
+//
+// A school is a named engineering tradition. It sets:
+// - bastions:  target count range and spacing used by computeBastionTargetN()
+//              (spacing is a fraction of baseR, with a pixel floor)
+// - ditch / glacis widths as fractions of wallR (buildFortSkeleton, Stage 10)
+// - ravelins:  where Stage 150 places them and how large they are
+//              gates:    in front of every gate except the primary one
+//              curtains: in front of every curtain that has no gate
+// - hornworks: how many hornworks / crownworks Stage 150 tries to place on exposed fronts
+// - ditchWorks: tenailles (before curtains) and counterguards (before bastion faces) in the
+//              main ditch, Stage 150; ctx.params.tenailles / counterguards override them
+// - wetDitch:  true floods the whole main ditch when the river or sea is in reach (Stage 135);
+//              false floods only the sectors nearest the water
+// - warp:      overrides merged over WARP_FORT (generate.js), mainly the per-ward-kind fort offsets
+//
+// "generic" reproduces the single profile the generator had before schools existed and is the
+// default when ctx.params.fortSchool is absent.
+
+export const DEFAULT_FORT_SCHOOL = "generic";
+
+export const FORT_SCHOOLS = Object.freeze({
+  generic: Object.freeze({
+    label: "Generic",
+    bastions: { min: 5, max: 14, spacing: 0.75, minSpacing: 60 },
+    ditchWidth: 0.035,
+    glacisWidth: 0.08,
+    ravelins: { gates: true, curtains: false, scale: 1.0 },
+    hornworks: { count: 0, kind: "hornwork" },
+    ditchWorks: { tenailles: false, counterguards: false },
+    wetDitch: false,
+    warp: {},
+  }),
+
+  // Early 16th century: few large bastions, narrow dry ditch, little glacis, ravelins only
+  // covering the gates. The trace stays close to its ideal shape.
+  old_italian: Object.freeze({
+    label: "Old Italian trace",
+    bastions: { min: 5, max: 9, spacing: 1.0, minSpacing: 80 },
+    ditchWidth: 0.03,
+    glacisWidth: 0.05,
+    ravelins: { gates: true, curtains: false, scale: 0.8 },
+    hornworks: { count: 0, kind: "hornwork" },
+    ditchWorks: { tenailles: false, counterguards: false },
+    wetDitch: false,
+    warp: {
+      maxOut: 30,
+      newTownFortOffset: 20,
+      outerWardFortOffset: 6,
+      citadelFortOffset: -6,
+    },
+  }),
+
+  // Old Netherlands system: many small earthen bastions, broad wet ditch, low glacis and a
+  // ravelin on every front. Earthworks follow the town closely; hornworks cover weak fronts.
+  dutch: Object.freeze({
+    label: "Dutch",
+    bastions: { min: 6, max: 16, spacing: 0.6, minSpacing: 50 },
+    ditchWidth: 0.06,
+    glacisWidth: 0.06,
+    ravelins: { gates: true, curtains: true, scale: 1.1 },
+    hornworks: { count: 2, kind: "hornwork" },
+    ditchWorks: { tenailles: true, counterguards: false },
+    wetDitch: true,
+    warp: {
+      maxOut: 50,
+      newTownFortOffset: 40,
+      outerWardFortOffset: 14,
+      citadelFortOffset: -14,
+    },
+  }),
+
+  // Vauban's first system: regular fronts, moderate ditch, full glacis, ravelins on every front
+  // and a crownwork on the most exposed one.
+  vauban_first: Object.freeze({
+    label: "Vauban first system",
+    bastions: { min: 5, max: 12, spacing: 0.8, minSpacing: 64 },
+    ditchWidth: 0.045,
+    glacisWidth: 0.11,
+    ravelins: { gates: true, curtains: true, scale: 1.0 },
+    hornworks: { count: 1, kind: "crownwork" },
+    ditchWorks: { tenailles: true, counterguards: true },
+    wetDitch: false,
+    warp: {
+      newTownFortOffset: 30,
+      outerWardFortOffset: 8,
+      citadelFortOffset: -12,
+    },
+  }),
+
+  // Coehoorn: low, deep works with wide ditches, compact ravelins on every front and a hornwork.
+  coehoorn: Object.freeze({
+    label: "Coehoorn",
+    bastions: { min: 5, max: 12, spacing: 0.7, minSpacing: 56 },
+    ditchWidth: 0.065,
+    glacisWidth: 0.09,
+    ravelins: { gates: true, curtains: true, scale: 0.9 },
+    hornworks: { count: 1, kind: "hornwork" },
+    ditchWorks: { tenailles: true, counterguards: true },
+    wetDitch: false,
+    warp: {
+      newTownFortOffset: 34,
+      outerWardFortOffset: 12,
+      citadelFortOffset: -10,
+    },
+  }),
+});
+
+export const FORT_SCHOOL_IDS = Object.freeze(Object.keys(FORT_SCHOOLS));
+
+/**
+ * Look up a school preset. null/undefined give the default school.
+ * @param {string|null|undefined} id
+ * @returns {object} frozen preset
+ */
+export function resolveFortSchool(id) {
+  const key = (id == null) ? DEFAULT_FORT_SCHOOL : String(id);
+  const school = FORT_SCHOOLS[key];
+  if (!school) {
+    throw new Error(`[EMCG] Unknown fortSchool "${id}" (expected ${FORT_SCHOOL_IDS.join("|")}).`);
+  }
+  return school;
+}
@@ -11,6 +11,9 @@
 
 import { createCtx } from "./ctx.js";
 import { runPipeline } from "./pipeline/run_pipeline.js";
+import { normaliseParamOverrides } from "./param_overrides.js";
+import { resolveFortSchool } from "./fort_schools.js";
+import { WORLD_FRAME } from "./units.js";
 
 const WARP_FORT = {
   enabled: true,
@@ -64,18 +67,66 @@ function logBuildOnce(seed, width, height, site) {
   console.info("[EMCG] First run params:", { seed, width, height, site });
 }
 
-export function generate(seed, bastionDensity, bastionTargetN, gateCount, gateDensity, width, height, site = {}) {
+/**
+ * Target bastion count for a density preset and fortification school.
+ * Shared by the browser UI and headless runners so both produce the same city.
+ * @param {{density:string, school?:string|null}} args
+ * @returns {number}
+ */
+export function computeBastionTargetN({ density, school = null }) {
+  const range = resolveFortSchool(school).bastions;
+
+  // Mirrors run_pipeline.js framing on the world frame: baseR ~ min(w,h)*0.33
+  const baseR = Math.min(WORLD_FRAME.w, WORLD_FRAME.h) * 0.33;
+
+  // Approximate curtain length by circumference. This keeps the UI deterministic
+  // without needing to run the generator first.
+  const approxCurtainLen = 2 * Math.PI * baseR;
+
+  // Generic spacing is tuned so Medium roughly matches the old default (8-ish bastions).
+  const baseSpacing = Math.max(range.minSpacing, baseR * range.spacing);
+
+  let N0 = Math.round(approxCurtainLen / baseSpacing);
+
+  let mult = 1.0;
+  if (density === "low") mult = 0.75;
+  else if (density === "high") mult = 1.25;
+
+  let N = Math.round(N0 * mult);
+
+  // Clamp to the school's range.
+  N = Math.max(range.min, Math.min(range.max, N));
+  return N;
+}
+
+/**
+ * Generate a city model.
+ * `paramOverrides` seeds ctx.params with optional stage knobs (see param_overrides.js);
+ * the density/target params below always win. `paramOverrides.fortSchool` picks the
+ * fortification school (fort_schools.js); pass the same school to computeBastionTargetN().
+ * `hooks` and `cache` are forwarded to runPipeline() (see run_pipeline.js). The UI passes a
+ * long-lived createStageCache() so a control change only reruns the stages it affects.
+ * `width` and `height` are the canvas the city is viewed in: they set model.view only, the city
+ * itself is generated in the world frame (units.js). `paramOverrides.unit` / `metresPerUnit`
+ * pick the unit system (model.units).
+ */
+export function generate(seed, bastionDensity, bastionTargetN, gateCount, gateDensity, width, height, site = {}, paramOverrides = null, hooks = null, cache = null) {
   logBuildOnce(seed, width, height, site);
 
   const waterKind = (site && typeof site.water === "string") ? site.water : "none";
   const hasDock = Boolean(site && site.hasDock) && waterKind !== "none";
 
+  const overrides = normaliseParamOverrides(paramOverrides);
+
   const ctx = createCtx({
     seed,
     w: width,
     h: height,
     site: { water: waterKind, hasDock },
+    units: { unit: overrides.unit, metresPerUnit: overrides.metresPerUnit },
     params: {
+      ...overrides,
+
       bastions: bastionTargetN,          // keep existing stages working
       gates: gateCount,                  // numeric fallback (backward compatible)
     
@@ -104,9 +155,11 @@ export function generate(seed, bastionDensity, bastionTargetN, gateCount, gateDe
   
   ctx.params.bastionSoft = soft;  
   // Provide warp parameters to stages via ctx.params (read by Stage 20 / Stage 110).
-  ctx.params.warpFortParams = WARP_FORT;
+  // The fortification school adjusts the fort offsets per ward kind.
+  const school = resolveFortSchool(ctx.params.fortSchool);
+  ctx.params.warpFortParams = { ...WARP_FORT, ...school.warp };
   ctx.params.warpDebugEnabled = WARP_FORT.debug;
   
   // Phase 1: run the full generator pipeline and return the assembled model.
-  return runPipeline(ctx);
+  return runPipeline(ctx, hooks, cache);
 }
@@ -0,0 +1,271 @@
+// docs/src/model/generate_helpers/canals.js
+//
+// Urban canals for a "canals" site, cut along ward boundaries inside the curtain of the main wall.
+//
+// Each canal leaves the river, runs out into the town and back to the river further along, like
+// the grachten of Dutch towns. They are shortest paths on the CityMesh graph (makeRiverWeightFn)
+// through three targets: the bank at one end, two points out in the town, and the bank at the
+// other end. Only intramural edges clear of the river may carry a canal, and edges already taken
+// by a canal are penalised so canals rarely share one.
+//
+// Canals alternate between the two sides of the river; a second canal on the same side lies
+// farther out, so the canals on a side nest. A canal that cannot be cut on its side is tried on
+// the other one, then farther out. A canal needs CANAL_MIN_NODES graph nodes, CANAL_MIN_LENGTH,
+// a bridge and mostly edges of its own (CANAL_MAX_SHARED); the caller gets how many canals were
+// asked for beside those built.
+//
+// - quays:   the canal walls, the centreline offset by half the canal width on either side;
+//            quayWidth is the strip of street along each of them
+// - bridges: where a street (any other mesh edge) meets the canal at a node, at least
+//            BRIDGE_SPACING fort radii apart along the canal
+
+import { dist } from "../../geom/primitives.js";
+import { pointInPoly, closestPointOnPolyline } from "../../geom/poly.js";
+import { rayPolyMaxT } from "../../geom/radial_ray_clamp.js";
+import { nearestNode } from "../../geom/nearest.js";
+import { polylineLength } from "../../geom/polyline.js";
+import { dijkstra, dropLoops, pathNodesToPolyline } from "../routing/shortest_path.js";
+import { makeRiverWeightFn } from "../routing/weights.js";
+import { channelBody, riverSide } from "./river.js";
+
+// Canal width and quay width as fractions of the river's mean width.
+const CANAL_WIDTH = 0.35;
+const QUAY_WIDTH = 0.25;
+
+// Along-river half length of a canal as a fraction of its distance out into the town.
+const CANAL_SPREAD = 1.1;
+
+// Shortest canal kept, in fort radii, and fewest routing graph nodes along it.
+const CANAL_MIN_LENGTH = 0.15;
+export const CANAL_MIN_NODES = 4;
+
+// Largest share of a canal's edges that may already carry another canal.
+const CANAL_MAX_SHARED = 0.5;
+
+// Shortest distance between two bridges on a canal, in fort radii.
+const BRIDGE_SPACING = 0.15;
+
+export const CANAL_MAX_COUNT = 4;
+
+// Edges a canal may take: both ends inside the wall and clear of the water bodies.
+function canalEdges(graph, wall, bodies) {
+  const inWater = (p) => bodies.some((b) => pointInPoly(p, b));
+  const edges = new Set();
+  const nodes = new Set();
+  for (const e of graph.edges) {
+    if (!e || e.disabled) continue;
+    const a = graph.nodes[e.a];
+    const b = graph.nodes[e.b];
+    if (!a || !b) continue;
+    if (!pointInPoly(a, wall) || !pointInPoly(b, wall)) continue;
+    const m = { x: (a.x + b.x) * 0.5, y: (a.y + b.y) * 0.5 };
+    if (inWater(a) || inWater(b) || inWater(m)) continue;
+    edges.add(e.id);
+    nodes.add(e.a);
+    nodes.add(e.b);
+  }
+  return { edges, nodes: [...nodes].sort((p, q) => p - q) };
+}
+
+// Nodes reachable from `start` over the allowed edges.
+function reachable(graph, allowed, start) {
+  const seen = new Set([start]);
+  const queue = [start];
+  while (queue.length) {
+    const u = queue.shift();
+    for (const s of graph.adj[u] || []) {
+      if (!allowed.has(s.edgeId) || seen.has(s.to)) continue;
+      seen.add(s.to);
+      queue.push(s.to);
+    }
+  }
+  return seen;
+}
+
+function edgeBetween(graph, u, v) {
+  const step = (graph.adj[u] || []).find((s) => s.to === v && !graph.edges[s.edgeId]?.disabled);
+  return step ? step.edgeId : -1;
+}
+
+function canalEdgeIds(graph, nodePath) {
+  const out = [];
+  for (let i = 1; i < nodePath.length; i++) {
+    const id = edgeBetween(graph, nodePath[i - 1], nodePath[i]);
+    if (id >= 0) out.push(id);
+  }
+  return out;
+}
+
+function routeLegs({ graph, targets, weightFn }) {
+  const path = [targets[0]];
+  for (let i = 1; i < targets.length; i++) {
+    if (targets[i] === targets[i - 1]) continue;
+    const leg = dijkstra({ graph, startNode: targets[i - 1], goalNode: targets[i], weightFn });
+    if (!leg) return null;
+    path.push(...leg.slice(1));
+  }
+  return dropLoops(path);
+}
+
+function pickBridges({ graph, nodePath, polyline, canalId, width, spacing }) {
+  const bridges = [];
+  const onCanal = new Set(nodePath);
+  let along = 0;
+  let last = -Infinity;
+
+  // polyline is [bank, ...nodes, bank], so node k sits at polyline[k + 1].
+  for (let k = 0; k < nodePath.length; k++) {
+    along += dist(polyline[k], polyline[k + 1]);
+    if (k === 0 || k === nodePath.length - 1) continue;
+
+    const id = nodePath[k];
+    const streets = (graph.adj[id] || []).filter((s) => !graph.edges[s.edgeId]?.disabled && !onCanal.has(s.to));
+    if (!streets.length || along - last < spacing) continue;
+
+    const a = polyline[k];
+    const b = polyline[k + 2];
+    const m = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    bridges.push({
+      point: { x: graph.nodes[id].x, y: graph.nodes[id].y },
+      nodeId: id,
+      canalId,
+      dir: { x: (b.x - a.x) / m, y: (b.y - a.y) / m },
+      reach: width,
+    });
+    last = along;
+  }
+  return bridges;
+}
+
+/**
+ * Route the canals of a canal site.
+ *
+ * @param {object} args
+ * @param {object} args.graph - routing graph view (routingMesh.graph)
+ * @param {object} args.waterModel - river water model (Stage 70)
+ * @param {Array<{x:number,y:number}>} args.wall - curtain of the main wall (warp.wallCurtainForDraw)
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.baseR
+ * @param {number} [args.count] - canals wanted, 1..CANAL_MAX_COUNT
+ * @param {object} [args.params] - makeRiverWeightFn tuning
+ * @returns {object}
+ * {
+ *   requested,      // canals asked for, count clamped to 1..CANAL_MAX_COUNT
+ *   canals: [{
+ *     id, side,     // side: 1 left of the flow, -1 right
+ *     polyline,     // centreline, bank to bank
+ *     nodeIds,      // routing graph nodes along it
+ *     width, quayWidth,
+ *     quays,        // { left, right }
+ *     bridges,      // [{ point, nodeId, canalId, dir, reach }], dir along the canal
+ *   }],
+ * }
+ */
+export function buildCanals({ graph, waterModel, wall, cx, cy, baseR, count = 2, params = null }) {
+  const requested = Math.max(1, Math.min(CANAL_MAX_COUNT, Math.round(count)));
+  const river = waterModel?.river;
+  const line = river?.polyline;
+  if (!Array.isArray(line) || line.length < 2 || !Array.isArray(wall) || wall.length < 3) return { canals: [], requested };
+
+  const bodies = [river.polygon, waterModel.tributary?.polygon].filter((b) => Array.isArray(b) && b.length >= 3);
+  const { edges: allowed, nodes } = canalEdges(graph, wall, bodies);
+  if (nodes.length < 2) return { canals: [], requested };
+
+  const meanWidth = river.meander?.meanWidth ?? baseR * 0.06;
+  const width = meanWidth * CANAL_WIDTH;
+  const quayWidth = meanWidth * QUAY_WIDTH;
+
+  // The stretch of river nearest the centre anchors every canal.
+  let ri = 0;
+  line.forEach((p, i) => {
+    if (dist(p, { x: cx, y: cy }) < dist(line[ri], { x: cx, y: cy })) ri = i;
+  });
+  const ref = line[ri];
+  const a = line[Math.max(0, ri - 1)];
+  const b = line[Math.min(line.length - 1, ri + 1)];
+  const tm = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+  const t = { x: (b.x - a.x) / tm, y: (b.y - a.y) / tm };
+  const n = { x: -t.y, y: t.x };
+
+  const nodeSide = new Map(nodes.map((id) => [id, riverSide(graph.nodes[id], line).side]));
+
+  const reuse = new Set();
+  const canals = [];
+
+  // Sides with room between the river and the wall; canals alternate between them.
+  const reachOf = new Map([1, -1].map((side) => [side, rayPolyMaxT(ref, { x: n.x * side, y: n.y * side }, wall)]));
+  const sides = [1, -1].filter((side) => reachOf.get(side) != null && reachOf.get(side) > meanWidth);
+  if (!sides.length) return { canals, requested };
+  const perSide = Math.ceil(requested / sides.length);
+  const tiers = new Map(sides.map((side) => [side, 0]));
+
+  // The canal `tier` steps out from the river on `side`, or null when it cannot be cut there.
+  function tryCanal(side, tier) {
+    const out = { x: n.x * side, y: n.y * side };
+    const reach = reachOf.get(side);
+    const depth = reach * ((tier + 1) / (Math.max(perSide, tier + 1) + 1));
+    const spread = depth * CANAL_SPREAD;
+    const at = (along, off) => ({
+      x: ref.x + t.x * along + out.x * off,
+      y: ref.y + t.y * along + out.y * off,
+    });
+
+    const bank = side > 0 ? river.banks?.left : river.banks?.right;
+    const shore = (p) => (Array.isArray(bank) && bank.length >= 2 ? closestPointOnPolyline(p, bank) : closestPointOnPolyline(p, line));
+
+    // Targets on this side of the river, within reach of the first one.
+    const sideNodes = nodes.filter((id) => nodeSide.get(id) === side);
+    if (sideNodes.length < CANAL_MIN_NODES) return null;
+    const first = nearestNode(graph.nodes, shore(at(-spread, 0)), sideNodes);
+    const linked = reachable(graph, allowed, first);
+    const pool = sideNodes.filter((id) => linked.has(id));
+    if (pool.length < CANAL_MIN_NODES) return null;
+
+    // On a coarse mesh the targets may snap together; the two ends never do.
+    const last = nearestNode(graph.nodes, shore(at(spread, 0)), pool.filter((id) => id !== first));
+    const targets = [
+      first,
+      ...[at(-spread * 0.8, depth), at(spread * 0.8, depth)].map((p) => nearestNode(graph.nodes, p, pool)),
+      last,
+    ];
+
+    const weightFn = makeRiverWeightFn({ graph, params, allowedEdgeIds: allowed, reuseEdgeIds: reuse });
+    const nodePath = routeLegs({ graph, targets, weightFn });
+    if (!nodePath || nodePath.length < CANAL_MIN_NODES) return null;
+    const edgeIds = canalEdgeIds(graph, nodePath);
+    if (edgeIds.filter((id) => reuse.has(id)).length > edgeIds.length * CANAL_MAX_SHARED) return null;
+
+    const pts = pathNodesToPolyline({ graph, nodePath });
+    const polyline = [shore(pts[0]), ...pts, shore(pts[pts.length - 1])];
+    if (polylineLength(polyline) < baseR * CANAL_MIN_LENGTH) return null;
+
+    const id = canals.length;
+    const bridges = pickBridges({ graph, nodePath, polyline, canalId: id, width, spacing: baseR * BRIDGE_SPACING });
+    if (!bridges.length) return null;
+
+    const { left, right } = channelBody(polyline, polyline.map(() => width * 0.5));
+    return { id, side, polyline, nodeIds: nodePath, width, quayWidth, quays: { left, right }, bridges };
+  }
+
+  // A canal that fails on its side is tried on the other one, then one step farther out.
+  for (let c = 0; c < requested; c++) {
+    const preferred = sides[c % sides.length];
+    let canal = null;
+    for (let skip = 0; skip <= 1 && !canal; skip++) {
+      for (const side of [preferred, ...sides.filter((s) => s !== preferred)]) {
+        const tier = tiers.get(side) + skip;
+        canal = tryCanal(side, tier);
+        if (!canal) continue;
+        tiers.set(side, tier + 1);
+        break;
+      }
+    }
+    if (!canal) continue;
+
+    for (const id of canalEdgeIds(graph, canal.nodeIds)) reuse.add(id);
+    canals.push(canal);
+  }
+
+  return { canals, requested };
+}
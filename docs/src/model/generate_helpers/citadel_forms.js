@@ -0,0 +1,217 @@
+// docs/src/model/generate_helpers/citadel_forms.js
+//
+// Citadel traces: a bastion on every corner of a polygon, Vauban's construction side by side.
+//
+// Forms (ctx.params.citadelForm):
+// - pentagon:  regular five-bastion citadel (the default)
+// - square:    regular four-bastion citadel
+// - irregular: corners taken from the citadel ward (convex hull cut down to 4-6 corners)
+//
+// Each side of the corner polygon is an exterior side, salient to salient. A perpendicular of
+// 1/8 (square), 1/7 (pentagon) or 1/6 (six or more sides) of the side sets the lines of defence;
+// the faces run 2/7 of the side along them and the flanks drop square from the shoulders onto the
+// opposite line of defence, where the curtain starts.
+//
+// The trace is the bastions' [B0, S0, T, S1, B1] in corner order, so it splits back into bastions
+// five points at a time; curtains join B1 of one bastion to B0 of the next.
+
+import { dist } from "../../geom/primitives.js";
+import { centroid, signedArea, closestPointOnPolyline } from "../../geom/poly.js";
+import { convexHull } from "../../geom/hull.js";
+
+export const CITADEL_FORMS = Object.freeze(["pentagon", "square", "irregular"]);
+export const DEFAULT_CITADEL_FORM = "pentagon";
+
+// Esplanade width, as a fraction of the fitted citadel's mean radius.
+export const ESPLANADE_WIDTH = Object.freeze({ pentagon: 0.4, square: 0.35, irregular: 0.3 });
+
+const FACE_FRACTION = 2 / 7;
+
+const IRREGULAR_MIN_CORNERS = 4;
+const IRREGULAR_MAX_CORNERS = 6;
+
+function perpendicularFraction(n) {
+  if (n <= 4) return 1 / 8;
+  if (n === 5) return 1 / 7;
+  return 1 / 6;
+}
+
+function triangleArea(a, b, c) {
+  return Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) * 0.5;
+}
+
+// Drop the corner that cuts the least area until `k` are left (Visvalingam).
+function reduceCorners(poly, k) {
+  const out = poly.slice();
+  while (out.length > k) {
+    let best = 0;
+    let bestA = Infinity;
+    for (let i = 0; i < out.length; i++) {
+      const a = triangleArea(out[(i - 1 + out.length) % out.length], out[i], out[(i + 1) % out.length]);
+      if (a < bestA) {
+        bestA = a;
+        best = i;
+      }
+    }
+    out.splice(best, 1);
+  }
+  return out;
+}
+
+/**
+ * Bastioned trace on the corners of a convex polygon.
+ * @param {Array<{x:number,y:number}>} corners - salients, in order
+ * @returns {Array<{x:number,y:number}>} trace, 5 points per corner
+ */
+export function bastionedTraceOnCorners(corners) {
+  const n = corners.length;
+  const c = centroid(corners);
+  const perp = perpendicularFraction(n);
+
+  // Per side: shoulder and curtain end at its start (s0, b0) and at its end (s1, b1).
+  const sides = [];
+  for (let i = 0; i < n; i++) {
+    const A = corners[i];
+    const B = corners[(i + 1) % n];
+    const L = dist(A, B) || 1;
+    const ux = (B.x - A.x) / L;
+    const uy = (B.y - A.y) / L;
+    let nx = -uy;
+    let ny = ux;
+    if (nx * (c.x - (A.x + B.x) * 0.5) + ny * (c.y - (A.y + B.y) * 0.5) < 0) {
+      nx = -nx;
+      ny = -ny;
+    }
+
+    // Side-local frame: x along A->B, y inward.
+    const p = L * perp;
+    const hyp = Math.hypot(L * 0.5, p);
+    const f = L * FACE_FRACTION;
+    const sx = (f * L * 0.5) / hyp;
+    const sy = (f * p) / hyp;
+    const by = 2 * p * (1 - sx / L);
+    const at = (x, y) => ({ x: A.x + ux * x + nx * y, y: A.y + uy * x + ny * y });
+
+    sides.push({
+      s0: at(sx, sy),
+      b0: at(sx, by),
+      s1: at(L - sx, sy),
+      b1: at(L - sx, by),
+    });
+  }
+
+  const trace = [];
+  for (let i = 0; i < n; i++) {
+    const prev = sides[(i - 1 + n) % n];
+    const next = sides[i];
+    trace.push(prev.b1, prev.s1, corners[i], next.s0, next.b0);
+  }
+  return trace;
+}
+
+/**
+ * Regular polygon of `sides` corners with mean salient radius R.
+ */
+function regularCorners(cx, cy, R, sides, rotation) {
+  const out = [];
+  for (let i = 0; i < sides; i++) {
+    const a = rotation + (i / sides) * Math.PI * 2;
+    out.push({ x: cx + Math.cos(a) * R, y: cy + Math.sin(a) * R });
+  }
+  return out;
+}
+
+/**
+ * Corners of an irregular citadel from its ward: convex hull, cut down to 4-6 corners, scaled
+ * about its centroid to mean salient radius R and moved onto (cx, cy).
+ * @returns {Array<{x:number,y:number}>|null}
+ */
+function irregularCorners(cx, cy, R, wardPoly) {
+  if (!Array.isArray(wardPoly) || wardPoly.length < 3) return null;
+  const hull = convexHull(wardPoly);
+  if (hull.length < IRREGULAR_MIN_CORNERS) return null;
+
+  let corners = reduceCorners(hull, Math.min(IRREGULAR_MAX_CORNERS, hull.length));
+  if (signedArea(corners) < 0) corners = corners.slice().reverse();
+
+  const c = centroid(corners);
+  const meanR = corners.reduce((s, p) => s + dist(p, c), 0) / corners.length;
+  if (!(meanR > 1e-6)) return null;
+  const k = R / meanR;
+  return corners.map((p) => ({ x: cx + (p.x - c.x) * k, y: cy + (p.y - c.y) * k }));
+}
+
+/**
+ * Provisional citadel trace of the chosen form, centred on (cx, cy). Stage 105 fits it into the
+ * citadel ward (buildCitadelFit).
+ *
+ * @param {object} args
+ * @param {function} args.rng
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.radius - mean salient radius
+ * @param {string} [args.form]
+ * @param {Array<{x:number,y:number}>|null} [args.wardPoly] - citadel ward, for the irregular form
+ * @returns {{form:string, poly:Array<{x:number,y:number}>}}
+ */
+export function buildCitadelTrace({ rng, cx, cy, radius, form = DEFAULT_CITADEL_FORM, wardPoly = null }) {
+  const rotation = rng() * Math.PI * 2;
+
+  if (form === "irregular") {
+    const corners = irregularCorners(cx, cy, radius, wardPoly);
+    if (corners) return { form, poly: bastionedTraceOnCorners(corners) };
+  }
+
+  // An irregular citadel without a usable ward falls back to the pentagon.
+  const resolved = form === "square" ? "square" : "pentagon";
+  const sides = resolved === "square" ? 4 : 5;
+  return { form: resolved, poly: bastionedTraceOnCorners(regularCorners(cx, cy, radius, sides, rotation)) };
+}
+
+/**
+ * Split a citadel trace back into its bastions.
+ * @param {Array<{x:number,y:number}>} trace
+ * @returns {Array<Array<{x:number,y:number}>>}
+ */
+export function citadelBastions(trace) {
+  if (!Array.isArray(trace) || trace.length < 15 || trace.length % 5 !== 0) return [];
+  const out = [];
+  for (let i = 0; i < trace.length; i += 5) out.push(trace.slice(i, i + 5));
+  return out;
+}
+
+/**
+ * Spur walls joining a citadel that sits on the wall line to the main enceinte.
+ *
+ * The citadel is on the wall line when its gap to the wall is under its own mean radius. The two
+ * bastions nearest the wall then each send a spur from their nearer curtain end to the closest
+ * point of the wall, closing the ground between citadel and enceinte.
+ *
+ * @param {object} args
+ * @param {Array<{x:number,y:number}>} args.citadel - fitted trace
+ * @param {Array<{x:number,y:number}>} args.wall - composite wall (warp.wallForDraw)
+ * @returns {{onWallLine:boolean, gap:number, links:Array<Array<{x:number,y:number}>>}}
+ */
+export function linkCitadelToEnceinte({ citadel, wall }) {
+  const out = { onWallLine: false, gap: Infinity, links: [] };
+  const bastions = citadelBastions(citadel);
+  if (bastions.length < 2 || !Array.isArray(wall) || wall.length < 3) return out;
+
+  const nearest = (p) => closestPointOnPolyline(p, [...wall, wall[0]]);
+  for (const p of citadel) out.gap = Math.min(out.gap, dist(p, nearest(p)));
+
+  const meanR = Math.sqrt(Math.abs(signedArea(citadel)) / Math.PI);
+  out.onWallLine = out.gap < meanR;
+  if (!out.onWallLine) return out;
+
+  const ranked = bastions
+    .map((b) => ({ b, d: dist(b[2], nearest(b[2])) }))
+    .sort((p, q) => p.d - q.d)
+    .slice(0, 2);
+
+  for (const { b } of ranked) {
+    const end = dist(b[0], nearest(b[0])) <= dist(b[4], nearest(b[4])) ? b[0] : b[4];
+    out.links.push([end, nearest(end)]);
+  }
+  return out;
+}
@@ -0,0 +1,157 @@
+// docs/src/model/generate_helpers/coastline.js
+//
+// Irregular coastline for coast sites.
+//
+// The sea still comes from one side (waterIntent.side) across a straight cut line; the shore is
+// that line displaced along the seaward normal by
+// - bays and headlands: a few broad bumps, landward (bay) or seaward (headland)
+// - detail:             deterministic midpoint displacement, halving in amplitude per octave
+// Near the city (within COAST_GUARD fort radii along the shore) the shore may only move out to
+// sea, so bays open on the flanks and never reach the fortress.
+//
+// - beaches: stretches of shore at the back of a bay
+// - rocks:   small islets off headland tips
+
+// Bays and headlands: how many, their size (fort radii) and the deepest bay.
+const FEATURE_MIN = 2;
+const FEATURE_SPREAD = 3;
+const FEATURE_AMP = [0.12, 0.34];
+const FEATURE_WIDTH = [0.2, 0.5];
+const COAST_MAX_BAY = 0.45;
+
+// Midpoint displacement: intervals, first amplitude (fort radii) and amplitude kept per octave.
+const DETAIL_INTERVALS = 128;
+const DETAIL_AMP = 0.1;
+const DETAIL_DECAY = 0.55;
+
+// Bays are held back within COAST_GUARD[0] fort radii of the city, and free beyond COAST_GUARD[1].
+const COAST_GUARD = [0.8, 1.4];
+
+// A shore point this far into a bay (fort radii) is beach; a headland tip this far out has rocks.
+const BEACH_DEPTH = 0.06;
+const ROCK_HEADLAND = 0.08;
+
+function smoothstep(a, b, x) {
+  const t = Math.max(0, Math.min(1, (x - a) / (b - a)));
+  return t * t * (3 - 2 * t);
+}
+
+// Smooth maximum, rounded over k.
+function smax(a, b, k) {
+  return (a + b + Math.sqrt((a - b) * (a - b) + k * k)) * 0.5;
+}
+
+function midpointDisplacement(rng, n, amp) {
+  const out = new Array(n + 1).fill(0);
+  for (let step = n; step > 1; step >>= 1, amp *= DETAIL_DECAY) {
+    for (let i = 0; i + step <= n; i += step) {
+      out[i + (step >> 1)] = (out[i] + out[i + step]) * 0.5 + (rng() * 2 - 1) * amp;
+    }
+  }
+  return out;
+}
+
+function runsBelow(points, offsets, limit) {
+  const runs = [];
+  let run = null;
+  offsets.forEach((o, i) => {
+    if (o < limit) {
+      if (!run) run = [];
+      run.push(points[i]);
+    } else {
+      if (run && run.length >= 3) runs.push(run);
+      run = null;
+    }
+  });
+  if (run && run.length >= 3) runs.push(run);
+  return runs;
+}
+
+/**
+ * Build the shore and sea of a coast site.
+ *
+ * The frame is the straight cut: `origin` on the cut line nearest the centre, `along` the cut,
+ * `seaward` its normal into the sea. The shore runs along the cut from s0 to s1, and the sea
+ * polygon closes `far` beyond the cut.
+ *
+ * @param {object} args
+ * @param {function} args.rng
+ * @param {{x:number,y:number}} args.origin
+ * @param {{x:number,y:number}} args.along
+ * @param {{x:number,y:number}} args.seaward
+ * @param {number} args.s0
+ * @param {number} args.s1
+ * @param {number} args.far
+ * @param {number} args.baseR
+ * @returns {object}
+ * {
+ *   shoreline,   // polyline from s0 to s1
+ *   polygon,     // sea: the shoreline closed on the far side
+ *   bankPoint,   // shore point at the origin
+ *   beaches,     // [polyline]
+ *   rocks,       // [{ point, r, poly }]
+ * }
+ */
+export function buildCoastline({ rng, origin, along, seaward, s0, s1, far, baseR }) {
+  const features = [];
+  const count = FEATURE_MIN + Math.floor(rng() * FEATURE_SPREAD);
+  for (let k = 0; k < count; k++) {
+    const at = (rng() * 2 - 1) * baseR * 1.6;
+    const sign = rng() < 0.5 ? -1 : 1;
+    const amp = sign * baseR * (FEATURE_AMP[0] + rng() * (FEATURE_AMP[1] - FEATURE_AMP[0]));
+    const width = baseR * (FEATURE_WIDTH[0] + rng() * (FEATURE_WIDTH[1] - FEATURE_WIDTH[0]));
+    features.push({ at, amp, width });
+  }
+
+  const n = DETAIL_INTERVALS;
+  const detail = midpointDisplacement(rng, n, baseR * DETAIL_AMP);
+
+  const offsets = [];
+  const shoreline = [];
+  for (let i = 0; i <= n; i++) {
+    const s = s0 + ((s1 - s0) * i) / n;
+    let o = detail[i];
+    for (const f of features) o += f.amp * Math.exp(-(((s - f.at) / f.width) ** 2));
+
+    const floor = -baseR * COAST_MAX_BAY * smoothstep(baseR * COAST_GUARD[0], baseR * COAST_GUARD[1], Math.abs(s));
+    o = Math.min(smax(o, floor, baseR * 0.04), far * 0.8);
+
+    offsets.push(o);
+    shoreline.push({
+      x: origin.x + along.x * s + seaward.x * o,
+      y: origin.y + along.y * s + seaward.y * o,
+    });
+  }
+
+  const at = (s, o) => ({ x: origin.x + along.x * s + seaward.x * o, y: origin.y + along.y * s + seaward.y * o });
+  const polygon = [...shoreline, at(s1, far), at(s0, far)];
+
+  // Shore point at s = 0, between its two samples.
+  const t = ((0 - s0) / (s1 - s0)) * n;
+  const i0 = Math.max(0, Math.min(n - 1, Math.floor(t)));
+  const bankPoint = at(0, offsets[i0] + (offsets[i0 + 1] - offsets[i0]) * (t - i0));
+
+  const beaches = runsBelow(shoreline, offsets, -baseR * BEACH_DEPTH);
+
+  const rocks = [];
+  for (let i = 1; i < n; i++) {
+    const o = offsets[i];
+    if (o < baseR * ROCK_HEADLAND || o < offsets[i - 1] || o < offsets[i + 1]) continue;
+    const s = s0 + ((s1 - s0) * i) / n;
+    const m = 1 + Math.floor(rng() * 3);
+    for (let j = 0; j < m; j++) {
+      const point = at(s + (rng() - 0.5) * baseR * 0.2, o + baseR * (0.04 + rng() * 0.12));
+      const r = baseR * (0.008 + rng() * 0.012);
+      const sides = 5 + Math.floor(rng() * 3);
+      const poly = [];
+      for (let v = 0; v < sides; v++) {
+        const ang = (v / sides) * Math.PI * 2;
+        const rr = r * (0.7 + rng() * 0.3);
+        poly.push({ x: point.x + Math.cos(ang) * rr, y: point.y + Math.sin(ang) * rr });
+      }
+      rocks.push({ point, r, poly });
+    }
+  }
+
+  return { shoreline, polygon, bankPoint, beaches, rocks };
+}
@@ -0,0 +1,292 @@
+// docs/src/model/generate_helpers/covered_way.js
+//
+// Covered way, places of arms, traverses and glacis crest.
+//
+// Geometry (all radial offsets from the fort centre, like the ditch and glacis rings):
+// - counterscarp: ditchOuter (Stage 120), rebuilt here on a densified wall
+// - coveredWay:   parapet line just outside the counterscarp, at ditchWidth + covered-way width
+// - glacisCrest:  top of the parapet; the glacis falls from here to glacisOuter
+//
+// Places of arms widen the covered way:
+// - salient:   rounded bulge at each salient corner of the counterscarp (bastion points)
+// - reentrant: V-shaped redan at each re-entrant corner (between bastion and curtain)
+// Both rings are pushed out by the same radial amount, so the parapet keeps its thickness.
+// Traverses are short parapet spurs across the covered way at both ends of every place of
+// arms, leaving a passage along the counterscarp.
+//
+// Ravelins sit beyond the glacis (makeRavelin), so each one gets its own short covered way
+// wrapped round its faces, with a salient place of arms at the tip (buildRavelinCoveredWays,
+// Stage 150).
+
+import { add, sub, mul, normalize, perp, dist } from "../../geom/primitives.js";
+import { offsetRadial } from "../../geom/offset.js";
+import { signedArea } from "../../geom/poly.js";
+
+// Fractions of glacisWidth. coveredWay + parapet + the largest bulge stays inside the glacis.
+const COVERED_WAY_WIDTH = 0.30;
+const PARAPET_WIDTH = 0.12;
+const SALIENT_BULGE = 0.40;
+const REENTRANT_BULGE = 0.45;
+const SALIENT_HALF_LEN = 0.9;
+const REENTRANT_HALF_LEN = 0.75;
+
+// Corners of the counterscarp sharper than this (radians) get a place of arms.
+const CORNER_MIN_TURN = 0.8;
+
+// Traverses run from the parapet across this share of the covered way.
+const TRAVERSE_REACH = 0.65;
+
+// Split edges longer than maxSeg so places of arms have vertices to bend.
+function densifyClosed(poly, maxSeg) {
+  const out = [];
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    const k = Math.max(1, Math.ceil(dist(a, b) / maxSeg));
+    for (let j = 0; j < k; j++) out.push({ x: a.x + (b.x - a.x) * (j / k), y: a.y + (b.y - a.y) * (j / k) });
+  }
+  return out;
+}
+
+// Point `len` arc length away from ring[i0] (dir = +1 forward, -1 back).
+function pointAlong(ring, i0, len, dir) {
+  const n = ring.length;
+  let s = 0;
+  let i = i0;
+  for (let k = 1; k < n; k++) {
+    const j = (i0 + dir * k + n * k) % n;
+    s += dist(ring[i], ring[j]);
+    i = j;
+    if (s >= len) break;
+  }
+  return ring[i];
+}
+
+// Ring indices within `halfLen` arc length of ring[i0], walking both ways.
+// Returns [{ i, t }] ordered along the ring, t = |arc| / halfLen in [0, 1].
+function windowAround(ring, i0, halfLen) {
+  const n = ring.length;
+  const back = [];
+  const fwd = [];
+
+  let s = 0;
+  for (let k = 1; k < n / 2; k++) {
+    const i = (i0 - k + n) % n;
+    s += dist(ring[i], ring[(i + 1) % n]);
+    if (s > halfLen) break;
+    back.push({ i, t: s / halfLen });
+  }
+
+  s = 0;
+  for (let k = 1; k < n / 2; k++) {
+    const i = (i0 + k) % n;
+    s += dist(ring[(i - 1 + n) % n], ring[i]);
+    if (s > halfLen) break;
+    fwd.push({ i, t: s / halfLen });
+  }
+
+  return [...back.reverse(), { i: i0, t: 0 }, ...fwd];
+}
+
+function pushRadial(p, cx, cy, amount) {
+  const u = normalize({ x: p.x - cx, y: p.y - cy });
+  return { x: p.x + u.x * amount, y: p.y + u.y * amount };
+}
+
+function traverseAt(parapetPt, counterscarpPt) {
+  return [parapetPt, add(parapetPt, mul(sub(counterscarpPt, parapetPt), TRAVERSE_REACH))];
+}
+
+/**
+ * Build the covered way round the main enceinte.
+ *
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {Array<{x:number,y:number}>} args.wallForMoatworks - wall the moat rings are offset from
+ * @param {number} args.ditchWidth
+ * @param {number} args.glacisWidth
+ * @returns {{
+ *   counterscarp: Array<{x:number,y:number}>,
+ *   coveredWay: Array<{x:number,y:number}>,
+ *   glacisCrest: Array<{x:number,y:number}>,
+ *   placesOfArms: Array<{kind:"salient"|"reentrant", at:{x:number,y:number}, poly:Array<{x:number,y:number}>}>,
+ *   traverses: Array<Array<{x:number,y:number}>>
+ * }}
+ */
+export function buildCoveredWay({
+  cx,
+  cy,
+  wallForMoatworks,
+  ditchWidth,
+  glacisWidth,
+}) {
+  const empty = { counterscarp: [], coveredWay: [], glacisCrest: [], placesOfArms: [], traverses: [] };
+  if (!Array.isArray(wallForMoatworks) || wallForMoatworks.length < 3) return empty;
+
+  const cw = glacisWidth * COVERED_WAY_WIDTH;
+  const pw = glacisWidth * PARAPET_WIDTH;
+
+  // Same offsets as ditchOuter, on a wall dense enough for the places of arms.
+  const wall = densifyClosed(wallForMoatworks, glacisWidth * 0.2);
+  const counterscarp = offsetRadial(wall, cx, cy, ditchWidth);
+  const coveredWay = offsetRadial(wall, cx, cy, ditchWidth + cw);
+  const glacisCrest = offsetRadial(wall, cx, cy, ditchWidth + cw + pw);
+
+  // Salients and re-entrants: the sharp convex / concave corners of the counterscarp, measured
+  // over a glacis-width baseline so resampling noise does not count. Strongest corners first,
+  // weaker ones too close to an accepted corner are dropped.
+  const n = counterscarp.length;
+  const orient = Math.sign(signedArea(counterscarp)) || 1;
+  const baseline = glacisWidth * 0.5;
+  const corners = [];
+  for (let i = 0; i < n; i++) {
+    const p = counterscarp[i];
+    const v1 = sub(p, pointAlong(counterscarp, i, baseline, -1));
+    const v2 = sub(pointAlong(counterscarp, i, baseline, +1), p);
+    const turn = Math.atan2(v1.x * v2.y - v1.y * v2.x, v1.x * v2.x + v1.y * v2.y) * orient;
+    if (Math.abs(turn) >= CORNER_MIN_TURN) {
+      corners.push({ kind: turn > 0 ? "salient" : "reentrant", i, turn: Math.abs(turn) });
+    }
+  }
+  corners.sort((a, b) => b.turn - a.turn || a.i - b.i);
+
+  const arc = new Array(n + 1);
+  arc[0] = 0;
+  for (let i = 0; i < n; i++) arc[i + 1] = arc[i] + dist(coveredWay[i], coveredWay[(i + 1) % n]);
+  const total = arc[n];
+  function arcGap(i, j) {
+    const d = Math.abs(arc[i] - arc[j]);
+    return Math.min(d, total - d);
+  }
+
+  const features = [];
+  for (const c of corners) {
+    if (features.some((f) => arcGap(f.i, c.i) < glacisWidth * REENTRANT_HALF_LEN)) continue;
+    features.push(c);
+  }
+  features.sort((a, b) => a.i - b.i);
+
+  const placesOfArms = [];
+  const traverses = [];
+
+  for (const f of features) {
+    // Keep windows from overlapping: no wider than 45% of the gap to the nearest other feature.
+    let nearest = Infinity;
+    for (const g of features) {
+      if (g === f) continue;
+      nearest = Math.min(nearest, arcGap(f.i, g.i));
+    }
+
+    const salient = f.kind === "salient";
+    const halfLen = Math.min(
+      glacisWidth * (salient ? SALIENT_HALF_LEN : REENTRANT_HALF_LEN),
+      nearest * 0.45
+    );
+    if (!(halfLen > cw * 0.5)) continue;
+
+    const bulge = glacisWidth * (salient ? SALIENT_BULGE : REENTRANT_BULGE);
+    const win = windowAround(coveredWay, f.i, halfLen);
+
+    for (const { i, t } of win) {
+      const w = salient ? 0.5 * (1 + Math.cos(Math.PI * t)) : 1 - t;
+      coveredWay[i] = pushRadial(coveredWay[i], cx, cy, bulge * w);
+      glacisCrest[i] = pushRadial(glacisCrest[i], cx, cy, bulge * w);
+    }
+
+    const poly = [
+      ...win.map(({ i }) => counterscarp[i]),
+      ...win.map(({ i }) => coveredWay[i]).reverse(),
+    ];
+    placesOfArms.push({ kind: f.kind, at: coveredWay[f.i], poly });
+
+    const first = win[0].i;
+    const last = win[win.length - 1].i;
+    traverses.push(traverseAt(coveredWay[first], counterscarp[first]));
+    traverses.push(traverseAt(coveredWay[last], counterscarp[last]));
+  }
+
+  return { counterscarp, coveredWay, glacisCrest, placesOfArms, traverses };
+}
+
+/**
+ * Covered ways round detached ravelins.
+ * Each ravelin [a, tip, b] gets a parapet line offset outward from its two faces, a salient
+ * place of arms at the tip and a traverse at each end of it.
+ *
+ * @param {object} args
+ * @param {Array<Array<{x:number,y:number}>>} args.ravelins
+ * @param {number} args.ditchWidth
+ * @param {number} args.glacisWidth
+ * @returns {{
+ *   ravelinCoveredWays: Array<Array<{x:number,y:number}>>,
+ *   placesOfArms: Array<{kind:"salient", at:{x:number,y:number}, poly:Array<{x:number,y:number}>}>,
+ *   traverses: Array<Array<{x:number,y:number}>>
+ * }}
+ */
+export function buildRavelinCoveredWays({ ravelins, ditchWidth, glacisWidth }) {
+  const ravelinCoveredWays = [];
+  const placesOfArms = [];
+  const traverses = [];
+
+  const cw = glacisWidth * COVERED_WAY_WIDTH;
+  const inner = ditchWidth * 0.6;
+  const outer = inner + cw;
+
+  for (const rv of (Array.isArray(ravelins) ? ravelins : [])) {
+    if (!Array.isArray(rv) || rv.length < 3) continue;
+    const [a, tip, b] = rv;
+
+    // Outward normals of the two faces (away from the base midpoint).
+    const mid = mul(add(a, b), 0.5);
+    function faceNormal(p, q) {
+      const n = normalize(perp(sub(q, p)));
+      const m = mul(add(p, q), 0.5);
+      const away = sub(m, mid);
+      return (n.x * away.x + n.y * away.y) >= 0 ? n : mul(n, -1);
+    }
+    const nA = faceNormal(a, tip);
+    const nB = faceNormal(tip, b);
+    const out = normalize(sub(tip, mid));
+
+    function lineAt(d) {
+      // Mitre at the tip: distance d from both faces.
+      const bis = normalize(add(nA, nB));
+      const cosHalf = Math.max(0.2, bis.x * nA.x + bis.y * nA.y);
+      return [
+        add(a, mul(nA, d)),
+        add(tip, mul(bis, d / cosHalf)),
+        add(b, mul(nB, d)),
+      ];
+    }
+
+    const counterscarp = lineAt(inner);
+    const parapet = lineAt(outer);
+
+    // Salient place of arms: round the parapet tip out.
+    const bulge = glacisWidth * SALIENT_BULGE;
+    const tipOut = add(parapet[1], mul(out, bulge));
+    const faceA = normalize(sub(parapet[0], parapet[1]));
+    const faceB = normalize(sub(parapet[2], parapet[1]));
+    const reach = Math.min(glacisWidth * SALIENT_HALF_LEN, dist(parapet[0], parapet[1]) * 0.45);
+    const shA = add(parapet[1], mul(faceA, reach));
+    const shB = add(parapet[1], mul(faceB, reach));
+    const arcA = add(mul(add(shA, tipOut), 0.5), mul(out, bulge * 0.25));
+    const arcB = add(mul(add(shB, tipOut), 0.5), mul(out, bulge * 0.25));
+
+    ravelinCoveredWays.push([parapet[0], shA, arcA, tipOut, arcB, shB, parapet[2]]);
+
+    const csA = add(counterscarp[1], mul(normalize(sub(counterscarp[0], counterscarp[1])), reach));
+    const csB = add(counterscarp[1], mul(normalize(sub(counterscarp[2], counterscarp[1])), reach));
+    placesOfArms.push({
+      kind: "salient",
+      at: tipOut,
+      poly: [csA, counterscarp[1], csB, shB, arcB, tipOut, arcA, shA],
+    });
+
+    traverses.push(traverseAt(shA, csA));
+    traverses.push(traverseAt(shB, csB));
+  }
+
+  return { ravelinCoveredWays, placesOfArms, traverses };
+}
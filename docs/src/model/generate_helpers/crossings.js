@@ -0,0 +1,267 @@
+// docs/src/model/generate_helpers/crossings.js
+//
+// Bridges and fords over the river, on the routing graph.
+//
+// Edges whose midpoint lies in a river body (the river, or the tributary of a confluence) are
+// river water (inRiverBody, the same test the routing edge flags use). A crossing is a shortest
+// path over river edges only (makeRiverWeightFn) from a shore node on one bank to the nearest
+// shore node on the other; a shore node touches both river and land edges. Paths that wander
+// along the river instead of across it are dropped.
+//
+// Candidates are scored (lower is better) by
+// - narrowness: crossing length in mean channel widths
+// - gates:      distance from the nearest land gate, in fort radii
+// - plaza:      distance from the plaza, in fort radii
+// and picked greedily, at least CROSSING_SPACING fort radii apart. Crossings inside the wall or
+// near a gate are bridges; the rest are fords.
+//
+// Landings: a road anchor (primary gate, plaza, citadel, docks) near the river may have its
+// nearest graph node, where Stage 140 snaps it, on river edges only. Such an anchor gets a
+// bridge of its own from that node to the nearest shore node, outside the count.
+
+import { dist } from "../../geom/primitives.js";
+import { pointInPoly } from "../../geom/poly.js";
+import { nearestNode } from "../../geom/nearest.js";
+import { polylineLength } from "../../geom/polyline.js";
+import { dijkstra, pathNodesToPolyline } from "../routing/shortest_path.js";
+import { makeRiverWeightFn } from "../routing/weights.js";
+import { inRiverBody } from "../mesh/voronoi_planar_graph/water_flags.js";
+import { riverSide } from "./river.js";
+
+// Score weights.
+const NARROW_WEIGHT = 0.5;
+const GATE_WEIGHT = 1;
+const PLAZA_WEIGHT = 1;
+
+// Longest crossing kept, in mean channel widths, and how much longer than the straight line
+// between its shore nodes it may be.
+const CROSSING_MAX_SPAN = 4;
+const CROSSING_MAX_DETOUR = 1.6;
+
+// Shortest distance between two crossings, in fort radii.
+const CROSSING_SPACING = 0.4;
+
+// A crossing this close to a land gate, in fort radii, is a bridge even outside the wall.
+const BRIDGE_GATE_REACH = 0.6;
+
+export const CROSSING_MAX_COUNT = 6;
+
+// Point halfway along a polyline.
+function midPoint(line, length) {
+  let left = length * 0.5;
+  for (let i = 1; i < line.length; i++) {
+    const d = dist(line[i - 1], line[i]);
+    if (d >= left && d > 0) {
+      const t = left / d;
+      return {
+        x: line[i - 1].x + (line[i].x - line[i - 1].x) * t,
+        y: line[i - 1].y + (line[i].y - line[i - 1].y) * t,
+      };
+    }
+    left -= d;
+  }
+  return { x: line[line.length - 1].x, y: line[line.length - 1].y };
+}
+
+// River edges, and the shore nodes with the river (index into `rivers`) and bank they stand on.
+function riverEdgesAndShore(graph, waterModel, rivers) {
+  const water = new Set();
+  const land = new Set();
+  for (const e of graph.edges) {
+    if (!e || e.disabled) continue;
+    const a = graph.nodes[e.a];
+    const b = graph.nodes[e.b];
+    if (!a || !b) continue;
+    const m = { x: (a.x + b.x) * 0.5, y: (a.y + b.y) * 0.5 };
+    if (inRiverBody(m, waterModel)) {
+      water.add(e.id);
+    } else {
+      land.add(e.a);
+      land.add(e.b);
+    }
+  }
+
+  const shore = [];
+  const seen = new Set();
+  for (const id of water) {
+    const e = graph.edges[id];
+    for (const n of [e.a, e.b]) {
+      if (seen.has(n) || !land.has(n)) continue;
+      seen.add(n);
+      let best = null;
+      rivers.forEach((r, river) => {
+        const s = riverSide(graph.nodes[n], r.polyline);
+        if (!best || s.d < best.d) best = { node: n, river, side: s.side, d: s.d };
+      });
+      shore.push(best);
+    }
+  }
+  shore.sort((p, q) => p.node - q.node);
+  return { water, shore };
+}
+
+function edgeIdsAlong(graph, nodeIds, water) {
+  const out = [];
+  for (let i = 1; i < nodeIds.length; i++) {
+    const step = (graph.adj[nodeIds[i - 1]] || []).find((st) => st.to === nodeIds[i] && water.has(st.edgeId));
+    if (step) out.push(step.edgeId);
+  }
+  return out;
+}
+
+// Bridges from anchors stranded on river edges to the nearest shore node.
+function buildLandings({ graph, water, shore, anchors, weightFn }) {
+  const out = [];
+  for (const [name, p] of Object.entries(anchors || {})) {
+    if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.y)) continue;
+    const node = nearestNode(graph.nodes, p);
+    if (node == null) continue;
+    const steps = (graph.adj[node] || []).filter((st) => !graph.edges[st.edgeId]?.disabled);
+    if (!steps.length || !steps.every((st) => water.has(st.edgeId))) continue;
+
+    let target = null;
+    for (const t of shore) {
+      if (!target || dist(graph.nodes[t.node], graph.nodes[node]) < dist(graph.nodes[target.node], graph.nodes[node])) {
+        target = t;
+      }
+    }
+    if (!target) continue;
+
+    const nodeIds = dijkstra({ graph, startNode: node, goalNode: target.node, weightFn });
+    if (!nodeIds || nodeIds.length < 2) continue;
+    out.push({ landing: name, nodeIds, polyline: pathNodesToPolyline({ graph, nodePath: nodeIds }) });
+  }
+  return out;
+}
+
+/**
+ * Pick the bridges and fords of a river site.
+ *
+ * @param {object} args
+ * @param {object} args.graph - routing graph view (routingMesh.graph)
+ * @param {object} args.waterModel - river water model (Stage 70)
+ * @param {Array<{x:number,y:number}>} args.wall - composite wall (warp.wallForDraw)
+ * @param {Array<{x:number,y:number}>} args.gates - land gates (gatesWarped)
+ * @param {{x:number,y:number}|null} args.plaza
+ * @param {object} [args.anchors] - road anchors that may need a landing: { gate, plaza, citadel, docks }
+ * @param {number} args.baseR
+ * @param {number} [args.count] - crossings wanted, 0..CROSSING_MAX_COUNT
+ * @param {object} [args.params] - makeRiverWeightFn tuning
+ * @returns {Array<object>}
+ * [{
+ *   id,
+ *   kind,        // "bridge" | "ford"
+ *   river,       // "river" | "tributary"
+ *   nodeIds,     // shore node to shore node
+ *   edgeIds,     // river edges crossed
+ *   polyline,
+ *   point, dir,  // midpoint, and unit direction bank to bank
+ *   span,        // length
+ *   score,
+ *   landing,     // landings only: the anchor name
+ * }]
+ */
+export function buildCrossings({ graph, waterModel, wall, gates, plaza, anchors = null, baseR, count = 3, params = null }) {
+  const k = Math.max(0, Math.min(CROSSING_MAX_COUNT, Math.round(count)));
+
+  const rivers = [
+    { name: "river", body: waterModel?.river },
+    { name: "tributary", body: waterModel?.tributary },
+  ]
+    .filter((r) => Array.isArray(r.body?.polyline) && r.body.polyline.length >= 2)
+    .map((r) => ({ name: r.name, polyline: r.body.polyline, meanWidth: r.body.meander?.meanWidth ?? baseR * 0.06 }));
+  if (!rivers.length) return [];
+
+  const { water, shore } = riverEdgesAndShore(graph, waterModel, rivers);
+  if (!water.size) return [];
+
+  const weightFn = makeRiverWeightFn({ graph, params, allowedEdgeIds: water });
+  const landGates = (Array.isArray(gates) ? gates : []).filter(Boolean);
+
+  const candidates = [];
+  for (const s of k > 0 ? shore : []) {
+    if (s.side !== 1) continue;
+
+    let target = null;
+    for (const t of shore) {
+      if (t.river !== s.river || t.side !== -1) continue;
+      if (!target || dist(graph.nodes[t.node], graph.nodes[s.node]) < dist(graph.nodes[target.node], graph.nodes[s.node])) {
+        target = t;
+      }
+    }
+    if (!target) continue;
+
+    const nodeIds = dijkstra({ graph, startNode: s.node, goalNode: target.node, weightFn });
+    if (!nodeIds || nodeIds.length < 2) continue;
+
+    const polyline = pathNodesToPolyline({ graph, nodePath: nodeIds });
+    const span = polylineLength(polyline);
+    const straight = dist(polyline[0], polyline[polyline.length - 1]);
+    const { meanWidth, name } = rivers[s.river];
+    if (span > meanWidth * CROSSING_MAX_SPAN || span > straight * CROSSING_MAX_DETOUR) continue;
+
+    const point = midPoint(polyline, span);
+    const gateD = landGates.length ? Math.min(...landGates.map((g) => dist(g, point))) : Infinity;
+    const plazaD = plaza ? dist(plaza, point) : Infinity;
+    const score =
+      NARROW_WEIGHT * (span / meanWidth) +
+      GATE_WEIGHT * (Number.isFinite(gateD) ? gateD / baseR : 2) +
+      PLAZA_WEIGHT * (Number.isFinite(plazaD) ? plazaD / baseR : 2);
+
+    candidates.push({ nodeIds, polyline, span, straight, point, gateD, score, river: name });
+  }
+
+  candidates.sort((p, q) => p.score - q.score || p.nodeIds[0] - q.nodeIds[0]);
+
+  const picked = [];
+  const used = new Set();
+  for (const c of candidates) {
+    if (picked.length >= k) break;
+    if (picked.some((p) => dist(p.point, c.point) < baseR * CROSSING_SPACING)) continue;
+    if (c.nodeIds.some((n) => used.has(n))) continue;
+    for (const n of c.nodeIds) used.add(n);
+    picked.push(c);
+  }
+
+  const out = picked.map((c, id) => {
+    const a = c.polyline[0];
+    const b = c.polyline[c.polyline.length - 1];
+    const inTown = Array.isArray(wall) && wall.length >= 3 && pointInPoly(c.point, wall);
+    return {
+      id,
+      kind: inTown || c.gateD <= baseR * BRIDGE_GATE_REACH ? "bridge" : "ford",
+      river: c.river,
+      nodeIds: c.nodeIds,
+      edgeIds: edgeIdsAlong(graph, c.nodeIds, water),
+      polyline: c.polyline,
+      point: c.point,
+      dir: { x: (b.x - a.x) / (c.straight || 1), y: (b.y - a.y) / (c.straight || 1) },
+      span: c.span,
+      score: c.score,
+    };
+  });
+
+  for (const l of buildLandings({ graph, water, shore, anchors, weightFn })) {
+    const span = polylineLength(l.polyline);
+    const a = l.polyline[0];
+    const b = l.polyline[l.polyline.length - 1];
+    const straight = dist(a, b) || 1;
+    const near = riverSide(a, rivers[0].polyline);
+    const trib = rivers[1] ? riverSide(a, rivers[1].polyline) : null;
+    out.push({
+      id: out.length,
+      kind: "bridge",
+      river: trib && trib.d < near.d ? rivers[1].name : rivers[0].name,
+      nodeIds: l.nodeIds,
+      edgeIds: edgeIdsAlong(graph, l.nodeIds, water),
+      polyline: l.polyline,
+      point: midPoint(l.polyline, span),
+      dir: { x: (b.x - a.x) / straight, y: (b.y - a.y) / straight },
+      span,
+      score: null,
+      landing: l.landing,
+    });
+  }
+
+  return out;
+}
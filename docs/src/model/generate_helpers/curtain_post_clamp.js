@@ -18,7 +18,7 @@ import { signedArea } from "../../geom/poly.js";
  * Apply hard post-conditions to the warped curtain:
  * 1) Curtain vertices must remain OUTSIDE the inner hull (plus innerMargin).
  * 2) Curtain vertices must remain inside a mid-band between inner and outer hulls,
- *    defined by parameter tMid and midMargin.
+ *    defined by parameter tMid and midMargin (and tMin, the band's lower edge, when set).
  *
  * This is deterministic and only uses radial ray clamps.
  *
@@ -30,6 +30,7 @@ import { signedArea } from "../../geom/poly.js";
  * @param {number} args.innerMargin
  * @param {number} args.tMid
  * @param {number} args.midMargin
+ * @param {number} [args.tMin] - fraction of the band the curtain keeps from the inner hull
  * @returns {Array<{x:number,y:number}>}
  */
 export function clampCurtainPostConditions({
@@ -40,6 +41,7 @@ export function clampCurtainPostConditions({
   innerMargin,
   tMid,
   midMargin,
+  tMin = 0,
 }) {
   let wallWarpedSafe = wallWarped;
 
@@ -65,7 +67,8 @@ export function clampCurtainPostConditions({
       outerHullLoop,
       tt,
       mIn,
-      mMid
+      mMid,
+      tMin
     );
   }
 
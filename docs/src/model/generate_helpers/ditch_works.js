@@ -0,0 +1,178 @@
+// docs/src/model/generate_helpers/ditch_works.js
+//
+// Detached works inside the main ditch: tenailles and counterguards.
+//
+// Both are thin bands between two radial offsets of the wall, the same construction as the
+// ditch rings (Stage 120), so they sit between ditchInner and ditchOuter:
+// - tenaille:     in front of a curtain, between the flanks of its two bastions
+//                 (ends trimmed so the flanks still see along the ditch)
+// - counterguard: V-shaped, shadowing both faces of a bastion from near the shoulders to the point
+//
+// Bastion polygons use the composite wall order [B0, S0, T, S1, B1] (composite_wall_builder.js);
+// bastions the composite wall left out are skipped.
+// Curtains that carry a gate get no tenaille, so the gate passage stays open.
+// A work is dropped when it crosses a ditch ring or the wall, or overlaps any avoid polygon
+// (ravelins, hornworks).
+
+import { dist, lerpPt } from "../../geom/primitives.js";
+import { nearestVertexIndex } from "../../geom/nearest.js";
+import { offsetRadial } from "../../geom/offset.js";
+import {
+  segIntersect,
+  polyIntersectsPoly,
+  pointSegmentDistance,
+  closestPointOnPolyline,
+} from "../../geom/poly.js";
+
+// Band inside the ditch, as fractions of ditchWidth (ditchInner is at 0.35, ditchOuter at 1.0).
+const TENAILLE_BAND = [0.45, 0.8];
+const COUNTERGUARD_BAND = [0.5, 0.9];
+
+// Share of each curtain trimmed at both ends / of each face left open at the shoulder.
+const TENAILLE_TRIM = 0.18;
+const COUNTERGUARD_SHOULDER_GAP = 0.25;
+
+// Points along a-b from t0 to t1, at most `step` apart.
+function sampleSegment(a, b, t0, t1, step) {
+  const k = Math.max(1, Math.ceil((dist(a, b) * (t1 - t0)) / step));
+  const out = [];
+  for (let j = 0; j <= k; j++) out.push(lerpPt(a, b, t0 + (t1 - t0) * (j / k)));
+  return out;
+}
+
+// Open polyline trimmed by `trim` of its length at both ends.
+function trimPolyline(line, trim) {
+  let total = 0;
+  for (let i = 1; i < line.length; i++) total += dist(line[i - 1], line[i]);
+  if (!(total > 0)) return [];
+
+  const s0 = total * trim;
+  const s1 = total * (1 - trim);
+  const out = [];
+  let s = 0;
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1];
+    const b = line[i];
+    const L = dist(a, b);
+    if (L <= 0) continue;
+    if (s + L >= s0 && s <= s1) {
+      const t0 = Math.max(0, (s0 - s) / L);
+      const t1 = Math.min(1, (s1 - s) / L);
+      if (!out.length) out.push(lerpPt(a, b, t0));
+      out.push(lerpPt(a, b, t1));
+    }
+    s += L;
+  }
+  return out;
+}
+
+function band(line, cx, cy, ditchWidth, [f0, f1]) {
+  const inner = offsetRadial(line, cx, cy, ditchWidth * f0);
+  const outer = offsetRadial(line, cx, cy, ditchWidth * f1);
+  return [...inner, ...outer.reverse()];
+}
+
+function crossesRing(poly, ring) {
+  if (!Array.isArray(ring) || ring.length < 3) return false;
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    for (let j = 0; j < ring.length; j++) {
+      if (segIntersect(a, b, ring[j], ring[(j + 1) % ring.length])) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Build tenailles and counterguards.
+ *
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.ditchWidth
+ * @param {Array<Array<{x:number,y:number}>>} args.bastionPolys - bastionPolysWarpedSafe
+ * @param {Array<{x:number,y:number}>} args.curtain - final curtain (warp.wallCurtainForDraw)
+ * @param {Array<{x:number,y:number}>} args.wall - composite wall (warp.wallForDraw)
+ * @param {Array<{x:number,y:number}>} args.ditchInner
+ * @param {Array<{x:number,y:number}>} args.ditchOuter
+ * @param {Array<{x:number,y:number}>} [args.gates] - gatesWarped
+ * @param {Array<Array<{x:number,y:number}>>} [args.avoidPolys] - ravelins, hornworks
+ * @param {{tenailles:boolean, counterguards:boolean}} args.spec
+ * @returns {{tenailles:Array<Array<{x:number,y:number}>>, counterguards:Array<Array<{x:number,y:number}>>}}
+ */
+export function buildDitchWorks({
+  cx,
+  cy,
+  ditchWidth,
+  bastionPolys,
+  curtain,
+  wall,
+  ditchInner,
+  ditchOuter,
+  gates = [],
+  avoidPolys = [],
+  spec,
+}) {
+  const tenailles = [];
+  const counterguards = [];
+  if (!spec || !(ditchWidth > 0)) return { tenailles, counterguards };
+
+  // Only bastions the composite wall actually carries (its point lies on the wall).
+  const onWall = (p) => Array.isArray(wall) && wall.length >= 3 && dist(p, closestPointOnPolyline(p, wall)) < 0.5;
+  const bastions = (Array.isArray(bastionPolys) ? bastionPolys : [])
+    .filter((b) => Array.isArray(b) && b.length === 5 && onWall(b[2]));
+  const step = Math.max(1, ditchWidth);
+
+  function fits(poly) {
+    if (poly.length < 3) return false;
+    if (crossesRing(poly, ditchInner) || crossesRing(poly, ditchOuter) || crossesRing(poly, wall)) return false;
+    return !avoidPolys.some((other) => polyIntersectsPoly(poly, other));
+  }
+
+  if (spec.counterguards) {
+    for (const [, S0, T, S1] of bastions) {
+      const line = [
+        ...sampleSegment(S0, T, COUNTERGUARD_SHOULDER_GAP, 1, step),
+        ...sampleSegment(T, S1, 0, 1 - COUNTERGUARD_SHOULDER_GAP, step).slice(1),
+      ];
+      const poly = band(line, cx, cy, ditchWidth, COUNTERGUARD_BAND);
+      if (fits(poly)) counterguards.push(poly);
+    }
+  }
+
+  if (spec.tenailles && Array.isArray(curtain) && curtain.length >= 3 && bastions.length >= 2) {
+    const n = curtain.length;
+
+    // Bastions in curtain order, by the curtain vertex their base starts at.
+    const placed = bastions
+      .map((b) => ({ i0: nearestVertexIndex(curtain, b[0]), i1: nearestVertexIndex(curtain, b[4]) }))
+      .sort((a, b) => a.i0 - b.i0);
+
+    for (let k = 0; k < placed.length; k++) {
+      const from = placed[k].i1;
+      const to = placed[(k + 1) % placed.length].i0;
+      const edges = (to - from + n) % n;
+      if (edges < 1 || edges > n / 2) continue;
+
+      const arc = [];
+      for (let j = 0; j <= edges; j++) arc.push(curtain[(from + j) % n]);
+
+      const gated = (gates || []).some((g) =>
+        arc.some((p, j) => j > 0 && pointSegmentDistance(g, arc[j - 1], p) < ditchWidth * 2)
+      );
+      if (gated) continue;
+
+      const line = trimPolyline(arc, TENAILLE_TRIM);
+      if (line.length < 2) continue;
+
+      const dense = [line[0]];
+      for (let j = 1; j < line.length; j++) dense.push(...sampleSegment(line[j - 1], line[j], 0, 1, step).slice(1));
+
+      const poly = band(dense, cx, cy, ditchWidth, TENAILLE_BAND);
+      if (fits(poly)) tenailles.push(poly);
+    }
+  }
+
+  return { tenailles, counterguards };
+}
@@ -0,0 +1,260 @@
+// docs/src/model/generate_helpers/fields_of_fire.js
+//
+// Artillery fields of fire and dead ground for the bastioned trace.
+//
+// Every bastion the composite wall carries ([B0, S0, T, S1, B1], composite_wall_builder.js) casts
+// four firing sectors, one per flank (B0-S0, S1-B1) and face (S0-T, T-S1). A sector opens around
+// the segment's normal pointing away from the bastion, out to a range of a few fronts.
+//
+// Targets are sampled on three lines, all radial offsets of the wall like the ditch rings:
+// - curtain: the foot of each curtain between two bastions
+// - ditch:   the middle of the main ditch, all the way round (in front of faces too)
+// - glacis:  the middle of the glacis
+// Curtain and ditch count as covered only under flanking fire: a face cannot depress into the
+// ditch at its own foot. The glacis is covered by any sector. A shot needs a clear line of sight
+// that does not cross the composite wall.
+//
+// Consecutive uncovered samples form dead-ground segments.
+
+import { dist, lerpPt } from "../../geom/primitives.js";
+import { nearestVertexIndex } from "../../geom/nearest.js";
+import { polylineLength, densifyLine } from "../../geom/polyline.js";
+import { offsetRadial } from "../../geom/offset.js";
+import { centroid, segIntersect, closestPointOnPolyline } from "../../geom/poly.js";
+
+const FLANK_HALF_ANGLE = (55 * Math.PI) / 180;
+const FACE_HALF_ANGLE = (40 * Math.PI) / 180;
+
+// Sector range, in fronts (curtain perimeter / bastion count).
+const FIRE_RANGE_FRONTS = 1.5;
+
+// Points fired from along each flank / face, as fractions of its length.
+const SOURCE_TS = [0.2, 0.5, 0.8];
+
+// Curtain foot, as a fraction of ditchWidth (ditchInner is at 0.35).
+const CURTAIN_FOOT = 0.2;
+
+// Ratio of dead curtain + ditch above which a trace is reported as poorly flanked.
+const POORLY_FLANKED_RATIO = 0.5;
+
+const SECTOR_ARC_STEPS = 8;
+
+// Unit normal of a-b pointing away from `inside`.
+function outwardNormal(a, b, inside) {
+  const L = dist(a, b) || 1;
+  let nx = -(b.y - a.y) / L;
+  let ny = (b.x - a.x) / L;
+  const m = lerpPt(a, b, 0.5);
+  if (nx * (m.x - inside.x) + ny * (m.y - inside.y) < 0) {
+    nx = -nx;
+    ny = -ny;
+  }
+  return { x: nx, y: ny };
+}
+
+function sectorPoly(apex, dir, halfAngle, range) {
+  const a0 = Math.atan2(dir.y, dir.x);
+  const poly = [apex];
+  for (let k = 0; k <= SECTOR_ARC_STEPS; k++) {
+    const a = a0 - halfAngle + (2 * halfAngle * k) / SECTOR_ARC_STEPS;
+    poly.push({ x: apex.x + Math.cos(a) * range, y: apex.y + Math.sin(a) * range });
+  }
+  return poly;
+}
+
+function lineOfSight(p, q, wall) {
+  for (let i = 0; i < wall.length; i++) {
+    if (segIntersect(p, q, wall[i], wall[(i + 1) % wall.length])) return false;
+  }
+  return true;
+}
+
+function covers(sector, q, wall) {
+  for (const s of sector.sources) {
+    const vx = q.x - s.x;
+    const vy = q.y - s.y;
+    const d = Math.hypot(vx, vy);
+    if (d > sector.range || d < 1e-6) continue;
+    if ((vx * sector.dir.x + vy * sector.dir.y) / d < Math.cos(sector.halfAngle)) continue;
+    if (lineOfSight(s, q, wall)) return true;
+  }
+  return false;
+}
+
+// Runs of uncovered samples as polylines, each reaching halfway to its covered neighbours.
+function deadRuns(samples, covered, closed) {
+  const n = samples.length;
+  const runs = [];
+  if (!n || covered.every(Boolean)) return runs;
+  if (closed && !covered.some(Boolean)) return [[...samples, samples[0]]];
+
+  // Start a closed scan just after a covered sample so no run wraps.
+  const start = closed ? (covered.indexOf(true) + 1) % n : 0;
+  let cur = null;
+  for (let k = 0; k < n; k++) {
+    const i = (start + k) % n;
+    if (covered[i]) {
+      if (cur) {
+        cur.push(lerpPt(samples[(i - 1 + n) % n], samples[i], 0.5));
+        runs.push(cur);
+        cur = null;
+      }
+      continue;
+    }
+    if (!cur) {
+      const prev = (i - 1 + n) % n;
+      cur = (closed || i > 0) ? [lerpPt(samples[prev], samples[i], 0.5)] : [];
+    }
+    cur.push(samples[i]);
+  }
+  if (cur) {
+    if (closed) cur.push(lerpPt(samples[(start - 1 + n) % n], samples[start], 0.5));
+    runs.push(cur);
+  }
+  return runs.filter((r) => r.length >= 2);
+}
+
+/**
+ * Analyse flanking fire along the warped trace.
+ *
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.ditchWidth
+ * @param {Array<Array<{x:number,y:number}>>} args.bastionPolys - bastionPolysWarpedSafe
+ * @param {Array<{x:number,y:number}>} args.curtain - final curtain (warp.wallCurtainForDraw)
+ * @param {Array<{x:number,y:number}>} args.wall - composite wall (warp.wallForDraw)
+ * @param {Array<{x:number,y:number}>} args.ditchInner
+ * @param {Array<{x:number,y:number}>} args.ditchOuter
+ * @param {Array<{x:number,y:number}>} args.glacisOuter
+ * @returns {{
+ *   sectors:Array<{bastionId:number, kind:"flank"|"face", from:Array<{x:number,y:number}>,
+ *     dir:{x:number,y:number}, halfAngle:number, range:number, poly:Array<{x:number,y:number}>}>,
+ *   deadGround:Array<{kind:"curtain"|"ditch"|"glacis", points:Array<{x:number,y:number}>, length:number}>,
+ *   summary:{
+ *     curtain:{length:number, dead:number}, ditch:{length:number, dead:number},
+ *     glacis:{length:number, dead:number}, deadRatio:number, poorlyFlanked:boolean
+ *   }
+ * }}
+ */
+export function analyseFieldsOfFire({
+  cx,
+  cy,
+  ditchWidth,
+  bastionPolys,
+  curtain,
+  wall,
+  ditchInner,
+  ditchOuter,
+  glacisOuter,
+}) {
+  const empty = { length: 0, dead: 0 };
+  const out = {
+    sectors: [],
+    deadGround: [],
+    summary: { curtain: { ...empty }, ditch: { ...empty }, glacis: { ...empty }, deadRatio: 0, poorlyFlanked: false },
+  };
+  if (!Array.isArray(wall) || wall.length < 3 || !(ditchWidth > 0)) return out;
+
+  // Only bastions the composite wall actually carries (their point lies on the wall).
+  const bastions = [];
+  (Array.isArray(bastionPolys) ? bastionPolys : []).forEach((b, bastionId) => {
+    if (!Array.isArray(b) || b.length !== 5) return;
+    if (dist(b[2], closestPointOnPolyline(b[2], wall)) >= 0.5) return;
+    bastions.push({ bastionId, poly: b });
+  });
+  if (!bastions.length) return out;
+
+  const curtainLine = (Array.isArray(curtain) && curtain.length >= 3) ? curtain : wall;
+  const range = FIRE_RANGE_FRONTS * (polylineLength(curtainLine, true) / bastions.length);
+
+  // ---- Sectors ----
+  for (const { bastionId, poly } of bastions) {
+    const [B0, S0, T, S1, B1] = poly;
+    const inside = centroid(poly);
+    const parts = [
+      { kind: "flank", from: [B0, S0], halfAngle: FLANK_HALF_ANGLE },
+      { kind: "face", from: [S0, T], halfAngle: FACE_HALF_ANGLE },
+      { kind: "face", from: [T, S1], halfAngle: FACE_HALF_ANGLE },
+      { kind: "flank", from: [S1, B1], halfAngle: FLANK_HALF_ANGLE },
+    ];
+    for (const { kind, from, halfAngle } of parts) {
+      if (!(dist(from[0], from[1]) > 1e-6)) continue;
+      const dir = outwardNormal(from[0], from[1], inside);
+      // Fire from just in front of the parapet so the wall itself does not block the shot.
+      const sources = SOURCE_TS.map((t) => {
+        const p = lerpPt(from[0], from[1], t);
+        return { x: p.x + dir.x * 0.5, y: p.y + dir.y * 0.5 };
+      });
+      out.sectors.push({
+        bastionId,
+        kind,
+        from,
+        dir,
+        halfAngle,
+        range,
+        poly: sectorPoly(lerpPt(from[0], from[1], 0.5), dir, halfAngle, range),
+        sources,
+      });
+    }
+  }
+
+  const flanks = out.sectors.filter((s) => s.kind === "flank");
+  const coveredBy = (sectors) => (q) => sectors.some((s) => covers(s, q, wall));
+
+  function analyse(kind, samples, closed, test) {
+    if (samples.length < 2) return;
+    const covered = samples.map(test);
+    const total = polylineLength(samples, closed);
+    let dead = 0;
+    for (const points of deadRuns(samples, covered, closed)) {
+      const length = polylineLength(points);
+      dead += length;
+      out.deadGround.push({ kind, points, length });
+    }
+    out.summary[kind].length += total;
+    out.summary[kind].dead += dead;
+  }
+
+  // ---- Curtain foot: the curtain arcs between consecutive bastions ----
+  if (Array.isArray(curtain) && curtain.length >= 3 && bastions.length >= 2) {
+    const n = curtain.length;
+    const placed = bastions
+      .map(({ poly }) => ({ i0: nearestVertexIndex(curtain, poly[0]), i1: nearestVertexIndex(curtain, poly[4]) }))
+      .sort((a, b) => a.i0 - b.i0);
+    const step = Math.max(4, ditchWidth);
+
+    for (let k = 0; k < placed.length; k++) {
+      const from = placed[k].i1;
+      const to = placed[(k + 1) % placed.length].i0;
+      const edges = (to - from + n) % n;
+      if (edges < 1 || edges > n / 2) continue;
+
+      const arc = [];
+      for (let j = 0; j <= edges; j++) arc.push(curtain[(from + j) % n]);
+      const foot = offsetRadial(densifyLine(arc, step), cx, cy, ditchWidth * CURTAIN_FOOT);
+      analyse("curtain", foot, false, coveredBy(flanks));
+    }
+  }
+
+  // ---- Ditch and glacis middles (the rings share the resampled wall's indexing) ----
+  const mid = (A, B) => (Array.isArray(A) && Array.isArray(B) && A.length === B.length && A.length >= 3)
+    ? A.map((p, i) => lerpPt(p, B[i], 0.5))
+    : null;
+
+  const ditchMid = mid(ditchInner, ditchOuter);
+  if (ditchMid) analyse("ditch", ditchMid, true, coveredBy(flanks));
+
+  const glacisMid = mid(ditchOuter, glacisOuter);
+  if (glacisMid) analyse("glacis", glacisMid, true, coveredBy(out.sectors));
+
+  const { curtain: c, ditch: d } = out.summary;
+  const len = c.length + d.length;
+  out.summary.deadRatio = len > 0 ? (c.dead + d.dead) / len : 0;
+  out.summary.poorlyFlanked = out.summary.deadRatio > POORLY_FLANKED_RATIO;
+
+  // Source points are an analysis detail; keep the published sectors plain.
+  for (const s of out.sectors) delete s.sources;
+
+  return out;
+}
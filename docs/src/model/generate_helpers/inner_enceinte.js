@@ -0,0 +1,176 @@
+// docs/src/model/generate_helpers/inner_enceinte.js
+//
+// Older inner wall kept inside the bastioned trace (cities that outgrew their first wall).
+//
+// The wall follows the inner hull (Stage 105) as it is, while Stage 110 moves the bastioned trace
+// out toward the outer hull. It carries:
+// - round towers: a pair flanking each gate, one on every sharp corner, and more at regular
+//                 spacing along the straight runs
+// - a thin ditch: one radial offset of the wall, the same construction as the main ditch rings
+// - gates:        one where the ray from the centre to each outer gate crosses the wall, so every
+//                 outer gate has an aligned inner gate (outer gates close together share one)
+//
+// Sizes are fractions of the wall's own mean radius (perimeter / 2π), not of the bastioned trace:
+// the old wall keeps its medieval proportions whatever the fortification school.
+
+import { dist } from "../../geom/primitives.js";
+import { offsetRadial } from "../../geom/offset.js";
+import { rayPolyMaxT } from "../../geom/radial_ray_clamp.js";
+
+const INNER_DITCH_WIDTH = 0.03;
+const TOWER_RADIUS = 0.03;
+const TOWER_SPACING = 0.4;
+const GATE_HALF_WIDTH = 0.06;
+const GATE_MERGE_DIST = 0.2;
+
+// Wall corners sharper than this (radians of turn) get a tower.
+const CORNER_MIN_TURN = 0.45;
+
+function turnAngle(a, b, c) {
+  const a1 = Math.atan2(b.y - a.y, b.x - a.x);
+  const a2 = Math.atan2(c.y - b.y, c.x - b.x);
+  let d = a2 - a1;
+  while (d > Math.PI) d -= 2 * Math.PI;
+  while (d < -Math.PI) d += 2 * Math.PI;
+  return Math.abs(d);
+}
+
+// Arc-length table of a closed polyline: cum[i] is the distance from poly[0] to poly[i].
+function arcTable(poly) {
+  const cum = [0];
+  for (let i = 1; i <= poly.length; i++) cum.push(cum[i - 1] + dist(poly[i - 1], poly[i % poly.length]));
+  return cum;
+}
+
+function pointAtArc(poly, cum, s) {
+  const total = cum[poly.length];
+  const u = ((s % total) + total) % total;
+  for (let i = 1; i <= poly.length; i++) {
+    if (cum[i] < u) continue;
+    const L = cum[i] - cum[i - 1];
+    const t = L > 0 ? (u - cum[i - 1]) / L : 0;
+    const a = poly[i - 1];
+    const b = poly[i % poly.length];
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+  }
+  return { x: poly[0].x, y: poly[0].y };
+}
+
+function arcOfPoint(poly, cum, p) {
+  let best = 0;
+  let bestD = Infinity;
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i];
+    const b = poly[(i + 1) % poly.length];
+    const abx = b.x - a.x;
+    const aby = b.y - a.y;
+    const ab2 = abx * abx + aby * aby;
+    const t = ab2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * abx + (p.y - a.y) * aby) / ab2)) : 0;
+    const d = Math.hypot(a.x + abx * t - p.x, a.y + aby * t - p.y);
+    if (d < bestD) {
+      bestD = d;
+      best = cum[i] + (cum[i + 1] - cum[i]) * t;
+    }
+  }
+  return best;
+}
+
+// Cyclic distance between two arc positions.
+function arcGap(s0, s1, total) {
+  const d = Math.abs(s0 - s1) % total;
+  return Math.min(d, total - d);
+}
+
+/**
+ * Build the inner enceinte.
+ *
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {Array<{x:number,y:number}>} args.wall - innerHullModel.poly
+ * @param {Array<{x:number,y:number}>} args.gates - gatesWarped (outer gates)
+ * @returns {{
+ *   wall:Array<{x:number,y:number}>,
+ *   ditchOuter:Array<{x:number,y:number}>,
+ *   ditchWidth:number,
+ *   towers:Array<{x:number,y:number,r:number}>,
+ *   gates:Array<{x:number,y:number}>,
+ *   gatePairs:Array<{outerGateId:number, innerGateId:number}>
+ * }|null} null when the wall is degenerate
+ */
+export function buildInnerEnceinte({ cx, cy, wall, gates }) {
+  if (!Array.isArray(wall) || wall.length < 3) return null;
+
+  const cum = arcTable(wall);
+  const total = cum[wall.length];
+  const R = total / (2 * Math.PI);
+  if (!(R > 0)) return null;
+
+  const centre = { x: cx, y: cy };
+  const ditchWidth = R * INNER_DITCH_WIDTH;
+  const ditchOuter = offsetRadial(wall, cx, cy, ditchWidth);
+
+  // Aligned gates: the inner wall crossing on the way from the centre to each outer gate.
+  const innerGates = [];
+  const gatePairs = [];
+  for (let outerGateId = 0; outerGateId < (gates || []).length; outerGateId++) {
+    const g = gates[outerGateId];
+    if (!g) continue;
+    const dir = { x: g.x - cx, y: g.y - cy };
+    const t = rayPolyMaxT(centre, dir, wall);
+    if (t == null || t >= 1) continue;
+
+    const p = { x: cx + dir.x * t, y: cy + dir.y * t };
+    let innerGateId = innerGates.findIndex((q) => dist(q, p) < R * GATE_MERGE_DIST);
+    if (innerGateId < 0) {
+      innerGateId = innerGates.length;
+      innerGates.push(p);
+    }
+    gatePairs.push({ outerGateId, innerGateId });
+  }
+
+  // Towers, placed by arc length along the wall.
+  const r = R * TOWER_RADIUS;
+  const gateHalf = R * GATE_HALF_WIDTH;
+  const spacing = R * TOWER_SPACING;
+
+  const gateArcs = innerGates.map((p) => arcOfPoint(wall, cum, p));
+  const inGate = (s) => gateArcs.some((sg) => arcGap(s, sg, total) < gateHalf * 0.999);
+
+  const towerArcs = [];
+  for (const sg of gateArcs) towerArcs.push(sg - gateHalf, sg + gateHalf);
+
+  for (let i = 0; i < wall.length; i++) {
+    const a = wall[(i - 1 + wall.length) % wall.length];
+    if (turnAngle(a, wall[i], wall[(i + 1) % wall.length]) < CORNER_MIN_TURN) continue;
+    const s = cum[i];
+    if (inGate(s) || gateArcs.some((sg) => arcGap(s, sg, total) < gateHalf * 2)) continue;
+    if (towerArcs.some((st) => arcGap(s, st, total) < spacing * 0.5)) continue;
+    towerArcs.push(s);
+  }
+
+  // Fill the runs between towers; a run across a gate passage stays open.
+  const sorted = towerArcs.map((s) => ((s % total) + total) % total).sort((a, b) => a - b);
+  if (!sorted.length) sorted.push(0);
+  const filled = [];
+  for (let k = 0; k < sorted.length; k++) {
+    const s0 = sorted[k];
+    const s1 = k + 1 < sorted.length ? sorted[k + 1] : sorted[0] + total;
+    filled.push(s0);
+    const mid = (s0 + s1) / 2;
+    if (inGate(mid)) continue;
+    const n = Math.floor((s1 - s0) / spacing);
+    for (let j = 1; j <= n; j++) filled.push(s0 + ((s1 - s0) * j) / (n + 1));
+  }
+
+  const towers = filled.map((s) => ({ ...pointAtArc(wall, cum, s), r }));
+
+  return {
+    wall,
+    ditchOuter,
+    ditchWidth,
+    towers,
+    gates: innerGates,
+    gatePairs,
+  };
+}
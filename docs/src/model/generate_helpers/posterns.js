@@ -0,0 +1,142 @@
+// docs/src/model/generate_helpers/posterns.js
+//
+// Secondary portals in the main wall: posterns (sally ports) and water gates.
+//
+// - postern: a narrow passage under the curtain into the ditch, one per front (the curtain
+//            between two angularly adjacent bastions), at the front's mid-angle on the composite
+//            wall. Fronts with a land gate near that point already have their way out and get none.
+// - water:   where the river enters and leaves the walled town, and in place of the postern on
+//            fronts that stand on the river bank or the coast.
+//
+// A river that wanders along the wall crosses it back and forth; only stretches inside the wall
+// longer than RIVER_MIN_RUN count as the river passing through. Posterns near one of its water
+// gates are dropped. The tributary of a confluence site is treated like the river.
+
+import { dist } from "../../geom/primitives.js";
+import { pointInPoly, closestPointOnPolyline, pointSegmentDistance } from "../../geom/poly.js";
+import { segmentIntersection } from "../../geom/intersections.js";
+import { rayPolyMaxT } from "../../geom/radial_ray_clamp.js";
+import { listFronts } from "../../geom/fronts.js";
+
+// A land gate closer than this fraction of the front's chord serves the front.
+const GATE_CLEAR = 0.3;
+
+// A front stands on the coast when its postern is within this many ditch widths of the sea.
+const COAST_REACH = 4;
+
+// River clearance in pixels: half the drawn river width plus a bank. A front whose postern is
+// within twice this of the river stands on the bank.
+const RIVER_CLEAR = 12;
+
+// Shortest stretch of river inside the wall, in pixels, that counts as passing through the town.
+const RIVER_MIN_RUN = 40;
+
+function unitFrom(cx, cy, p) {
+  const dx = p.x - cx;
+  const dy = p.y - cy;
+  const m = Math.hypot(dx, dy) || 1;
+  return { x: dx / m, y: dy / m };
+}
+
+// Where the river polyline crosses the closed wall, in river order: [{p, s}] with s the distance
+// along the river.
+function riverCrossings(river, wall) {
+  const out = [];
+  let s0 = 0;
+  for (let i = 1; i < river.length; i++) {
+    const a = river[i - 1];
+    const b = river[i];
+    const hits = [];
+    for (let j = 0; j < wall.length; j++) {
+      const hit = segmentIntersection(a, b, wall[j], wall[(j + 1) % wall.length]);
+      if (hit.type === "proper" || hit.type === "touch") hits.push(hit);
+    }
+    hits.sort((p, q) => p.t - q.t);
+    for (const h of hits) out.push({ p: h.p, s: s0 + dist(a, b) * h.t });
+    s0 += dist(a, b);
+  }
+  return out;
+}
+
+// Entry and exit of every stretch of river that runs inside the wall for RIVER_MIN_RUN or more.
+function riverWaterGates(river, wall) {
+  const crossings = riverCrossings(river, wall);
+  const gates = [];
+  let inside = pointInPoly(river[0], wall);
+  let entry = inside ? { p: river[0], s: 0, open: true } : null;
+
+  for (const c of crossings) {
+    if (!inside) {
+      entry = c;
+    } else if (entry && c.s - entry.s >= RIVER_MIN_RUN) {
+      if (!entry.open) gates.push(entry.p);
+      gates.push(c.p);
+    }
+    inside = !inside;
+  }
+  if (inside && entry && !entry.open) {
+    let total = 0;
+    for (let i = 1; i < river.length; i++) total += dist(river[i - 1], river[i]);
+    if (total - entry.s >= RIVER_MIN_RUN) gates.push(entry.p);
+  }
+  return gates;
+}
+
+function nearPolyline(p, line, reach) {
+  for (let i = 1; i < line.length; i++) {
+    if (pointSegmentDistance(p, line[i - 1], line[i]) < reach) return true;
+  }
+  return false;
+}
+
+/**
+ * Posterns and water gates along the main wall.
+ *
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {Array<{x:number,y:number}>} args.wall - composite wall (warp.wallForDraw)
+ * @param {Array<Array<{x:number,y:number}>>} args.bastionPolys - bastionPolysWarpedSafe
+ * @param {Array<{x:number,y:number}>} args.gates - land gates (gatesWarped)
+ * @param {number} args.ditchWidth
+ * @param {object|null} args.waterModel
+ * @returns {Array<{kind:"postern"|"water", point:{x:number,y:number}, dir:{x:number,y:number}, bastionIds:number[]|null}>}
+ */
+export function buildPosterns({ cx, cy, wall, bastionPolys, gates, ditchWidth, waterModel }) {
+  if (!Array.isArray(wall) || wall.length < 3) return [];
+
+  const coast = (waterModel?.kind === "coast" && Array.isArray(waterModel.coast?.polygon))
+    ? waterModel.coast.polygon
+    : null;
+  const rivers = waterModel?.kind === "river"
+    ? [waterModel.river?.polyline, waterModel.tributary?.polyline].filter(Array.isArray)
+    : [];
+
+  const ports = [];
+
+  const riverGates = rivers.flatMap((river) => riverWaterGates(river, wall));
+  for (const p of riverGates) {
+    ports.push({ kind: "water", point: p, dir: unitFrom(cx, cy, p), bastionIds: null });
+  }
+
+  const landGates = (Array.isArray(gates) ? gates : []).filter(Boolean);
+  const coastReach = Math.max(1, ditchWidth) * COAST_REACH;
+
+  for (const f of listFronts(bastionPolys, cx, cy)) {
+    const dir = { x: Math.cos(f.mid), y: Math.sin(f.mid) };
+    const t = rayPolyMaxT({ x: cx, y: cy }, dir, wall);
+    if (t == null) continue;
+    const p = { x: cx + dir.x * t, y: cy + dir.y * t };
+
+    if (landGates.some((g) => dist(g, p) < f.chord * GATE_CLEAR)) continue;
+    if (riverGates.some((q) => dist(q, p) < Math.max(RIVER_CLEAR, f.chord * GATE_CLEAR))) continue;
+    if (coast && pointInPoly(p, coast)) continue;
+
+    const onWater =
+      (coast && dist(p, closestPointOnPolyline(p, coast)) < coastReach) ||
+      rivers.some((river) => nearPolyline(p, river, RIVER_CLEAR * 2));
+    ports.push({ kind: onWater ? "water" : "postern", point: p, dir, bastionIds: f.bastionIds });
+  }
+
+  return ports;
+}
@@ -0,0 +1,349 @@
+// docs/src/model/generate_helpers/river.js
+//
+// Meandering river with banks, a variable width and optional islands.
+//
+// The river runs straight across the site along `dir` and meanders sideways from that axis.
+// Meander wavelength is set from the mean width (MEANDER_WAVELENGTH channel widths, as rivers on
+// alluvial plains do), so the number of bends grows with the river's length. The width wanders
+// along the river and grows downstream. Banks are the centreline offset by half the local width
+// on either side; `polygon` is the water body outline (left bank, then the right bank reversed).
+//
+// Islands are lens-shaped land in mid-stream near the city. The river widens around each one so
+// both channels keep about half the normal width. They are land: wards and roads may use them.
+//
+// A confluence site adds a tributary (buildTributary): a narrower river of the same build that
+// comes in from off the site at an acute angle to the flow and ends on the main centreline near
+// the city. Its meander dies out over the last wavelength so it meets the main river head-on.
+
+import { add, mul, normalize } from "../../geom/primitives.js";
+import { pointSegmentDistance } from "../../geom/poly.js";
+
+// Meander wavelength in mean channel widths.
+const MEANDER_WAVELENGTH = [10, 14];
+
+// Meander amplitude as a fraction of the wavelength, and its cap in fort radii.
+const MEANDER_AMPLITUDE = [0.18, 0.3];
+const MEANDER_MAX_AMP = 0.3;
+
+// Mean width in fort radii.
+const RIVER_WIDTH = [0.05, 0.08];
+
+// Island length in channel widths.
+const ISLAND_LENGTH = [4, 7];
+
+// Islands are placed on stretches of river within this many fort radii of the centre.
+const ISLAND_REACH = 1.1;
+
+// Tributary width as a fraction of the main river's mean width.
+const TRIBUTARY_WIDTH = [0.5, 0.7];
+
+// Angle between the tributary and the main flow at the confluence, in radians.
+const TRIBUTARY_ANGLE = [0.7, 1.2];
+
+// Distance of the confluence from the point of the main river nearest the centre, in fort radii.
+const CONFLUENCE_SHIFT = 0.6;
+
+export const RIVER_MAX_ISLANDS = 3;
+
+function bboxFromPoly(poly) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const p of poly || []) {
+    if (!p) continue;
+    if (p.x < minX) minX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y > maxY) maxY = p.y;
+  }
+  if (!Number.isFinite(minX)) return { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+  return { minX, minY, maxX, maxY };
+}
+
+function between(rng, [lo, hi]) {
+  return lo + rng() * (hi - lo);
+}
+
+// Meandering centreline from `from` along `dir`, with its widths. With `taperEnd` the meander and
+// the width swell fade out over the last wavelength, so the channel ends on the axis.
+function meanderChannel({ rng, from, dir, length, meanWidth, maxAmplitude, taperEnd = false }) {
+  const perp = { x: -dir.y, y: dir.x };
+  const wavelength = meanWidth * between(rng, MEANDER_WAVELENGTH);
+  const amplitude = Math.min(wavelength * between(rng, MEANDER_AMPLITUDE), maxAmplitude);
+  const phase = rng() * Math.PI * 2;
+  const phase2 = rng() * Math.PI * 2;
+  const phaseAmp = rng() * Math.PI * 2;
+  const phaseWidth = rng() * Math.PI * 2;
+
+  // Sampled every half width.
+  const step = Math.max(4, meanWidth * 0.5);
+  const n = Math.max(2, Math.ceil(length / step));
+  const pts = [];
+  const widths = [];
+  for (let i = 0; i <= n; i++) {
+    const s = (i / n) * length;
+    const k = (Math.PI * 2 * s) / wavelength;
+    const fade = taperEnd ? Math.min(1, (length - s) / wavelength) : 1;
+    const swell = 1 + 0.3 * Math.sin(k / 3 + phaseAmp);
+    const lateral = fade * amplitude * swell * (Math.sin(k + phase) + 0.15 * Math.sin(2 * k + phase2));
+    pts.push(add(from, add(mul(dir, s), mul(perp, lateral))));
+
+    const wander = 1 + 0.25 * fade * Math.sin(k / 1.7 + phaseWidth);
+    widths.push(meanWidth * wander * (0.9 + 0.2 * (i / n)));
+  }
+  return { pts, widths, step, wavelength, amplitude };
+}
+
+// Banks and body outline around a centreline with half widths `half`. Also used for canals.
+export function channelBody(pts, half) {
+  const normals = normalsOf(pts);
+  const left = pts.map((p, i) => add(p, mul(normals[i], half[i])));
+  const right = pts.map((p, i) => add(p, mul(normals[i], -half[i])));
+  return { normals, left, right, polygon: [...left, ...right.slice().reverse()] };
+}
+
+/**
+ * Side of a river centreline a point lies on, by its nearest segment.
+ * @param {{x:number,y:number}} p
+ * @param {Array<{x:number,y:number}>} line
+ * @returns {{side:1|-1, d:number}} side 1 is left of the flow (the `left` bank), d the distance
+ */
+export function riverSide(p, line) {
+  let side = 1;
+  let d = Infinity;
+  for (let i = 1; i < line.length; i++) {
+    const di = pointSegmentDistance(p, line[i - 1], line[i]);
+    if (di >= d) continue;
+    d = di;
+    const a = line[i - 1];
+    const b = line[i];
+    side = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x) > 0 ? 1 : -1;
+  }
+  return { side, d };
+}
+
+// Unit normals (left of the flow) by central differences.
+function normalsOf(pts) {
+  return pts.map((p, i) => {
+    const a = pts[Math.max(0, i - 1)];
+    const b = pts[Math.min(pts.length - 1, i + 1)];
+    const t = normalize({ x: b.x - a.x, y: b.y - a.y });
+    return { x: -t.y, y: t.x };
+  });
+}
+
+// Island spans [i0, i1] (sample indices, exclusive of the tips' neighbours) near the centre.
+function pickIslandSpans({ rng, pts, cx, cy, reach, spanSamples, count }) {
+  const spans = [];
+  if (count <= 0) return spans;
+
+  const near = [];
+  for (let i = spanSamples; i < pts.length - spanSamples; i++) {
+    const d = Math.hypot(pts[i].x - cx, pts[i].y - cy);
+    if (d <= reach) near.push({ i, d });
+  }
+  near.sort((p, q) => p.d - q.d || p.i - q.i);
+
+  // Always draw, so the stream stays aligned whatever the candidates.
+  const picks = [];
+  for (let k = 0; k < count; k++) picks.push(rng());
+
+  for (const u of picks) {
+    const free = near.filter((c) => spans.every((s) => c.i + spanSamples < s.i0 - spanSamples || c.i - spanSamples > s.i1 + spanSamples));
+    if (!free.length) break;
+    // Favour the stretches nearest the centre.
+    const c = free[Math.floor(u * u * free.length)];
+    spans.push({ i0: c.i - (spanSamples >> 1), i1: c.i - (spanSamples >> 1) + spanSamples });
+  }
+  return spans.sort((p, q) => p.i0 - q.i0);
+}
+
+/**
+ * Meandering river across the site.
+ *
+ * @param {object} args
+ * @param {function} args.rng - water RNG stream
+ * @param {Array<{x:number,y:number}>} args.outerBoundary
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.baseR
+ * @param {{dir?:{x:number,y:number}}|null} [args.waterIntent]
+ * @param {number} [args.islands=0] - number of islands wanted (0..RIVER_MAX_ISLANDS)
+ * @returns {object}
+ * {
+ *   polyline,     // centreline, upstream to downstream
+ *   widths,       // width at each centreline point
+ *   banks,        // { left, right } polylines, same length as polyline
+ *   polygon,      // water body outline
+ *   islands,      // [{ poly, centre, length }]
+ *   meander,      // { wavelength, amplitude, meanWidth }
+ *   bankPoint,    // bank point farthest from the centre
+ * }
+ */
+export function buildRiver({ rng, outerBoundary, cx, cy, baseR, waterIntent = null, islands = 0 }) {
+  const bb = bboxFromPoly(outerBoundary);
+  const pad = Math.max(baseR * 1.2, 120);
+  const span = Math.max((bb.maxX - bb.minX) + pad * 2, (bb.maxY - bb.minY) + pad * 2);
+
+  // Always consume RNG once so the remainder of the water stream stays aligned.
+  const angRnd = rng() * Math.PI * 2;
+
+  let dir = null;
+  if (waterIntent && waterIntent.dir) dir = normalize(waterIntent.dir);
+  if (!dir || !Number.isFinite(dir.x) || !Number.isFinite(dir.y)) {
+    dir = normalize({ x: Math.cos(angRnd), y: Math.sin(angRnd) });
+  }
+  const perp = { x: -dir.y, y: dir.x };
+
+  // Where the river axis passes the city centre.
+  const crossOffset = (rng() * 2 - 1) * baseR * 0.35;
+  const cross = add({ x: cx, y: cy }, mul(perp, crossOffset));
+
+  // Centreline from 0.875 spans upstream to 0.875 downstream of the crossing.
+  const meanWidth = baseR * between(rng, RIVER_WIDTH);
+  const length = span * 1.75;
+  const { pts, widths, step, wavelength, amplitude } = meanderChannel({
+    rng,
+    from: add(cross, mul(dir, -length * 0.5)),
+    dir,
+    length,
+    meanWidth,
+    maxAmplitude: baseR * MEANDER_MAX_AMP,
+  });
+
+  // Islands widen the river around them.
+  const wantIslands = Math.max(0, Math.min(RIVER_MAX_ISLANDS, Math.floor(Number(islands) || 0)));
+  const spanSamples = Math.max(4, Math.round((meanWidth * between(rng, ISLAND_LENGTH)) / step));
+  const spans = pickIslandSpans({ rng, pts, cx, cy, reach: baseR * ISLAND_REACH, spanSamples, count: wantIslands });
+
+  const half = widths.map((w) => w * 0.5);
+  const islandHalf = widths.map(() => 0);
+  for (const { i0, i1 } of spans) {
+    for (let i = i0; i <= i1; i++) {
+      const b = Math.sin((Math.PI * (i - i0)) / (i1 - i0));
+      half[i] = widths[i] * 0.5 * (1 + 1.2 * b);
+      islandHalf[i] = widths[i] * 0.6 * Math.pow(b, 0.8);
+    }
+  }
+
+  const { normals, left, right, polygon } = channelBody(pts, half);
+
+  const islandList = spans.map(({ i0, i1 }) => {
+    const l = [];
+    const r = [];
+    for (let i = i0 + 1; i < i1; i++) {
+      l.push(add(pts[i], mul(normals[i], islandHalf[i])));
+      r.push(add(pts[i], mul(normals[i], -islandHalf[i])));
+    }
+    const mid = (i0 + i1) >> 1;
+    return {
+      poly: [pts[i0], ...l, pts[i1], ...r.reverse()],
+      centre: pts[mid],
+      length: (i1 - i0) * step,
+    };
+  });
+
+  let bankPoint = null;
+  let bestD2 = -Infinity;
+  for (const p of [...left, ...right]) {
+    const d2 = (p.x - cx) ** 2 + (p.y - cy) ** 2;
+    if (d2 > bestD2) {
+      bestD2 = d2;
+      bankPoint = p;
+    }
+  }
+
+  return {
+    polyline: pts,
+    widths: half.map((h) => h * 2),
+    banks: { left, right },
+    polygon,
+    islands: islandList,
+    meander: { wavelength, amplitude, meanWidth },
+    bankPoint,
+  };
+}
+
+/**
+ * Tributary joining the main river near the city (confluence sites).
+ *
+ * The confluence is CONFLUENCE_SHIFT fort radii up or down the main river from its point nearest
+ * the centre. The tributary reaches it from upstream, on a random side, at TRIBUTARY_ANGLE to the
+ * main flow, and starts far enough out to begin off the site.
+ *
+ * @param {object} args
+ * @param {function} args.rng - water RNG stream, after buildRiver()
+ * @param {object} args.river - buildRiver() output
+ * @param {Array<{x:number,y:number}>} args.outerBoundary
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.baseR
+ * @returns {object} same shape as buildRiver() (no islands), plus
+ *   confluence: { point, index } with index the main centreline sample it joins
+ */
+export function buildTributary({ rng, river, outerBoundary, cx, cy, baseR }) {
+  const main = river.polyline;
+  const bb = bboxFromPoly(outerBoundary);
+  const pad = Math.max(baseR * 1.2, 120);
+  const span = Math.max((bb.maxX - bb.minX) + pad * 2, (bb.maxY - bb.minY) + pad * 2);
+
+  // Always draw the same count, so the stream stays aligned.
+  const shiftSign = rng() < 0.5 ? -1 : 1;
+  const sideSign = rng() < 0.5 ? -1 : 1;
+  const angle = between(rng, TRIBUTARY_ANGLE);
+  const meanWidth = river.meander.meanWidth * between(rng, TRIBUTARY_WIDTH);
+
+  let nearest = 0;
+  let bestD2 = Infinity;
+  main.forEach((p, i) => {
+    const d2 = (p.x - cx) ** 2 + (p.y - cy) ** 2;
+    if (d2 < bestD2) {
+      bestD2 = d2;
+      nearest = i;
+    }
+  });
+
+  // Walk CONFLUENCE_SHIFT fort radii along the main centreline.
+  let index = nearest;
+  let walked = 0;
+  while (walked < baseR * CONFLUENCE_SHIFT) {
+    const next = index + shiftSign;
+    if (next < 1 || next > main.length - 2) break;
+    walked += Math.hypot(main[next].x - main[index].x, main[next].y - main[index].y);
+    index = next;
+  }
+  const point = main[index];
+
+  // Main flow direction at the confluence, turned toward the chosen bank.
+  const a = main[Math.max(0, index - 1)];
+  const b = main[Math.min(main.length - 1, index + 1)];
+  const flow = normalize({ x: b.x - a.x, y: b.y - a.y });
+  const turn = sideSign * angle;
+  const dir = {
+    x: flow.x * Math.cos(turn) - flow.y * Math.sin(turn),
+    y: flow.x * Math.sin(turn) + flow.y * Math.cos(turn),
+  };
+
+  const length = span * 0.9;
+  const { pts, widths, wavelength, amplitude } = meanderChannel({
+    rng,
+    from: add(point, mul(dir, -length)),
+    dir,
+    length,
+    meanWidth,
+    maxAmplitude: baseR * MEANDER_MAX_AMP,
+    taperEnd: true,
+  });
+  pts[pts.length - 1] = { x: point.x, y: point.y };
+
+  const half = widths.map((w) => w * 0.5);
+  const { left, right, polygon } = channelBody(pts, half);
+
+  return {
+    polyline: pts,
+    widths,
+    banks: { left, right },
+    polygon,
+    islands: [],
+    meander: { wavelength, amplitude, meanWidth },
+    confluence: { point, index },
+  };
+}
@@ -2,7 +2,7 @@
 //
 // Road polyline assembly (inputs only; does not mutate global state).
 
-import { closestPointOnPolyline } from "../../geom/poly.js";
+import { closestPointOnPolyline, pointInPoly } from "../../geom/poly.js";
 import { clamp, lerp, dist } from "../../geom/primitives.js";
 export function buildRoadIntents({
   rng,
@@ -86,23 +86,40 @@ export function buildRoadIntents({
   return { intents, secondaryRoadsLegacy: secondaryRoads, roadEps };
 }
 
-export function generateSecondaryRoads(rng, gates, ring1, ring2) {
+// innerEnceinte (Stage 125, optional): a gate spur that runs inside the inner wall passes the
+// inner gate paired with its outer gate.
+export function generateSecondaryRoads(rng, gates, ring1, ring2, innerEnceinte = null) {
   const secondary = [];
   if (!gates || !gates.length || !ring1 || !ring2) return secondary;
 
+  const innerWall = Array.isArray(innerEnceinte?.wall) && innerEnceinte.wall.length >= 3 ? innerEnceinte.wall : null;
+  const innerGateOf = (outerGateId) => {
+    const pair = innerWall ? (innerEnceinte.gatePairs || []).find((p) => p.outerGateId === outerGateId) : null;
+    return pair ? innerEnceinte.gates[pair.innerGateId] ?? null : null;
+  };
+
   const ring1Snaps = [];
   const ring2Snaps = [];
 
-  for (const g of gates) {
+  gates.forEach((g, gateId) => {
     const a = closestPointOnPolyline(g, ring1);
     const b = closestPointOnPolyline(a, ring2);
 
     ring1Snaps.push(a);
     ring2Snaps.push(b);
 
-    secondary.push([g, a]); // gate -> ring1
-    secondary.push([a, b]); // ring1 -> ring2
-  }
+    const inner = innerGateOf(gateId);
+    if (inner && pointInPoly(a, innerWall)) {
+      secondary.push([g, inner, a]); // gate -> inner gate -> ring1
+      secondary.push([a, b]);
+    } else if (inner && pointInPoly(b, innerWall)) {
+      secondary.push([g, a]);
+      secondary.push([a, inner, b]); // ring1 -> inner gate -> ring2
+    } else {
+      secondary.push([g, a]); // gate -> ring1
+      secondary.push([a, b]); // ring1 -> ring2
+    }
+  });
 
   const linkCount = clamp(Math.floor(gates.length / 2), 2, 3);
   const used = new Set();
@@ -0,0 +1,306 @@
+// docs/src/model/generate_helpers/siege_works.js
+//
+// Vauban-style attack on one front of the bastioned trace (optional siege layer).
+//
+// Target front: the stretch between two bastions the composite wall carries.
+// - weakest: the widest bastion spacing, i.e. the longest curtain with the least flanking
+// - newTown: the front the new town corridor points at (falls back to weakest without one)
+// Fronts facing a water corridor are never attacked.
+//
+// Parallels are arcs round the fort centre that follow the glacis and the outer boundary ray by ray:
+// - first:  just outside the outer boundary, where the trenches open (kept inside the canvas)
+// - third:  at the foot of the glacis (or in front of an outwork beyond it), leaving room for
+//           its batteries
+// - second: halfway between them
+// Zig-zag saps run on the capitals of the two attacked bastions and of the front between them,
+// from the first parallel to the third. Batteries sit on the fortress side of each parallel:
+// ricochet batteries enfilading the attacked faces on the first, enfilade batteries on the
+// second, breaching batteries opposite the bastion points on the third.
+//
+// Nothing lies inside glacisOuter, the outworks or water: parallels are cut where they would
+// cross them, saps and batteries that would are dropped. Jitter comes from the caller's rng.
+
+import { pointInPoly, pointSegmentDistance } from "../../geom/poly.js";
+import { normAngle, inSector, angleGap } from "../../geom/angle_sector.js";
+import { rayPolyMaxT } from "../../geom/radial_ray_clamp.js";
+import { densifyLine } from "../../geom/polyline.js";
+import { listFronts } from "../../geom/fronts.js";
+
+export const SIEGE_FRONTS = Object.freeze(["weakest", "newTown"]);
+
+// Fronts within this angle of a water corridor are not approachable by land.
+const WATER_CLEAR_RAD = Math.PI / 4;
+
+// Parallel spans, in half-fronts either side of the front's centre line.
+const PARALLEL_SPANS = [1.6, 1.4, 1.15];
+const PARALLEL_STEPS = 24;
+
+// First parallel: beyond the outer boundary, and clear of the canvas edge.
+const FIRST_PARALLEL_MARGIN = 12;
+const CANVAS_PAD = 10;
+
+// Radial wobble of the parallels, as a fraction of the first-to-third depth.
+const PARALLEL_JITTER = 0.02;
+
+// Sap leg length and lateral swing, as fractions of the front length.
+const SAP_LEG = 0.35;
+const SAP_SWING = 0.18;
+
+// Battery size, as fractions of the front length (depth as a fraction of battery length).
+const BATTERY_LENGTH = 0.16;
+const BATTERY_DEPTH = 0.35;
+
+// River clearance in pixels: half the drawn river width plus a bank.
+const RIVER_CLEAR = 12;
+
+// Sample spacing used when testing trench lines against obstacles.
+const CHECK_STEP = 2;
+
+function polar(cx, cy, a, r) {
+  return { x: cx + Math.cos(a) * r, y: cy + Math.sin(a) * r };
+}
+
+// Distance from (cx, cy) along angle a to the canvas edge, less the pad.
+function canvasRayLimit(cx, cy, a, width, height) {
+  const dx = Math.cos(a);
+  const dy = Math.sin(a);
+  let t = Infinity;
+  if (dx > 1e-9) t = Math.min(t, (width - CANVAS_PAD - cx) / dx);
+  if (dx < -1e-9) t = Math.min(t, (CANVAS_PAD - cx) / dx);
+  if (dy > 1e-9) t = Math.min(t, (height - CANVAS_PAD - cy) / dy);
+  if (dy < -1e-9) t = Math.min(t, (CANVAS_PAD - cy) / dy);
+  return t;
+}
+
+function makeBlockedTest({ glacisOuter, avoidPolys, waterModel, width, height }) {
+  const coast = (waterModel?.kind === "coast" && Array.isArray(waterModel.coast?.polygon))
+    ? waterModel.coast.polygon
+    : null;
+  const rivers = waterModel?.kind === "river"
+    ? [waterModel.river?.polyline, waterModel.tributary?.polyline].filter(Array.isArray)
+    : [];
+
+  return (p) => {
+    if (p.x < 0 || p.y < 0 || p.x > width || p.y > height) return true;
+    if (pointInPoly(p, glacisOuter)) return true;
+    if (avoidPolys.some((poly) => pointInPoly(p, poly))) return true;
+    if (coast && pointInPoly(p, coast)) return true;
+    for (const river of rivers) {
+      for (let i = 1; i < river.length; i++) {
+        if (pointSegmentDistance(p, river[i - 1], river[i]) < RIVER_CLEAR) return true;
+      }
+    }
+    return false;
+  };
+}
+
+// Points along an open polyline, at most CHECK_STEP apart; `vertex` marks the line's own points.
+function densify(line) {
+  const out = [{ p: line[0], vertex: true }];
+  for (let i = 1; i < line.length; i++) {
+    const seg = densifyLine([line[i - 1], line[i]], CHECK_STEP);
+    for (let j = 1; j < seg.length; j++) out.push({ p: seg[j], vertex: j === seg.length - 1 });
+  }
+  return out;
+}
+
+// Clear runs of a line, cut where it is blocked: the line's own vertices plus the cut ends.
+function clearRuns(line, blocked) {
+  const runs = [];
+  let cur = [];
+  let last = null;
+  const close = () => {
+    if (last && cur[cur.length - 1] !== last) cur.push(last);
+    if (cur.length >= 2) runs.push(cur);
+    cur = [];
+    last = null;
+  };
+  for (const { p, vertex } of densify(line)) {
+    if (blocked(p)) {
+      close();
+      continue;
+    }
+    if (vertex || !cur.length) cur.push(p);
+    last = p;
+  }
+  close();
+  return runs;
+}
+
+function lineIsClear(line, blocked, closed = false) {
+  const pts = closed ? [...line, line[0]] : line;
+  return !densify(pts).some((d) => blocked(d.p));
+}
+
+// Battery: a rectangle across the ray at angle a, a quarter of its depth in front of radius r.
+function batteryPoly(cx, cy, a, r, length, depth) {
+  const ux = Math.cos(a);
+  const uy = Math.sin(a);
+  const tx = -uy;
+  const ty = ux;
+  const r0 = r - depth * 0.25;
+  const r1 = r - depth * 1.25;
+  const h = length * 0.5;
+  return [
+    { x: cx + ux * r0 - tx * h, y: cy + uy * r0 - ty * h },
+    { x: cx + ux * r0 + tx * h, y: cy + uy * r0 + ty * h },
+    { x: cx + ux * r1 + tx * h, y: cy + uy * r1 + ty * h },
+    { x: cx + ux * r1 - tx * h, y: cy + uy * r1 - ty * h },
+  ];
+}
+
+/**
+ * Build the siege works against one front.
+ *
+ * @param {object} args
+ * @param {function} args.rng - siege RNG stream
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.width - canvas width
+ * @param {number} args.height - canvas height
+ * @param {"weakest"|"newTown"} [args.front="weakest"]
+ * @param {Array<Array<{x:number,y:number}>>} args.bastionPolys - bastionPolysWarpedSafe
+ * @param {Array<{x:number,y:number}>} args.wall - composite wall (warp.wallForDraw)
+ * @param {Array<{x:number,y:number}>} args.glacisOuter
+ * @param {Array<{x:number,y:number}>} args.outerBoundary
+ * @param {object|null} args.corridorIntent
+ * @param {object|null} args.waterModel
+ * @param {Array<Array<{x:number,y:number}>>} [args.avoidPolys] - ravelins, hornworks
+ * @returns {null|{
+ *   front:{kind:string, dir:{x:number,y:number}, halfAngle:number, bastionIds:number[]},
+ *   parallels:Array<{n:1|2|3, lines:Array<Array<{x:number,y:number}>>}>,
+ *   saps:Array<{capital:"bastion"|"front", points:Array<{x:number,y:number}>}>,
+ *   batteries:Array<{kind:"ricochet"|"enfilade"|"breach", parallel:1|2|3, poly:Array<{x:number,y:number}>}>
+ * }}
+ */
+export function buildSiegeWorks({
+  rng,
+  cx,
+  cy,
+  width,
+  height,
+  front = "weakest",
+  bastionPolys,
+  wall,
+  glacisOuter,
+  outerBoundary,
+  corridorIntent,
+  waterModel,
+  avoidPolys = [],
+}) {
+  if (typeof rng !== "function") throw new Error("[EMCG] buildSiegeWorks requires a callable rng.");
+  if (!Array.isArray(wall) || wall.length < 3) return null;
+  if (!Array.isArray(glacisOuter) || glacisOuter.length < 3) return null;
+  if (!Array.isArray(outerBoundary) || outerBoundary.length < 3) return null;
+
+  const centre = { x: cx, y: cy };
+  const corridors = Array.isArray(corridorIntent?.corridors) ? corridorIntent.corridors : [];
+  const waterAngles = corridors
+    .filter((c) => c && c.kind === "water")
+    .map((c) => Math.atan2(c.dir.y, c.dir.x));
+
+  // Widest front first.
+  const fronts = listFronts(bastionPolys, cx, cy, wall)
+    .sort((p, q) => q.half - p.half)
+    .filter((f) => !waterAngles.some((w) => angleGap(f.mid, w) < WATER_CLEAR_RAD));
+  if (!fronts.length) return null;
+
+  let target = fronts[0];
+  let kind = "weakest";
+  if (front === "newTown") {
+    const nt = corridors.find((c) => c && c.kind === "newTown");
+    const hit = nt ? fronts.find((f) => inSector(normAngle(Math.atan2(nt.dir.y, nt.dir.x)), f.a0, normAngle(f.a1))) : null;
+    if (hit) {
+      target = hit;
+      kind = "newTown";
+    }
+  }
+
+  const { mid, half } = target;
+  const ray = (a) => ({ x: Math.cos(a), y: Math.sin(a) });
+  // Outer edge of the works along angle a: the glacis, or an outwork standing beyond it.
+  const glacisR = (a) => {
+    let r = rayPolyMaxT(centre, ray(a), glacisOuter) ?? 0;
+    for (const poly of avoidPolys) r = Math.max(r, rayPolyMaxT(centre, ray(a), poly) ?? 0);
+    return r;
+  };
+  const boundaryR = (a) => rayPolyMaxT(centre, ray(a), outerBoundary) ?? glacisR(a);
+
+  const frontLen = glacisR(mid) * half * 2;
+  const batteryLength = frontLen * BATTERY_LENGTH;
+  const batteryDepth = batteryLength * BATTERY_DEPTH;
+  const thirdClear = batteryDepth * 1.5;
+
+  // Radii of the three parallels along angle a.
+  function radii(a) {
+    const r3 = glacisR(a) + thirdClear;
+    const limit = canvasRayLimit(cx, cy, a, width, height);
+    const r1 = Math.max(Math.min(boundaryR(a) + FIRST_PARALLEL_MARGIN, limit), r3 + thirdClear * 2);
+    return [r1, (r1 + r3) * 0.5, r3];
+  }
+
+  const blocked = makeBlockedTest({ glacisOuter, avoidPolys, waterModel, width, height });
+
+  // ---- Parallels ----
+  const parallels = [];
+  for (let k = 0; k < 3; k++) {
+    const span = half * PARALLEL_SPANS[k];
+    const line = [];
+    for (let i = 0; i <= PARALLEL_STEPS; i++) {
+      const a = mid - span + (2 * span * i) / PARALLEL_STEPS;
+      const r = radii(a);
+      const wobble = (rng() * 2 - 1) * PARALLEL_JITTER * (r[0] - r[2]);
+      line.push(polar(cx, cy, a, r[k] + (k === 2 ? Math.abs(wobble) : wobble)));
+    }
+    parallels.push({ n: k + 1, lines: clearRuns(line, blocked) });
+  }
+
+  // ---- Zig-zag saps on the capitals ----
+  const capitals = [
+    { a: target.a0, capital: "bastion" },
+    { a: mid, capital: "front" },
+    { a: target.a1, capital: "bastion" },
+  ];
+  const saps = [];
+  for (const { a, capital } of capitals) {
+    const [r1, , r3] = radii(a);
+    const legs = Math.max(3, Math.min(10, Math.round((r1 - r3) / (frontLen * SAP_LEG))));
+    const u = ray(a);
+    const t = { x: -u.y, y: u.x };
+    const points = [];
+    for (let i = 0; i <= legs; i++) {
+      const r = r1 + ((r3 - r1) * i) / legs;
+      const swing = (i === 0 || i === legs) ? 0 : (i % 2 ? 1 : -1) * frontLen * SAP_SWING * (0.8 + 0.4 * rng());
+      points.push({ x: cx + u.x * r + t.x * swing, y: cy + u.y * r + t.y * swing });
+    }
+    if (lineIsClear(points, blocked)) saps.push({ capital, points });
+  }
+
+  // ---- Batteries ----
+  const batterySites = [
+    { kind: "ricochet", parallel: 1, a: mid - half * 1.3 },
+    { kind: "ricochet", parallel: 1, a: mid + half * 1.3 },
+    { kind: "enfilade", parallel: 2, a: mid - half * 0.6 },
+    { kind: "enfilade", parallel: 2, a: mid + half * 0.6 },
+    { kind: "breach", parallel: 3, a: target.a0 + half * 0.15 },
+    { kind: "breach", parallel: 3, a: target.a1 - half * 0.15 },
+  ];
+  const batteries = [];
+  for (const s of batterySites) {
+    const a = s.a + (rng() * 2 - 1) * half * 0.05;
+    // Far enough out that the whole length clears the works, not just its middle.
+    const r0 = radii(a)[s.parallel - 1];
+    const spread = Math.atan2(batteryLength * 0.5, r0);
+    let r = r0;
+    for (const k of [-1, -0.5, 0.5, 1]) r = Math.max(r, radii(a + spread * k)[s.parallel - 1]);
+    const poly = batteryPoly(cx, cy, a, r, batteryLength, batteryDepth);
+    if (lineIsClear(poly, blocked, true)) batteries.push({ kind: s.kind, parallel: s.parallel, poly });
+  }
+
+  return {
+    front: { kind, dir: ray(mid), halfAngle: half, bastionIds: target.bastionIds },
+    parallels,
+    saps,
+    batteries,
+  };
+}
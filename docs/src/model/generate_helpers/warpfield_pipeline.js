@@ -305,6 +305,7 @@ export function buildStage110Return({
   compositeWall,
   bastionPolysWarpedSafe,
   bastionHullWarpedSafe,
+  outerHullLoop = null,
 }) {
   return {
     warpWall: warpWall ?? null,
@@ -323,5 +324,7 @@ export function buildStage110Return({
       (Array.isArray(bastionHullWarpedSafe) && bastionHullWarpedSafe.length >= 3)
         ? bastionHullWarpedSafe
         : null,
+    outerHullLoop:
+      (Array.isArray(outerHullLoop) && outerHullLoop.length >= 3) ? outerHullLoop : null,
   };
 }
@@ -4,14 +4,21 @@
 // Output is deterministic for a given RNG stream.
 //
 // Contract:
-// buildWater({ rng, siteWater, outerBoundary, cx, cy, baseR, waterIntent }) -> {
+// buildWater({ rng, siteWater, outerBoundary, cx, cy, baseR, waterIntent, riverIslands }) -> {
 //   kind: "none" | "river" | "coast",
 //   polyline: Array<{x,y}> | null,   // river centreline
 //   polygon: Array<{x,y}> | null,    // coast "sea" polygon
+//   shoreline: Array<{x,y}> | null,  // coast shore polyline (coastline.js), with beaches and rocks
+//   river: object | null,            // river body (see river.js buildRiver)
+//   tributary: object | null,        // confluence sites: second river (river.js buildTributary)
 //   bankPoint: {x,y} | null,         // useful hint for docks later
 // }
+//
+// siteWater "confluence" and "canals" build a river too; canals are cut later, on the CityMesh
+// (Stage 132).
 
-import { add, sub, mul, normalize, lerp } from "../../geom/primitives.js";
+import { buildRiver, buildTributary } from "./river.js";
+import { buildCoastline } from "./coastline.js";
 
 function bboxFromPoly(poly) {
   let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -42,66 +49,6 @@ function supportPoint(poly, dir) {
   return best;
 }
 
-function makeRiverPolyline({ rng, outerBoundary, cx, cy, baseR, waterIntent }) {
-  const bb = bboxFromPoly(outerBoundary);
-  const pad = Math.max(baseR * 1.2, 120);
-
-  const w = (bb.maxX - bb.minX) + pad * 2;
-  const h = (bb.maxY - bb.minY) + pad * 2;
-  const span = Math.max(w, h);
-
-  // Pick a direction and a perpendicular.
-  // Always consume RNG once so the remainder of the water stream stays aligned.
-  const angRnd = rng() * Math.PI * 2;
-  
-  let dir = null;
-  if (waterIntent && waterIntent.dir) {
-    dir = normalize(waterIntent.dir);
-  }
-  if (!dir || !Number.isFinite(dir.x) || !Number.isFinite(dir.y)) {
-    dir = normalize({ x: Math.cos(angRnd), y: Math.sin(angRnd) });
-  }
-  
-  const perp = { x: -dir.y, y: dir.x };
-
-  // Choose where the river crosses near the city centre.
-  const crossOffset = (rng() * 2 - 1) * baseR * 0.35;
-  const cross = add({ x: cx, y: cy }, mul(perp, crossOffset));
-
-  // Build points along the line, with gentle lateral meander.
-  const steps = 18;
-  const amp = baseR * (0.10 + rng() * 0.10); // meander amplitude
-  const freq = 1.2 + rng() * 1.2;
-  const phase = rng() * Math.PI * 2;
-
-  const pts = [];
-  for (let i = 0; i <= steps; i++) {
-    const t = lerp(-0.2, 1.2, i / steps);
-
-    const along = (t - 0.5) * span * 1.25;
-    const meander = Math.sin(t * Math.PI * 2 * freq + phase) * amp;
-
-    const p = add(cross, add(mul(dir, along), mul(perp, meander)));
-    pts.push(p);
-  }
-
-  // A reasonable dock hint for later: bank side near the outward direction.
-  // For now, just return the point farthest from centre.
-  let bankPoint = null;
-  let bestD2 = -Infinity;
-  for (const p of pts) {
-    const dx = p.x - cx;
-    const dy = p.y - cy;
-    const d2 = dx * dx + dy * dy;
-    if (d2 > bestD2) {
-      bestD2 = d2;
-      bankPoint = p;
-    }
-  }
-
-  return { polyline: pts, bankPoint };
-}
-
 function makeCoastPolygon({ rng, outerBoundary, cx, cy, baseR, waterIntent }) {
   const bb = bboxFromPoly(outerBoundary);
   const pad = Math.max(baseR * 1.6, 180);
@@ -123,67 +70,56 @@ function makeCoastPolygon({ rng, outerBoundary, cx, cy, baseR, waterIntent }) {
   // How deep the sea cuts into the map.
   const cut = baseR * (0.45 + rng() * 0.35);
 
-  let poly = null;
-  let bankPoint = null;
-
-  if (side === 0) {
-    const xCut = (bb.minX + bb.maxX) * 0.5 - cut;
-    poly = [
-      { x: minX, y: minY },
-      { x: xCut, y: minY },
-      { x: xCut, y: maxY },
-      { x: minX, y: maxY },
-    ];
-    bankPoint = { x: xCut, y: cy };
-  } else if (side === 1) {
-    const xCut = (bb.minX + bb.maxX) * 0.5 + cut;
-    poly = [
-      { x: xCut, y: minY },
-      { x: maxX, y: minY },
-      { x: maxX, y: maxY },
-      { x: xCut, y: maxY },
-    ];
-    bankPoint = { x: xCut, y: cy };
-  } else if (side === 2) {
-    const yCut = (bb.minY + bb.maxY) * 0.5 - cut;
-    poly = [
-      { x: minX, y: minY },
-      { x: maxX, y: minY },
-      { x: maxX, y: yCut },
-      { x: minX, y: yCut },
-    ];
-    bankPoint = { x: cx, y: yCut };
-  } else {
-    const yCut = (bb.minY + bb.maxY) * 0.5 + cut;
-    poly = [
-      { x: minX, y: yCut },
-      { x: maxX, y: yCut },
-      { x: maxX, y: maxY },
-      { x: minX, y: maxY },
-    ];
-    bankPoint = { x: cx, y: yCut };
-  }
-
-  return { polygon: poly, bankPoint };
+  // Straight cut the coastline is displaced from (coastline.js). The shore runs along `along`,
+  // whose left normal is seaward, as the cut edge of the old rectangular sea did.
+  const frames = [
+    { origin: { x: (bb.minX + bb.maxX) * 0.5 - cut, y: cy }, seaward: { x: -1, y: 0 }, along: { x: 0, y: 1 } },
+    { origin: { x: (bb.minX + bb.maxX) * 0.5 + cut, y: cy }, seaward: { x: 1, y: 0 }, along: { x: 0, y: -1 } },
+    { origin: { x: cx, y: (bb.minY + bb.maxY) * 0.5 - cut }, seaward: { x: 0, y: -1 }, along: { x: -1, y: 0 } },
+    { origin: { x: cx, y: (bb.minY + bb.maxY) * 0.5 + cut }, seaward: { x: 0, y: 1 }, along: { x: 1, y: 0 } },
+  ];
+  const { origin, seaward, along } = frames[side];
+
+  const sa = (minX - origin.x) * along.x + (minY - origin.y) * along.y;
+  const sb = (maxX - origin.x) * along.x + (maxY - origin.y) * along.y;
+  const s0 = Math.min(sa, sb);
+  const s1 = Math.max(sa, sb);
+  const far = [origin.x - minX, maxX - origin.x, origin.y - minY, maxY - origin.y][side];
+
+  return buildCoastline({ rng, origin, along, seaward, s0, s1, far, baseR });
 }
 
-export function buildWater({ rng, siteWater, outerBoundary, cx, cy, baseR, waterIntent = null }) {
-  const kind = (siteWater === "river" || siteWater === "coast") ? siteWater : "none";
+export function buildWater({ rng, siteWater, outerBoundary, cx, cy, baseR, waterIntent = null, riverIslands = 0 }) {
+  const kind = waterBodyKind(siteWater);
 
   if (kind === "none") {
-    return { kind: "none", polyline: null, polygon: null, bankPoint: null };
+    return { kind: "none", polyline: null, polygon: null, river: null, tributary: null, bankPoint: null };
   }
 
   if (!outerBoundary || outerBoundary.length < 3) {
-    return { kind, polyline: null, polygon: null, bankPoint: { x: cx, y: cy } };
+    return { kind, polyline: null, polygon: null, river: null, tributary: null, bankPoint: { x: cx, y: cy } };
   }
 
   if (kind === "river") {
-    const { polyline, bankPoint } = makeRiverPolyline({ rng, outerBoundary, cx, cy, baseR, waterIntent });
-    return { kind: "river", polyline, polygon: null, bankPoint };
+    const river = buildRiver({ rng, outerBoundary, cx, cy, baseR, waterIntent, islands: riverIslands });
+    const tributary = siteWater === "confluence"
+      ? buildTributary({ rng, river, outerBoundary, cx, cy, baseR })
+      : null;
+    return { kind: "river", polyline: river.polyline, polygon: null, river, tributary, bankPoint: river.bankPoint };
   }
 
   // Coast
-  const { polygon, bankPoint } = makeCoastPolygon({ rng, outerBoundary, cx, cy, baseR, waterIntent });
-  return { kind: "coast", polyline: null, polygon, bankPoint };
+  const { polygon, shoreline, beaches, rocks, bankPoint } = makeCoastPolygon({ rng, outerBoundary, cx, cy, baseR, waterIntent });
+  return { kind: "coast", polyline: null, polygon, shoreline, beaches, rocks, river: null, tributary: null, bankPoint };
+}
+
+/**
+ * Water body a site kind is built around: confluence and canal sites are river sites.
+ * @param {string} siteWater
+ * @returns {"none"|"river"|"coast"}
+ */
+export function waterBodyKind(siteWater) {
+  if (siteWater === "river" || siteWater === "confluence" || siteWater === "canals") return "river";
+  if (siteWater === "coast") return "coast";
+  return "none";
 }
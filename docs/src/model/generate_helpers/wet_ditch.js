@@ -0,0 +1,226 @@
+// docs/src/model/generate_helpers/wet_ditch.js
+//
+// Wet and dry ditch sectors, fed from the river or the sea.
+//
+// The main ditch is split into sectors at the capitals of the bastions (one sector per front).
+// A sector can only hold water if the water is near: the sector closest to the river or sea
+// must lie within MAX_FEED fort radii of it, or the whole ditch stays dry. Sectors are then wet
+// when they lie within WET_SPAN fort radii further from the water than that closest one; the
+// rest of the ditch is too far up to flood. A flooded ditch (the Dutch school) is wet all round
+// once the nearest sector is fed.
+//
+// - batardeaux: masonry dams across the ditch at each capital between a wet and a dry sector
+// - sluices:    one per run of wet sectors, where the run comes nearest the water, with the
+//               feed channel from the counterscarp to the river or shore
+// - bridges:    the land gates; the ditch is crossed there, so routing does not treat it as water
+//
+// Wet runs are published as bands (outer: counterscarp slice, inner: matching scarp slice) so
+// the renderer and the routing edge flags (applyDeterministicEdgeFlags) share one shape.
+
+import { dist } from "../../geom/primitives.js";
+import { pointInPoly, closestPointOnPolyline, pointSegmentDistance } from "../../geom/poly.js";
+import { angle, normAngle, inSector } from "../../geom/angle_sector.js";
+
+// Farthest the nearest sector may be from the water, in fort radii.
+const MAX_FEED = 0.8;
+
+// How much farther than the nearest sector a sector may be and still flood, in fort radii.
+const WET_SPAN = 0.6;
+
+// Ditch within this many ditch widths of a land gate is bridged.
+const BRIDGE_REACH = 5;
+
+function distanceToWater(p, water) {
+  if (water.coast) {
+    if (pointInPoly(p, water.coast)) return { d: 0, q: p };
+    const q = closestPointOnPolyline(p, water.coast);
+    return { d: dist(p, q), q };
+  }
+  let best = { d: Infinity, q: null };
+  for (const line of water.rivers) {
+    for (let i = 1; i < line.length; i++) {
+      const d = pointSegmentDistance(p, line[i - 1], line[i]);
+      if (d < best.d) best = { d, q: null, i, line };
+    }
+  }
+  if (best.i != null) best.q = closestPointOnPolyline(p, [best.line[best.i - 1], best.line[best.i]]);
+  return { d: best.d, q: best.q };
+}
+
+// Sectors between the capitals of angularly adjacent bastions: [{a0, a1, bastionIds}].
+function listSectors(bastionPolys, cx, cy) {
+  const tips = [];
+  (Array.isArray(bastionPolys) ? bastionPolys : []).forEach((b, id) => {
+    if (!Array.isArray(b) || b.length !== 5) return;
+    tips.push({ id, a: normAngle(angle(cx, cy, b[2])) });
+  });
+  if (tips.length < 2) return [];
+  tips.sort((p, q) => p.a - q.a);
+
+  return tips.map((t, i) => {
+    const next = tips[(i + 1) % tips.length];
+    return { a0: t.a, a1: next.a, bastionIds: [t.id, next.id] };
+  });
+}
+
+// Ring indices whose angle lies in [a0, a1), in ring order starting at the first one after a0.
+function sectorIndices(angles, a0, a1) {
+  const n = angles.length;
+  let start = -1;
+  for (let i = 0; i < n; i++) {
+    if (inSector(angles[i], a0, a1) && !inSector(angles[(i - 1 + n) % n], a0, a1)) {
+      start = i;
+      break;
+    }
+  }
+  if (start < 0) return [];
+  const out = [];
+  for (let k = 0; k < n; k++) {
+    const i = (start + k) % n;
+    if (!inSector(angles[i], a0, a1)) break;
+    out.push(i);
+  }
+  return out;
+}
+
+/**
+ * Decide the wet ditch sectors and place their sluices and batardeaux.
+ *
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.fortR
+ * @param {number} args.ditchWidth
+ * @param {Array<{x:number,y:number}>} args.ditchInner
+ * @param {Array<{x:number,y:number}>} args.ditchOuter - same length as ditchInner, radially matched
+ * @param {Array<Array<{x:number,y:number}>>} args.bastionPolys - bastionPolysWarpedSafe
+ * @param {Array<{x:number,y:number}>} args.gates - land gates (gatesWarped)
+ * @param {object|null} args.waterModel
+ * @param {boolean} [args.flooded=false] - every sector is wet once the nearest one is fed
+ * @returns {object|null}
+ * {
+ *   source,        // "river" | "coast"
+ *   sectors,       // [{ a0, a1, bastionIds, wet, waterDistance }]
+ *   bands,         // [{ outer, inner }] one per wet run (a fully wet ditch is split in two)
+ *   batardeaux,    // [{ a, b }] across the ditch, scarp to counterscarp
+ *   sluices,       // [{ point, channel: [ditchPoint, waterPoint] }]
+ *   bridges,       // [{ point, reach }]
+ * }
+ */
+export function buildWetDitch({
+  cx,
+  cy,
+  fortR,
+  ditchWidth,
+  ditchInner,
+  ditchOuter,
+  bastionPolys,
+  gates,
+  waterModel,
+  flooded = false,
+}) {
+  const coast = (waterModel?.kind === "coast" && Array.isArray(waterModel.coast?.polygon))
+    ? waterModel.coast.polygon
+    : null;
+  // The tributary of a confluence site feeds the ditch like the river.
+  const rivers = waterModel?.kind === "river"
+    ? [waterModel.river?.polyline, waterModel.tributary?.polyline].filter(Array.isArray)
+    : [];
+  if (!coast && !rivers.length) return null;
+  if (!Array.isArray(ditchOuter) || !Array.isArray(ditchInner)) return null;
+  if (ditchOuter.length < 3 || ditchOuter.length !== ditchInner.length) return null;
+
+  const water = { coast, rivers };
+  const n = ditchOuter.length;
+
+  // Walk the rings in increasing angle, like the sectors.
+  let up = 0;
+  for (let i = 0; i < n; i++) {
+    const a0 = angle(cx, cy, ditchOuter[i]);
+    const a1 = angle(cx, cy, ditchOuter[(i + 1) % n]);
+    up += normAngle(a1 - a0) < Math.PI ? 1 : -1;
+  }
+  if (up < 0) {
+    ditchOuter = ditchOuter.slice().reverse();
+    ditchInner = ditchInner.slice().reverse();
+  }
+
+  const angles = ditchOuter.map((p) => normAngle(angle(cx, cy, p)));
+  const reach = ditchOuter.map((p) => distanceToWater(p, water));
+
+  const sectors = listSectors(bastionPolys, cx, cy).map((s) => {
+    const idx = sectorIndices(angles, s.a0, s.a1);
+    let best = -1;
+    for (const i of idx) {
+      if (best < 0 || reach[i].d < reach[best].d) best = i;
+    }
+    return { ...s, idx, nearest: best, waterDistance: best >= 0 ? reach[best].d : Infinity, wet: false };
+  });
+  if (!sectors.length) return null;
+
+  const dMin = Math.min(...sectors.map((s) => s.waterDistance));
+  if (dMin <= fortR * MAX_FEED) {
+    const span = flooded ? Infinity : fortR * WET_SPAN;
+    for (const s of sectors) s.wet = s.idx.length > 0 && s.waterDistance <= dMin + span;
+  }
+
+  // Runs of consecutive wet sectors, in ring order.
+  const m = sectors.length;
+  const runs = [];
+  if (sectors.every((s) => s.wet)) {
+    const h = Math.ceil(m / 2);
+    runs.push(sectors.slice(0, h), sectors.slice(h));
+  } else {
+    const first = sectors.findIndex((s) => !s.wet);
+    let cur = [];
+    for (let k = 1; k <= m; k++) {
+      const s = sectors[(first + k) % m];
+      if (s.wet) {
+        cur.push(s);
+      } else if (cur.length) {
+        runs.push(cur);
+        cur = [];
+      }
+    }
+  }
+
+  const bands = [];
+  const sluices = [];
+  for (const run of runs) {
+    const idx = run.flatMap((s) => s.idx);
+    if (idx.length < 2) continue;
+    // Close the band at the next sector's first vertex so adjacent runs meet at the capital.
+    const last = idx[idx.length - 1];
+    const ids = [...idx, (last + 1) % n];
+    bands.push({ outer: ids.map((i) => ditchOuter[i]), inner: ids.map((i) => ditchInner[i]) });
+
+    const feed = run.reduce((b, s) => (s.waterDistance < b.waterDistance ? s : b), run[0]);
+    const p = ditchOuter[feed.nearest];
+    const q = reach[feed.nearest].q ?? p;
+    sluices.push({ point: p, channel: [p, q] });
+  }
+
+  // Batardeaux at wet/dry capitals: the first ring vertex of the sector after the change.
+  const batardeaux = [];
+  for (let k = 0; k < m; k++) {
+    const s = sectors[k];
+    const next = sectors[(k + 1) % m];
+    if (s.wet === next.wet || !next.idx.length) continue;
+    const i = next.idx[0];
+    batardeaux.push({ a: ditchInner[i], b: ditchOuter[i] });
+  }
+
+  const bridgeReach = Math.max(1, ditchWidth) * BRIDGE_REACH;
+  const bridges = (Array.isArray(gates) ? gates : [])
+    .filter(Boolean)
+    .map((g) => ({ point: { x: g.x, y: g.y }, reach: bridgeReach }));
+
+  return {
+    source: coast ? "coast" : "river",
+    sectors: sectors.map(({ a0, a1, bastionIds, wet, waterDistance }) => ({ a0, a1, bastionIds, wet, waterDistance })),
+    bands,
+    batardeaux,
+    sluices,
+    bridges,
+  };
+}
@@ -1,5 +1,9 @@
 // docs/src/model/hull/citadel_fit.js
 // Citadel fitting inside the visible Citadel ward, inner hull, and plaza-clearance domain.
+//
+// The Stage 100 trace (pentagon, square or irregular, citadel_forms.js) is moved and scaled
+// uniformly so its bastions keep their shape. The esplanade, the open ground between the
+// citadel and the town, is a radial offset of the fitted trace kept inside the citadel ward.
 
 import {
   safeArray,
@@ -13,12 +17,43 @@ import {
   pointDistanceToPolygonSamples,
   polygonClearOfPoint,
   scalePolyToward,
-  clamp,
-  cross2,
-  dedupePoints,
   alignWinding,
 } from "./hull_geom.js";
 import { wardById, wardPoly } from "./core_set.js";
+import { offsetRadial } from "../../geom/offset.js";
+import {
+  DEFAULT_CITADEL_FORM,
+  ESPLANADE_WIDTH,
+  citadelBastions,
+} from "../generate_helpers/citadel_forms.js";
+
+// Fractions of the largest uniform scale that fits, tried in order.
+const CITADEL_FIT_FACTORS = [0.8, 0.72, 0.64, 0.56, 0.48, 0.4, 0.34];
+
+// Esplanade widths tried, as fractions of the form's full width.
+const ESPLANADE_STEPS = [1, 0.75, 0.5, 0.25];
+
+/**
+ * Esplanade outer edge: the widest radial offset of the citadel that stays inside the ward.
+ * @returns {{poly:Array<{x:number,y:number}>, width:number}|null}
+ */
+function buildEsplanade(poly, citadelWardPoly, form) {
+  if (!Array.isArray(poly) || poly.length < 3) return null;
+  if (!Array.isArray(citadelWardPoly) || citadelWardPoly.length < 3) return null;
+
+  const c = polygonCentroidSafe(poly);
+  if (!isPoint(c)) return null;
+
+  const meanR = Math.sqrt(polygonAbsArea(poly) / Math.PI);
+  const full = meanR * (ESPLANADE_WIDTH[form] ?? ESPLANADE_WIDTH[DEFAULT_CITADEL_FORM]);
+
+  for (const step of ESPLANADE_STEPS) {
+    const width = full * step;
+    const edge = offsetRadial(poly, c.x, c.y, width);
+    if (polygonInsideAllPolys(edge, [citadelWardPoly])) return { poly: edge, width };
+  }
+  return null;
+}
 
 function buildCitadelWardFitDomain(citadelWardPoly, innerHullPoly) {
   if (!Array.isArray(citadelWardPoly) || citadelWardPoly.length < 3) {
@@ -110,51 +145,6 @@ function transformPolyUniform(poly, fromCentre, toCentre, scale) {
   }));
 }
 
-function rayMinRadiusToPoly(centre, dir, poly) {
-  if (!isPoint(centre) || !isPoint(dir) || !Array.isArray(poly) || poly.length < 3) return null;
-
-  let bestT = null;
-  const eps = 1e-9;
-
-  for (let i = 0; i < poly.length; i++) {
-    const a = poly[i];
-    const b = poly[(i + 1) % poly.length];
-    if (!isPoint(a) || !isPoint(b)) continue;
-
-    const sx = b.x - a.x;
-    const sy = b.y - a.y;
-    const dx = dir.x;
-    const dy = dir.y;
-
-    const den = cross2(dx, dy, sx, sy);
-    if (Math.abs(den) <= eps) continue;
-
-    const acx = a.x - centre.x;
-    const acy = a.y - centre.y;
-
-    const t = cross2(acx, acy, sx, sy) / den;
-    const u = cross2(acx, acy, dx, dy) / den;
-
-    if (t > eps && u >= -eps && u <= 1 + eps) {
-      if (bestT == null || t < bestT) bestT = t;
-    }
-  }
-
-  return bestT;
-}
-
-function minBoundaryRadiusForDir(centre, dir, polys) {
-  let best = null;
-  for (const poly of safeArray(polys)) {
-    if (!Array.isArray(poly) || poly.length < 3) continue;
-    const r = rayMinRadiusToPoly(centre, dir, poly);
-    if (Number.isFinite(r) && r > 0) {
-      best = best == null ? r : Math.min(best, r);
-    }
-  }
-  return best;
-}
-
 function candidateFitCentres({ anchors, citadel, citadelWardPoly, innerHullPoly }) {
   const out = [];
   const push = (p, source) => {
@@ -258,48 +248,6 @@ function maxUniformScaleInside({ poly, fromCentre, toCentre, domains }) {
   return lo;
 }
 
-function buildRadialCitadelCandidate({ poly, fromCentre, toCentre, domains, uniformScale, edgePull }) {
-  if (!Array.isArray(poly) || poly.length < 3) return null;
-  if (!isPoint(fromCentre) || !isPoint(toCentre)) return null;
-  if (!Number.isFinite(uniformScale) || uniformScale <= 0) return null;
-
-  const pull = clamp(edgePull, 0, 1);
-  const out = [];
-  const n = poly.length;
-
-  for (let i = 0; i < n; i++) {
-    const p = poly[i];
-    if (!isPoint(p)) return null;
-
-    let dx = p.x - fromCentre.x;
-    let dy = p.y - fromCentre.y;
-    let r = Math.hypot(dx, dy);
-
-    if (!(Number.isFinite(r) && r > 1e-9)) {
-      const t = (i / Math.max(1, n)) * Math.PI * 2;
-      dx = Math.cos(t);
-      dy = Math.sin(t);
-      r = 1;
-    }
-
-    const dir = { x: dx / r, y: dy / r };
-    const boundaryR = minBoundaryRadiusForDir(toCentre, dir, domains);
-    if (!(Number.isFinite(boundaryR) && boundaryR > 1e-9)) return null;
-
-    const baseR = r * uniformScale * 0.88;
-    const maxR = boundaryR * 0.86;
-    const targetR = baseR * (1 - pull) + maxR * pull;
-    const finalR = Math.min(maxR, targetR);
-
-    out.push({
-      x: toCentre.x + dir.x * finalR,
-      y: toCentre.y + dir.y * finalR,
-    });
-  }
-
-  return alignWinding(dedupePoints(out, 1e-6), poly);
-}
-
 function buildFittedCitadelPolygon({ citadel, anchors, citadelWardPoly, innerHullPoly }) {
   if (!Array.isArray(citadel) || citadel.length < 3) {
     return { ok: false, reason: "missing_citadel_poly" };
@@ -364,53 +312,25 @@ function buildFittedCitadelPolygon({ citadel, anchors, citadelWardPoly, innerHul
     };
   }
 
+  // Uniform scale only, so the bastions keep their shape. The first factor leaves room in the
+  // ward for the esplanade; smaller ones clear the plaza.
   let best = null;
 
-  for (const edgePull of [0.45, 0.32, 0.2, 0.1, 0]) {
-    const candidate = buildRadialCitadelCandidate({
-      poly: citadel,
-      fromCentre,
-      toCentre: centreChoice.point,
-      domains,
-      uniformScale: maxScale,
-      edgePull,
-    });
+  for (const factor of CITADEL_FIT_FACTORS) {
+    const uniform = transformPolyUniform(citadel, fromCentre, centreChoice.point, maxScale * factor);
+    const candidate = alignWinding(uniform, citadel);
 
     if (!polygonInsideAllPolys(candidate, domains)) continue;
     if (!polygonInsideAllPolys(candidate, proofDomains)) continue;
     if (!polygonClearOfPoint(candidate, anchors?.plaza, plazaClearance)) continue;
 
-    const area = polygonAbsArea(candidate);
-    if (!best || area > best.area || (area === best.area && edgePull > best.edgePull)) {
-      best = {
-        poly: candidate,
-        area,
-        edgePull,
-        mode: "radial_ward_fit",
-      };
-    }
-  }
-
-  if (!best) {
-    // Deterministic fallback: shrink around the selected fit centre until the
-    // citadel fits the visible ward domain and clears the plaza.
-    for (const factor of [0.82, 0.74, 0.66, 0.58, 0.50, 0.42, 0.34]) {
-      const uniform = transformPolyUniform(citadel, fromCentre, centreChoice.point, maxScale * factor);
-      const candidate = alignWinding(uniform, citadel);
-
-      if (!polygonInsideAllPolys(candidate, domains)) continue;
-      if (!polygonInsideAllPolys(candidate, proofDomains)) continue;
-      if (!polygonClearOfPoint(candidate, anchors?.plaza, plazaClearance)) continue;
-
-      best = {
-        poly: candidate,
-        area: polygonAbsArea(candidate),
-        edgePull: 0,
-        mode: "uniform_visible_ward_fit",
-        fallbackFactor: factor,
-      };
-      break;
-    }
+    best = {
+      poly: candidate,
+      area: polygonAbsArea(candidate),
+      factor,
+      mode: "uniform_ward_fit",
+    };
+    break;
   }
 
   if (!best || !Array.isArray(best.poly) || best.poly.length < 3) {
@@ -430,7 +350,7 @@ function buildFittedCitadelPolygon({ citadel, anchors, citadelWardPoly, innerHul
     centre: centreChoice.point,
     centreSource: centreChoice.source,
     maxUniformScale: maxScale,
-    edgePull: best.edgePull,
+    fitFactor: best.factor,
     area: best.area,
     fitMode: best.mode,
     plazaClearance,
@@ -441,7 +361,14 @@ function buildFittedCitadelPolygon({ citadel, anchors, citadelWardPoly, innerHul
   };
 }
 
-export function buildCitadelFit({ citadel, wardsState, coreSet, innerHullModel, anchors }) {
+export function buildCitadelFit({
+  citadel,
+  form = DEFAULT_CITADEL_FORM,
+  wardsState,
+  coreSet,
+  innerHullModel,
+  anchors,
+}) {
   const wardsWithRoles = safeArray(wardsState?.wardsWithRoles);
   const citadelWard = wardById(wardsWithRoles, coreSet.citadelWardId);
   const citadelWardPoly = wardPoly(citadelWard);
@@ -493,12 +420,17 @@ export function buildCitadelFit({ citadel, wardsState, coreSet, innerHullModel,
   });
 
   const clearOfPlaza = polygonClearOfPoint(poly, anchors?.plaza, plazaClearance);
+  const esplanade = buildEsplanade(poly, citadelWardPoly, form);
 
   return {
     poly,
     originalPoly,
+    form,
+    bastions: citadelBastions(poly),
+    esplanade: esplanade?.poly ?? null,
+    esplanadeWidth: esplanade?.width ?? 0,
     wardId: coreSet.citadelWardId ?? null,
-    fitMode: fitted.ok ? (fitted.fitMode ?? "radial_ward_fit") : "legacy_fallback",
+    fitMode: fitted.ok ? (fitted.fitMode ?? "uniform_ward_fit") : "legacy_fallback",
     insideCitadelWard,
     insideInnerHull,
     centroidInsideCitadelWard,
@@ -512,7 +444,7 @@ export function buildCitadelFit({ citadel, wardsState, coreSet, innerHullModel,
       centre: fitted.centre ?? null,
       centreSource: fitted.centreSource ?? null,
       maxUniformScale: fitted.maxUniformScale ?? null,
-      edgePull: fitted.edgePull ?? null,
+      fitFactor: fitted.fitFactor ?? null,
       fitDomainMode: fitted.fitDomainMode ?? null,
       fitDomainScale: fitted.fitDomainScale ?? null,
       fitDomainPointCount: fitted.fitDomainPointCount ?? null,
@@ -1,5 +1,6 @@
 // docs/src/model/hull/coast_geometry.js
 // Coast-as-neighbour-curve model for Stage 105.
+// Port cities also carry their harbour (hull/harbour.js) here.
 
 import {
   safeArray,
@@ -229,7 +230,7 @@ function buildOuterBoundaryCoastCurve({ outerBoundary, waterModel, waterIntent,
   };
 }
 
-export function buildCoastGeometry({ waterModel, outerBoundary, waterIntent, cx, cy }) {
+export function buildCoastGeometry({ waterModel, outerBoundary, waterIntent, harbour = null, cx, cy }) {
   if (!waterModel || waterModel.kind !== "coast") return null;
 
   const centre = Number.isFinite(cx) && Number.isFinite(cy) ? { x: cx, y: cy } : null;
@@ -253,6 +254,7 @@ export function buildCoastGeometry({ waterModel, outerBoundary, waterIntent, cx,
     kind: "coast_curve",
     curve,
     bankPoint: waterModel.bankPoint ?? null,
+    harbour: harbour ?? null,
     boundaryVertexIndices: boundaryCurve.ok ? boundaryCurve.boundaryVertexIndices : [],
     source: boundaryCurve.ok ? "outerBoundary_seaward_segment" : "waterModel_fallback_curve",
     fitMode: boundaryCurve.ok ? "outer_boundary_neighbour_curve" : "water_model_curve_fallback",
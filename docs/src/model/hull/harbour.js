@@ -0,0 +1,326 @@
+// docs/src/model/hull/harbour.js
+// Harbour basin for coast sites with docks, built with coastGeometry in Stage 105.
+//
+// The basin is carved into the coast near the dock shore point (dockShorePoint, the point Stage
+// 130 docks toward) and closed on the sea side by one or two breakwater moles. Its carved part
+// stays inside the outer boundary. The site is the shore sample nearest the dock shore point
+// where such a basin fits; when none does, the basin is not carved and lies between the shore
+// and the moles.
+//
+// The basin keeps its size next to the fortress: Stage 110 clips the outer hull loop it keeps
+// the wall inside around the basin (clipLoopAroundHarbour), so the wall and the bastions stand
+// back HARBOUR_HULL_MARGIN fort radii from the water instead.
+//
+// - moles: from either end of the basin out to sea, hooked toward each other to leave the mouth
+// - head:  a lighthouse, or a harbour fort when the mole head is beyond HARBOUR_FORT_REACH of the
+//          outer hull, on the head of the first mole
+// - quays: the basin's land edges where a ward lies behind them
+// - dockPoint: behind the back quay; Stage 130 docks there when it can
+
+import { add, sub, mul, dist, normalize, perp } from "../../geom/primitives.js";
+import { pointInPoly, snapPointToPolyline, centroid } from "../../geom/poly.js";
+import { rayPolyMinT } from "../../geom/radial_ray_clamp.js";
+import { dockShorePoint } from "../shore.js";
+import { safeArray, isPoint, pointDistanceToPolyBoundary, dedupePoints } from "./hull_geom.js";
+import { wardPoly } from "./core_set.js";
+
+export const HARBOUR_HEADS = Object.freeze(["lighthouse", "fort"]);
+
+// Basin size in fort radii: width along the shore, carved depth and its smallest useful value.
+const HARBOUR_WIDTH = 0.4;
+const HARBOUR_DEPTH = 0.2;
+const HARBOUR_MIN_DEPTH = 0.05;
+
+// Clearance of the clipped outer hull from the basin, in fort radii, and the spacing of the
+// points the clipped hull is resampled at.
+const HARBOUR_HULL_MARGIN = 0.04;
+const HULL_CLIP_STEP = 0.01;
+
+// Mole reach out to sea and width, in fort radii; mouth width as a fraction of the basin width.
+const MOLE_REACH = 0.3;
+const MOLE_WIDTH = 0.03;
+const MOUTH_WIDTH = 0.35;
+
+// A mole head farther than this from the outer hull, in fort radii, carries a harbour fort.
+const HARBOUR_FORT_REACH = 0.55;
+
+// Spacing of the shore samples tried as sites, in fort radii.
+const SITE_STEP = 0.05;
+
+// Quay sampling: samples per basin edge, and how far behind the edge a ward is looked for.
+const QUAY_SAMPLES = 8;
+const QUAY_PROBE = 0.02;
+
+// Shore tangent at p: the nearest shoreline segment.
+function shoreTangent(shoreline, p) {
+  let best = null;
+  let bestD = Infinity;
+  for (let i = 0; i < shoreline.length - 1; i++) {
+    const a = shoreline[i];
+    const b = shoreline[i + 1];
+    const q = snapPointToPolyline(p, [a, b]);
+    const d = dist(p, q);
+    if (d < bestD && dist(a, b) > 1e-9) {
+      bestD = d;
+      best = normalize(sub(b, a));
+    }
+  }
+  return best;
+}
+
+function sampleEdge(a, b, n) {
+  const out = [];
+  for (let k = 0; k <= n; k++) out.push(add(a, mul(sub(b, a), k / n)));
+  return out;
+}
+
+// Deepest carve in [min, max] whose edges stay inside the outer boundary.
+function fitDepth({ A, B, n, outerBoundary, baseR }) {
+  if (!Array.isArray(outerBoundary) || outerBoundary.length < 3) return baseR * HARBOUR_DEPTH;
+  for (let d = baseR * HARBOUR_DEPTH; d >= baseR * HARBOUR_MIN_DEPTH; d *= 0.85) {
+    const Ai = add(A, mul(n, -d));
+    const Bi = add(B, mul(n, -d));
+    const pts = [...sampleEdge(A, Ai, 4), ...sampleEdge(Ai, Bi, 8), ...sampleEdge(Bi, B, 4)];
+    if (pts.every((p) => pointInPoly(p, outerBoundary))) return d;
+  }
+  return 0;
+}
+
+function shoreSamples(shoreline, step) {
+  const out = [];
+  for (let i = 0; i < shoreline.length - 1; i++) {
+    const a = shoreline[i];
+    const b = shoreline[i + 1];
+    const k = Math.max(1, Math.ceil(dist(a, b) / step));
+    for (let j = 0; j < k; j++) out.push(add(a, mul(sub(b, a), j / k)));
+  }
+  out.push(shoreline[shoreline.length - 1]);
+  return out;
+}
+
+// Seaward normal of the shore at p.
+function seaNormal(t, p, sea, baseR) {
+  const n = perp(t);
+  return pointInPoly(add(p, mul(n, baseR * 0.05)), sea) ? n : mul(n, -1);
+}
+
+// Basin ends on the shore either side of p, and the deepest carve that fits there.
+function fitSite({ p, shoreline, sea, outerBoundary, baseR }) {
+  const t = shoreTangent(shoreline, p);
+  if (!t) return null;
+  const n = seaNormal(t, p, sea, baseR);
+  const width = baseR * HARBOUR_WIDTH;
+  const A = snapPointToPolyline(add(p, mul(t, -width * 0.5)), shoreline);
+  const B = snapPointToPolyline(add(p, mul(t, width * 0.5)), shoreline);
+  return { site: p, t, n, A, B, depth: fitDepth({ A, B, n, outerBoundary, baseR }) };
+}
+
+// Runs of edge samples with a ward behind them.
+function quayRuns(a, b, away, wardPolys, probe) {
+  const runs = [];
+  let run = null;
+  for (const p of sampleEdge(a, b, QUAY_SAMPLES)) {
+    const q = add(p, mul(away, probe));
+    if (wardPolys.some((poly) => pointInPoly(q, poly))) {
+      if (!run) run = [];
+      run.push(p);
+    } else {
+      if (run && run.length >= 2) runs.push(run);
+      run = null;
+    }
+  }
+  if (run && run.length >= 2) runs.push(run);
+  return runs;
+}
+
+/**
+ * Plan the harbour of a coast site with docks.
+ *
+ * @param {object} args
+ * @param {boolean} args.hasDock
+ * @param {object} args.waterModel - coast water model (Stage 40)
+ * @param {Array<{x:number,y:number}>} args.outerBoundary
+ * @param {Array<{x:number,y:number}>|null} args.outerHull - Stage 50 outer hull loop
+ * @param {object} args.wardsState - Stage 50 wards (wardsWithRoles)
+ * @param {object} args.anchors
+ * @param {object|null} args.newTown
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.baseR
+ * @param {object} [args.params] - harbourMoles (1|2), harbourHead (HARBOUR_HEADS)
+ * @returns {object|null}
+ * {
+ *   site, dir, tangent,   // shore point, unit seaward normal and shore tangent
+ *   width, depth,         // depth 0: not carved
+ *   carved,               // land cut away for the basin, or null
+ *   basin,                // water enclosed by the shore, the carve and the moles
+ *   moles,                // [{ polyline, width }]
+ *   mouth,                // { a, b, width }
+ *   head,                 // { kind, point, size, poly }, poly for a fort
+ *   quays,                // [polyline]
+ *   dockPoint,
+ * }
+ */
+export function buildHarbour({ hasDock, waterModel, outerBoundary, outerHull, wardsState, anchors, newTown, cx, cy, baseR, params = null }) {
+  if (!hasDock || waterModel?.kind !== "coast") return null;
+  const shoreline = waterModel.shoreline;
+  const sea = waterModel.coast?.polygon;
+  if (!Array.isArray(shoreline) || shoreline.length < 2 || !Array.isArray(sea) || sea.length < 3) return null;
+
+  const centre = { x: cx, y: cy };
+  const shore = dockShorePoint({ anchors, newTown, outerBoundary, centre, waterModel });
+  if (!shore) return null;
+
+  // Nearest shore sample to the dock shore point with a carved basin, else the point itself.
+  const wanted = shore.snapped;
+  const samples = shoreSamples(shoreline, baseR * SITE_STEP)
+    .filter((p) => !Array.isArray(outerBoundary) || outerBoundary.length < 3 || pointInPoly(p, outerBoundary))
+    .sort((p, q) => dist(p, wanted) - dist(q, wanted));
+  let fit = null;
+  for (const p of samples) {
+    const f = fitSite({ p, shoreline, sea, outerBoundary, baseR });
+    if (f && f.depth > 0) {
+      fit = f;
+      break;
+    }
+  }
+  fit = fit ?? fitSite({ p: samples[0] ?? wanted, shoreline, sea, outerBoundary, baseR });
+  if (!fit) return null;
+
+  const { site, t, n, A, B } = fit;
+  const width = baseR * HARBOUR_WIDTH;
+  const depth = fit.depth;
+  const Ai = add(A, mul(n, -depth));
+  const Bi = add(B, mul(n, -depth));
+
+  // Moles: out to sea, then hooked along the shore toward the mouth.
+  const moleCount = params?.harbourMoles === 1 ? 1 : 2;
+  const reach = baseR * MOLE_REACH;
+  const mouthW = width * MOUTH_WIDTH;
+
+  // A single mole is rooted at the end farther from the centre, so the mouth faces the town.
+  const flip = moleCount === 1 && dist(B, centre) > dist(A, centre);
+  const [P, Q] = flip ? [B, A] : [A, B];
+  const along = normalize(sub(Q, P));
+  const span = dist(P, Q);
+
+  const moles = [];
+  const pOut = add(P, mul(n, reach));
+  let mouth;
+  if (moleCount === 1) {
+    const pHead = add(pOut, mul(along, span - mouthW));
+    moles.push({ polyline: [P, pOut, pHead], width: baseR * MOLE_WIDTH });
+    const qOut = add(Q, mul(n, reach));
+    mouth = { a: pHead, b: qOut, width: dist(pHead, qOut) };
+  } else {
+    const pHead = add(pOut, mul(along, (span - mouthW) * 0.5));
+    const qOut = add(Q, mul(n, reach));
+    const qHead = add(qOut, mul(along, -(span - mouthW) * 0.5));
+    moles.push({ polyline: [P, pOut, pHead], width: baseR * MOLE_WIDTH });
+    moles.push({ polyline: [Q, qOut, qHead], width: baseR * MOLE_WIDTH });
+    mouth = { a: pHead, b: qHead, width: dist(pHead, qHead) };
+  }
+
+  const [Pi, Qi] = flip ? [Bi, Ai] : [Ai, Bi];
+  const basin = dedupePoints(
+    moleCount === 1
+      ? [P, Pi, Qi, Q, mouth.a, pOut]
+      : [P, Pi, Qi, Q, add(Q, mul(n, reach)), mouth.b, mouth.a, pOut],
+    1e-6
+  );
+
+  // Head structure on the first mole.
+  const headPoint = moles[0].polyline[moles[0].polyline.length - 1];
+  const hullD = Array.isArray(outerHull) && outerHull.length >= 3 ? pointDistanceToPolyBoundary(headPoint, outerHull) : Infinity;
+  const kind = HARBOUR_HEADS.includes(params?.harbourHead)
+    ? params.harbourHead
+    : (hullD > baseR * HARBOUR_FORT_REACH ? "fort" : "lighthouse");
+  const size = baseR * (kind === "fort" ? 0.05 : 0.025);
+  const head = {
+    kind,
+    point: headPoint,
+    size,
+    poly: kind === "fort"
+      ? [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => add(headPoint, add(mul(along, u * size), mul(n, v * size))))
+      : null,
+  };
+
+  // Quays on the land edges of the basin with a ward behind them.
+  const wardPolys = safeArray(wardsState?.wardsWithRoles).map(wardPoly).filter((p) => Array.isArray(p) && p.length >= 3);
+  const mid = centroid(basin);
+  const landEdges = depth > 0 ? [[A, Ai], [Ai, Bi], [Bi, B]] : [[A, B]];
+  const quays = [];
+  for (const [a, b] of landEdges) {
+    const e = normalize(sub(b, a));
+    let away = perp(e);
+    const m = mul(add(a, b), 0.5);
+    if (dist(add(m, away), mid) < dist(m, mid)) away = mul(away, -1);
+    quays.push(...quayRuns(a, b, away, wardPolys, baseR * QUAY_PROBE));
+  }
+
+  const back = mul(add(Ai, Bi), 0.5);
+  const dockPoint = add(back, mul(n, -baseR * QUAY_PROBE * 1.5));
+
+  return {
+    site,
+    dir: n,
+    tangent: t,
+    width,
+    depth,
+    carved: depth > 0 ? [A, Ai, Bi, B] : null,
+    basin,
+    moles,
+    mouth,
+    head,
+    quays,
+    dockPoint: isPoint(dockPoint) ? dockPoint : null,
+  };
+}
+
+/**
+ * Clip a hull loop around the harbour basin: each point whose ray from the centre reaches the
+ * basin is pulled in to HARBOUR_HULL_MARGIN fort radii short of it. Edges the basin reaches are
+ * resampled every HULL_CLIP_STEP fort radii so the notch follows the basin; a loop the basin does
+ * not reach is returned unchanged.
+ *
+ * @param {Array<{x:number,y:number}>|null} loop
+ * @param {object|null} harbour - buildHarbour() output (coastGeometry.harbour)
+ * @param {{x:number,y:number}} centre
+ * @param {number} baseR
+ * @returns {Array<{x:number,y:number}>|null}
+ */
+export function clipLoopAroundHarbour(loop, harbour, centre, baseR) {
+  const basin = harbour?.basin;
+  if (!Array.isArray(loop) || loop.length < 3 || !Array.isArray(basin) || basin.length < 3) return loop;
+
+  const margin = baseR * HARBOUR_HULL_MARGIN;
+  const step = baseR * HULL_CLIP_STEP;
+  // Clipped point, or null when the basin does not reach it.
+  function clipPoint(p) {
+    const r = dist(p, centre);
+    if (r <= 1e-9) return null;
+    const dir = mul(sub(p, centre), 1 / r);
+    const t = rayPolyMinT(centre, dir, basin);
+    if (t == null || t - margin >= r) return null;
+    return add(centre, mul(dir, Math.max(0, t - margin)));
+  }
+
+  let clipped = false;
+  const out = [];
+  for (let i = 0; i < loop.length; i++) {
+    const a = loop[i];
+    const b = loop[(i + 1) % loop.length];
+    const k = Math.max(1, Math.ceil(dist(a, b) / step));
+    const samples = [];
+    for (let j = 0; j < k; j++) samples.push(add(a, mul(sub(b, a), j / k)));
+    const cut = samples.map(clipPoint);
+    if (cut.some(Boolean)) {
+      clipped = true;
+      samples.forEach((p, j) => out.push(cut[j] ?? p));
+    } else {
+      out.push(a);
+    }
+  }
+
+  return clipped ? dedupePoints(out, 1e-6) : loop;
+}
@@ -288,7 +288,7 @@ export function checkHullModelInvariants({
     const fitMode = hullBundle.citadelFit.fitMode ?? null;
 
     const allowedCitadelFitMode =
-      fitMode === "radial_ward_fit" ||
+      fitMode === "uniform_ward_fit" ||
       fitMode === "legacy_fallback";
 
     pushIfFalse(
@@ -311,7 +311,7 @@ export function checkHullModelInvariants({
       "Milestone 4.9 invalid: citadelFit.wardId is missing"
     );
 
-    if (fitMode === "radial_ward_fit") {
+    if (fitMode === "uniform_ward_fit") {
       pushIfFalse(
         errors,
         hullBundle.citadelFit.insideCitadelWard !== false,
@@ -0,0 +1,127 @@
+// docs/src/model/measure.js
+//
+// Real-world measurements of a generated model, in its unit system (model.units, see units.js).
+//
+// - curtains: one per front, from the flank end (B1) of a bastion to the flank end (B0) of the
+//             angularly next bastion; a front where the two bastions meet is flagged `joined` and
+//             left out of the curtain stats
+// - bastions: faces (shoulder to tip) and flanks (curtain end to shoulder) of every bastion
+// - ditch:    ditch and glacis widths
+// - wards:    area of every ward, with its role
+//
+// Works on a generated or deserialised model; nothing here feeds back into generation.
+
+import { dist } from "../geom/primitives.js";
+import { areaAbs } from "../geom/poly.js";
+import { polylineLength } from "../geom/polyline.js";
+import { listFronts } from "../geom/fronts.js";
+import { resolveUnits, toRealLength, toRealArea } from "./units.js";
+
+// Flank ends closer than this (model units) are one point: the bastions meet.
+const JOINED_EPS = 1e-6;
+
+function isBastion(b) {
+  return Array.isArray(b) && b.length === 5;
+}
+
+function summarise(values) {
+  if (!values.length) return { count: 0, min: null, max: null, mean: null, median: null };
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((s, v) => s + v, 0) / sorted.length,
+    median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) * 0.5,
+  };
+}
+
+/**
+ * Curtain lengths in model units, one per front, in increasing angle from the centre. Where the
+ * two bastions meet there is no curtain: `joined` is set and the length is 0.
+ * @param {{cx:number, cy:number, bastionPolys:Array}} model
+ * @returns {Array<{bastionIds:number[], length:number, joined:boolean}>}
+ */
+export function measureCurtains(model) {
+  const bastionPolys = model?.bastionPolys;
+  return listFronts(bastionPolys, model?.cx, model?.cy).map(({ bastionIds: [i, j] }) => {
+    const length = dist(bastionPolys[i][4], bastionPolys[j][0]);
+    return { bastionIds: [i, j], length, joined: length <= JOINED_EPS };
+  });
+}
+
+/**
+ * Face and flank lengths of every bastion in model units.
+ * @param {{bastionPolys:Array}} model
+ * @returns {Array<{id:number, faces:number[], flanks:number[]}>}
+ */
+export function measureBastions(model) {
+  const out = [];
+  (Array.isArray(model?.bastionPolys) ? model.bastionPolys : []).forEach((b, id) => {
+    if (!isBastion(b)) return;
+    out.push({
+      id,
+      faces: [dist(b[1], b[2]), dist(b[2], b[3])],
+      flanks: [dist(b[0], b[1]), dist(b[3], b[4])],
+    });
+  });
+  return out;
+}
+
+/**
+ * Ward areas in model units squared.
+ * @param {{wards:Array}} model
+ * @returns {Array<{id:number, role:string|null, area:number}>}
+ */
+export function measureWards(model) {
+  return (Array.isArray(model?.wards) ? model.wards : [])
+    .filter((w) => Array.isArray(w?.poly) && w.poly.length >= 3)
+    .map((w) => ({ id: w.id, role: w.role ?? null, area: areaAbs(w.poly) }));
+}
+
+/**
+ * All measurements of a model, converted to its unit system.
+ *
+ * Lengths are in `units.unit`, areas in `units.unit` squared. Models without units (older JSON)
+ * use the units.js defaults.
+ *
+ * @param {object} model
+ * @returns {object}
+ * {
+ *   units,        // { unit, metresPerUnit }
+ *   wallLength,   // composite wall perimeter
+ *   curtains,     // [{ bastionIds, length, joined }] and curtainStats (joined fronts left out)
+ *   bastions,     // [{ id, faces, flanks }] and faceStats / flankStats
+ *   ditchWidth,
+ *   glacisWidth,
+ *   wards,        // [{ id, role, area }] and wardStats
+ * }
+ */
+export function measureModel(model) {
+  const units = resolveUnits(model?.units);
+  const len = (v) => (Number.isFinite(v) ? toRealLength(v, units) : null);
+  const area = (v) => (Number.isFinite(v) ? toRealArea(v, units) : null);
+
+  const curtains = measureCurtains(model).map((c) => ({ ...c, length: len(c.length) }));
+  const bastions = measureBastions(model).map((b) => ({
+    id: b.id,
+    faces: b.faces.map(len),
+    flanks: b.flanks.map(len),
+  }));
+  const wards = measureWards(model).map((w) => ({ ...w, area: area(w.area) }));
+
+  return {
+    units,
+    wallLength: len(polylineLength(model?.wall, true)),
+    curtains,
+    curtainStats: summarise(curtains.filter((c) => !c.joined).map((c) => c.length)),
+    bastions,
+    faceStats: summarise(bastions.flatMap((b) => b.faces)),
+    flankStats: summarise(bastions.flatMap((b) => b.flanks)),
+    ditchWidth: len(model?.ditchWidth),
+    glacisWidth: len(model?.glacisWidth),
+    wards,
+    wardStats: summarise(wards.map((w) => w.area)),
+  };
+}
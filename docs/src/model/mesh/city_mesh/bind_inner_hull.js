@@ -0,0 +1,96 @@
+// docs/src/model/mesh/city_mesh/bind_inner_hull.js
+//
+// Bind the inner hull (Stage 105) to CityMesh, the interior counterpart of
+// bindOuterBoundaryToCityMesh: the inner wall keeps its own geometry, and its portals are
+// bound to the half-edges that separate the inner hull's member wards from the rest.
+//
+// Output: innerHullBinding (same shape as boundaryBinding, so buildGatePortals accepts it)
+// {
+//   loopId: -1,                // interior loop, not one of cityMesh.boundaryLoops
+//   halfEdgeIds: number[],     // member-side half-edges, in loop order
+//   polygon: Array<{x,y}>,
+//   metrics: { areaAbsLoop:number, loopCount:number }
+// }
+import { isFinitePoint } from "../../../geom/primitives.js";
+import { areaAbs } from "../../../geom/poly.js";
+import { assert } from "../../util/assert.js";
+
+export const INNER_HULL_LOOP_ID = -1;
+
+/**
+ * @param {object} args
+ * @param {object} args.cityMesh
+ * @param {object} args.vorGraph - routingMesh.vorGraph (cells carry wardId; face id = cell id)
+ * @param {number[]} args.memberWardIds - innerHullModel.memberWardIds
+ * @returns {object|null} null when the member wards have no faces in the mesh
+ */
+export function bindInnerHullToCityMesh({ cityMesh, vorGraph, memberWardIds }) {
+  assert(cityMesh && typeof cityMesh === "object", "[EMCG][bindInnerHull] cityMesh is required.");
+  assert(Array.isArray(cityMesh.faces), "[EMCG][bindInnerHull] cityMesh.faces must be an array.");
+  assert(Array.isArray(cityMesh.halfEdges), "[EMCG][bindInnerHull] cityMesh.halfEdges must be an array.");
+  assert(Array.isArray(vorGraph?.cells), "[EMCG][bindInnerHull] vorGraph.cells must be an array.");
+  assert(Array.isArray(memberWardIds), "[EMCG][bindInnerHull] memberWardIds must be an array.");
+
+  const members = new Set(memberWardIds);
+  const memberFaces = new Set();
+  for (const cell of vorGraph.cells) {
+    if (!cell || cell.disabled) continue;
+    if (Number.isInteger(cell.id) && members.has(cell.wardId)) memberFaces.add(cell.id);
+  }
+  if (!memberFaces.size) return null;
+
+  const halfEdges = cityMesh.halfEdges;
+
+  // Member-side half-edges whose twin is outside the member set (or on the mesh boundary).
+  const outgoing = new Map(); // origin vertex id -> [heId] (ascending)
+  for (const face of cityMesh.faces) {
+    if (!face || !memberFaces.has(face.id)) continue;
+    for (const heId of face.halfEdges) {
+      const he = halfEdges[heId];
+      const twin = Number.isInteger(he.twin) ? halfEdges[he.twin] : null;
+      if (twin && memberFaces.has(twin.face)) continue;
+      if (!outgoing.has(he.origin)) outgoing.set(he.origin, []);
+      outgoing.get(he.origin).push(heId);
+    }
+  }
+  for (const list of outgoing.values()) list.sort((a, b) => a - b);
+
+  const vpos = new Map();
+  for (const v of cityMesh.vertices || []) {
+    if (v && Number.isInteger(v.id) && isFinitePoint(v)) vpos.set(v.id, { x: v.x, y: v.y });
+  }
+
+  // Walk loops in ascending half-edge order; a pinch vertex takes its lowest unused edge.
+  const used = new Set();
+  const loops = [];
+  const starts = [...outgoing.values()].flat().sort((a, b) => a - b);
+  for (const start of starts) {
+    if (used.has(start)) continue;
+    const loop = [];
+    let cur = start;
+    while (cur != null && !used.has(cur)) {
+      used.add(cur);
+      loop.push(cur);
+      const next = (outgoing.get(halfEdges[cur].to) || []).find((id) => !used.has(id) || id === start);
+      if (next === start) break;
+      cur = next ?? null;
+    }
+    if (loop.length < 3) continue;
+
+    const polygon = loop.map((id) => vpos.get(halfEdges[id].origin)).filter(Boolean);
+    if (polygon.length < 3) continue;
+    loops.push({ halfEdgeIds: loop, polygon, area: areaAbs(polygon) });
+  }
+  if (!loops.length) return null;
+
+  // The outer loop of the union is the one enclosing the most area (holes and islands are smaller).
+  let best = loops[0];
+  for (const l of loops) if (l.area > best.area + 1e-9) best = l;
+
+  return {
+    loopId: INNER_HULL_LOOP_ID,
+    halfEdgeIds: best.halfEdgeIds,
+    polygon: best.polygon,
+    metrics: { areaAbsLoop: best.area, loopCount: loops.length },
+  };
+}
@@ -1,6 +1,8 @@
 // docs/src/model/mesh/voronoi_planar_graph/water_flags.js
 
-import { isFinitePoint } from "../../../geom/primitives.js";
+import { isFinitePoint, dist } from "../../../geom/primitives.js";
+import { segmentIntersection } from "../../../geom/intersections.js";
+import { pointInPoly, pointSegmentDistance } from "../../../geom/poly.js";
 import { pointToPolylineDistance } from "./util.js";
 
 function pickWaterPolyline(waterModel) {
@@ -59,7 +61,56 @@ export function computeWaterFlagForEdge(edge, nodes, waterModel, params) {
   return { isWater, waterKind };
 }
 
-export function applyDeterministicEdgeFlags({ edges, nodes, waterModel, anchors, params }) {
+// River body (generate_helpers/river.js): an edge is water when its midpoint is in the river
+// and not on one of its islands, or in the tributary of a confluence site.
+function inBody(m, river) {
+  const body = river?.polygon;
+  if (!Array.isArray(body) || body.length < 3 || !pointInPoly(m, body)) return false;
+  const islands = Array.isArray(river.islands) ? river.islands : [];
+  return !islands.some((isl) => pointInPoly(m, isl.poly));
+}
+
+export function inRiverBody(m, waterModel) {
+  return inBody(m, waterModel?.river) || inBody(m, waterModel?.tributary);
+}
+
+// Wet ditch (Stage 135): an edge is water when it crosses the scarp or counterscarp of a wet
+// band away from the bridges at the land gates.
+function crossesWetDitch(a, b, wetDitch) {
+  if (!wetDitch || !Array.isArray(wetDitch.bands)) return false;
+  const bridges = wetDitch.bridges || [];
+
+  for (const band of wetDitch.bands) {
+    for (const line of [band.outer, band.inner]) {
+      for (let i = 1; i < line.length; i++) {
+        const hit = segmentIntersection(a, b, line[i - 1], line[i]);
+        if (hit.type !== "proper" && hit.type !== "touch") continue;
+        if (bridges.some((br) => dist(br.point, hit.p) <= br.reach)) continue;
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// River crossings (Stage 137): the kind of the crossing an edge lies on, if any. Crossings are
+// registered by edge id (waterModel.mesh.bridgeEdgeIds / fordEdgeIds); edges split from those
+// later (snapPointToGraph splitEdges) still lie on one segment of the crossing polyline.
+function crossingKind(a, b, crossings) {
+  if (!Array.isArray(crossings)) return null;
+  const eps = 1e-4;
+  for (const c of crossings) {
+    const line = c.polyline || [];
+    for (let i = 1; i < line.length; i++) {
+      if (pointSegmentDistance(a, line[i - 1], line[i]) <= eps && pointSegmentDistance(b, line[i - 1], line[i]) <= eps) {
+        return c.kind;
+      }
+    }
+  }
+  return null;
+}
+
+export function applyDeterministicEdgeFlags({ edges, nodes, waterModel, anchors, params, wetDitch = null }) {
   const p = (params && typeof params === "object") ? params : {};
   const mesh = (waterModel && waterModel.mesh && typeof waterModel.mesh === "object") ? waterModel.mesh : null;
 
@@ -101,13 +152,16 @@ export function applyDeterministicEdgeFlags({ edges, nodes, waterModel, anchors,
       e.flags.nearCitadel = Math.hypot(m.x - citadelPt.x, m.y - citadelPt.y) <= citadelAvoidRadius;
     }
 
-    const wf = computeWaterFlagForEdge(e, nodes, waterModel, p);
+    let wf = computeWaterFlagForEdge(e, nodes, waterModel, p);
+    if (!(wf && wf.isWater) && inRiverBody(m, waterModel)) wf = { isWater: true, waterKind: "river" };
+    if (!(wf && wf.isWater) && crossesWetDitch(a, b, wetDitch)) wf = { isWater: true, waterKind: "ditch" };
     e.flags.isWater = Boolean(wf && wf.isWater);
     if (wf && wf.waterKind) e.flags.waterKind = wf.waterKind;
     // Allowed crossings: mark deterministically by edge id sets.
     // This does not imply a bridge exists geometrically yet; it is a routing permission hook.
-    const isBridge = bridgeSet ? bridgeSet.has(e.id) : false;
-    const isFord = fordSet ? fordSet.has(e.id) : false;
+    const onCrossing = crossingKind(a, b, waterModel?.crossings);
+    const isBridge = (bridgeSet ? bridgeSet.has(e.id) : false) || onCrossing === "bridge";
+    const isFord = (fordSet ? fordSet.has(e.id) : false) || onCrossing === "ford";
     const isAllowedByList = allowCrossingSet ? allowCrossingSet.has(e.id) : false;
 
     e.flags.isBridge = Boolean(isBridge);
@@ -0,0 +1,164 @@
+// docs/src/model/param_overrides.js
+//
+// Optional ctx.params overrides accepted by generate().
+//
+// Each entry is a key that some stage already reads from ctx.params with a default when absent
+// (Stage 10 / 25 footprint knobs, riverIslands for Stage 40, canalCount for Stage 132,
+// riverCrossings for Stage 137, roadHardAvoidWater for Stage 140, Stage 50 ward roles, Stage 170
+// road eps, fortSchool for Stage 10 / 150 and the warp profile, citadelForm for Stage 100 / 105,
+// harbourMoles / harbourHead for the Stage 105 harbour, tenailles / counterguards for Stage 150,
+// innerEnceinte for Stage 125, siege / siegeFront for Stage 175). unit / metresPerUnit set the unit system createCtx() puts on ctx.units (see units.js).
+// Overrides are plain JSON values; parse/format convert them to and from the short text used in
+// share URLs and `emcg.mjs --param key=value` (booleans as 1/0).
+//
+// outsideBands text form: "new_town:0.2,slums:0.15,farms:0.25" (role:pct, in band order).
+
+import { FORT_SCHOOLS } from "./fort_schools.js";
+import { CITADEL_FORMS } from "./generate_helpers/citadel_forms.js";
+import { SIEGE_FRONTS } from "./generate_helpers/siege_works.js";
+import { HARBOUR_HEADS } from "./hull/harbour.js";
+import { LENGTH_UNITS } from "./units.js";
+
+function parseNumber(text) {
+  const v = Number(text);
+  return Number.isFinite(v) ? v : null;
+}
+
+function parseInt10(text) {
+  const v = Number(text);
+  return Number.isInteger(v) ? v : null;
+}
+
+function parseBool(text) {
+  const t = String(text).trim().toLowerCase();
+  if (t === "1" || t === "true" || t === "on") return true;
+  if (t === "0" || t === "false" || t === "off") return false;
+  return null;
+}
+
+function parseFortSchool(text) {
+  const id = String(text).trim().toLowerCase();
+  return Object.hasOwn(FORT_SCHOOLS, id) ? id : null;
+}
+
+function parseCitadelForm(text) {
+  const id = String(text).trim().toLowerCase();
+  return CITADEL_FORMS.includes(id) ? id : null;
+}
+
+function parseHarbourHead(text) {
+  const id = String(text).trim().toLowerCase();
+  return HARBOUR_HEADS.includes(id) ? id : null;
+}
+
+function parseSiegeFront(text) {
+  const id = String(text).trim();
+  return SIEGE_FRONTS.includes(id) ? id : null;
+}
+
+function parsePositive(text) {
+  const v = Number(text);
+  return (Number.isFinite(v) && v > 0) ? v : null;
+}
+
+function parseLengthUnit(text) {
+  const id = String(text).trim().toLowerCase();
+  return Object.hasOwn(LENGTH_UNITS, id) ? id : null;
+}
+
+function parseBands(text) {
+  const bands = [];
+  for (const part of String(text).split(",")) {
+    const [role, pctText] = part.split(":");
+    const pct = Number(pctText);
+    if (!role || !role.trim() || !Number.isFinite(pct)) return null;
+    bands.push({ role: role.trim(), pct });
+  }
+  return bands.length ? { bands } : null;
+}
+
+function formatBands(value) {
+  const bands = Array.isArray(value?.bands) ? value.bands : [];
+  return bands.map((b) => `${b.role}:${b.pct}`).join(",");
+}
+
+/**
+ * Overridable params: key -> { parse(text) -> value|null, format(value) -> text }.
+ */
+export const PARAM_OVERRIDES = Object.freeze({
+  innerCount: { parse: parseInt10, format: String },
+  maxPlugAdds: { parse: parseInt10, format: String },
+  outsideBands: { parse: parseBands, format: formatBands },
+
+  minAnchorSep: { parse: parseNumber, format: String },
+  canvasPad: { parse: parseNumber, format: String },
+
+  footprintStretchStrength: { parse: parseNumber, format: String },
+  footprintStretchWidthRad: { parse: parseNumber, format: String },
+  footprintStretchClampMin: { parse: parseNumber, format: String },
+  footprintStretchClampMax: { parse: parseNumber, format: String },
+
+  roadEps: { parse: parseNumber, format: String },
+
+  riverIslands: { parse: parseInt10, format: String },
+  canalCount: { parse: parseInt10, format: String },
+  riverCrossings: { parse: parseInt10, format: String },
+  roadHardAvoidWater: { parse: parseBool, format: (v) => (v ? "1" : "0") },
+
+  fortSchool: { parse: parseFortSchool, format: String },
+  citadelForm: { parse: parseCitadelForm, format: String },
+  harbourMoles: { parse: parseInt10, format: String },
+  harbourHead: { parse: parseHarbourHead, format: String },
+  tenailles: { parse: parseBool, format: (v) => (v ? "1" : "0") },
+  counterguards: { parse: parseBool, format: (v) => (v ? "1" : "0") },
+  innerEnceinte: { parse: parseBool, format: (v) => (v ? "1" : "0") },
+  siege: { parse: parseBool, format: (v) => (v ? "1" : "0") },
+  siegeFront: { parse: parseSiegeFront, format: String },
+
+  unit: { parse: parseLengthUnit, format: String },
+  metresPerUnit: { parse: parsePositive, format: String },
+});
+
+/**
+ * Parse one override from text.
+ * @param {string} key
+ * @param {string} text
+ * @returns {*} parsed value
+ */
+export function parseParamOverride(key, text) {
+  const spec = PARAM_OVERRIDES[key];
+  if (!spec) throw new Error(`[EMCG] Unknown param override "${key}".`);
+
+  const value = spec.parse(text);
+  if (value == null) throw new Error(`[EMCG] Invalid value for param override "${key}": "${text}".`);
+  return value;
+}
+
+/**
+ * Format one override as text (inverse of parseParamOverride).
+ * @param {string} key
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatParamOverride(key, value) {
+  const spec = PARAM_OVERRIDES[key];
+  if (!spec) throw new Error(`[EMCG] Unknown param override "${key}".`);
+  return spec.format(value);
+}
+
+/**
+ * Keep only known, non-null overrides, in PARAM_OVERRIDES key order.
+ * @param {object|null} overrides
+ * @returns {object}
+ */
+export function normaliseParamOverrides(overrides) {
+  const out = {};
+  if (!overrides || typeof overrides !== "object") return out;
+
+  for (const key of Object.keys(PARAM_OVERRIDES)) {
+    const v = overrides[key];
+    if (v == null) continue;
+    out[key] = v;
+  }
+  return out;
+}
@@ -7,10 +7,53 @@
 import { mulberry32 } from "../rng/mulberry32.js";
 import { rngFork } from "../rng/rng_fork.js";
 import { assembleModel } from "../assemble_model.js";
-import { PIPELINE_STAGES } from "./stage_registry.js";
+import { resolvePipelineStages } from "./stage_registry.js";
+import { beginCachedRun } from "./stage_cache.js";
 import { isPoint } from "../../geom/primitives.js";
 
-export function runPipeline(ctx) {
+// Stage timings only. Headless hosts without the Performance API fall back to Date.now().
+const nowMs = (typeof performance !== "undefined" && typeof performance.now === "function")
+  ? () => performance.now()
+  : () => Date.now();
+
+function describeStage(stage) {
+  return `Stage ${stage.id} (${stage.name})`;
+}
+
+// Declared inputs must be present before a stage runs (null is a valid published value).
+function checkStageInputs(stage, state, producers) {
+  for (const field of ["reads", "updates"]) {
+    for (const key of stage[field] || []) {
+      if (state[key] !== undefined) continue;
+      const producer = producers.get(key);
+      throw new Error(
+        `[EMCG] ${describeStage(stage)} requires ctx.state.${key} (${describeStage(producer)} output).`
+      );
+    }
+  }
+}
+
+// A stage may only add ctx.state keys it declares in writes.
+function checkStageOutputs(stage, state, keysBefore) {
+  const declared = new Set(stage.writes || []);
+  for (const key of Object.keys(state)) {
+    if (keysBefore.has(key) || declared.has(key)) continue;
+    throw new Error(`[EMCG] ${describeStage(stage)} wrote undeclared ctx.state.${key}.`);
+  }
+}
+
+/**
+ * Run every pipeline stage (PIPELINE_STAGES plus registerStage() additions) in dependency
+ * order and assemble the model.
+ * @param {object} ctx - from createCtx()
+ * @param {object|null} [hooks] - optional observers (headless tooling, audits)
+ * @param {(stage:object, ctx:object) => void} [hooks.beforeStage] - called before each stage.run()
+ * @param {(stage:object, ctx:object) => void} [hooks.afterStage] - called after each stage.run()
+ * @param {object|null} [cache] - from createStageCache(); stages whose inputs are unchanged since
+ *   a cached run are replayed instead of run (stage_cache.js)
+ * @returns {object} model
+ */
+export function runPipeline(ctx, hooks = null, cache = null) {
   // Legacy containers that some stages still write into.
   ctx.mesh = ctx.mesh || {};
 
@@ -60,6 +103,7 @@ export function runPipeline(ctx) {
     outworks: rngFork(seed, "stage:outworks"),
     roads: rngFork(seed, "stage:roads"),
     market: rngFork(seed, "stage:market"),
+    siege: rngFork(seed, "stage:siege"),
   };
 
   // Legacy location for older stage code.
@@ -88,16 +132,29 @@ export function runPipeline(ctx) {
   ctx.audit.stageTimings = ctx.audit.stageTimings || [];
   ctx.audit.stageTimings.length = 0;
 
-  for (const stage of PIPELINE_STAGES) {
-    const t0 = performance.now();
-    stage.run(env);
-    const t1 = performance.now();
+  const { order, producers } = resolvePipelineStages();
+  const cachedRun = cache ? beginCachedRun(cache, env) : null;
+
+  for (const stage of order) {
+    if (hooks && typeof hooks.beforeStage === "function") hooks.beforeStage(stage, ctx);
+    checkStageInputs(stage, ctx.state, producers);
+
+    const keysBefore = new Set(Object.keys(ctx.state));
+    const t0 = nowMs();
+    let cached = false;
+    if (cachedRun) cached = cachedRun.runStage(stage).cached;
+    else stage.run(env);
+    const t1 = nowMs();
+    checkStageOutputs(stage, ctx.state, keysBefore);
 
     ctx.audit.stageTimings.push({
       id: stage.id,
       name: stage.name,
       ms: Math.round((t1 - t0) * 1000) / 1000,
+      cached,
     });
+
+    if (hooks && typeof hooks.afterStage === "function") hooks.afterStage(stage, ctx);
   }
 
   const S = ctx.state;
@@ -201,6 +258,9 @@ export function runPipeline(ctx) {
     centre,
     baseR,
     debug,
+    world: { w: width, h: height },
+    units: ctx.units,
+    view: ctx.view,
 
     // Walls + moatworks
     wallBase: fort.wallBase,
@@ -210,9 +270,22 @@ export function runPipeline(ctx) {
     bastionHull: warp.bastionHullWarpedSafe ?? null,
     gatesWarped: fortGeom.gatesWarped,
     ravelins: S.outworks ?? null,
+    hornworks: S.hornworks ?? null,
+    tenailles: S.ditchWorks?.tenailles ?? null,
+    counterguards: S.ditchWorks?.counterguards ?? null,
+    innerEnceinte: S.innerEnceinte ?? null,
+    posterns: S.posterns ?? null,
+    wetDitch: S.wetDitch ?? null,
+    fieldsOfFire: S.fieldsOfFire ?? null,
+    siege: S.siege ?? null,
     ditchOuter: fortGeom.ditchOuter,
     ditchInner: fortGeom.ditchInner,
     glacisOuter: fortGeom.glacisOuter,
+    coveredWay: fortGeom.coveredWay,
+    glacisCrest: fortGeom.glacisCrest,
+    placesOfArms: fortGeom.placesOfArms,
+    traverses: fortGeom.traverses,
+    ravelinCoveredWays: fortGeom.ravelinCoveredWays,
     ditchWidth: fortGeom.ditchWidth,
     glacisWidth: fortGeom.glacisWidth,
 
@@ -240,12 +313,14 @@ export function runPipeline(ctx) {
     
     // Anchors
     citadel: S.citadel ?? null,
+    citadelLinks: S.citadelLinks ?? null,
     avenue,
     primaryGateWarped: fortGeom.primaryGateWarped,
 
     // Site / water
     site: { water: waterKind, hasDock },
-    waterModel: S.routingMesh.waterModel ?? S.waterModel,
+    // Stage 70 publishes the mesh-snapped water model on both; Stage 132 adds canals to S.waterModel.
+    waterModel: S.waterModel ?? S.routingMesh.waterModel,
 
     // Milestone 4.8 contract outputs
     waterIntent: S.waterIntent ?? null,
@@ -0,0 +1,296 @@
+// docs/src/model/pipeline/stage_cache.js
+//
+// Stage-level memoisation for runPipeline().
+//
+// A cache entry is keyed on everything the stage looked at on the run that produced it:
+// - ctx.state keys it read (declared reads/updates plus any optional probes)
+// - ctx.params / ctx.site / env scalars it read (seed, width, waterKind, hasDock, ...)
+// - the RNG fork labels it drew from, with the run seed and each stream's position at stage start
+// Dependencies are recorded by running the stage behind tracking proxies, and hashed exactly
+// (hashStateValue with { exact: true }). On a later run the stage is replayed from the first
+// entry whose recorded dependencies all hash the same; otherwise it runs and a new entry is stored.
+//
+// Replay restores the stage's ctx.state outputs (writes + updates, deep-cloned so later in-place
+// updates never reach the cache), the ctx.params keys it wrote, and advances every RNG stream it
+// used by the recorded number of draws, so downstream stages see the same streams as a full run.
+//
+// Not restored: legacy mirrors on ctx (ctx.wards, ctx.mesh, ctx.primaryGate); nothing in the
+// pipeline reads them back. Stages that write env.debug are never cached (Stage 900).
+
+import { hashStateValue } from "../debug/state_hash.js";
+
+const ABSENT = "absent";
+const EXACT = { exact: true };
+
+// ctx keys that carry stage inputs; other ctx keys are legacy mirrors and pass through.
+const TRACKED_CTX_KEYS = new Set(["seed", "canvas"]);
+
+// env keys that are wrappers, not inputs.
+const ENV_PASSTHROUGH = new Set(["ctx", "rng", "debug"]);
+
+function hashOf(value) {
+  return value === undefined ? ABSENT : hashStateValue(value, EXACT);
+}
+
+/**
+ * Deep copy that keeps prototypes (FieldRegistry), typed arrays, Maps, Sets, frozenness and shared
+ * references within one call graph (memo). Functions are shared, not copied.
+ */
+function cloneStateValue(v, memo) {
+  if (v === null || typeof v !== "object") return v;
+  if (memo.has(v)) return memo.get(v);
+
+  if (ArrayBuffer.isView(v)) {
+    const out = v.slice();
+    memo.set(v, out);
+    return out;
+  }
+
+  let out;
+  if (Array.isArray(v)) {
+    out = new Array(v.length);
+    memo.set(v, out);
+    for (let i = 0; i < v.length; i++) out[i] = cloneStateValue(v[i], memo);
+  } else if (v instanceof Map) {
+    out = new Map();
+    memo.set(v, out);
+    for (const [k, val] of v) out.set(cloneStateValue(k, memo), cloneStateValue(val, memo));
+  } else if (v instanceof Set) {
+    out = new Set();
+    memo.set(v, out);
+    for (const val of v) out.add(cloneStateValue(val, memo));
+  } else {
+    out = Object.create(Object.getPrototypeOf(v));
+    memo.set(v, out);
+    for (const k of Object.keys(v)) out[k] = cloneStateValue(v[k], memo);
+  }
+
+  if (Object.isFrozen(v)) Object.freeze(out);
+  return out;
+}
+
+/**
+ * Create a cache that survives across generate() calls.
+ * @param {object} [opts]
+ * @param {number} [opts.maxPerStage=2] - entries kept per stage (most recently used first)
+ * @returns {{maxPerStage:number, entries:Map<number, object[]>}}
+ */
+export function createStageCache(opts = {}) {
+  const maxPerStage = Number.isInteger(opts.maxPerStage) && opts.maxPerStage > 0 ? opts.maxPerStage : 2;
+  return { maxPerStage, entries: new Map() };
+}
+
+/**
+ * Start one cached pipeline run. Wraps env.rng streams with draw counters (also visible as
+ * ctx.rng) and returns runStage(stage) -> { cached:boolean }.
+ *
+ * @param {object} cache - from createStageCache()
+ * @param {object} env - runPipeline() env (env.ctx is the real ctx)
+ */
+export function beginCachedRun(cache, env) {
+  const ctx = env.ctx;
+
+  const draws = new Map();
+  const rawStreams = new Map();
+  for (const label of Object.keys(env.rng)) {
+    const raw = env.rng[label];
+    rawStreams.set(label, raw);
+    draws.set(label, 0);
+    env.rng[label] = () => {
+      draws.set(label, draws.get(label) + 1);
+      return raw();
+    };
+  }
+  ctx.rng = env.rng;
+
+  // Exact hash per ctx.state key, kept current as stages publish.
+  const stateHashes = new Map();
+
+  function stateHash(key) {
+    if (!stateHashes.has(key)) stateHashes.set(key, hashOf(ctx.state[key]));
+    return stateHashes.get(key);
+  }
+
+  // A stream is identified by the run seed and its fork label; the position is its draw count.
+  function rngPosition(label, n) {
+    return `${env.seed}:${label}:${n ?? ABSENT}`;
+  }
+
+  function currentHash(dep) {
+    const [scope, key] = dep;
+    if (scope === "state") return stateHash(key);
+    if (scope === "params") return hashOf(ctx.params[key]);
+    if (scope === "site") return hashOf(ctx.site[key]);
+    if (scope === "ctx") return hashOf(ctx[key]);
+    if (scope === "env") return hashOf(env[key]);
+    if (scope === "rng") return rngPosition(key, draws.get(key));
+    return ABSENT;
+  }
+
+  function matches(entry) {
+    for (const dep of entry.deps) {
+      if (currentHash(dep) !== dep[2]) return false;
+    }
+    return true;
+  }
+
+  function replay(entry) {
+    const memo = new Map();
+    for (const [key, value] of entry.outputs) {
+      ctx.state[key] = cloneStateValue(value, memo);
+      stateHashes.set(key, entry.outputHashes.get(key));
+    }
+    for (const [key, value] of entry.paramWrites) {
+      ctx.params[key] = cloneStateValue(value, memo);
+    }
+    for (const [label, n] of entry.rngDraws) {
+      const raw = rawStreams.get(label);
+      for (let i = 0; i < n; i++) raw();
+      draws.set(label, draws.get(label) + n);
+    }
+  }
+
+  // Run the stage behind proxies that record what it reads and writes.
+  function runTracked(stage) {
+    const deps = new Map();
+    const stateWrites = new Set();
+    const paramWrites = new Set();
+    const rngStart = new Map(draws);
+    const rngUsed = new Set();
+    let cacheable = stage.cacheable !== false;
+
+    const note = (scope, key, hashFn) => {
+      const id = `${scope}:${key}`;
+      if (!deps.has(id)) deps.set(id, [scope, key, hashFn()]);
+    };
+
+    const stateProxy = new Proxy(ctx.state, {
+      get(t, k) {
+        if (typeof k === "string" && !stateWrites.has(k)) note("state", k, () => stateHash(k));
+        return t[k];
+      },
+      has(t, k) {
+        if (typeof k === "string" && !stateWrites.has(k)) note("state", k, () => stateHash(k));
+        return k in t;
+      },
+      set(t, k, v) {
+        stateWrites.add(k);
+        t[k] = v;
+        return true;
+      },
+    });
+
+    const paramsProxy = new Proxy(ctx.params, {
+      get(t, k) {
+        if (typeof k === "string" && !paramWrites.has(k)) note("params", k, () => hashOf(t[k]));
+        return t[k];
+      },
+      has(t, k) {
+        if (typeof k === "string" && !paramWrites.has(k)) note("params", k, () => hashOf(t[k]));
+        return k in t;
+      },
+      set(t, k, v) {
+        paramWrites.add(k);
+        t[k] = v;
+        return true;
+      },
+    });
+
+    const siteProxy = new Proxy(ctx.site, {
+      get(t, k) {
+        if (typeof k === "string") note("site", k, () => hashOf(t[k]));
+        return t[k];
+      },
+    });
+
+    const rngProxy = new Proxy(env.rng, {
+      get(t, k) {
+        if (typeof k === "string" && k in t) {
+          rngUsed.add(k);
+          note("rng", k, () => rngPosition(k, rngStart.get(k)));
+        }
+        return t[k];
+      },
+    });
+
+    const wrappers = new Map([["state", stateProxy], ["params", paramsProxy], ["site", siteProxy], ["rng", rngProxy]]);
+
+    const ctxProxy = new Proxy(ctx, {
+      get(t, k) {
+        if (wrappers.has(k)) return wrappers.get(k);
+        if (TRACKED_CTX_KEYS.has(k)) note("ctx", k, () => hashOf(t[k]));
+        return t[k];
+      },
+      set(t, k, v) {
+        // `ctx.params = ctx.params || {}` must not store the proxy on the real ctx.
+        if (wrappers.has(k) && v === wrappers.get(k)) return true;
+        if (wrappers.has(k)) cacheable = false;
+        t[k] = v;
+        return true;
+      },
+    });
+
+    const envProxy = new Proxy(env, {
+      get(t, k) {
+        if (k === "ctx") return ctxProxy;
+        if (k === "rng") return rngProxy;
+        if (k === "debug") cacheable = false;
+        if (typeof k === "string" && !ENV_PASSTHROUGH.has(k)) note("env", k, () => hashOf(t[k]));
+        return t[k];
+      },
+    });
+
+    stage.run(envProxy);
+
+    // Published outputs: declared keys plus anything else assigned through ctx.state.
+    const outputKeys = new Set([...(stage.writes || []), ...(stage.updates || []), ...stateWrites]);
+    for (const key of outputKeys) stateHashes.set(key, hashOf(ctx.state[key]));
+
+    if (!cacheable) return;
+
+    const memo = new Map();
+    const outputs = new Map();
+    const outputHashes = new Map();
+    for (const key of outputKeys) {
+      if (!(key in ctx.state)) continue;
+      outputs.set(key, cloneStateValue(ctx.state[key], memo));
+      outputHashes.set(key, stateHashes.get(key));
+    }
+
+    const paramValues = new Map();
+    for (const key of paramWrites) paramValues.set(key, cloneStateValue(ctx.params[key], memo));
+
+    const rngDraws = new Map();
+    for (const label of rngUsed) rngDraws.set(label, draws.get(label) - rngStart.get(label));
+
+    const list = cache.entries.get(stage.id) || [];
+    list.unshift({
+      deps: Array.from(deps.values()),
+      outputs,
+      outputHashes,
+      paramWrites: paramValues,
+      rngDraws,
+    });
+    if (list.length > cache.maxPerStage) list.length = cache.maxPerStage;
+    cache.entries.set(stage.id, list);
+  }
+
+  function runStage(stage) {
+    const list = cache.entries.get(stage.id) || [];
+    const i = list.findIndex(matches);
+
+    if (i >= 0) {
+      const entry = list[i];
+      // Most recently used first.
+      list.splice(i, 1);
+      list.unshift(entry);
+      replay(entry);
+      return { cached: true };
+    }
+
+    runTracked(stage);
+    return { cached: false };
+  }
+
+  return { runStage };
+}
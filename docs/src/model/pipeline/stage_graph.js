@@ -0,0 +1,145 @@
+// docs/src/model/pipeline/stage_graph.js
+//
+// Stage dependency graph built from declared ctx.state keys.
+//
+// Each stage declares:
+// - reads:   ctx.state keys it needs (must be produced by some other stage)
+// - writes:  ctx.state keys it produces (exactly one producer per key)
+// - updates: ctx.state keys produced elsewhere that it replaces or enriches in place
+//            (e.g. Stage 70 re-publishes waterModel, Stage 130 writes anchors.docks)
+//
+// resolveStageOrder() rejects malformed declarations, duplicate producers, reads/updates with
+// no producer and cycles, then returns a topological order. Ties go to the lower stage id, so
+// the built-in stages keep their numbered order and an extra stage slots in by its id as long
+// as its producers run first.
+//
+// Each update is a new version of its key. A key's producer and updaters form a chain in id order
+// (producer first), and a reader sees the version current at its own id: it runs after the last
+// updater with a lower id, and the next updater runs after it. So Stage 140 reads waterModel as
+// left by Stage 137, and Stage 155 reads fortGeometryWarped as left by Stage 150, whatever ids the
+// stages in between have.
+
+function assertKeyList(stage, field) {
+  const list = stage[field];
+  if (list == null) return [];
+  if (!Array.isArray(list) || !list.every((k) => typeof k === "string" && k.length > 0)) {
+    throw new Error(`[EMCG] Stage ${stage.id} (${stage.name}) has invalid ${field} (expected string[]).`);
+  }
+  return list;
+}
+
+function describe(stage) {
+  return `Stage ${stage.id} (${stage.name})`;
+}
+
+/**
+ * Validate stage declarations and return them in dependency order.
+ *
+ * @param {Array<{id:number, name:string, run:Function, reads?:string[], writes?:string[], updates?:string[]}>} stages
+ * @returns {{order:object[], producers:Map<string, object>}}
+ */
+export function resolveStageOrder(stages) {
+  if (!Array.isArray(stages)) throw new Error("[EMCG] resolveStageOrder expects an array of stages.");
+
+  const byId = new Map();
+  for (const stage of stages) {
+    if (!stage || !Number.isFinite(stage.id)) {
+      throw new Error("[EMCG] Stage is missing a finite numeric id.");
+    }
+    if (typeof stage.name !== "string" || !stage.name) {
+      throw new Error(`[EMCG] Stage ${stage.id} is missing a name.`);
+    }
+    if (typeof stage.run !== "function") {
+      throw new Error(`[EMCG] ${describe(stage)} is missing run(env).`);
+    }
+    if (byId.has(stage.id)) {
+      throw new Error(`[EMCG] Duplicate stage id ${stage.id} (${byId.get(stage.id).name}, ${stage.name}).`);
+    }
+    byId.set(stage.id, stage);
+  }
+
+  // key -> producing stage
+  const producers = new Map();
+  for (const stage of stages) {
+    for (const key of assertKeyList(stage, "writes")) {
+      const prev = producers.get(key);
+      if (prev) {
+        throw new Error(
+          `[EMCG] ctx.state.${key} has two producers: ${describe(prev)} and ${describe(stage)}. ` +
+          "Declare one of them as updates instead."
+        );
+      }
+      producers.set(key, stage);
+    }
+  }
+
+  // key -> updating stages in id order
+  const updaters = new Map();
+  for (const stage of stages) {
+    for (const key of assertKeyList(stage, "updates")) {
+      const producer = producers.get(key);
+      if (!producer) {
+        throw new Error(`[EMCG] ${describe(stage)} updates ctx.state.${key}, but no stage writes it.`);
+      }
+      if (producer === stage) {
+        throw new Error(`[EMCG] ${describe(stage)} lists ctx.state.${key} in both writes and updates.`);
+      }
+      if (!updaters.has(key)) updaters.set(key, []);
+      updaters.get(key).push(stage);
+    }
+  }
+  for (const list of updaters.values()) list.sort((a, b) => a.id - b.id);
+
+  // stage -> stages that must run first
+  const deps = new Map(stages.map((s) => [s, new Set()]));
+  for (const [key, list] of updaters) {
+    list.forEach((stage, i) => deps.get(stage).add(i > 0 ? list[i - 1] : producers.get(key)));
+  }
+  for (const stage of stages) {
+    for (const key of assertKeyList(stage, "reads")) {
+      const producer = producers.get(key);
+      if (!producer) {
+        throw new Error(`[EMCG] ${describe(stage)} reads ctx.state.${key}, but no stage writes it.`);
+      }
+      if (producer === stage) {
+        throw new Error(`[EMCG] ${describe(stage)} lists ctx.state.${key} in both writes and reads.`);
+      }
+
+      // The version this stage sees, and the update that must wait for it.
+      // A stage that also updates the key reads it as left by the updaters before it.
+      const list = updaters.get(key) ?? [];
+      const prev = list.filter((u) => u.id < stage.id).pop();
+      const next = list.find((u) => u.id > stage.id);
+      deps.get(stage).add(prev ?? producer);
+      if (next) deps.get(next).add(stage);
+    }
+  }
+
+  // Kahn's algorithm; the ready set is kept sorted by id.
+  const order = [];
+  const remaining = new Map(stages.map((s) => [s, deps.get(s).size]));
+  const dependents = new Map(stages.map((s) => [s, []]));
+  for (const [stage, set] of deps) {
+    for (const dep of set) dependents.get(dep).push(stage);
+  }
+
+  const ready = stages.filter((s) => remaining.get(s) === 0);
+  while (ready.length > 0) {
+    ready.sort((a, b) => a.id - b.id);
+    const stage = ready.shift();
+    order.push(stage);
+
+    for (const next of dependents.get(stage)) {
+      const n = remaining.get(next) - 1;
+      remaining.set(next, n);
+      if (n === 0) ready.push(next);
+    }
+  }
+
+  if (order.length !== stages.length) {
+    const stuck = stages.filter((s) => remaining.get(s) > 0).map(describe);
+    throw new Error(`[EMCG] Stage dependency cycle among: ${stuck.join(", ")}.`);
+  }
+
+  return { order, producers };
+}
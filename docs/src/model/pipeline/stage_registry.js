@@ -3,6 +3,12 @@
 // Purpose: centralize stage ordering WITHOUT changing stage code.
 // Contract (Phase 4.6+): stages read inputs from `env` (runtime) and publish outputs to `env.ctx.state`.
 // No stage-to-stage data is passed via `env.*`.
+//
+// Each stage declares the ctx.state keys it `reads`, `writes` and `updates` (see stage_graph.js).
+// runPipeline() orders stages from these declarations and checks them at run time, so stages do
+// not repeat "requires ctx.state.X" checks for top-level keys.
+//
+// Extra stages (buildings, labels, ...) can be added from outside this file with registerStage().
 
 import { runSiteWaterIntentStage } from "../stages/05_site_water_intent.js";
 import { runFortificationsStage } from "../stages/10_fortifications.js";
@@ -19,15 +25,30 @@ import { runCitadelStage } from "../stages/100_citadel.js";
 import { runHullModelStage } from "../stages/105_hull_model.js";
 import { runWarpFieldStage } from "../stages/110_warp_field.js";
 import { runWarpDependentFortGeometryStage } from "../stages/120_warp_dependent_fort_geometry.js";
+import { runInnerEnceinteStage } from "../stages/125_inner_enceinte.js";
+import { runCitadelLinksStage } from "../stages/127_citadel_links.js";
+import { runPosternsStage } from "../stages/128_posterns.js";
 import { runDocksStage } from "../stages/130_docks.js";
+import { runCanalsStage } from "../stages/132_canals.js";
+import { runCrossingsStage } from "../stages/137_crossings.js";
+import { runWetDitchStage } from "../stages/135_wet_ditch.js";
 import { runPrimaryRoadsStage } from "../stages/140_primary_roads.js";
-import { runOutworksStage } from "../stages/150_outworks.js";
+import {
+  runDitchWorksStage,
+  runHornworksStage,
+  runOutworksStage,
+  withRavelinCoveredWays,
+} from "../stages/150_outworks.js";
+import { runFieldsOfFireStage } from "../stages/155_fields_of_fire.js";
 import { runMarketStage } from "../stages/160_market.js";
 import { runRoadGraphAndBlocksStage } from "../stages/170_road_graph_and_blocks.js";
+import { runSiegeStage } from "../stages/175_siege.js";
 import { runDebugInvariantsStage } from "../stages/900_debug_invariants.js";
 import { runCityMeshGraphAuditStage } from "../stages/075_city_mesh_graph_audit.js";
 import { runFieldsStage } from "../stages/075_fields.js";
 import { runWardFieldMetricsStage } from "../stages/085_ward_field_metrics.js";
+import { resolveFortSchool } from "../fort_schools.js";
+import { resolveStageOrder } from "./stage_graph.js";
 
 function unitVectorOrNull(v) {
   if (!v || !Number.isFinite(v.x) || !Number.isFinite(v.y)) return null;
@@ -40,6 +61,8 @@ export const PIPELINE_STAGES = [
   {
     id: 5,
     name: "siteWaterIntent",
+    reads: [],
+    writes: ["waterIntent"],
     run(env) {
       const { ctx } = env;
       runSiteWaterIntentStage({
@@ -53,6 +76,8 @@ export const PIPELINE_STAGES = [
   {
     id: 10,
     name: "fortifications",
+    reads: [],
+    writes: ["fortifications"],
     run(env) {
       const { ctx, cx, cy, baseR, bastionCount } = env;
 
@@ -73,13 +98,12 @@ export const PIPELINE_STAGES = [
   {
     id: 20,
     name: "newTown",
+    reads: ["fortifications"],
+    writes: ["newTown", "newTownIntent", "primaryGate", "bastionWarpInputs"],
     run(env) {
       const { ctx, cx, cy, baseR } = env;
 
       const fort = ctx.state.fortifications;
-      if (!fort) {
-        throw new Error("[EMCG] Stage 20 requires ctx.state.fortifications (Stage 10 output).");
-      }
 
       const warpDebugEnabled = Boolean(ctx.params.warpDebugEnabled);
 
@@ -137,14 +161,12 @@ export const PIPELINE_STAGES = [
   {
     id: 25,
     name: "footprint",
+    reads: ["waterIntent", "newTownIntent"],
+    writes: ["corridorIntent", "footprint"],
+    updates: ["fortifications"],
     run(env) {
       const { ctx, cx, cy, baseR } = env;
 
-      const fort = ctx.state.fortifications;
-      if (!fort) {
-        throw new Error("[EMCG] Stage 25 requires ctx.state.fortifications (Stage 10 output).");
-      }
-
       runFootprintStage({
         ctx,
         cx,
@@ -158,18 +180,14 @@ export const PIPELINE_STAGES = [
   {
     id: 30,
     name: "outerBoundary",
+    reads: ["fortifications", "newTown", "footprint"],
+    writes: ["outerBoundary"],
     run(env) {
       const ctx = env.ctx;
 
       const fort = ctx.state.fortifications;
       const nt = ctx.state.newTown;
 
-      if (!fort) {
-        throw new Error("[EMCG] Stage 30 requires ctx.state.fortifications (Stage 10 output).");
-      }
-      if (!nt) {
-        throw new Error("[EMCG] Stage 30 requires ctx.state.newTown (Stage 20 output).");
-      }
       if (!Array.isArray(fort.footprint)) {
         throw new Error("[EMCG] Stage 30 requires ctx.state.fortifications.footprint (Stage 25 output).");
       }
@@ -183,14 +201,12 @@ export const PIPELINE_STAGES = [
   {
     id: 40,
     name: "water",
+    reads: ["outerBoundary", "waterIntent"],
+    writes: ["waterModel", "waterIntentDerived"],
     run(env) {
       const ctx = env.ctx;
       const outerBoundary = ctx.state.outerBoundary;
 
-      if (!outerBoundary) {
-        throw new Error("[EMCG] Stage 40 requires ctx.state.outerBoundary (Stage 30 output).");
-      }
-
       const waterRes = runWaterStage({
         waterKind: env.waterKind,
         rng: env.rng.water,
@@ -199,6 +215,7 @@ export const PIPELINE_STAGES = [
         cy: env.cy,
         baseR: env.baseR,
         waterIntent: ctx.state.waterIntent ?? null,
+        riverIslands: ctx.params.riverIslands ?? 0,
       });
 
       ctx.state.waterModel = waterRes.waterModel;
@@ -211,14 +228,12 @@ export const PIPELINE_STAGES = [
   {
     id: 50,
     name: "wards",
+    reads: ["outerBoundary"],
+    writes: ["wards"],
     run(env) {
       const ctx = env.ctx;
       const outerBoundary = ctx.state.outerBoundary;
 
-      if (!outerBoundary) {
-        throw new Error("[EMCG] Stage 50 requires ctx.state.outerBoundary (Stage 30 output).");
-      }
-
       const wardsOut = runWardsStage({
         ctx,
         baseR: env.baseR,
@@ -234,6 +249,8 @@ export const PIPELINE_STAGES = [
   {
     id: 60,
     name: "anchors",
+    reads: ["fortifications", "wards"],
+    writes: ["anchors"],
     run(env) {
       const ctx = env.ctx;
       const anchors = runAnchorsStage(ctx);
@@ -244,6 +261,9 @@ export const PIPELINE_STAGES = [
   {
     id: 70,
     name: "routingMesh",
+    reads: ["wards", "anchors", "outerBoundary"],
+    writes: ["routingMesh"],
+    updates: ["waterModel"],
     run(env) {
       const ctx = env.ctx;
 
@@ -252,11 +272,6 @@ export const PIPELINE_STAGES = [
       const outerBoundary = ctx.state.outerBoundary;
       const waterModel = ctx.state.waterModel;
 
-      if (!wards) throw new Error("[EMCG] Stage 70 requires ctx.state.wards (Stage 50 output).");
-      if (!anchors) throw new Error("[EMCG] Stage 70 requires ctx.state.anchors (Stage 60 output).");
-      if (!outerBoundary) throw new Error("[EMCG] Stage 70 requires ctx.state.outerBoundary (Stage 30 output).");
-      if (!waterModel) throw new Error("[EMCG] Stage 70 requires ctx.state.waterModel (Stage 40 output).");
-
       const meshOut = runRoutingMeshStage({
         ctx,
         wardsWithRoles: wards.wardsWithRoles,
@@ -281,6 +296,8 @@ export const PIPELINE_STAGES = [
   {
     id: 75,
     name: "cityMeshGraphAudit",
+    reads: ["routingMesh"],
+    writes: ["meshAudit"],
     run(env) {
       // Debug-only audit: throws on invariant failures when enabled.
       // Enable via ctx.params.meshAuditEnabled === true, or reuse ctx.params.warpDebugEnabled.
@@ -291,6 +308,8 @@ export const PIPELINE_STAGES = [
   {
     id: 76,
     name: "fields",
+    reads: ["routingMesh", "anchors", "fortifications", "wards", "waterModel"],
+    writes: ["fields", "fieldsMeta"],
     run(env) {
       runFieldsStage(env);
     },
@@ -299,14 +318,12 @@ export const PIPELINE_STAGES = [
   {
     id: 80,
     name: "innerRings",
+    reads: ["fortifications"],
+    writes: ["ringsPreWarp"],
     run(env) {
       const ctx = env.ctx;
       const fort = ctx.state.fortifications;
 
-      if (!fort) {
-        throw new Error("[EMCG] Stage 80 requires ctx.state.fortifications (Stage 10 output).");
-      }
-
       const ringsOut = runInnerRingsStage(
         fort.wallBase,
         env.cx,
@@ -321,6 +338,9 @@ export const PIPELINE_STAGES = [
   {
     id: 85,
     name: "wardFieldMetrics",
+    reads: ["fields", "fieldsMeta"],
+    writes: ["wardFieldMeta"],
+    updates: ["wards"],
     run(env) {
       runWardFieldMetricsStage(env);
     },
@@ -329,14 +349,12 @@ export const PIPELINE_STAGES = [
   {
     id: 90,
     name: "districts",
+    reads: ["wards"],
+    writes: ["districts"],
     run(env) {
       const ctx = env.ctx;
       const wards = ctx.state.wards;
 
-      if (!wards) {
-        throw new Error("[EMCG] Stage 90 requires ctx.state.wards (Stage 50 output).");
-      }
-
       const districts = runDistrictsStage(wards.wardsWithRoles, env.cx, env.cy);
       ctx.state.districts = districts;
     },
@@ -345,15 +363,16 @@ export const PIPELINE_STAGES = [
   {
     id: 100,
     name: "citadel",
+    reads: ["anchors", "wards"],
+    writes: ["citadel"],
     run(env) {
       const ctx = env.ctx;
       const anchors = ctx.state.anchors;
 
-      if (!anchors) {
-        throw new Error("[EMCG] Stage 100 requires ctx.state.anchors (Stage 60 output).");
-      }
-
-      const citadel = runCitadelStage(env.rng.anchors, anchors, env.baseR);
+      const citadel = runCitadelStage(env.rng.anchors, anchors, env.baseR, {
+        form: ctx.params.citadelForm,
+        wardsWithRoles: ctx.state.wards.wardsWithRoles,
+      });
 
       ctx.state.citadel = citadel;
     },
@@ -362,26 +381,40 @@ export const PIPELINE_STAGES = [
   {
     id: 105,
     name: "hullModel",
+    reads: [
+      "wards",
+      "anchors",
+      "outerBoundary",
+      "waterIntent",
+      "waterModel",
+      "newTown",
+      "primaryGate",
+    ],
+    writes: [
+      "hullModel",
+      "coreSet",
+      "innerHullModel",
+      "outerHullModel",
+      "hullProofs",
+      "citadelFit",
+      "coastGeometry",
+    ],
+    updates: ["citadel"],
     run(env) {
       const ctx = env.ctx;
 
       const wards = ctx.state.wards;
-      const anchors = ctx.state.anchors;
 
-      if (!wards) {
-        throw new Error("[EMCG] Stage 105 requires ctx.state.wards (Stage 50 output).");
-      }
       if (!wards.fortHulls) {
         throw new Error("[EMCG] Stage 105 requires ctx.state.wards.fortHulls (Stage 50 output).");
       }
-      if (!anchors) {
-        throw new Error("[EMCG] Stage 105 requires ctx.state.anchors (Stage 60 output).");
-      }
 
       ctx.state.hullModel = runHullModelStage({
         ctx,
         cx: env.cx,
         cy: env.cy,
+        baseR: env.baseR,
+        hasDock: env.hasDock,
       });
     },
   },
@@ -389,6 +422,8 @@ export const PIPELINE_STAGES = [
   {
     id: 110,
     name: "warpField",
+    reads: ["fortifications", "wards", "districts", "bastionWarpInputs", "coastGeometry"],
+    writes: ["warp"],
     run(env) {
       const ctx = env.ctx;
 
@@ -397,21 +432,18 @@ export const PIPELINE_STAGES = [
       const districts = ctx.state.districts;
       const bastionInputs = ctx.state.bastionWarpInputs;
 
-      if (!fort) throw new Error("[EMCG] Stage 110 requires ctx.state.fortifications (Stage 10 output).");
-      if (!wards) throw new Error("[EMCG] Stage 110 requires ctx.state.wards (Stage 50 output).");
-      if (!districts) throw new Error("[EMCG] Stage 110 requires ctx.state.districts (Stage 90 output).");
-      if (!bastionInputs) throw new Error("[EMCG] Stage 110 requires ctx.state.bastionWarpInputs (Stage 20 output).");
-
       const warpOut = runWarpFieldStage({
         ctx,
         cx: env.cx,
         cy: env.cy,
+        baseR: env.baseR,
 
         wallFinal: fort.wallFinal,
         wallBase: fort.wallBase,
 
         fortHulls: wards.fortHulls,
         districts,
+        harbour: ctx.state.coastGeometry?.harbour ?? null,
 
         bastionsForWarp: bastionInputs.bastionsForWarp,
         bastionPolys: bastionInputs.bastionPolys,
@@ -427,18 +459,15 @@ export const PIPELINE_STAGES = [
   {
     id: 120,
     name: "warpDependentFortGeometry",
+    reads: ["fortifications", "warp", "outerBoundary", "primaryGate"],
+    writes: ["fortGeometryWarped", "rings", "gatePortals", "boundaryExits"],
+    updates: ["anchors", "routingMesh"],
     run(env) {
       const ctx = env.ctx;
 
       const fort = ctx.state.fortifications;
-      if (!fort) {
-        throw new Error("[EMCG] Stage 120 requires ctx.state.fortifications (Stage 10 output).");
-      }
 
       const warp = ctx.state.warp;
-      if (!warp) {
-        throw new Error("[EMCG] Stage 120 requires ctx.state.warp (Stage 110 output).");
-      }
 
       const warpWall = warp?.warpWall ?? null;
       if (!warpWall) {
@@ -475,9 +504,72 @@ export const PIPELINE_STAGES = [
     },
   },
 
+  {
+    id: 125,
+    name: "innerEnceinte",
+    reads: ["fortGeometryWarped", "innerHullModel", "routingMesh"],
+    writes: ["innerEnceinte"],
+    run(env) {
+      const ctx = env.ctx;
+
+      ctx.state.innerEnceinte = runInnerEnceinteStage({
+        enabled: Boolean(ctx.params.innerEnceinte),
+        cx: env.cx,
+        cy: env.cy,
+        fortGeom: ctx.state.fortGeometryWarped,
+        innerHullModel: ctx.state.innerHullModel,
+        routingMesh: ctx.state.routingMesh,
+      });
+    },
+  },
+
+  {
+    id: 127,
+    name: "citadelLinks",
+    reads: ["citadel", "warp"],
+    writes: ["citadelLinks"],
+    run(env) {
+      const ctx = env.ctx;
+
+      ctx.state.citadelLinks = runCitadelLinksStage({
+        citadel: ctx.state.citadel,
+        warp: ctx.state.warp,
+      });
+    },
+  },
+
+  {
+    id: 128,
+    name: "posterns",
+    reads: ["fortGeometryWarped", "warp", "waterModel", "routingMesh"],
+    writes: ["posterns"],
+    run(env) {
+      const ctx = env.ctx;
+
+      ctx.state.posterns = runPosternsStage({
+        cx: env.cx,
+        cy: env.cy,
+        fortGeom: ctx.state.fortGeometryWarped,
+        warp: ctx.state.warp,
+        waterModel: ctx.state.waterModel,
+        routingMesh: ctx.state.routingMesh,
+      });
+    },
+  },
+
   {
     id: 130,
     name: "docks",
+    reads: [
+      "outerBoundary",
+      "waterModel",
+      "newTown",
+      "fortifications",
+      "fortGeometryWarped",
+      "coastGeometry",
+    ],
+    writes: ["docks"],
+    updates: ["anchors"],
     run(env) {
       const ctx = env.ctx;
 
@@ -488,13 +580,6 @@ export const PIPELINE_STAGES = [
       const newTown = ctx.state.newTown;
       const fortGeom = ctx.state.fortGeometryWarped;
 
-      if (!anchors) throw new Error("[EMCG] Stage 130 requires ctx.state.anchors (Stage 60 output).");
-      if (!outerBoundary) throw new Error("[EMCG] Stage 130 requires ctx.state.outerBoundary (Stage 30 output).");
-      if (!waterModel) throw new Error("[EMCG] Stage 130 requires ctx.state.waterModel (Stage 70 output).");
-      if (!newTown) throw new Error("[EMCG] Stage 130 requires ctx.state.newTown (Stage 20 output).");
-      if (!fort) throw new Error("[EMCG] Stage 130 requires ctx.state.fortifications (Stage 10 output).");
-      if (!fortGeom) throw new Error("[EMCG] Stage 130 requires ctx.state.fortGeometryWarped (Stage 120 output).");
-
       const docksOut = runDocksStage({
         hasDock: env.hasDock,
         anchors,
@@ -503,6 +588,8 @@ export const PIPELINE_STAGES = [
         wallBase: fortGeom.wallBaseForDraw,
         centre: fort.centre,
         waterModel,
+        harbour: ctx.state.coastGeometry?.harbour ?? null,
+        baseR: env.baseR,
         width: env.width,
         height: env.height,
       });
@@ -517,9 +604,89 @@ export const PIPELINE_STAGES = [
     },
   },
 
+  {
+    id: 132,
+    name: "canals",
+    reads: ["routingMesh", "fortGeometryWarped", "warp"],
+    updates: ["waterModel"],
+    run(env) {
+      const ctx = env.ctx;
+
+      ctx.state.waterModel = runCanalsStage({
+        graph: ctx.state.routingMesh.graph,
+        waterModel: ctx.state.waterModel,
+        fortGeom: ctx.state.fortGeometryWarped,
+        warp: ctx.state.warp,
+        cx: env.cx,
+        cy: env.cy,
+        baseR: env.baseR,
+        params: ctx.params,
+      });
+    },
+  },
+
+  {
+    id: 135,
+    name: "wetDitch",
+    reads: ["fortGeometryWarped", "warp", "waterModel"],
+    writes: ["wetDitch"],
+    run(env) {
+      const ctx = env.ctx;
+
+      ctx.state.wetDitch = runWetDitchStage({
+        cx: env.cx,
+        cy: env.cy,
+        fortGeom: ctx.state.fortGeometryWarped,
+        warp: ctx.state.warp,
+        waterModel: ctx.state.waterModel,
+        flooded: resolveFortSchool(ctx.params.fortSchool).wetDitch,
+      });
+    },
+  },
+
+  {
+    id: 137,
+    name: "crossings",
+    reads: ["routingMesh", "fortGeometryWarped", "warp", "anchors"],
+    updates: ["waterModel"],
+    run(env) {
+      const ctx = env.ctx;
+
+      ctx.state.waterModel = runCrossingsStage({
+        graph: ctx.state.routingMesh.graph,
+        waterModel: ctx.state.waterModel,
+        fortGeom: ctx.state.fortGeometryWarped,
+        warp: ctx.state.warp,
+        anchors: ctx.state.anchors,
+        baseR: env.baseR,
+        params: ctx.params,
+      });
+    },
+  },
+
   {
     id: 140,
     name: "primaryRoads",
+    reads: [
+      "anchors",
+      "waterModel",
+      "fortGeometryWarped",
+      "gatePortals",
+      "boundaryExits",
+      "innerEnceinte",
+      "wetDitch",
+      "fields",
+      "fieldsMeta",
+    ],
+    writes: [
+      "primaryRoads",
+      "primaryRoadsMeta",
+      "primaryRoadsSnappedNodes",
+      "primaryRoadsGateForRoad",
+      "primaryGatePortal",
+      "primaryBoundaryExit",
+    ],
+    updates: ["routingMesh"],
     run(env) {
       const ctx = env.ctx;
 
@@ -527,9 +694,6 @@ export const PIPELINE_STAGES = [
       const anchors = ctx.state.anchors;
       const fortGeom = ctx.state.fortGeometryWarped;
 
-      if (!routingMesh) throw new Error("[EMCG] Stage 140 requires ctx.state.routingMesh (Stage 70 output).");
-      if (!anchors) throw new Error("[EMCG] Stage 140 requires ctx.state.anchors (Stage 60 output).");
-      if (!fortGeom) throw new Error("[EMCG] Stage 140 requires ctx.state.fortGeometryWarped (Stage 120 output).");
       if (!routingMesh.graph) throw new Error("[EMCG] Stage 140 missing routingMesh.graph.");
       if (!anchors.plaza) throw new Error("[EMCG] Stage 140 missing anchors.plaza.");
       if (!anchors.citadel) throw new Error("[EMCG] Stage 140 missing anchors.citadel.");
@@ -544,6 +708,8 @@ export const PIPELINE_STAGES = [
         gatesWarped: anchors?.gates || [],
         gatePortals: ctx.state.gatePortals || [],
         boundaryExits: ctx.state.boundaryExits || [],
+        innerEnceinte: ctx.state.innerEnceinte,
+        wetDitch: ctx.state.wetDitch,
       }).primaryRoads;
     },
   },
@@ -551,16 +717,33 @@ export const PIPELINE_STAGES = [
   {
     id: 150,
     name: "outworks",
+    reads: ["fortGeometryWarped", "warp", "newTown", "corridorIntent", "outerBoundary"],
+    writes: ["outworks", "hornworks", "ditchWorks"],
+    updates: ["fortGeometryWarped"],
     run(env) {
       const ctx = env.ctx;
 
       const fortGeom = ctx.state.fortGeometryWarped;
       const warp = ctx.state.warp;
       const newTown = ctx.state.newTown;
+      const school = resolveFortSchool(ctx.params.fortSchool);
 
-      if (!fortGeom) throw new Error("[EMCG] Stage 150 requires ctx.state.fortGeometryWarped (Stage 120 output).");
-      if (!warp) throw new Error("[EMCG] Stage 150 requires ctx.state.warp (Stage 110 output).");
-      if (!newTown) throw new Error("[EMCG] Stage 150 requires ctx.state.newTown (Stage 20 output).");
+      ctx.state.hornworks = runHornworksStage({
+        hornworkSpec: school.hornworks,
+        corridorIntent: ctx.state.corridorIntent,
+        primaryGateWarped: fortGeom.primaryGateWarped,
+        cx: env.cx,
+        cy: env.cy,
+        ditchWidth: fortGeom.ditchWidth,
+        glacisWidth: fortGeom.glacisWidth,
+        newTown: newTown.newTown,
+        bastionPolysWarpedSafe: warp?.bastionPolysWarpedSafe,
+        wallForOutworks: warp?.wallForDraw,
+        wallCurtainForDraw: warp?.wallCurtainForDraw,
+        outerHullLoop: warp?.outerHullLoop ?? null,
+        warpOutworks: warp?.warpOutworks ?? null,
+        outerBoundary: ctx.state.outerBoundary,
+      });
 
       ctx.state.outworks = runOutworksStage({
         gatesWarped: fortGeom.gatesWarped,
@@ -576,6 +759,44 @@ export const PIPELINE_STAGES = [
         wallForOutworks: warp?.wallForDraw,
         warpOutworks: warp?.warpOutworks ?? null,
         warpDebugEnabled: Boolean(ctx.params.warpDebugEnabled),
+        ravelinSpec: school.ravelins,
+        avoidPolys: ctx.state.hornworks.map((h) => h.poly),
+      });
+
+      ctx.state.fortGeometryWarped = withRavelinCoveredWays(fortGeom, ctx.state.outworks);
+
+      ctx.state.ditchWorks = runDitchWorksStage({
+        ditchWorksSpec: {
+          tenailles: ctx.params.tenailles ?? school.ditchWorks.tenailles,
+          counterguards: ctx.params.counterguards ?? school.ditchWorks.counterguards,
+        },
+        cx: env.cx,
+        cy: env.cy,
+        ditchWidth: fortGeom.ditchWidth,
+        ditchInner: fortGeom.ditchInner,
+        ditchOuter: fortGeom.ditchOuter,
+        gatesWarped: fortGeom.gatesWarped,
+        bastionPolysWarpedSafe: warp?.bastionPolysWarpedSafe,
+        wallCurtainForDraw: warp?.wallCurtainForDraw,
+        wallForOutworks: warp?.wallForDraw,
+        avoidPolys: [...ctx.state.outworks, ...ctx.state.hornworks.map((h) => h.poly)],
+      });
+    },
+  },
+
+  {
+    id: 155,
+    name: "fieldsOfFire",
+    reads: ["fortGeometryWarped", "warp"],
+    writes: ["fieldsOfFire"],
+    run(env) {
+      const ctx = env.ctx;
+
+      ctx.state.fieldsOfFire = runFieldsOfFireStage({
+        cx: env.cx,
+        cy: env.cy,
+        fortGeom: ctx.state.fortGeometryWarped,
+        warp: ctx.state.warp,
       });
     },
   },
@@ -583,6 +804,9 @@ export const PIPELINE_STAGES = [
   {
     id: 160,
     name: "market",
+    reads: ["wards", "fortifications", "fortGeometryWarped", "citadel"],
+    writes: ["market", "landmarks"],
+    updates: ["anchors"],
     run(env) {
       const ctx = env.ctx;
 
@@ -592,11 +816,6 @@ export const PIPELINE_STAGES = [
       const fortGeom = ctx.state.fortGeometryWarped;
       const citadel = ctx.state.citadel;
 
-      if (!anchors) throw new Error("[EMCG] Stage 160 requires ctx.state.anchors (Stage 60 output).");
-      if (!wards) throw new Error("[EMCG] Stage 160 requires ctx.state.wards (Stage 50 output).");
-      if (!fort) throw new Error("[EMCG] Stage 160 requires ctx.state.fortifications (Stage 10 output).");
-      if (!fortGeom) throw new Error("[EMCG] Stage 160 requires ctx.state.fortGeometryWarped (Stage 120 output).");
-
       ctx.state.market = runMarketStage({
         ctx,
         anchors,
@@ -619,6 +838,20 @@ export const PIPELINE_STAGES = [
   {
     id: 170,
     name: "roadGraphAndBlocks",
+    reads: [
+      "routingMesh",
+      "anchors",
+      "primaryRoads",
+      "districts",
+      "wards",
+      "fortGeometryWarped",
+      "newTown",
+      "rings",
+      "outerBoundary",
+      "innerEnceinte",
+      "waterModel",
+    ],
+    writes: ["roadGraph", "blocks", "secondaryRoadsLegacy", "roadPolylines"],
     run(env) {
       const ctx = env.ctx;
 
@@ -631,20 +864,12 @@ export const PIPELINE_STAGES = [
       const newTown = ctx.state.newTown;
       const rings = ctx.state.rings;
 
-      if (!routingMesh) throw new Error("[EMCG] Stage 170 requires ctx.state.routingMesh (Stage 70 output).");
       if (!routingMesh.graph) throw new Error("[EMCG] Stage 170 missing routingMesh.graph.");
-      if (!anchors) throw new Error("[EMCG] Stage 170 requires ctx.state.anchors (Stage 60 output).");
-      if (!primaryRoads) throw new Error("[EMCG] Stage 170 requires ctx.state.primaryRoads (Stage 140 output).");
-      if (!districts) throw new Error("[EMCG] Stage 170 requires ctx.state.districts (Stage 90 output).");
-      if (!wards) throw new Error("[EMCG] Stage 170 requires ctx.state.wards (Stage 50 output).");
-      if (!fortGeom) throw new Error("[EMCG] Stage 170 requires ctx.state.fortGeometryWarped (Stage 120 output).");
-      if (!newTown) throw new Error("[EMCG] Stage 170 requires ctx.state.newTown (Stage 20 output).");
-      if (!rings) throw new Error("[EMCG] Stage 170 requires ctx.state.rings (Stage 120 output).");
 
       const roadsOut = runRoadGraphAndBlocksStage({
         ctx,
         graph: routingMesh.graph,
-        waterModel: routingMesh.waterModel,
+        waterModel: ctx.state.waterModel,
         anchors,
         waterKind: env.waterKind,
         rng: env.rng.global,
@@ -655,6 +880,7 @@ export const PIPELINE_STAGES = [
         squareCentre: anchors.plaza,
         citCentre: anchors.citadel,
         newTown: newTown.newTown,
+        innerEnceinte: ctx.state.innerEnceinte,
         districts,
         wardsWithRoles: wards.wardsWithRoles,
       });
@@ -676,9 +902,45 @@ export const PIPELINE_STAGES = [
     },
   },
 
+  {
+    id: 175,
+    name: "siege",
+    reads: [
+      "fortGeometryWarped",
+      "warp",
+      "outworks",
+      "hornworks",
+      "outerBoundary",
+      "corridorIntent",
+      "waterModel",
+    ],
+    writes: ["siege"],
+    run(env) {
+      const ctx = env.ctx;
+
+      ctx.state.siege = runSiegeStage({
+        enabled: Boolean(ctx.params.siege),
+        front: ctx.params.siegeFront,
+        rng: env.rng.siege,
+        cx: env.cx,
+        cy: env.cy,
+        width: env.width,
+        height: env.height,
+        fortGeom: ctx.state.fortGeometryWarped,
+        warp: ctx.state.warp,
+        outerBoundary: ctx.state.outerBoundary,
+        corridorIntent: ctx.state.corridorIntent,
+        waterModel: ctx.state.waterModel,
+        avoidPolys: [...ctx.state.outworks, ...ctx.state.hornworks.map((h) => h.poly)],
+      });
+    },
+  },
+
   {
     id: 900,
     name: "debugInvariants",
+    reads: ["wards", "routingMesh", "anchors"],
+    writes: [],
     run(env) {
       const ctx = env.ctx;
 
@@ -687,10 +949,6 @@ export const PIPELINE_STAGES = [
       const anchors = ctx.state.anchors;
       const primaryRoads = ctx.state.primaryRoads;
 
-      if (!wards) throw new Error("[EMCG] Stage 900 requires ctx.state.wards (Stage 50 output).");
-      if (!routingMesh) throw new Error("[EMCG] Stage 900 requires ctx.state.routingMesh (Stage 70 output).");
-      if (!anchors) throw new Error("[EMCG] Stage 900 requires ctx.state.anchors (Stage 60 output).");
-
       runDebugInvariantsStage({
         debugEnabled: Boolean(ctx.params.warpDebugEnabled),
         debugOut: env.debug,
@@ -731,3 +989,41 @@ export const PIPELINE_STAGES = [
     },
   },
 ];
+
+const registeredStages = [];
+
+/**
+ * Add a stage to every subsequent runPipeline() call.
+ *
+ * The stage uses the same shape as PIPELINE_STAGES entries: { id, name, reads, writes, updates, run(env) }.
+ * It must use an unused id and new ctx.state keys for `writes`; use `updates` to enrich keys other
+ * stages produce. The whole graph is re-validated here, so bad declarations fail at registration.
+ *
+ * @param {object} stage
+ * @returns {object} stage
+ */
+export function registerStage(stage) {
+  resolveStageOrder([...PIPELINE_STAGES, ...registeredStages, stage]);
+  registeredStages.push(stage);
+  return stage;
+}
+
+/**
+ * Remove a stage added with registerStage().
+ * @param {number} id
+ * @returns {boolean} true if a stage was removed
+ */
+export function unregisterStage(id) {
+  const i = registeredStages.findIndex((s) => s.id === id);
+  if (i < 0) return false;
+  registeredStages.splice(i, 1);
+  return true;
+}
+
+/**
+ * Built-in plus registered stages in dependency order.
+ * @returns {{order:object[], producers:Map<string, object>}}
+ */
+export function resolvePipelineStages() {
+  return resolveStageOrder([...PIPELINE_STAGES, ...registeredStages]);
+}
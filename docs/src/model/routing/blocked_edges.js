@@ -6,9 +6,10 @@
 // Water contract (Milestone 5 direction):
 // - If params.roadHardAvoidWater is true, edges flagged as water are blocked
 //   UNLESS explicitly allowed as crossings (bridge/ford).
-// - Today the repo has no bridge/ford generator yet, so by default all water edges
-//   will be blocked when hardAvoidWater is enabled.
-// - Future stages can enable crossings by setting either:
+// - On river sites Stage 137 picks bridges and fords (waterModel.crossings), which
+//   applyDeterministicEdgeFlags turns into isBridge / isFord. Other water edges (the sea, wet
+//   ditches) stay blocked when hardAvoidWater is enabled.
+// - Crossings can be enabled by setting either:
 //   - edge.flags.allowWaterCrossing = true, or
 //   - edge.flags.isBridge = true / edge.flags.isFord = true, or
 //   - params.roadAllowWaterCrossingEdgeIds = [edgeId, ...] (deterministic allowlist)
@@ -8,6 +8,8 @@
 //
 // Exports:
 // - dijkstra({ graph, startNode, goalNode, weightFn, blockedEdgeIds })
+// - dijkstraVia({ graph, startNode, viaNode, goalNode, weightFn, blockedEdgeIds })
+// - dropLoops(nodePath)
 // - pathNodesToPolyline({ graph, nodePath })
 //
 // Determinism invariants:
@@ -183,6 +185,44 @@ export function dijkstra({ graph, startNode, goalNode, weightFn, blockedEdgeIds
   return path;
 }
 
+/**
+ * Drop the loops of a node path: where a later stretch comes back through an earlier node,
+ * everything between the two visits goes.
+ *
+ * @param {Array<number>} nodePath
+ * @returns {Array<number>}
+ */
+export function dropLoops(nodePath) {
+  const out = [];
+  const at = new Map();
+  for (const id of nodePath) {
+    if (at.has(id)) {
+      const k = at.get(id);
+      for (const dropped of out.splice(k + 1)) at.delete(dropped);
+      continue;
+    }
+    at.set(id, out.length);
+    out.push(id);
+  }
+  return out;
+}
+
+/**
+ * Deterministic Dijkstra through a via node: two legs joined at it, without loops, so a second
+ * leg that starts back along the first does not double back over it (dropLoops).
+ *
+ * @param {Object} args - as dijkstra, plus
+ * @param {number} args.viaNode
+ * @returns {Array<number>|null} nodePath (inclusive start..goal), or null if either leg is unreachable
+ */
+export function dijkstraVia({ graph, startNode, viaNode, goalNode, weightFn, blockedEdgeIds = null }) {
+  const leg0 = dijkstra({ graph, startNode, goalNode: viaNode, weightFn, blockedEdgeIds });
+  if (!Array.isArray(leg0)) return null;
+  const leg1 = dijkstra({ graph, startNode: viaNode, goalNode, weightFn, blockedEdgeIds });
+  if (!Array.isArray(leg1)) return null;
+  return dropLoops([...leg0, ...leg1.slice(1)]);
+}
+
 /**
  * Convert a node path into a polyline of points {x,y}.
  *
@@ -4,7 +4,8 @@
 //
 // Current scope (Milestone 5 foundation):
 // - Roads: distance-only by default, with optional deterministic penalties for water and citadel.
-// - Rivers: placeholder export (not yet wired) to keep module boundary stable.
+// - Rivers: canals cut through the town (Stage 132): distance, restricted to an allowed edge set,
+//   with a penalty for edges already taken by another canal.
 //
 // Design goals:
 // - Deterministic: no randomness, stable tie-breaking is handled in shortest_path.js.
@@ -109,31 +110,48 @@ export function makeRoadWeightFn({ graph, waterModel, anchors, params } = {}) {
   return fn;
 }
 /**
- * Create a deterministic weight function for rivers.
+ * Create a deterministic weight function for rivers and canals.
  *
- * Not yet wired into generate.js. Export exists to stabilize API.
- *
- * Recommended future behaviour:
- * - Prefer flowing "downhill" (requires a height field or surrogate like radius-to-centre).
- * - Avoid fortified core (strong penalty for nearCitadel).
- * - Allow crossing water edges (rivers *are* water), but avoid unnatural loops.
+ * Used by Stage 132 to cut canals along ward boundaries. Water flags are ignored: a canal is
+ * water itself, and callers keep it out of the river through allowedEdgeIds.
  *
  * @param {Object} args
  * @param {Object} args.graph
  * @param {Object} args.params - optional
+ * @param {Set<number>|null} args.allowedEdgeIds - optional; other edges are forbidden
+ * @param {Set<number>|null} args.reuseEdgeIds - optional; edges already taken by a canal
+ *
+ * Supported params (all optional):
+ * - params.riverReusePenalty (default 4): length multiplier for edges in reuseEdgeIds
+ * - params.riverCitadelPenalty (default 1500): added if edge.flags.nearCitadel === true
+ *
  * @returns {(edgeId:number, fromNode:number, toNode:number)=>number}
  */
-export function makeRiverWeightFn({ graph, params } = {}) {
+export function makeRiverWeightFn({ graph, params, allowedEdgeIds = null, reuseEdgeIds = null } = {}) {
   if (!graph || !Array.isArray(graph.edges)) {
     throw new Error("makeRiverWeightFn: graph with edges[] is required");
   }
 
-  // Minimal placeholder: distance-only.
-  // You will replace this once you define a height/slope model.
+  const p = params && typeof params === "object" ? params : {};
+
+  const riverReusePenalty =
+    isFiniteNumber(p.riverReusePenalty) ? Math.max(1, p.riverReusePenalty) : 4;
+
+  const riverCitadelPenalty =
+    isFiniteNumber(p.riverCitadelPenalty) ? p.riverCitadelPenalty : 1500;
+
   return (edgeId /*, fromNode, toNode */) => {
     const e = graph.edges[edgeId];
     if (!e || e.disabled) return Infinity;
+    if (allowedEdgeIds && !allowedEdgeIds.has(edgeId)) return Infinity;
+
     const base = isFiniteNumber(e.length) ? e.length : Infinity;
-    return base;
+    if (!isFiniteNumber(base)) return Infinity;
+
+    let cost = base;
+    if (reuseEdgeIds && reuseEdgeIds.has(edgeId)) cost *= riverReusePenalty;
+    if (e.flags && e.flags.nearCitadel) cost += clampNonNegative(riverCitadelPenalty);
+
+    return cost;
   };
 }
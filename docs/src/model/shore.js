@@ -0,0 +1,87 @@
+// docs/src/model/shore.js
+//
+// Shore points shared by the docks (stages/docks.js, Stage 130) and the harbour
+// (hull/harbour.js, Stage 105).
+//
+// A river with banks (generate_helpers/river.js) is snapped to the bank nearer the point rather
+// than to its centreline.
+
+import { normalize, isFinitePoint, dist } from "../geom/primitives.js";
+import { supportPoint, snapPointToPolyline } from "../geom/poly.js";
+import { densifyLine } from "../geom/polyline.js";
+
+/**
+ * Nearest shore point: the nearer river bank, else the shoreline.
+ * @param {{x:number,y:number}} p
+ * @param {object} waterModel
+ * @returns {{x:number,y:number}|null}
+ */
+export function snapToShore(p, waterModel) {
+  const banks = waterModel.river?.banks;
+  if (!Array.isArray(banks?.left) || !Array.isArray(banks?.right)) {
+    return snapPointToPolyline(p, waterModel.shoreline);
+  }
+  const l = snapPointToPolyline(p, banks.left);
+  const r = snapPointToPolyline(p, banks.right);
+  if (!isFinitePoint(l)) return r;
+  if (!isFinitePoint(r)) return l;
+  return dist(p, l) <= dist(p, r) ? l : r;
+}
+
+/**
+ * Points along the shore at most `step` apart: both river banks, else the shoreline.
+ * @param {object} waterModel
+ * @param {number} step
+ * @returns {Array<{x:number,y:number}>}
+ */
+export function shoreSamples(waterModel, step) {
+  const banks = waterModel?.river?.banks;
+  const lines = (Array.isArray(banks?.left) && Array.isArray(banks?.right))
+    ? [banks.left, banks.right]
+    : [waterModel?.shoreline];
+  return lines
+    .filter((line) => Array.isArray(line) && line.length >= 2)
+    .flatMap((line) => densifyLine(line, step));
+}
+
+/**
+ * Shore point the docks are built toward: the support point of the new town (or the outer
+ * boundary) along the primary gate direction, snapped to the shore.
+ * @returns {{snapped:{x:number,y:number}, primaryGateDir:{x:number,y:number}}|null}
+ */
+export function dockShorePoint({ anchors, newTown, outerBoundary, centre, waterModel }) {
+  const dockPoly =
+    (newTown?.poly && newTown.poly.length >= 3) ? newTown.poly :
+    (outerBoundary && outerBoundary.length >= 3) ? outerBoundary :
+    null;
+
+  if (
+    !dockPoly ||
+    !anchors?.primaryGate ||
+    !isFinitePoint(centre) ||
+    !waterModel ||
+    waterModel.kind === "none" ||
+    !Array.isArray(waterModel.shoreline) ||
+    waterModel.shoreline.length < 2
+  ) {
+    return null;
+  }
+
+  const primaryGateDirRaw = {
+    x: anchors.primaryGate.x - centre.x,
+    y: anchors.primaryGate.y - centre.y,
+  };
+
+  const primaryGateDir =
+    Math.hypot(primaryGateDirRaw.x, primaryGateDirRaw.y) > 1e-6
+      ? normalize(primaryGateDirRaw)
+      : { x: 1, y: 0 };
+
+  const support = supportPoint(dockPoly, primaryGateDir);
+  if (!support) return null;
+
+  const snapped = snapToShore(support, waterModel);
+  if (!isFinitePoint(snapped)) return null;
+
+  return { snapped, primaryGateDir };
+}
@@ -24,9 +24,11 @@
 import { isFiniteDir, 
         unitOrNull } from "../../geom/primitives.js";
 import { rngFork } from "../rng/rng_fork.js";
+import { waterBodyKind } from "../generate_helpers/water.js";
 
+// Confluence and canal sites are river sites here; Stage 40 builds the rest.
 function normalizeWaterKind(kind) {
-  return (kind === "river" || kind === "coast") ? kind : "none";
+  return waterBodyKind(kind);
 }
 
 // Coast side convention must match docs/src/model/generate_helpers/water.js:
@@ -1,18 +1,35 @@
 // docs/src/model/stages/100_citadel.js
 //
 // Stage 100: Citadel geometry.
-// Extracted from generate.js without functional changes.
+//
+// Builds the provisional bastioned trace of the chosen citadel form (ctx.params.citadelForm:
+// pentagon, square or irregular, see citadel_forms.js) around anchors.citadel. Stage 105 fits
+// it into the citadel ward and adds its esplanade (buildCitadelFit).
 
-import { generateBastionedWall } from "../features.js";
+import { buildCitadelTrace } from "../generate_helpers/citadel_forms.js";
+import { wardPoly } from "../hull/core_set.js";
 
 /**
- * @param {function} rng - seeded RNG function (mulberry32(seed)) from generate.js
+ * @param {function} rng - seeded RNG function (env.rng.anchors)
  * @param {object} anchors - must contain anchors.citadel {x,y}
  * @param {number} baseR
+ * @param {object} [opts]
+ * @param {string} [opts.form] - ctx.params.citadelForm
+ * @param {Array<object>} [opts.wardsWithRoles] - Stage 50 wards, for the irregular form
  * @returns {Array<{x:number,y:number}>} citadel polygon
  */
-export function runCitadelStage(rng, anchors, baseR) {
+export function runCitadelStage(rng, anchors, baseR, { form, wardsWithRoles = null } = {}) {
   const citSize = baseR * 0.1;
-  const citadel = generateBastionedWall(rng, anchors.citadel.x, anchors.citadel.y, citSize, 5).wall;
-  return citadel;
+  const citadelWard = Array.isArray(wardsWithRoles)
+    ? wardsWithRoles.find((w) => w && w.role === "citadel") || null
+    : null;
+
+  return buildCitadelTrace({
+    rng,
+    cx: anchors.citadel.x,
+    cy: anchors.citadel.y,
+    radius: citSize,
+    form,
+    wardPoly: wardPoly(citadelWard),
+  }).poly;
 }
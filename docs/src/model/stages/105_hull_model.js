@@ -12,8 +12,9 @@ import { buildOptimisedInnerHullModel } from "../hull/inner_hull_refine.js";
 import { buildOptimisedOuterHullModel } from "../hull/outer_hull_refine.js";
 import { buildCitadelFit } from "../hull/citadel_fit.js";
 import { buildCoastGeometry } from "../hull/coast_geometry.js";
+import { buildHarbour } from "../hull/harbour.js";
 
-export function runHullModelStage({ ctx, cx, cy }) {
+export function runHullModelStage({ ctx, cx, cy, baseR, hasDock = false }) {
   assert(ctx && ctx.state, "runHullModelStage: missing ctx.state.");
 
   const wardsState = ctx.state.wards;
@@ -82,6 +83,7 @@ export function runHullModelStage({ ctx, cx, cy }) {
 
   const citadelFit = buildCitadelFit({
     citadel,
+    form: ctx.params.citadelForm,
     wardsState,
     coreSet,
     innerHullModel,
@@ -92,10 +94,28 @@ export function runHullModelStage({ ctx, cx, cy }) {
     ctx.state.citadel = citadelFit.poly;
   }
 
+  // The harbour is planned before the warp; Stage 110 clips the outer hull the wall is kept inside
+  // around its basin.
+  const harbour = buildHarbour({
+    hasDock,
+    waterModel,
+    outerBoundary: ctx.state.outerBoundary ?? null,
+    outerHull: fortHulls.outerHull?.outerLoop ?? null,
+    wardsState,
+    // The warped primary gate anchor comes with Stage 120; the Stage 20 gate points the same way.
+    anchors: { ...anchors, primaryGate: anchors.primaryGate ?? ctx.state.primaryGate ?? null },
+    newTown: ctx.state.newTown?.newTown ?? null,
+    cx,
+    cy,
+    baseR,
+    params: ctx.params,
+  });
+
   const coastGeometry = buildCoastGeometry({
     waterModel,
     outerBoundary: ctx.state.outerBoundary ?? null,
     waterIntent: ctx.state.waterIntent ?? null,
+    harbour,
     cx,
     cy,
   });
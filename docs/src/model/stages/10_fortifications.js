@@ -14,6 +14,7 @@
 
 import { centroid } from "../../geom/poly.js";
 import { offsetRadial } from "../../geom/offset.js";
+import { resolveFortSchool } from "../fort_schools.js";
 
 import {
   generateFootprint,
@@ -83,8 +84,10 @@ export function buildFortSkeleton(ctx, rng, cx, cy, baseR, bastionCount, gateSpe
   const resolvedGateSpec = resolveGateSpecFromParams(ctx, gateSpec);
   const gates = pickGates(rng, wallBase, resolvedGateSpec, bastionCount);
 
-  const ditchWidth = wallR * 0.035;
-  const glacisWidth = wallR * 0.08;
+  // Ditch and glacis proportions come from the fortification school.
+  const school = resolveFortSchool(ctx.params?.fortSchool);
+  const ditchWidth = wallR * school.ditchWidth;
+  const glacisWidth = wallR * school.glacisWidth;
 
   const ditchOuter = offsetRadial(wallBase, ditchWidth);
   const ditchInner = offsetRadial(wallBase, -ditchWidth * 0.55);
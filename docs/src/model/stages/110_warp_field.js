@@ -1,6 +1,10 @@
 // docs/src/model/stages/110_warp_field.js
 //
 // Stage 110: Warp field (FortWarp) + bastion polygon warping.
+//
+// On coast sites with a harbour (Stage 105 coastGeometry.harbour) the Stage 50 outer hull loop
+// is clipped around the basin first (clipLoopAroundHarbour), so the outworks field, the curtain
+// and the bastions all stand back from the water.
 
 import { warpPolylineRadial } from "../warp.js";
 import { buildBastionHull, runFortWarpAudits } from "../debug/fortwarp_audit.js";
@@ -26,6 +30,7 @@ import { clampPolylineInsidePolyAlongRays} from "../../geom/radial_ray_clamp.js"
 import { loopPerimeter } from "../../geom/loop_metrics.js";
 import { ensureWinding , signedArea} from "../../geom/poly.js";
 import { applyWarpfieldDrawHints } from "../../render/stages/warpfield_draw_hints.js";
+import { clipLoopAroundHarbour } from "../hull/harbour.js";
 import { auditWallDeterministicOutsideInnerHull } from "../debug/warpfield_wall_audit.js";
 import {
   deriveBastionPlacementFromCurtain,
@@ -34,6 +39,10 @@ import {
   buildStage110Return,
 } from "../generate_helpers/warpfield_pipeline.js";
 
+// Curtain band (fractions of the inner -> outer hull distance) used with an inner enceinte.
+const INNER_ENCEINTE_T_MIN = 0.4;
+const INNER_ENCEINTE_T_MID = 0.6;
+
 /**
  * @param {object} args
  * @returns {object}
@@ -43,19 +52,22 @@ import {
  *    wallForDraw: Array<{x:number,y:number}>|null,
  *    wallCurtainForDraw: Array<{x:number,y:number}>|null,
  *    bastionPolysWarpedSafe: Array<Array<{x:number,y:number}>>|null,
- *    bastionHullWarpedSafe: Array<{x:number,y:number}>|null
+ *    bastionHullWarpedSafe: Array<{x:number,y:number}>|null,
+ *    outerHullLoop: Array<{x:number,y:number}>|null   // clipped around the harbour
  *  }
  */
 export function runWarpFieldStage({
   ctx,
   cx,
   cy,
+  baseR,
 
   wallFinal,
   wallBase,
 
   fortHulls,
   districts,
+  harbour = null,
 
   bastionsForWarp,
   bastionPolys,
@@ -66,8 +78,13 @@ export function runWarpFieldStage({
   const fortInnerHull = fortHulls?.innerHull?.outerLoop ?? null;
   const innerHull = fortInnerHull;
 
-  const fortOuterHull = fortHulls?.outerHull?.outerLoop ?? null;
-  
+  const fortOuterHull = clipLoopAroundHarbour(
+    fortHulls?.outerHull?.outerLoop ?? null,
+    harbour,
+    { x: cx, y: cy },
+    baseR
+  );
+
   const outerHullLoop =
     (Array.isArray(fortOuterHull) && fortOuterHull.length >= 3) ? fortOuterHull : null;
 
@@ -192,7 +209,13 @@ export function runWarpFieldStage({
   applyWarpfieldDrawHints({ warpWall, warpOutworks });
 
   const innerMargin = Number.isFinite(warpWall?.clampMinMargin) ? warpWall.clampMinMargin : 10;
-  const tMid = Number.isFinite(ctx?.params?.warpFort?.tMid) ? ctx.params.warpFort.tMid : 0.3;
+  // With an inner enceinte (Stage 125) on the inner hull, the bastioned curtain moves out to
+  // follow the outer hull instead of hugging the inner one.
+  const innerEnceinte = Boolean(ctx?.params?.innerEnceinte);
+  const tMid = Number.isFinite(ctx?.params?.warpFort?.tMid)
+    ? ctx.params.warpFort.tMid
+    : (innerEnceinte ? INNER_ENCEINTE_T_MID : 0.3);
+  const tMin = innerEnceinte ? INNER_ENCEINTE_T_MIN : 0;
   const midMargin = Number.isFinite(ctx?.params?.warpFort?.midMargin) ? ctx.params.warpFort.midMargin : 0;
   const wallWarped = (warpWall && warpWall.wallWarped) ? warpWall.wallWarped : null;
   let wallWarpedSafe = wallWarped;
@@ -208,6 +231,7 @@ export function runWarpFieldStage({
     innerMargin,
     tMid,
     midMargin,
+    tMin,
   });
 
   const {
@@ -634,5 +658,6 @@ export function runWarpFieldStage({
     compositeWall,
     bastionPolysWarpedSafe,
     bastionHullWarpedSafe,
+    outerHullLoop,
   });
 }
@@ -8,6 +8,8 @@ import { snapGatesToWall } from "../generate_helpers/snap.js";
 import { resampleClosedPolyline } from "../generate_helpers/warp_stage.js";
 import { buildGatePortals } from "../mesh/city_mesh/build_gate_portals.js";
 import { buildBoundaryExits } from "../boundary/build_boundary_exits.js";
+import { resolveFortSchool } from "../fort_schools.js";
+import { buildCoveredWay } from "../generate_helpers/covered_way.js";
 
 
 /**
@@ -21,6 +23,11 @@ import { buildBoundaryExits } from "../boundary/build_boundary_exits.js";
  *   ditchOuter,
  *   ditchInner,
  *   glacisOuter,
+ *   coveredWay,
+ *   glacisCrest,
+ *   placesOfArms,
+ *   traverses,
+ *   ravelinCoveredWays,   // filled by Stage 150
  *   ring,
  *   ring2,
  *   wallForGateSnap,
@@ -43,8 +50,10 @@ export function runWarpDependentFortGeometryStage({
     ? warpWall.params.bandOuter
     : wallR;
 
-  let ditchWidth = fortR * 0.035;
-  let glacisWidth = fortR * 0.08;
+  // Same school proportions as Stage 10 (buildFortSkeleton), on the warped radius.
+  const school = resolveFortSchool(ctx.params?.fortSchool);
+  let ditchWidth = fortR * school.ditchWidth;
+  let glacisWidth = fortR * school.glacisWidth;
   ctx.params.minWallClear = ditchWidth * 1.25;
 
   // Curtain wall (pre-bastion) is wallWarped.
@@ -75,6 +84,16 @@ export function runWarpDependentFortGeometryStage({
   const ditchOuter  = offsetRadial(wallForMoatworks, cx, cy, ditchWidth);
   const ditchInner  = offsetRadial(wallForMoatworks, cx, cy, ditchWidth * 0.35);
   const glacisOuter = offsetRadial(wallForMoatworks, cx, cy, ditchWidth + glacisWidth);
+
+  // Covered way between counterscarp and glacis, with places of arms at its salient and
+  // re-entrant corners. Stage 150 adds the ravelins' covered ways.
+  const { coveredWay, glacisCrest, placesOfArms, traverses } = buildCoveredWay({
+    cx,
+    cy,
+    wallForMoatworks,
+    ditchWidth,
+    glacisWidth,
+  });
   
   // Rings are also fort geometry; keep them consistent with the visible wall trace.
   // If this causes artefacts, switch these two back to wallCurtainForDraw.
@@ -106,6 +125,11 @@ export function runWarpDependentFortGeometryStage({
     ditchOuter,
     ditchInner,
     glacisOuter,
+    coveredWay,
+    glacisCrest,
+    placesOfArms,
+    traverses,
+    ravelinCoveredWays: [],
     ring,
     ring2,
     wallForGateSnap,
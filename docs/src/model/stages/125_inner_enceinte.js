@@ -0,0 +1,61 @@
+// docs/src/model/stages/125_inner_enceinte.js
+//
+// Stage 125: Inner enceinte (optional, ctx.params.innerEnceinte).
+//
+// An older wall with round towers and a thin ditch on the inner hull (Stage 105), inside the
+// bastioned trace. Each outer gate gets an aligned inner gate (buildInnerEnceinte); the inner
+// gates are bound to CityMesh like the outer ones (buildGatePortals), against the loop of
+// half-edges around the inner hull's member wards. Stage 140 routes a road from every paired
+// outer gate through its inner gate to the plaza, and Stage 170 gate spurs that reach inside
+// the inner wall pass the inner gate too.
+
+import { buildInnerEnceinte } from "../generate_helpers/inner_enceinte.js";
+import { bindInnerHullToCityMesh } from "../mesh/city_mesh/bind_inner_hull.js";
+import { buildGatePortals } from "../mesh/city_mesh/build_gate_portals.js";
+
+/**
+ * @param {object} args
+ * @param {boolean} args.enabled - ctx.params.innerEnceinte
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {object} args.fortGeom - fortGeometryWarped (Stage 120)
+ * @param {object} args.innerHullModel - Stage 105
+ * @param {object} args.routingMesh - Stage 70 (cityMesh, vorGraph)
+ * @returns {object|null}
+ * {
+ *   wall, ditchOuter, ditchWidth, towers, gates, gatePairs,
+ *   binding,   // innerHullBinding (bindInnerHullToCityMesh)
+ *   portals    // GatePortal per inner gate
+ * }
+ */
+export function runInnerEnceinteStage({ enabled, cx, cy, fortGeom, innerHullModel, routingMesh }) {
+  if (!enabled) return null;
+
+  const enceinte = buildInnerEnceinte({
+    cx,
+    cy,
+    wall: innerHullModel?.poly ?? null,
+    gates: fortGeom.gatesWarped,
+  });
+  if (!enceinte) return null;
+
+  const binding = bindInnerHullToCityMesh({
+    cityMesh: routingMesh.cityMesh,
+    vorGraph: routingMesh.vorGraph,
+    memberWardIds: innerHullModel.memberWardIds,
+  });
+  if (!binding) {
+    throw new Error("[EMCG] Stage 125 could not bind the inner hull to CityMesh.");
+  }
+
+  const portals = buildGatePortals({
+    cityMesh: routingMesh.cityMesh,
+    boundaryBinding: binding,
+    gates: enceinte.gates,
+  });
+  if (portals.length !== enceinte.gates.length) {
+    throw new Error("[EMCG] Stage 125 inner portals length mismatch with inner gates.");
+  }
+
+  return { ...enceinte, binding, portals };
+}
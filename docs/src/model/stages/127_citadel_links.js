@@ -0,0 +1,23 @@
+// docs/src/model/stages/127_citadel_links.js
+//
+// Stage 127: Citadel links.
+//
+// A citadel fitted close against the main enceinte is tied into it: two spur walls run from the
+// citadel bastions nearest the wall to the warped composite wall (linkCitadelToEnceinte). A
+// citadel standing clear inside the town gets no links.
+
+import { linkCitadelToEnceinte } from "../generate_helpers/citadel_forms.js";
+
+/**
+ * @param {object} args
+ * @param {Array<{x:number,y:number}>|null} args.citadel - fitted trace (Stage 105)
+ * @param {object} args.warp - Stage 110 output
+ * @returns {object} { onWallLine, gap, links }
+ */
+export function runCitadelLinksStage({ citadel, warp }) {
+  if (!Array.isArray(warp?.wallForDraw)) {
+    throw new Error("[EMCG] Stage 127 requires wallForDraw (Stage 110 output).");
+  }
+
+  return linkCitadelToEnceinte({ citadel, wall: warp.wallForDraw });
+}
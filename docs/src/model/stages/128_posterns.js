@@ -0,0 +1,52 @@
+// docs/src/model/stages/128_posterns.js
+//
+// Stage 128: Posterns and water gates.
+//
+// Secondary portals in the main wall (buildPosterns): a postern under the curtain of every
+// front without a land gate, and water gates where the river crosses the wall or a front stands
+// on the coast. They carry no roads. Each is bound to the CityMesh outer boundary loop like the
+// land gates (buildGatePortals), so later stages can route footpaths or quays to them.
+
+import { buildPosterns } from "../generate_helpers/posterns.js";
+import { buildGatePortals } from "../mesh/city_mesh/build_gate_portals.js";
+
+/**
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {object} args.fortGeom - fortGeometryWarped (Stage 120)
+ * @param {object} args.warp - Stage 110 output
+ * @param {object|null} args.waterModel
+ * @param {object} args.routingMesh - Stage 70 (cityMesh, boundaryBinding)
+ * @returns {object}
+ * {
+ *   ports,     // [{ kind: "postern"|"water", point, dir, bastionIds }]
+ *   portals    // GatePortal per port (gateId indexes ports)
+ * }
+ */
+export function runPosternsStage({ cx, cy, fortGeom, warp, waterModel, routingMesh }) {
+  if (!routingMesh?.cityMesh || !routingMesh?.boundaryBinding) {
+    throw new Error("[EMCG] Stage 128 requires routingMesh.cityMesh and routingMesh.boundaryBinding (Stage 70 output).");
+  }
+
+  const ports = buildPosterns({
+    cx,
+    cy,
+    wall: warp?.wallForDraw ?? fortGeom.wallForGateSnap,
+    bastionPolys: warp?.bastionPolysWarpedSafe ?? [],
+    gates: fortGeom.gatesWarped,
+    ditchWidth: fortGeom.ditchWidth,
+    waterModel,
+  });
+
+  const portals = buildGatePortals({
+    cityMesh: routingMesh.cityMesh,
+    boundaryBinding: routingMesh.boundaryBinding,
+    gates: ports.map((p) => p.point),
+  });
+  if (portals.length !== ports.length) {
+    throw new Error("[EMCG] Stage 128 portals length mismatch with posterns.");
+  }
+
+  return { ports, portals };
+}
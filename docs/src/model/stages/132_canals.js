@@ -0,0 +1,46 @@
+// docs/src/model/stages/132_canals.js
+//
+// Stage 132: Canals.
+//
+// On a "canals" site, cuts urban canals from the river along ward boundaries inside the curtain
+// (buildCanals) and registers them, with their quays and bridges, on the water model
+// (waterModel.canals), with the number asked for and built (waterModel.canalCount). Other sites
+// keep an empty list. Canals run on mesh edges, so streets meet them at the bridges; they are
+// not flagged as water for routing.
+
+import { buildCanals } from "../generate_helpers/canals.js";
+
+/**
+ * @param {object} args
+ * @param {object} args.graph - routingMesh.graph (Stage 70)
+ * @param {object|null} args.waterModel
+ * @param {object} args.fortGeom - fortGeometryWarped (Stage 120)
+ * @param {object} args.warp - Stage 110 output
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.baseR
+ * @param {object} args.params - ctx.params (canalCount, makeRiverWeightFn tuning)
+ * @returns {object|null} waterModel with canals
+ */
+export function runCanalsStage({ graph, waterModel, fortGeom, warp, cx, cy, baseR, params }) {
+  if (!waterModel || waterModel.site !== "canals") return waterModel;
+  if (!graph) throw new Error("[EMCG] Stage 132 requires routingMesh.graph (Stage 70 output).");
+
+  const { canals, requested } = buildCanals({
+    graph,
+    waterModel,
+    // The curtain is a simple ring; the composite wall may cross itself at the bastions.
+    wall: warp?.wallCurtainForDraw ?? warp?.wallForDraw ?? fortGeom.wallForGateSnap,
+    cx,
+    cy,
+    baseR,
+    count: params?.canalCount ?? 2,
+    params,
+  });
+
+  if (canals.length < requested) {
+    console.warn("[EMCG] Stage 132 built fewer canals than requested", { requested, built: canals.length });
+  }
+
+  return { ...waterModel, canals, canalCount: { requested, built: canals.length } };
+}
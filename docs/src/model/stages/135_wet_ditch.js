@@ -0,0 +1,39 @@
+// docs/src/model/stages/135_wet_ditch.js
+//
+// Stage 135: Wet ditch.
+//
+// With a river or coast, decides which sectors of the main ditch hold water and places the
+// sluices that feed them and the batardeaux that hold the water at the dry sectors
+// (buildWetDitch). Stage 140 flags routing edges that cross a wet band as water, and the water
+// layer draws the bands. Without water the ditch stays dry and the stage publishes null.
+// Schools with wetDitch (fort_schools.js) flood the whole ditch instead of the sectors near the
+// water.
+
+import { buildWetDitch } from "../generate_helpers/wet_ditch.js";
+
+/**
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {object} args.fortGeom - fortGeometryWarped (Stage 120)
+ * @param {object} args.warp - Stage 110 output
+ * @param {object|null} args.waterModel
+ * @param {boolean} [args.flooded=false] - school.wetDitch
+ * @returns {object|null} { source, sectors, bands, batardeaux, sluices, bridges }
+ */
+export function runWetDitchStage({ cx, cy, fortGeom, warp, waterModel, flooded = false }) {
+  if (!waterModel || waterModel.kind === "none") return null;
+
+  return buildWetDitch({
+    cx,
+    cy,
+    fortR: fortGeom.fortR,
+    ditchWidth: fortGeom.ditchWidth,
+    ditchInner: fortGeom.ditchInner,
+    ditchOuter: fortGeom.ditchOuter,
+    bastionPolys: warp?.bastionPolysWarpedSafe ?? [],
+    gates: fortGeom.gatesWarped,
+    waterModel,
+    flooded,
+  });
+}
@@ -0,0 +1,58 @@
+// docs/src/model/stages/137_crossings.js
+//
+// Stage 137: River crossings.
+//
+// On river sites, picks a few bridges and fords over the river edges of the routing graph
+// (buildCrossings) and registers them on the water model: the crossings themselves
+// (waterModel.crossings) and their edge ids in the waterModel.mesh.bridgeEdgeIds / fordEdgeIds
+// hooks. Stage 140 turns those into edge.flags.isBridge / isFord, so with roadHardAvoidWater the
+// roads cross the river there and nowhere else. Edges Stage 140 splits while snapping keep the
+// flag through the crossing polylines (applyDeterministicEdgeFlags). Anchors snapped onto the
+// river get a landing bridge to the shore.
+
+import { buildCrossings } from "../generate_helpers/crossings.js";
+
+/**
+ * @param {object} args
+ * @param {object} args.graph - routingMesh.graph (Stage 70)
+ * @param {object|null} args.waterModel
+ * @param {object} args.fortGeom - fortGeometryWarped (Stage 120)
+ * @param {object} args.warp - Stage 110 output
+ * @param {object} args.anchors
+ * @param {number} args.baseR
+ * @param {object} args.params - ctx.params (riverCrossings, makeRiverWeightFn tuning)
+ * @returns {object|null} waterModel with crossings
+ */
+export function runCrossingsStage({ graph, waterModel, fortGeom, warp, anchors, baseR, params }) {
+  if (!waterModel || waterModel.kind !== "river") return waterModel;
+  if (!graph) throw new Error("[EMCG] Stage 137 requires routingMesh.graph (Stage 70 output).");
+
+  const crossings = buildCrossings({
+    graph,
+    waterModel,
+    wall: warp?.wallForDraw ?? fortGeom.wallForGateSnap,
+    gates: fortGeom.gatesWarped,
+    plaza: anchors?.plaza ?? null,
+    anchors: {
+      gate: anchors?.primaryGate ?? null,
+      plaza: anchors?.plaza ?? null,
+      citadel: anchors?.citadel ?? null,
+      docks: anchors?.docks ?? null,
+    },
+    baseR,
+    count: params?.riverCrossings ?? 3,
+    params,
+  });
+
+  const idsOf = (kind) => crossings.filter((c) => c.kind === kind).flatMap((c) => c.edgeIds);
+
+  return {
+    ...waterModel,
+    crossings,
+    mesh: {
+      ...waterModel.mesh,
+      bridgeEdgeIds: idsOf("bridge"),
+      fordEdgeIds: idsOf("ford"),
+    },
+  };
+}
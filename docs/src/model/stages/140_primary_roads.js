@@ -13,11 +13,12 @@
 // - Dijkstra is deterministic given a fixed graph + adjacency ordering.
 
 import { snapPointToGraph } from "../mesh/voronoi_planar_graph/snap.js";
-import { dijkstra, pathNodesToPolyline } from "../routing/shortest_path.js";
+import { dijkstra, dijkstraVia, pathNodesToPolyline } from "../routing/shortest_path.js";
 import { buildBlockedEdgeSet } from "../routing/blocked_edges.js";
 import { buildRoutingCostInputs } from "../roads/routing_cost_inputs.js";
 import { applyDeterministicEdgeFlags } from "../mesh/voronoi_planar_graph/water_flags.js";
 import { isFinitePoint } from "../../geom/primitives.js";
+import { pointInPoly } from "../../geom/poly.js";
 
 /**
  * Convert a nodePath into a deterministic list of edge ids by selecting, for each
@@ -75,7 +76,8 @@ function nodePathToEdgeIds(graph, nodePath, blockedEdgeIds) {
  *     polyline: Array<{x,y}>
  *   }>,
  *   gateForRoad: {x,y}|null,
- *   snappedNodes: { gate:number|null, plaza:number|null, citadel:number|null, docks:number|null }
+ *   snappedNodes: { gate:number|null, plaza:number|null, citadel:number|null, docks:number|null,
+ *                   innerGate?:number|null }   // innerGate only with an inner enceinte
  * }
  */
 export function runPrimaryRoadsStage({
@@ -88,6 +90,8 @@ export function runPrimaryRoadsStage({
   gatesWarped,
   gatePortals,
   boundaryExits,
+  innerEnceinte = null,
+  wetDitch = null,
 }) {
   // ---------------- Road weight + blocking (FIELDS ONLY) ----------------
   const costInputs = buildRoutingCostInputs(ctx);
@@ -183,7 +187,60 @@ export function runPrimaryRoadsStage({
   const nCitadel = isFinitePoint(anchors?.citadel) ? snapPointToGraph({ point: anchors.citadel, ...snapCfg }) : null;
   const nDocks = isFinitePoint(anchors?.docks) ? snapPointToGraph({ point: anchors.docks, ...snapCfg }) : null;
   
+
+  // Inner enceinte (Stage 125): every road through an outer gate also passes the inner gate
+  // paired with it. The primary gate keeps the gate -> plaza road; each other paired outer gate
+  // gets its own gate -> inner gate -> plaza road, and the plaza roads to the citadel and docks
+  // pass the inner gate on their way when they leave the inner wall.
+  // Snapped last so the nodes above do not depend on whether the enceinte exists.
+  const innerWall = (innerEnceinte && Array.isArray(innerEnceinte.wall) && innerEnceinte.wall.length >= 3)
+    ? innerEnceinte.wall
+    : null;
+  const gatePairs = innerWall ? (innerEnceinte.gatePairs || []) : [];
+  const innerGateNodes = new Map();
+  function innerGateNode(innerGateId) {
+    if (!innerGateNodes.has(innerGateId)) {
+      const p = innerEnceinte.gates[innerGateId];
+      innerGateNodes.set(innerGateId, isFinitePoint(p) ? snapPointToGraph({ point: p, ...snapCfg }) : null);
+    }
+    return innerGateNodes.get(innerGateId);
+  }
+
+  const innerGatePair = (primaryGateId >= 0)
+    ? gatePairs.find((p) => p.outerGateId === primaryGateId) ?? null
+    : null;
+  const nInnerGate = innerGatePair ? innerGateNode(innerGatePair.innerGateId) : null;
+
+  const outerGateRoads = [];
+  for (const pair of gatePairs) {
+    if (pair.outerGateId === primaryGateId) continue;
+    const gate = gatesWarped[pair.outerGateId];
+    if (!isFinitePoint(gate)) continue;
+    outerGateRoads.push({
+      pair,
+      gate,
+      node: snapPointToGraph({ point: gate, ...snapCfg }),
+      innerNode: innerGateNode(pair.innerGateId),
+    });
+  }
+
+  // Inner gate on the way from `from` to `to`, when exactly one of them is inside the inner wall.
+  function innerGateBetween(from, to) {
+    if (!innerWall || !isFinitePoint(from) || !isFinitePoint(to)) return null;
+    if (pointInPoly(from, innerWall) === pointInPoly(to, innerWall)) return null;
+    let best = null;
+    innerEnceinte.gates.forEach((g, innerGateId) => {
+      if (!isFinitePoint(g)) return;
+      const d = Math.hypot(g.x - from.x, g.y - from.y) + Math.hypot(to.x - g.x, to.y - g.y);
+      if (!best || d < best.d) best = { innerGateId, d };
+    });
+    return best ? { innerGateId: best.innerGateId, node: innerGateNode(best.innerGateId) } : null;
+  }
+  const citadelInnerGate = innerGateBetween(anchors?.plaza, anchors?.citadel);
+  const docksInnerGate = innerGateBetween(anchors?.plaza, anchors?.docks);
+
   const snappedNodes = { gate: nGate, plaza: nPlaza, citadel: nCitadel, docks: nDocks };
+  if (innerEnceinte) snappedNodes.innerGate = nInnerGate;
   
   // Re-apply deterministic edge flags after snapping, because splitEdges mutates graph (new edges).
   applyDeterministicEdgeFlags({
@@ -192,6 +249,7 @@ export function runPrimaryRoadsStage({
     waterModel,
     anchors,
     params: ctx.params,
+    wetDitch,
   });
   
   // Blocked edges are a function of graph flags and hard-avoid params. Compute after flags are up to date.
@@ -224,7 +282,7 @@ export function runPrimaryRoadsStage({
   }
 
   // ---------------- Routing helper (returns meta) ----------------
-  function routeIntent({ intentId, from, to, fromPoint, toPoint, startNode, goalNode }) {
+  function routeIntent({ intentId, from, to, fromPoint, toPoint, startNode, goalNode, viaNode = null }) {
     if (!isFinitePoint(fromPoint) || !isFinitePoint(toPoint)) return null;
 
     // If snapping failed, fall back to straight segment (keeps generator alive).
@@ -246,13 +304,14 @@ export function runPrimaryRoadsStage({
       };
     }
 
-    const nodePath = dijkstra({
-      graph,
-      startNode,
-      goalNode,
-      weightFn: roadWeight,
-      blockedEdgeIds: blocked,
-    });
+    // Through a via node: two legs joined at it without loops (falls back to the direct route).
+    let nodePath = null;
+    if (viaNode != null && viaNode !== startNode && viaNode !== goalNode) {
+      nodePath = dijkstraVia({ graph, startNode, viaNode, goalNode, weightFn: roadWeight, blockedEdgeIds: blocked });
+    }
+    if (!Array.isArray(nodePath) || nodePath.length < 2) {
+      nodePath = dijkstra({ graph, startNode, goalNode, weightFn: roadWeight, blockedEdgeIds: blocked });
+    }
 
     if (!Array.isArray(nodePath) || nodePath.length < 2) {
       const polyline = [fromPoint, toPoint];
@@ -306,18 +365,43 @@ export function runPrimaryRoadsStage({
       toPoint: anchors.plaza,
       startNode: nGate,
       goalNode: nPlaza,
+      viaNode: nInnerGate,
     });
   
     if (meta) {
       meta.portalGateId = primaryGatePortal?.gateId ?? null;
+      if (innerGatePair) meta.innerPortalGateId = innerGatePair.innerGateId;
       meta.boundaryExitId = primaryBoundaryExit?.exitId ?? null;
       intents.push(meta);
     }
   }
 
+  // Other outer gates → inner gate → Plaza (inner enceinte only)
+  if (isFinitePoint(anchors?.plaza)) {
+    for (const r of outerGateRoads) {
+      const meta = routeIntent({
+        intentId: `gate${r.pair.outerGateId}_plaza`,
+        from: "gate",
+        to: "plaza",
+        fromPoint: r.gate,
+        toPoint: anchors.plaza,
+        startNode: r.node,
+        goalNode: nPlaza,
+        viaNode: r.innerNode,
+      });
+
+      if (meta) {
+        meta.portalGateId = Array.isArray(gatePortals) ? gatePortals[r.pair.outerGateId]?.gateId ?? null : null;
+        meta.innerPortalGateId = r.pair.innerGateId;
+        meta.boundaryExitId = Array.isArray(boundaryExits) ? boundaryExits[r.pair.outerGateId]?.exitId ?? null : null;
+        intents.push(meta);
+      }
+    }
+  }
+
   // Plaza → Citadel
   if (isFinitePoint(anchors?.plaza) && isFinitePoint(anchors?.citadel)) {
-    intents.push(routeIntent({
+    const meta = routeIntent({
       intentId: "plaza_citadel",
       from: "plaza",
       to: "citadel",
@@ -325,12 +409,15 @@ export function runPrimaryRoadsStage({
       toPoint: anchors.citadel,
       startNode: nPlaza,
       goalNode: nCitadel,
-    }));
+      viaNode: citadelInnerGate?.node ?? null,
+    });
+    if (meta && citadelInnerGate) meta.innerPortalGateId = citadelInnerGate.innerGateId;
+    intents.push(meta);
   }
 
   // Plaza → Docks
   if (isFinitePoint(anchors?.plaza) && isFinitePoint(anchors?.docks)) {
-    intents.push(routeIntent({
+    const meta = routeIntent({
       intentId: "plaza_docks",
       from: "plaza",
       to: "docks",
@@ -338,7 +425,10 @@ export function runPrimaryRoadsStage({
       toPoint: anchors.docks,
       startNode: nPlaza,
       goalNode: nDocks,
-    }));
+      viaNode: docksInnerGate?.node ?? null,
+    });
+    if (meta && docksInnerGate) meta.innerPortalGateId = docksInnerGate.innerGateId;
+    intents.push(meta);
   }
 
   const primaryRoadsMeta = intents.filter(Boolean);
@@ -1,11 +1,78 @@
 // docs/src/model/stages/150_outworks.js
 //
-// Stage 150: Outworks (ravelins).
+// Stage 150: Outworks (hornworks, crownworks, ravelins).
 // Extracted from generate.js without functional changes.
+//
+// Ravelin usage follows the fortification school (fort_schools.js):
+// - gates:    one ravelin per gate, except the primary gate
+// - curtains: one ravelin in front of each curtain (a front between two bastions, listFronts)
+//             that has no gate
+// Curtain ravelins that would overlap an already placed ravelin are dropped.
+//
+// Hornworks / crownworks (school.hornworks) are placed first, on the most exposed fronts:
+// - fronts beside the new town (its corridor direction, shifted half a front either way)
+// - then the gate approach corridors from corridorIntent
+// Fronts facing water or the primary gate are skipped. Ravelins that would overlap a hornwork
+// once clamped to the outworks warp field are dropped. A hornwork that would cross a bastion, the wall, the new town or the outer
+// boundary is scaled down as a whole (length and width) until it fits, or dropped. The fitted
+// work then follows the outworks warp field like the ravelins: shrinkOutworksToFit against the
+// outer hull, then the radial clamp, and it must still fit afterwards.
+//
+// Ravelins stand beyond the glacis, so the Stage 120 covered way does not reach them; each
+// placed ravelin gets its own covered way (withRavelinCoveredWays).
+//
+// Tenailles and counterguards (school.ditchWorks, overridable by ctx.params.tenailles /
+// counterguards) go in the main ditch last, clear of the ravelins and hornworks.
 
-import { makeRavelin } from "../features.js";
+import { makeRavelin, makeHornwork } from "../features.js";
 import { clampPolylineRadial } from "../generate_helpers/warp_stage.js";
+import { shrinkOutworksToFit } from "../generate_helpers/outworks_shrink_fit.js";
+import { buildCurtainMinField } from "../generate_helpers/curtain_post_clamp.js";
+import { buildRavelinCoveredWays } from "../generate_helpers/covered_way.js";
+import { buildDitchWorks } from "../generate_helpers/ditch_works.js";
 import { auditRadialClamp } from "../debug/fortwarp_audit.js";
+import { centroid, pointInPoly } from "../../geom/poly.js";
+import { polyIntersectsPoly, raySegmentIntersection } from "../../geom/intersections.js";
+import { angle, normAngle, inSector, angleGap } from "../../geom/angle_sector.js";
+import { normalize } from "../../geom/primitives.js";
+import { listFronts } from "../../geom/fronts.js";
+
+const DEFAULT_RAVELINS = { gates: true, curtains: false, scale: 1 };
+const DEFAULT_HORNWORKS = { count: 0, kind: "hornwork" };
+const DEFAULT_DITCH_WORKS = { tenailles: false, counterguards: false };
+
+// Hornwork size factors tried in order when fitting a hornwork.
+const HORNWORK_FIT_SCALES = [1, 0.85, 0.7, 0.55];
+
+// Fronts within this angle of a water corridor are not approachable by land.
+const WATER_CLEAR_RAD = Math.PI / 4;
+
+function firstWallHit(O, D, wallPoly) {
+  let best = null;
+  for (let k = 0; k < wallPoly.length; k++) {
+    const hit = raySegmentIntersection(O, D, wallPoly[k], wallPoly[(k + 1) % wallPoly.length]);
+    if (hit.type === "hit" && (!best || hit.tRay < best.tRay)) best = hit;
+  }
+  return best;
+}
+
+/**
+ * Mid-curtain points on the wall: for each front (listFronts), the first wall hit along the
+ * bisecting ray from the centre. Fronts whose sector contains a gate are skipped.
+ */
+function curtainMidpoints(bastionPolys, wallPoly, gates, cx, cy) {
+  const O = { x: cx, y: cy };
+  const gateAngles = (gates || []).map((g) => normAngle(angle(cx, cy, g)));
+  const out = [];
+
+  listFronts(bastionPolys, cx, cy).forEach((f, i) => {
+    if (gateAngles.some((a) => inSector(a, f.a0, normAngle(f.a1)))) return;
+    const best = firstWallHit(O, { x: Math.cos(f.mid), y: Math.sin(f.mid) }, wallPoly);
+    if (best) out.push({ x: best.p.x, y: best.p.y, idx: i });
+  });
+
+  return out;
+}
 
 /**
  * @param {object} args
@@ -25,6 +92,8 @@ export function runOutworksStage({
   wallForOutworks,
   warpOutworks,
   warpDebugEnabled,
+  ravelinSpec = DEFAULT_RAVELINS,
+  avoidPolys = [],
 }) {
   if (!Array.isArray(bastionPolysWarpedSafe)) {
     throw new Error("[EMCG] Stage 150 requires bastionPolysWarpedSafe (Stage 110 output).");
@@ -33,11 +102,49 @@ export function runOutworksStage({
     throw new Error("[EMCG] Stage 150 requires wallForOutworks polyline (Stage 110 output).");
   }
 
-  let ravelins = (gatesWarped || [])
-    .filter((g) => !(primaryGateWarped && g.idx === primaryGateWarped.idx))
-    .map((g) =>
-      makeRavelin(
-        g,
+  const spec = { ...DEFAULT_RAVELINS, ...(ravelinSpec || {}) };
+
+  // Ravelins follow the outworks warp field; overlaps are checked on the clamped polygons, since
+  // the clamp may move a ravelin onto a hornwork.
+  const clamp = (rv) => ((warpOutworks?.minField || warpOutworks?.maxField)
+    ? clampPolylineRadial(
+      rv,
+      { x: cx, y: cy },
+      warpOutworks.minField,
+      warpOutworks.maxField,
+      warpOutworks.clampMinMargin,
+      warpOutworks.clampMaxMargin
+    )
+    : rv);
+
+  const ravelins = spec.gates
+    ? (gatesWarped || [])
+      .filter((g) => !(primaryGateWarped && g.idx === primaryGateWarped.idx))
+      .map((g) =>
+        makeRavelin(
+          g,
+          cx,
+          cy,
+          fortR,
+          ditchWidth,
+          glacisWidth,
+          newTown ? newTown.poly : null,
+          bastionCount,
+          bastionPolysWarpedSafe,
+          wallForOutworks,
+          { scale: spec.scale }
+        )
+      )
+      .filter(Boolean)
+      .map(clamp)
+      .filter((rv) => !avoidPolys.some((other) => polyIntersectsPoly(rv, other)))
+    : [];
+
+  if (spec.curtains) {
+    const mids = curtainMidpoints(bastionPolysWarpedSafe, wallForOutworks, gatesWarped, cx, cy);
+    for (const m of mids) {
+      const made = makeRavelin(
+        m,
         cx,
         cy,
         fortR,
@@ -46,22 +153,16 @@ export function runOutworksStage({
         newTown ? newTown.poly : null,
         bastionCount,
         bastionPolysWarpedSafe,
-        wallForOutworks
-      )
-    )
-    .filter(Boolean);
-
-  if (warpOutworks?.minField || warpOutworks?.maxField) {
-    ravelins = ravelins.map((rv) =>
-      clampPolylineRadial(
-        rv,
-        { x: cx, y: cy },
-        warpOutworks.minField,
-        warpOutworks.maxField,
-        warpOutworks.clampMinMargin,
-        warpOutworks.clampMaxMargin
-      )
-    );
+        wallForOutworks,
+        // Short curtains sit deep between bastion faces: retry further out, not closer in.
+        { angularOffset: 0, scale: spec.scale, retryForward: [1.3, 1.6, 2.0] }
+      );
+      if (!made) continue;
+      const rv = clamp(made);
+      if (ravelins.some((other) => polyIntersectsPoly(rv, other))) continue;
+      if (avoidPolys.some((other) => polyIntersectsPoly(rv, other))) continue;
+      ravelins.push(rv);
+    }
   }
 
   if (warpDebugEnabled) {
@@ -80,3 +181,223 @@ export function runOutworksStage({
 
   return ravelins;
 }
+
+/**
+ * Candidate front directions for hornworks, most exposed first.
+ * @returns {Array<{x:number,y:number}>} unit directions from the centre
+ */
+function hornworkCandidateDirs(corridorIntent, primaryGateWarped, cx, cy, halfFront) {
+  const corridors = Array.isArray(corridorIntent?.corridors) ? corridorIntent.corridors : [];
+  const waterAngles = corridors
+    .filter((c) => c && c.kind === "water")
+    .map((c) => Math.atan2(c.dir.y, c.dir.x));
+  const primaryAngle = primaryGateWarped ? angle(cx, cy, primaryGateWarped) : null;
+
+  const raw = [];
+  for (const c of corridors) {
+    if (c && c.kind === "newTown") {
+      const a = Math.atan2(c.dir.y, c.dir.x);
+      raw.push(a + halfFront, a - halfFront, a + halfFront * 2, a - halfFront * 2);
+    }
+  }
+  for (const c of corridors) {
+    if (c && c.kind === "gate") raw.push(Math.atan2(c.dir.y, c.dir.x));
+  }
+
+  return raw
+    .filter((a) => !waterAngles.some((w) => angleGap(a, w) < WATER_CLEAR_RAD))
+    .filter((a) => primaryAngle == null || angleGap(a, primaryAngle) >= halfFront)
+    .map((a) => ({ x: Math.cos(a), y: Math.sin(a) }));
+}
+
+/**
+ * Hornworks and crownworks on exposed fronts.
+ *
+ * @param {object} args
+ * @returns {Array<{kind:string, poly:Array<{x:number,y:number}>, dir:{x:number,y:number}, anchor:{x:number,y:number}}>}
+ */
+export function runHornworksStage({
+  hornworkSpec = DEFAULT_HORNWORKS,
+  corridorIntent,
+  primaryGateWarped,
+  cx,
+  cy,
+  ditchWidth,
+  glacisWidth,
+  newTown,
+  bastionPolysWarpedSafe,
+  wallForOutworks,
+  wallCurtainForDraw,
+  outerHullLoop,
+  warpOutworks,
+  outerBoundary,
+}) {
+  const spec = { ...DEFAULT_HORNWORKS, ...(hornworkSpec || {}) };
+  if (!(spec.count > 0)) return [];
+
+  if (!Array.isArray(bastionPolysWarpedSafe)) {
+    throw new Error("[EMCG] Stage 150 requires bastionPolysWarpedSafe (Stage 110 output).");
+  }
+  if (!Array.isArray(wallForOutworks) || wallForOutworks.length < 3) {
+    throw new Error("[EMCG] Stage 150 requires wallForOutworks polyline (Stage 110 output).");
+  }
+
+  const centre = { x: cx, y: cy };
+  const bastions = bastionPolysWarpedSafe.filter((b) => Array.isArray(b) && b.length >= 3);
+  const nFronts = Math.max(3, bastions.length);
+  const halfFront = Math.PI / nFronts;
+  const newTownPoly = (newTown && Array.isArray(newTown.poly) && newTown.poly.length >= 3) ? newTown.poly : null;
+
+  const boundary = (Array.isArray(outerBoundary) && outerBoundary.length >= 3) ? outerBoundary : null;
+
+  // Fit against the outworks warp field: radial max from the outer hull, min from the curtain.
+  const fitOutworks = warpOutworks
+    ? { ...warpOutworks, params: { ...(warpOutworks.params || {}), enableRadialMaxShrink: true } }
+    : null;
+  const curtainMinField = fitOutworks
+    ? buildCurtainMinField({ warpOutworks: fitOutworks, wallCurtainForDraw, cx, cy })
+    : null;
+
+  function fitToWarp(poly) {
+    if (!fitOutworks?.maxField) return poly;
+    const shrunk = shrinkOutworksToFit({
+      bastionPolysWarpedSafe: [poly],
+      centre,
+      wallCurtainForDraw,
+      curtainMinField,
+      outerHullLoop,
+      warpOutworks: fitOutworks,
+    })[0];
+    return clampPolylineRadial(
+      shrunk,
+      centre,
+      warpOutworks.minField,
+      warpOutworks.maxField,
+      warpOutworks.clampMinMargin,
+      warpOutworks.clampMaxMargin
+    );
+  }
+
+  function blocked(poly, placed) {
+    if (!poly || poly.length < 3) return true;
+    if (boundary && !poly.every((p) => pointInPoly(p, boundary))) return true;
+    if (bastions.some((b) => polyIntersectsPoly(poly, b))) return true;
+    if (polyIntersectsPoly(poly, wallForOutworks)) return true;
+    if (placed.some((h) => polyIntersectsPoly(poly, h.poly))) return true;
+    if (newTownPoly) {
+      if (polyIntersectsPoly(poly, newTownPoly)) return true;
+      if (pointInPoly(centroid(poly), newTownPoly)) return true;
+    }
+    return false;
+  }
+
+  function build(dir, scale) {
+    const hit = firstWallHit(centre, dir, wallForOutworks);
+    if (!hit) return null;
+    const anchor = hit.p;
+
+    // Front width from the bastion spacing at this radius.
+    const frontLen = hit.tRay * 2 * halfFront;
+    // Capped against the fort radius so few-bastion forts do not get oversized works.
+    const crown = spec.kind === "crownwork";
+    const halfWidth = Math.min(frontLen * (crown ? 0.8 : 0.45), hit.tRay * (crown ? 0.4 : 0.25)) * scale;
+
+    // The gorge sits beyond the ditch of the neighbouring bastions, so the wings run back
+    // to the counterscarp rather than into the bastion faces.
+    let reach = 0;
+    for (const b of bastions) {
+      for (const p of b) {
+        const along = (p.x - anchor.x) * dir.x + (p.y - anchor.y) * dir.y;
+        const across = Math.abs((p.x - anchor.x) * -dir.y + (p.y - anchor.y) * dir.x);
+        if (across <= halfWidth * 1.1 && along > reach) reach = along;
+      }
+    }
+
+    const poly = makeHornwork(spec.kind, anchor, dir, {
+      halfWidth,
+      gorge: reach + ditchWidth,
+      length: (glacisWidth + halfWidth * (crown ? 0.8 : 1.1)) * scale,
+    });
+    return poly ? { anchor, poly } : null;
+  }
+
+  const placed = [];
+  for (const dir of hornworkCandidateDirs(corridorIntent, primaryGateWarped, cx, cy, halfFront)) {
+    if (placed.length >= spec.count) break;
+
+    // Scale the work down as a whole until it fits, so the warp fit only has small corrections
+    // left; fitting a full-size work vertex by vertex would fold the wings.
+    for (const scale of HORNWORK_FIT_SCALES) {
+      const built = build(normalize(dir), scale);
+      if (!built || blocked(built.poly, placed)) continue;
+      const poly = fitToWarp(built.poly);
+      if (blocked(poly, placed)) continue;
+      placed.push({ kind: spec.kind, poly, dir: normalize(dir), anchor: built.anchor });
+      break;
+    }
+  }
+
+  return placed;
+}
+
+/**
+ * Copy of Stage 120 fortGeometryWarped with covered ways round the placed ravelins: their
+ * parapets go to ravelinCoveredWays, their places of arms and traverses are appended.
+ * @param {object} fortGeom - ctx.state.fortGeometryWarped
+ * @param {Array<Array<{x:number,y:number}>>} ravelins - Stage 150 outworks
+ * @returns {object}
+ */
+export function withRavelinCoveredWays(fortGeom, ravelins) {
+  const ways = buildRavelinCoveredWays({
+    ravelins,
+    ditchWidth: fortGeom.ditchWidth,
+    glacisWidth: fortGeom.glacisWidth,
+  });
+
+  return {
+    ...fortGeom,
+    placesOfArms: [...(fortGeom.placesOfArms || []), ...ways.placesOfArms],
+    traverses: [...(fortGeom.traverses || []), ...ways.traverses],
+    ravelinCoveredWays: ways.ravelinCoveredWays,
+  };
+}
+
+/**
+ * Tenailles and counterguards in the main ditch.
+ * @param {object} args
+ * @returns {{tenailles:Array<Array<{x:number,y:number}>>, counterguards:Array<Array<{x:number,y:number}>>}}
+ */
+export function runDitchWorksStage({
+  ditchWorksSpec = DEFAULT_DITCH_WORKS,
+  cx,
+  cy,
+  ditchWidth,
+  ditchInner,
+  ditchOuter,
+  gatesWarped,
+  bastionPolysWarpedSafe,
+  wallCurtainForDraw,
+  wallForOutworks,
+  avoidPolys = [],
+}) {
+  const spec = { ...DEFAULT_DITCH_WORKS, ...(ditchWorksSpec || {}) };
+  if (!spec.tenailles && !spec.counterguards) return { tenailles: [], counterguards: [] };
+
+  if (!Array.isArray(bastionPolysWarpedSafe)) {
+    throw new Error("[EMCG] Stage 150 requires bastionPolysWarpedSafe (Stage 110 output).");
+  }
+
+  return buildDitchWorks({
+    cx,
+    cy,
+    ditchWidth,
+    bastionPolys: bastionPolysWarpedSafe,
+    curtain: wallCurtainForDraw,
+    wall: wallForOutworks,
+    ditchInner,
+    ditchOuter,
+    gates: gatesWarped,
+    avoidPolys,
+    spec,
+  });
+}
@@ -0,0 +1,36 @@
+// docs/src/model/stages/155_fields_of_fire.js
+//
+// Stage 155: Fields of fire (analysis only, no geometry changes).
+//
+// Casts firing sectors from every bastion flank and face of the warped trace and reports the
+// curtain, ditch and glacis segments no sector covers (analyseFieldsOfFire). The result is
+// published as model.fieldsOfFire and drawn as an overlay; summary.poorlyFlanked marks seeds
+// whose bastions leave most of the curtain and ditch unflanked.
+
+import { analyseFieldsOfFire } from "../generate_helpers/fields_of_fire.js";
+
+/**
+ * @param {object} args
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {object} args.fortGeom - fortGeometryWarped (Stage 120)
+ * @param {object} args.warp - Stage 110 output
+ * @returns {object} { sectors, deadGround, summary }
+ */
+export function runFieldsOfFireStage({ cx, cy, fortGeom, warp }) {
+  if (!Array.isArray(warp?.bastionPolysWarpedSafe)) {
+    throw new Error("[EMCG] Stage 155 requires bastionPolysWarpedSafe (Stage 110 output).");
+  }
+
+  return analyseFieldsOfFire({
+    cx,
+    cy,
+    ditchWidth: fortGeom.ditchWidth,
+    bastionPolys: warp.bastionPolysWarpedSafe,
+    curtain: warp.wallCurtainForDraw,
+    wall: warp.wallForDraw,
+    ditchInner: fortGeom.ditchInner,
+    ditchOuter: fortGeom.ditchOuter,
+    glacisOuter: fortGeom.glacisOuter,
+  });
+}
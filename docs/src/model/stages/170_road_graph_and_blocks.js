@@ -40,6 +40,7 @@ export function runRoadGraphAndBlocksStage({
   squareCentre,
   citCentre, // kept for signature stability
   newTown,
+  innerEnceinte = null,
   districts, // kept for signature stability
   wardsWithRoles, // kept for signature stability
 }) {
@@ -55,7 +56,8 @@ export function runRoadGraphAndBlocksStage({
     rng,
     Array.isArray(gatesWarped) ? gatesWarped : [],
     ring,
-    ring2
+    ring2,
+    innerEnceinte
   );
 
   if (secondaryRoadsLegacy != null && !Array.isArray(secondaryRoadsLegacy)) {
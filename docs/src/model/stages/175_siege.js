@@ -0,0 +1,65 @@
+// docs/src/model/stages/175_siege.js
+//
+// Stage 175: Siege works (optional, ctx.params.siege).
+//
+// A Vauban-style attack on one front for wargaming maps: three parallels, zig-zag saps and
+// batteries outside glacisOuter (buildSiegeWorks). ctx.params.siegeFront picks the target front,
+// "weakest" (widest bastion spacing, the default) or "newTown". Drawn from its own RNG stream
+// (env.rng.siege), so switching the layer on does not move any other stage's output.
+
+import { buildSiegeWorks } from "../generate_helpers/siege_works.js";
+
+/**
+ * @param {object} args
+ * @param {boolean} args.enabled - ctx.params.siege
+ * @param {string} [args.front] - ctx.params.siegeFront
+ * @param {function} args.rng - env.rng.siege
+ * @param {number} args.cx
+ * @param {number} args.cy
+ * @param {number} args.width
+ * @param {number} args.height
+ * @param {object} args.fortGeom - fortGeometryWarped (Stage 150)
+ * @param {object} args.warp - Stage 110 output
+ * @param {Array<{x:number,y:number}>} args.outerBoundary
+ * @param {object|null} args.corridorIntent
+ * @param {object|null} args.waterModel
+ * @param {Array<Array<{x:number,y:number}>>} args.avoidPolys - ravelins and hornworks
+ * @returns {object|null} { front, parallels, saps, batteries }
+ */
+export function runSiegeStage({
+  enabled,
+  front,
+  rng,
+  cx,
+  cy,
+  width,
+  height,
+  fortGeom,
+  warp,
+  outerBoundary,
+  corridorIntent,
+  waterModel,
+  avoidPolys,
+}) {
+  if (!enabled) return null;
+
+  if (!Array.isArray(warp?.bastionPolysWarpedSafe)) {
+    throw new Error("[EMCG] Stage 175 requires bastionPolysWarpedSafe (Stage 110 output).");
+  }
+
+  return buildSiegeWorks({
+    rng,
+    cx,
+    cy,
+    width,
+    height,
+    front: front ?? "weakest",
+    bastionPolys: warp.bastionPolysWarpedSafe,
+    wall: warp.wallForDraw,
+    glacisOuter: fortGeom.glacisOuter,
+    outerBoundary,
+    corridorIntent,
+    waterModel,
+    avoidPolys,
+  });
+}
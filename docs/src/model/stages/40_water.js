@@ -17,7 +17,7 @@ function _unitDir(a, b) {
 function _perp(v) {
   return v ? { x: -v.y, y: v.x } : null;
 }
-export function runWaterStage({ waterKind, rng, outerBoundary, cx, cy, baseR, waterIntent = null }) {
+export function runWaterStage({ waterKind, rng, outerBoundary, cx, cy, baseR, waterIntent = null, riverIslands = 0 }) {
   const waterModel = (waterKind === "none")
     ? { kind: "none", river: null, coast: null, shoreline: null, bankPoint: null }
     : buildWaterModel({
@@ -28,6 +28,7 @@ export function runWaterStage({ waterKind, rng, outerBoundary, cx, cy, baseR, wa
         cy,
         baseR,
         waterIntent,
+        riverIslands,
       });
 
   let derived = null;
@@ -37,9 +38,9 @@ export function runWaterStage({ waterKind, rng, outerBoundary, cx, cy, baseR, wa
     if (pts.length >= 2) derived = _unitDir(pts[0], pts[pts.length - 1]);
   }
 
-  if (waterModel && waterModel.kind === "coast" && Array.isArray(waterModel.shoreline) && waterModel.shoreline.length === 2) {
-    const [a, b] = waterModel.shoreline;
-    const shoreDir = _unitDir(a, b);
+  if (waterModel && waterModel.kind === "coast" && Array.isArray(waterModel.shoreline) && waterModel.shoreline.length >= 2) {
+    const shore = waterModel.shoreline;
+    const shoreDir = _unitDir(shore[0], shore[shore.length - 1]);
     derived = _perp(shoreDir);
   }
 
@@ -76,7 +76,11 @@ export function runWardsStage({
     params: WARDS_PARAMS,
   });
 
-  const innerCount = computeDynamicInnerCount(ctx.seed);
+  // URL / CLI overrides (ctx.params) take precedence over the seed-derived default.
+  const overrides = ctx.params || {};
+  const innerCount = Number.isInteger(overrides.innerCount)
+    ? overrides.innerCount
+    : computeDynamicInnerCount(ctx.seed);
 
   // Milestone 4.8 adoption wiring:
   // Stage 50 usually runs before fields are built, so these will be null in the default pipeline.
@@ -91,7 +95,11 @@ export function runWardsStage({
   } = assignWardRoles({
     wards,
     centre: { x: cx, y: cy },
-    params: { innerCount },
+    params: {
+      innerCount,
+      maxPlugAdds: overrides.maxPlugAdds,
+      outsideBands: overrides.outsideBands,
+    },
 
     // Optional (may be null in current stage order)
     fields,
@@ -9,9 +9,18 @@
 //   2) inside the outer boundary
 //   3) outside the wallBase polygon
 //   4) inside the canvas
+//   5) on land: not in the river body unless on one of its islands (inRiverBody)
 //
 // If no valid dock point can be found deterministically, return null.
 // This is safer than publishing a bad dock anchor.
+//
+// The docks are built toward dockShorePoint (model/shore.js); a river with banks docks on the
+// bank nearer the support point rather than on its centreline, within DOCK_SHORE_REACH of it.
+// When no dock fits there, the nearest other points of the shore inside the outer boundary are
+// tried in turn.
+//
+// A coast site with a harbour (hull/harbour.js, Stage 105) docks on the harbour's back quay;
+// dockShorePoint is also where Stage 105 carves the basin.
 
 import {
   add,
@@ -19,13 +28,15 @@ import {
   normalize,
   clampPointToCanvas,
   isFinitePoint,
+  dist,
 } from "../../geom/primitives.js";
 
-import {
-  pointInPolyOrOn,
-  supportPoint,
-  snapPointToPolyline,
-} from "../../geom/poly.js";
+import { pointInPolyOrOn } from "../../geom/poly.js";
+import { dockShorePoint, shoreSamples } from "../shore.js";
+import { inRiverBody } from "../mesh/voronoi_planar_graph/water_flags.js";
+
+// Farthest a dock may stand from its shore point, in fort radii.
+export const DOCK_SHORE_REACH = 0.06;
 
 function inCanvas(p, width, height, pad = 10) {
   return (
@@ -50,6 +61,7 @@ function outsideWall(p, wallBase) {
 function isValidDockPoint(p, {
   outerBoundary,
   wallBase,
+  waterModel,
   width,
   height,
 }) {
@@ -57,7 +69,8 @@ function isValidDockPoint(p, {
     isFinitePoint(p) &&
     inCanvas(p, width, height, 10) &&
     insideOuterBoundary(p, outerBoundary) &&
-    outsideWall(p, wallBase)
+    outsideWall(p, wallBase) &&
+    !inRiverBody(p, waterModel)
   );
 }
 
@@ -76,12 +89,11 @@ function firstValidAlongRay({
   geom,
   start = 0,
   step = 4,
-  maxSteps = 180,
+  reach,
 }) {
   if (!isFinitePoint(origin) || !isFinitePoint(dir)) return null;
 
-  for (let i = 0; i <= maxSteps; i++) {
-    const d = start + i * step;
+  for (let d = start; d <= reach; d += step) {
     const p = add(origin, mul(dir, d));
     const ok = tryPointAndCanvasClamp(p, geom);
     if (ok) return ok;
@@ -96,10 +108,12 @@ function firstValidDockNearShore({
   primaryGateDir,
   outerBoundary,
   wallBase,
+  waterModel,
+  reach,
   width,
   height,
 }) {
-  const geom = { outerBoundary, wallBase, width, height };
+  const geom = { outerBoundary, wallBase, waterModel, width, height };
 
   if (!isFinitePoint(snapped) || !isFinitePoint(centre)) return null;
 
@@ -125,13 +139,13 @@ function firstValidDockNearShore({
   // 2. Move outward from water. This handles cases where the snap landed inside the wall.
   // 3. Move along the primary gate axis as a deterministic fallback.
   const candidates = [
-    firstValidAlongRay({ origin: snapped, dir: inward, geom, start: 6, step: 4, maxSteps: 180 }),
-    firstValidAlongRay({ origin: snapped, dir: outward, geom, start: 6, step: 4, maxSteps: 180 }),
-    firstValidAlongRay({ origin: snapped, dir: gateDir, geom, start: 6, step: 4, maxSteps: 180 }),
+    firstValidAlongRay({ origin: snapped, dir: inward, geom, start: 2, step: 2, reach }),
+    firstValidAlongRay({ origin: snapped, dir: outward, geom, start: 2, step: 2, reach }),
+    firstValidAlongRay({ origin: snapped, dir: gateDir, geom, start: 2, step: 2, reach }),
   ];
 
   for (const p of candidates) {
-    if (isValidDockPoint(p, geom)) return p;
+    if (isValidDockPoint(p, geom) && dist(p, snapped) <= reach) return p;
   }
 
   return null;
@@ -145,57 +159,52 @@ export function buildDocks({
   wallBase,
   centre,
   waterModel,
+  harbour = null,
+  baseR,
   width,
   height,
 }) {
   // Invariant: return null unless a valid dock point can be placed.
   if (!hasDock) return null;
 
-  const dockPoly =
-    (newTown?.poly && newTown.poly.length >= 3) ? newTown.poly :
-    (outerBoundary && outerBoundary.length >= 3) ? outerBoundary :
-    null;
-
-  if (
-    !dockPoly ||
-    !anchors?.primaryGate ||
-    !isFinitePoint(centre) ||
-    !waterModel ||
-    waterModel.kind === "none" ||
-    !Array.isArray(waterModel.shoreline) ||
-    waterModel.shoreline.length < 2
-  ) {
-    return null;
+  const geom = { outerBoundary, wallBase, waterModel, width, height };
+  if (isFinitePoint(harbour?.dockPoint)) {
+    const p = tryPointAndCanvasClamp(harbour.dockPoint, geom);
+    if (p) return p;
   }
 
-  const primaryGateDirRaw = {
-    x: anchors.primaryGate.x - centre.x,
-    y: anchors.primaryGate.y - centre.y,
-  };
+  const shore = dockShorePoint({ anchors, newTown, outerBoundary, centre, waterModel });
+  if (!shore) return null;
+  const { snapped, primaryGateDir } = shore;
 
-  const primaryGateDir =
-    Math.hypot(primaryGateDirRaw.x, primaryGateDirRaw.y) > 1e-6
-      ? normalize(primaryGateDirRaw)
-      : { x: 1, y: 0 };
-
-  const support = supportPoint(dockPoly, primaryGateDir);
-  if (!support) return null;
+  // The shore point first, then the nearest other shore samples: the shore point may lie
+  // outside the outer boundary or too close to the wall.
+  const reach = baseR * DOCK_SHORE_REACH;
+  const origins = [
+    snapped,
+    ...shoreSamples(waterModel, reach)
+      .filter((p) => insideOuterBoundary(p, outerBoundary))
+      .sort((p, q) => dist(p, snapped) - dist(q, snapped)),
+  ];
 
-  const snapped = snapPointToPolyline(support, waterModel.shoreline);
-  if (!isFinitePoint(snapped)) return null;
+  let dock = null;
+  for (const origin of origins) {
+    dock = firstValidDockNearShore({
+      snapped: origin,
+      centre,
+      primaryGateDir,
+      outerBoundary,
+      wallBase,
+      waterModel,
+      reach,
+      width,
+      height,
+    });
+    if (dock) break;
+  }
 
-  const dock = firstValidDockNearShore({
-    snapped,
-    centre,
-    primaryGateDir,
-    outerBoundary,
-    wallBase,
-    width,
-    height,
-  });
-
-  // Final hard guard. Never publish a dock inside the wall.
-  if (!isValidDockPoint(dock, { outerBoundary, wallBase, width, height })) {
+  // Final hard guard. Never publish a dock inside the wall or in the river.
+  if (!isValidDockPoint(dock, geom)) {
     return null;
   }
 
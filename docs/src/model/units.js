@@ -0,0 +1,93 @@
+// docs/src/model/units.js
+//
+// World frame and real-world units.
+//
+// The generator works in model units inside a fixed world frame (WORLD_FRAME), so a seed gives
+// the same city whatever the canvas size. Renderers fit the frame into their canvas with
+// fitViewTransform(); the canvas size never reaches the stages.
+//
+// One model unit is `metresPerUnit` metres. Lengths and areas are reported in the chosen display
+// unit (LENGTH_UNITS: metres or toises de Paris) by toRealLength() / toRealArea(); measure.js
+// builds its fortification and ward measurements on these.
+
+// Generation frame in model units. Equal to the historical default canvas, so cities generated
+// at 1600x900 keep their geometry.
+export const WORLD_FRAME = Object.freeze({ w: 1600, h: 900 });
+
+// Metres per display unit.
+export const LENGTH_UNITS = Object.freeze({
+  m: 1,
+  toise: 1.949036,
+});
+
+export const DEFAULT_LENGTH_UNIT = "m";
+
+// Calibrated so the median bastion face of a default city comes out near 100 m.
+export const DEFAULT_METRES_PER_UNIT = 3;
+
+/**
+ * Validate and fill a unit system.
+ * @param {{unit?:string|null, metresPerUnit?:number|null}|null} [units]
+ * @returns {{unit:string, metresPerUnit:number}}
+ */
+export function resolveUnits(units = null) {
+  const unit = units?.unit ?? DEFAULT_LENGTH_UNIT;
+  const metresPerUnit = units?.metresPerUnit ?? DEFAULT_METRES_PER_UNIT;
+
+  if (!Object.hasOwn(LENGTH_UNITS, unit)) {
+    throw new Error(`[EMCG] Unknown length unit: ${unit} (expected ${Object.keys(LENGTH_UNITS).join("|")}).`);
+  }
+  if (!Number.isFinite(metresPerUnit) || metresPerUnit <= 0) {
+    throw new Error(`[EMCG] Invalid metresPerUnit: ${metresPerUnit} (expected a positive number).`);
+  }
+  return Object.freeze({ unit, metresPerUnit });
+}
+
+/**
+ * Model-unit length in the display unit.
+ * @param {number} length
+ * @param {{unit:string, metresPerUnit:number}} units
+ * @returns {number}
+ */
+export function toRealLength(length, units) {
+  return (length * units.metresPerUnit) / LENGTH_UNITS[units.unit];
+}
+
+/**
+ * Model-unit area in the display unit squared.
+ * @param {number} area
+ * @param {{unit:string, metresPerUnit:number}} units
+ * @returns {number}
+ */
+export function toRealArea(area, units) {
+  const k = units.metresPerUnit / LENGTH_UNITS[units.unit];
+  return area * k * k;
+}
+
+/**
+ * Display-unit length in model units (inverse of toRealLength).
+ * @param {number} length
+ * @param {{unit:string, metresPerUnit:number}} units
+ * @returns {number}
+ */
+export function fromRealLength(length, units) {
+  return (length * LENGTH_UNITS[units.unit]) / units.metresPerUnit;
+}
+
+/**
+ * Uniform scale and offset that fit the world frame into a canvas, centred (letterboxed).
+ * Canvas point = world point * scale + (tx, ty).
+ * @param {{w:number, h:number}} world
+ * @param {{w:number, h:number}} canvas
+ * @returns {{w:number, h:number, scale:number, tx:number, ty:number}}
+ */
+export function fitViewTransform(world, canvas) {
+  const scale = Math.min(canvas.w / world.w, canvas.h / world.h);
+  return {
+    w: canvas.w,
+    h: canvas.h,
+    scale,
+    tx: (canvas.w - world.w * scale) * 0.5,
+    ty: (canvas.h - world.h * scale) * 0.5,
+  };
+}
@@ -19,6 +19,8 @@ export function setRole(wards, id, role) {
 }
 
 function normaliseOutsideBands(value) {
+  // Explicit band lists ({ bands: [{ role, pct }] }) are cleaned by ward_role_outside.js.
+  if (value && typeof value === "object" && Array.isArray(value.bands)) return value;
   if (value === 3 || value === "3") return 3;
   if (value === 2 || value === "2") return 2;
   return 1;
@@ -2,8 +2,21 @@
 //
 // Model-level wrapper around generate_helpers/water.js.
 // Normalizes the output so generate.js and render code have a stable shape.
+//
+// river: { polyline, widths, banks: { left, right }, polygon, islands, meander }
+//   polyline is the centreline; polygon is the water body outline and islands are holes in it
+//   (land). See generate_helpers/river.js.
+//
+// River sites also carry:
+// - site:      the site kind, "river" | "confluence" | "canals" (SITE_WATER_KINDS)
+// - tributary: confluence sites, the second river (same shape as river, plus confluence)
+// - canals:    canal sites, filled in by Stage 132 (generate_helpers/canals.js); [] until then
+// - canalCount: canal sites, { requested, built } from Stage 132
+//
+// coast: { polygon, beaches, rocks }, the sea with its beaches and off-shore rocks; shoreline is
+// the shore polyline (generate_helpers/coastline.js).
 
-import { buildWater } from "./generate_helpers/water.js";
+import { buildWater, waterBodyKind } from "./generate_helpers/water.js";
 import { isPoint } from "../geom/primitives.js";
 
 function dist2PointToSeg(p, a, b) {
@@ -56,8 +69,24 @@ function pickBestEdge(poly, nearPoint) {
   return [a, b];
 }
 
-export function buildWaterModel({ rng, siteWater, outerBoundary, cx, cy, baseR, waterIntent = null } = {}) {
-  const kind = (siteWater === "river" || siteWater === "coast") ? siteWater : "none";
+// Site kinds offered by the UI and headless runners.
+export const SITE_WATER_KINDS = Object.freeze(["none", "river", "coast", "confluence", "canals"]);
+
+export { waterBodyKind };
+
+function riverBody(body) {
+  return {
+    polyline: body.polyline,
+    widths: body.widths ?? null,
+    banks: body.banks ?? null,
+    polygon: body.polygon ?? null,
+    islands: Array.isArray(body.islands) ? body.islands : [],
+    meander: body.meander ?? null,
+  };
+}
+
+export function buildWaterModel({ rng, siteWater, outerBoundary, cx, cy, baseR, waterIntent = null, riverIslands = 0 } = {}) {
+  const kind = waterBodyKind(siteWater);
 
   if (kind === "none") {
   return {
@@ -69,12 +98,18 @@ export function buildWaterModel({ rng, siteWater, outerBoundary, cx, cy, baseR,
   };
 }
 
-  const raw = buildWater({ rng, siteWater, outerBoundary, cx, cy, baseR, waterIntent }) || {};
+  const raw = buildWater({ rng, siteWater, outerBoundary, cx, cy, baseR, waterIntent, riverIslands }) || {};
 
   if (raw.kind === "river" && Array.isArray(raw.polyline) && raw.polyline.length >= 2) {
+    const trib = raw.tributary;
     return {
       kind: "river",
-      river: { polyline: raw.polyline },
+      site: siteWater,
+      river: riverBody({ ...(raw.river || {}), polyline: raw.polyline }),
+      tributary: (trib && Array.isArray(trib.polyline) && trib.polyline.length >= 2)
+        ? { ...riverBody(trib), confluence: trib.confluence }
+        : null,
+      canals: [],
       coast: null,
       shoreline: raw.polyline,
       bankPoint: isPoint(raw.bankPoint) ? raw.bankPoint : null,
@@ -83,13 +118,19 @@ export function buildWaterModel({ rng, siteWater, outerBoundary, cx, cy, baseR,
 
   if (raw.kind === "coast" && Array.isArray(raw.polygon) && raw.polygon.length >= 3) {
     const bankPoint = isPoint(raw.bankPoint) ? raw.bankPoint : { x: cx, y: cy };
-    const shoreline = pickBestEdge(raw.polygon, bankPoint);
+    const shoreline = Array.isArray(raw.shoreline) && raw.shoreline.length >= 2
+      ? raw.shoreline
+      : pickBestEdge(raw.polygon, bankPoint);
 
     return {
       kind: "coast",
       river: null,
-      coast: { polygon: raw.polygon },
-      shoreline,              // shoreline is now the cut edge, not the full sea polygon
+      coast: {
+        polygon: raw.polygon,
+        beaches: Array.isArray(raw.beaches) ? raw.beaches : [],
+        rocks: Array.isArray(raw.rocks) ? raw.rocks : [],
+      },
+      shoreline,              // the shore, not the full sea polygon
       bankPoint,
     };
   }
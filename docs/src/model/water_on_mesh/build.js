@@ -9,9 +9,31 @@ import { clampInt } from "../util/ids.js";
 import { snapPointToGraph as snapPointToGraphDefault } from "../mesh/voronoi_planar_graph/snap.js";
 import { dijkstra as dijkstraDefault, pathNodesToPolyline as pathNodesToPolylineDefault } from "../routing/shortest_path.js";
 import { isFinitePoint } from "../../geom/primitives.js";
+import { pointInPoly } from "../../geom/poly.js";
+
+// Graph edges whose midpoint lies in the river body and not on an island.
+function riverBodyEdgeIds(graph, body, islands) {
+  const out = [];
+  for (const e of graph.edges) {
+    if (!e || e.disabled) continue;
+    const a = graph.nodes[e.a];
+    const b = graph.nodes[e.b];
+    if (!isFinitePoint(a) || !isFinitePoint(b)) continue;
+    const m = { x: (a.x + b.x) * 0.5, y: (a.y + b.y) * 0.5 };
+    if (!pointInPoly(m, body)) continue;
+    if (islands.some((isl) => pointInPoly(m, isl.poly))) continue;
+    out.push(e.id);
+  }
+  return out;
+}
 
 /**
  * Behaviour-preserving split of the original buildWaterOnMesh.
+ *
+ * A river with a body (waterModel.river.polygon, see generate_helpers/river.js) also marks the
+ * edges lying in the water (riverBodyEdgeIds); its islands stay land. A confluence tributary
+ * (waterModel.tributary) is routed the same way (tributaryOnMesh, tributaryEdgeIds) and its
+ * body edges join riverBodyEdgeIds.
  */
 export function buildWaterOnMesh({
   graph,
@@ -58,6 +80,8 @@ export function buildWaterOnMesh({
     ? wm.river
     : (Array.isArray(wm.river?.polyline) ? wm.river.polyline : null);
 
+  const tribIn = Array.isArray(wm.tributary?.polyline) ? wm.tributary.polyline : null;
+
   const out = {
     ...wm,
     kind,
@@ -65,10 +89,12 @@ export function buildWaterOnMesh({
     riverOnMesh: null,
     shorelineEdgeIds: [],
     riverEdgeIds: [],
+    riverBodyEdgeIds: [],
   };
 
   const hasCoast = Array.isArray(coastIn) && coastIn.length >= 2 && polylineLengthSq(coastIn) > 1e-6;
   const hasRiver = Array.isArray(riverIn) && riverIn.length >= 2 && polylineLengthSq(riverIn) > 1e-6;
+  const hasTributary = hasRiver && Array.isArray(tribIn) && tribIn.length >= 2 && polylineLengthSq(tribIn) > 1e-6;
 
   if (!hasCoast && !hasRiver) return out;
 
@@ -118,6 +144,43 @@ export function buildWaterOnMesh({
       out.riverEdgeIds = riverRouted.usedEdgeIds;
       if (mutateGraphFlags) applyWaterFlagsToEdges(graph, out.riverEdgeIds, "isWater");
     }
+
+    const body = wm.river?.polygon;
+    if (Array.isArray(body) && body.length >= 3) {
+      const islands = Array.isArray(wm.river.islands) ? wm.river.islands : [];
+      out.riverBodyEdgeIds = riverBodyEdgeIds(graph, body, islands);
+      if (mutateGraphFlags) applyWaterFlagsToEdges(graph, out.riverBodyEdgeIds, "isWater");
+    }
+  }
+
+  if (hasTributary) {
+    const tribSampled = resamplePolylineUniform(tribIn, riverTargetPoints);
+    const tribNodes = snapPolylineToNodes({ graph, polyline: tribSampled, snapPointToGraph, snapCfg });
+
+    const tribRouted = routeNodesAsPolyline({
+      graph,
+      snappedNodes: tribNodes,
+      dijkstra,
+      pathNodesToPolyline,
+      weightFn: weightLen,
+      blockedEdgeIds: null,
+    });
+
+    out.tributaryOnMesh = null;
+    out.tributaryEdgeIds = [];
+    if (Array.isArray(tribRouted.polyline) && tribRouted.polyline.length >= 2) {
+      out.tributaryOnMesh = tribRouted.polyline;
+      out.tributaryEdgeIds = tribRouted.usedEdgeIds;
+      if (mutateGraphFlags) applyWaterFlagsToEdges(graph, out.tributaryEdgeIds, "isWater");
+    }
+
+    const body = wm.tributary.polygon;
+    if (Array.isArray(body) && body.length >= 3) {
+      const ids = riverBodyEdgeIds(graph, body, []);
+      const seen = new Set(out.riverBodyEdgeIds);
+      out.riverBodyEdgeIds = out.riverBodyEdgeIds.concat(ids.filter((id) => !seen.has(id)));
+      if (mutateGraphFlags) applyWaterFlagsToEdges(graph, ids, "isWater");
+    }
   }
 
   return out;
@@ -0,0 +1,53 @@
+// docs/src/render/icons/bridge.js
+// River bridge and ford icon rendering.
+
+import { drawPoly } from "../helpers/draw.js";
+import { add, mul, perp, normalize } from "../../geom/primitives.js";
+
+// Bridge: a deck along the crossing with a parapet on each side, carried a little past both banks.
+// Ford: pale stepping stones along the crossing.
+export function drawCrossing(ctx, crossing, size, style) {
+  const line = crossing?.polyline;
+  if (!Array.isArray(line) || line.length < 2) return;
+
+  const a = line[0];
+  const b = line[line.length - 1];
+  const dir = normalize(crossing.dir ?? { x: b.x - a.x, y: b.y - a.y });
+  const pts = [add(a, mul(dir, -size)), ...line.slice(1, -1), add(b, mul(dir, size))];
+
+  ctx.save();
+  ctx.lineJoin = "round";
+
+  if (crossing.kind === "bridge") {
+    ctx.lineCap = "butt";
+    ctx.strokeStyle = style.parapetStroke;
+    ctx.lineWidth = size * 1.6;
+    drawPoly(ctx, pts, false);
+    ctx.stroke();
+
+    ctx.strokeStyle = style.deckStroke;
+    ctx.lineWidth = size * 1.1;
+    drawPoly(ctx, pts, false);
+    ctx.stroke();
+  } else {
+    const side = normalize(perp(dir));
+    ctx.fillStyle = style.fordFill;
+    ctx.globalAlpha = 0.85;
+    for (let i = 1; i < pts.length; i++) {
+      const p = pts[i - 1];
+      const q = pts[i];
+      const n = Math.max(1, Math.round(Math.hypot(q.x - p.x, q.y - p.y) / (size * 1.2)));
+      for (let k = 0; k <= n; k++) {
+        if (k === 0 && i > 1) continue;
+        const t = k / n;
+        const c = { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+        const off = mul(side, (k % 2 ? 0.25 : -0.25) * size);
+        ctx.beginPath();
+        ctx.arc(c.x + off.x, c.y + off.y, size * 0.35, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+
+  ctx.restore();
+}
@@ -5,7 +5,7 @@ import { drawPoly, drawCircle } from "../helpers/draw.js";
 import { add, mul, perp, normalize } from "../../geom/primitives.js";
 
 // Gatehouse icon (simple block + towers)
-export function drawGatehouse(ctx, gate, centre, size) {
+export function drawGatehouse(ctx, gate, centre, size, style) {
   if (!gate || !centre) return;
 
   const out = normalize({ x: gate.x - centre.x, y: gate.y - centre.y });
@@ -22,9 +22,9 @@ export function drawGatehouse(ctx, gate, centre, size) {
   const bl = add(add(p, mul(side, -w)), mul(out, d));
 
   ctx.save();
-  ctx.fillStyle = "#0f0f0f";
-  ctx.strokeStyle = "#ffffff";
-  ctx.lineWidth = 2;
+  ctx.fillStyle = style.fill;
+  ctx.strokeStyle = style.stroke;
+  ctx.lineWidth = style.width;
 
   // Main block
   drawPoly(ctx, [tl, tr, br, bl], true);
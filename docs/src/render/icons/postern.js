@@ -0,0 +1,45 @@
+// docs/src/render/icons/postern.js
+// Postern and water gate icon rendering.
+
+import { drawPoly } from "../helpers/draw.js";
+import { add, mul, perp, normalize } from "../../geom/primitives.js";
+
+// Postern icon (narrow passage through the wall); water gates get a blue grille across it
+export function drawPostern(ctx, port, centre, size, style) {
+  const p = port?.point;
+  if (!p || !centre) return;
+
+  const out = normalize(port.dir ?? { x: p.x - centre.x, y: p.y - centre.y });
+  const side = normalize(perp(out));
+
+  const w = size * 0.45;
+  const d = size * 0.9;
+
+  const tl = add(add(p, mul(side, -w)), mul(out, -d));
+  const tr = add(add(p, mul(side, w)), mul(out, -d));
+  const br = add(add(p, mul(side, w)), mul(out, d));
+  const bl = add(add(p, mul(side, -w)), mul(out, d));
+
+  const isWater = port.kind === "water";
+
+  ctx.save();
+  ctx.fillStyle = style.fill;
+  ctx.strokeStyle = isWater ? style.waterStroke : style.stroke;
+  ctx.lineWidth = style.width;
+
+  drawPoly(ctx, [tl, tr, br, bl], true);
+  ctx.fill();
+  ctx.stroke();
+
+  if (isWater) {
+    // Grille: bars along the passage
+    for (const k of [-0.5, 0, 0.5]) {
+      const a = add(add(p, mul(side, w * k)), mul(out, -d));
+      const b = add(add(p, mul(side, w * k)), mul(out, d));
+      drawPoly(ctx, [a, b], false);
+      ctx.stroke();
+    }
+  }
+
+  ctx.restore();
+}
@@ -3,16 +3,21 @@
 // Canvas renderer for Milestone 3.4.
 // Expects a model object from docs/src/model/generate.js.
 //
+// The model is in world-frame units (model.world); everything after the background is drawn
+// through fitViewTransform() so the city fills the canvas whatever its size.
+//
 // Draw order (important for visibility):
 // 1) background + water + footprint + outer boundary
 // 2) New Town polygon + streets
-// 3) glacis + ditch rings + ravelins
-// 4) walls + rings
+// 3) glacis + covered way + ditch rings + ditch works + hornworks + ravelins
+// 4) walls + rings + inner enceinte
+// 4b) siege works (optional)
 // 5) road graph
-// 6) gates + primary gate
+// 6) gates (outer and inner) + primary gate
 // 7) citadel
 // 8) landmarks (square + market + docks) LAST so they are always visible
 // 9) centre marker (reference)
+// 10) fields of fire (debug overlay, Stage 155)
 
 import { drawBackground } from "./stages/background.js";
 import { drawWater } from "./stages/water.js";
@@ -20,11 +25,15 @@ import { drawFootprintAndDebugOverlays } from "./stages/footprint_debug.js";
 import { drawBoundaryAndNewTown } from "./stages/boundary_newtown.js";
 import { drawMoatworksAndRavelins } from "./stages/moatworks_ravelins.js";
 import { drawWallsAndRingsAndWarp } from "./stages/walls_rings_warp.js";
+import { drawSiegeWorks } from "./stages/siege.js";
 import { drawRoadGraph } from "./stages/roads.js";
 import { drawGatesAndPrimaryGate } from "./stages/gates.js";
 import { drawCitadel } from "./stages/citadel.js";
 import { drawLandmarksAndCentre } from "./stages/landmarks.js";
 import { drawWardsDebug } from "./stages/wards_debug.js";
+import { drawFieldsOfFireDebug } from "./stages/fields_of_fire.js";
+import { makeStyleTokens } from "./style/style_tokens.js";
+import { WORLD_FRAME, fitViewTransform } from "../model/units.js";
 
 function drawPolyline(ctx, poly, opts = {}) {
   if (!ctx || !Array.isArray(poly) || poly.length < 2) return;
@@ -134,13 +143,28 @@ export function render(ctx, model) {
     ditchOuter,
     ditchInner,
     glacisOuter,
+    coveredWay,
+    glacisCrest,
+    placesOfArms,
+    traverses,
+    ravelinCoveredWays,
 
     ravelins,
+    hornworks,
+    tenailles,
+    counterguards,
+    innerEnceinte,
+    posterns,
+    wetDitch,
+    fieldsOfFire,
+    siege,
 
     cx,
     cy,
     squareR,
     citadel,
+    citadelFit,
+    citadelLinks,
     anchors,
 
     roadGraph,
@@ -151,6 +175,7 @@ export function render(ctx, model) {
     warp,
     mesh,
     primaryRoadsMeta,
+    coastGeometry,
   } = model || {};
 
   const A = anchors || {};
@@ -158,8 +183,16 @@ export function render(ctx, model) {
   const gates = A.gates || null;
   const primaryGate = A.primaryGate || null;
 
-  drawBackground(ctx);
-  drawWater(ctx, { water });
+  // Same layer styles as the SVG export (render_svg.js)
+  const { layers } = makeStyleTokens({ baseR: model?.baseR });
+
+  drawBackground(ctx, { style: layers.background });
+
+  const view = fitViewTransform(model?.world ?? WORLD_FRAME, { w: ctx.canvas.width, h: ctx.canvas.height });
+  ctx.save();
+  ctx.setTransform(view.scale, 0, 0, view.scale, view.tx, view.ty);
+
+  drawWater(ctx, { water, wetDitch, harbour: coastGeometry?.harbour ?? null, style: layers.water });
 
   drawFootprintAndDebugOverlays(ctx, {
     footprint,
@@ -170,7 +203,21 @@ export function render(ctx, model) {
 
   drawBoundaryAndNewTown(ctx, { outerBoundary, newTown });
 
-  drawMoatworksAndRavelins(ctx, { glacisOuter, ditchOuter, ditchInner, ravelins });
+  drawMoatworksAndRavelins(ctx, {
+    glacisOuter,
+    ditchOuter,
+    ditchInner,
+    coveredWay,
+    glacisCrest,
+    placesOfArms,
+    traverses,
+    ravelinCoveredWays,
+    ravelins,
+    hornworks,
+    tenailles,
+    counterguards,
+    style: layers.moatworks,
+  });
 
   drawWallsAndRingsAndWarp(ctx, {
     wall,
@@ -181,8 +228,12 @@ export function render(ctx, model) {
     ring2,
     warp,
     fortHulls: model?.fortHulls ?? null,
+    innerEnceinte,
+    style: layers.walls,
   });
 
+  drawSiegeWorks(ctx, { siege, style: layers.siege });
+
   // ---- Debug: ward-derived fort hulls (from model.fortHulls) ----
     const fh = model?.fortHulls ?? null;
 
@@ -246,7 +297,7 @@ export function render(ctx, model) {
   // - If roadGraph is present, it is the canonical normalised output (Milestone 8+).
   // - Otherwise, fall back to Stage 140 polylines (primaryRoads) so primary routing is visible today.
   if (roadGraph) {
-    drawRoadGraph(ctx, { roadGraph });
+    drawRoadGraph(ctx, { roadGraph, style: layers.roads });
   } else {
     drawRoadPolylines(ctx, Array.isArray(secondaryRoads) ? secondaryRoads : null, "secondary");
     drawRoadPolylines(
@@ -266,9 +317,24 @@ export function render(ctx, model) {
     primaryRoadsMeta: primaryRoadsMeta ?? model?.primaryRoadsMeta,
   });
 
-  drawGatesAndPrimaryGate(ctx, { gates, primaryGate, cx, cy, squareR });
+  drawGatesAndPrimaryGate(ctx, {
+    gates,
+    innerGates: innerEnceinte?.gates ?? null,
+    posterns: posterns?.ports ?? null,
+    primaryGate,
+    cx,
+    cy,
+    squareR,
+    style: layers.gates,
+  });
 
-  drawCitadel(ctx, { citadel, anchors: A });
+  drawCitadel(ctx, {
+    citadel,
+    anchors: A,
+    esplanade: citadelFit?.esplanade ?? null,
+    links: citadelLinks?.links ?? null,
+    style: layers.citadel,
+  });
 
   drawLandmarksAndCentre(ctx, {
     wallBase,
@@ -276,8 +342,13 @@ export function render(ctx, model) {
     squareR,
     anchors: A,
     site,
+    style: layers.landmarks,
   });
 
+  // Optional debug: firing sectors and dead ground (Stage 155).
+  // This is gated behind model.debug.showFieldsOfFire or globalThis.__EMCG_DEBUG_FIELDS_OF_FIRE__.
+  drawFieldsOfFireDebug(ctx, { fieldsOfFire, debug: model?.debug });
+
   // ---- Debug: draw wards overlay LAST so ids/edges are on top ----
   drawWardsDebug(ctx, {
     wards: model?.wards || [],
@@ -287,4 +358,6 @@ export function render(ctx, model) {
     anchors: A,
     hideWardIds: false,
   });
+
+  ctx.restore();
 }
@@ -0,0 +1,212 @@
+// docs/src/render/render_svg.js
+//
+// Deterministic layered SVG export (Milestone 12).
+// Expects the same model object as render.js and walks the same draw stages,
+// but records into an SvgContext instead of a canvas.
+//
+// Output contract:
+// - One <g id="..."> per layer, in canvas draw order.
+// - Byte-identical for the same model and size (fixed number formatting, no timestamps).
+// - Debug overlays drawn inline by render.js (ward ids, hull loops, meta markers) are not exported.
+
+import { drawBackground } from "./stages/background.js";
+import { drawWater } from "./stages/water.js";
+import { drawMoatworksAndRavelins } from "./stages/moatworks_ravelins.js";
+import { drawWallsAndRingsAndWarp } from "./stages/walls_rings_warp.js";
+import { drawSiegeWorks } from "./stages/siege.js";
+import { drawRoadLayers } from "./stages/roads.js";
+import { drawGatesAndPrimaryGate } from "./stages/gates.js";
+import { drawCitadel } from "./stages/citadel.js";
+import { drawLandmarksAndCentre } from "./stages/landmarks.js";
+import { makeStyleTokens } from "./style/style_tokens.js";
+import { SvgContext, fmtSvgNumber, escapeXml } from "./svg/svg_context.js";
+import { WORLD_FRAME, fitViewTransform } from "../model/units.js";
+
+/**
+ * Layer table. Ids are part of the export contract; do not rename casually.
+ * Each draw() receives the same arguments render.js passes to the stage, with the layer's
+ * style from makeStyleTokens().layers[id].
+ */
+export const SVG_LAYERS = [
+  {
+    id: "background",
+    draw(ctx, model, style) {
+      drawBackground(ctx, { style });
+    },
+  },
+  {
+    id: "water",
+    draw(ctx, model, style) {
+      drawWater(ctx, {
+        water: model.water,
+        wetDitch: model.wetDitch ?? null,
+        harbour: model.coastGeometry?.harbour ?? null,
+        style,
+      });
+    },
+  },
+  {
+    id: "moatworks",
+    draw(ctx, model, style) {
+      drawMoatworksAndRavelins(ctx, {
+        glacisOuter: model.glacisOuter,
+        coveredWay: model.coveredWay,
+        glacisCrest: model.glacisCrest,
+        placesOfArms: model.placesOfArms,
+        traverses: model.traverses,
+        ravelinCoveredWays: model.ravelinCoveredWays,
+        ditchOuter: model.ditchOuter,
+        ditchInner: model.ditchInner,
+        ravelins: model.ravelins,
+        hornworks: model.hornworks,
+        tenailles: model.tenailles,
+        counterguards: model.counterguards,
+        style,
+      });
+    },
+  },
+  {
+    id: "walls",
+    draw(ctx, model, style) {
+      drawWallsAndRingsAndWarp(ctx, {
+        wall: model.wall,
+        wallBase: model.wallBase,
+        wallCurtain: model.wallCurtain,
+        bastionPolys: model.bastionPolys,
+        ring: model.ring,
+        ring2: model.ring2,
+        warp: model.warp,
+        fortHulls: model.fortHulls ?? null,
+        innerEnceinte: model.innerEnceinte ?? null,
+        style,
+      });
+    },
+  },
+  {
+    id: "siege",
+    draw(ctx, model, style) {
+      drawSiegeWorks(ctx, { siege: model.siege ?? null, style });
+    },
+  },
+  {
+    id: "roads",
+    draw(ctx, model, style) {
+      drawRoadLayers(ctx, {
+        roadGraph: model.roadGraph ?? null,
+        primaryRoads: Array.isArray(model.primaryRoads) ? model.primaryRoads : model.roads,
+        secondaryRoads: model.secondaryRoads,
+        style,
+      });
+    },
+  },
+  {
+    id: "gates",
+    draw(ctx, model, style) {
+      const A = model.anchors || {};
+      drawGatesAndPrimaryGate(ctx, {
+        gates: A.gates || null,
+        innerGates: model.innerEnceinte?.gates ?? null,
+        posterns: model.posterns?.ports ?? null,
+        primaryGate: A.primaryGate || null,
+        cx: model.cx,
+        cy: model.cy,
+        squareR: model.squareR,
+        style,
+      });
+    },
+  },
+  {
+    id: "citadel",
+    draw(ctx, model, style) {
+      drawCitadel(ctx, {
+        citadel: model.citadel,
+        anchors: model.anchors || {},
+        esplanade: model.citadelFit?.esplanade ?? null,
+        links: model.citadelLinks?.links ?? null,
+        style,
+      });
+    },
+  },
+  {
+    id: "landmarks",
+    draw(ctx, model, style) {
+      drawLandmarksAndCentre(ctx, {
+        wallBase: model.wallBase,
+        outerBoundary: model.outerBoundary,
+        squareR: model.squareR,
+        anchors: model.anchors || {},
+        site: model.site,
+        style,
+      });
+    },
+  },
+];
+
+/**
+ * Render a model to an SVG document string.
+ * @param {object} model - output of generate()
+ * @param {object} args
+ * @param {number} args.width - output width; the world frame is fitted into it
+ * @param {number} args.height - output height
+ * @param {number} [args.exportScale=1] - output size multiplier (viewBox stays in canvas pixels)
+ * @returns {string}
+ */
+export function renderSvg(model, { width, height, exportScale = 1 }) {
+  if (!model || typeof model !== "object") {
+    throw new Error("[EMCG] renderSvg requires a model object.");
+  }
+  if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
+    throw new Error("[EMCG] renderSvg requires positive width and height.");
+  }
+
+  const tokens = makeStyleTokens({ baseR: model.baseR, exportScale });
+
+  // Widths stay in canvas pixels (viewBox units); the hairline token is the floor,
+  // divided back by the export scale because the viewBox already scales strokes.
+  const ctx = new SvgContext({
+    width,
+    height,
+    minLineWidth: tokens.width.hairline / tokens.exportScale,
+    fallbackColour: tokens.colour.ink,
+  });
+
+  const W = fmtSvgNumber(width);
+  const H = fmtSvgNumber(height);
+
+  const lines = [];
+  lines.push(`<?xml version="1.0" encoding="UTF-8"?>`);
+  lines.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" ` +
+    `width="${fmtSvgNumber(width * tokens.exportScale)}" height="${fmtSvgNumber(height * tokens.exportScale)}" ` +
+    `viewBox="0 0 ${W} ${H}" color="${escapeXml(tokens.colour.ink)}">`
+  );
+
+  // Layers after the background are in world-frame units. The fit goes on a wrapping group
+  // (strokes scale with it, as on a canvas); a world-sized output needs none.
+  const view = fitViewTransform(model.world ?? WORLD_FRAME, { w: width, h: height });
+  const fitted = view.scale !== 1 || view.tx !== 0 || view.ty !== 0;
+
+  for (const layer of SVG_LAYERS) {
+    ctx.save();
+    layer.draw(ctx, model, tokens.layers[layer.id]);
+    ctx.restore();
+
+    const elements = ctx.takeElements();
+    if (elements.length === 0) {
+      lines.push(`<g id="${layer.id}"/>`);
+    } else {
+      lines.push(`<g id="${layer.id}">`);
+      for (const el of elements) lines.push(el);
+      lines.push(`</g>`);
+    }
+
+    if (fitted && layer.id === "background") {
+      const m = [view.scale, 0, 0, view.scale, view.tx, view.ty].map(fmtSvgNumber).join(" ");
+      lines.push(`<g id="view" transform="matrix(${m})">`);
+    }
+  }
+  if (fitted) lines.push(`</g>`);
+
+  lines.push(`</svg>`);
+  return lines.join("\n") + "\n";
+}
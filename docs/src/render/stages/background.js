@@ -1,6 +1,6 @@
 // docs/src/render/stages/background.js
 
-export function drawBackground(ctx) {
+export function drawBackground(ctx, { style }) {
   // Background (robust clear even if caller applied transforms)
   const cw = ctx.canvas.width;
   const ch = ctx.canvas.height;
@@ -9,7 +9,7 @@ export function drawBackground(ctx) {
   ctx.setTransform(1, 0, 0, 1, 0, 0);
   ctx.globalAlpha = 1.0;
   ctx.clearRect(0, 0, cw, ch);
-  ctx.fillStyle = "#333333";
+  ctx.fillStyle = style.fill;
   ctx.fillRect(0, 0, cw, ch);
   ctx.restore();
 }
@@ -2,22 +2,45 @@
 
 import { drawPoly, drawCircle } from "../helpers/draw.js";
 
-export function drawCitadel(ctx, { citadel, anchors }) {
+export function drawCitadel(ctx, { citadel, anchors, esplanade = null, links = null, style }) {
   if (!Array.isArray(citadel) || citadel.length < 3) return;
 
-  ctx.fillStyle = "#101010";
+  // Esplanade: open ground around the citadel, under everything else
+  if (Array.isArray(esplanade) && esplanade.length >= 3) {
+    ctx.save();
+    ctx.fillStyle = style.esplanadeFill;
+    drawPoly(ctx, esplanade, true);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Spur walls tying the citadel into the main enceinte
+  if (Array.isArray(links) && links.length) {
+    ctx.save();
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = style.linkWidth;
+    ctx.lineCap = "round";
+    for (const link of links) {
+      if (!Array.isArray(link) || link.length < 2) continue;
+      drawPoly(ctx, link, false);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  ctx.fillStyle = style.fill;
   drawPoly(ctx, citadel, true);
   ctx.fill();
 
-  ctx.strokeStyle = "#b5aea1";
-  ctx.lineWidth = 2;
+  ctx.strokeStyle = style.stroke;
+  ctx.lineWidth = style.width;
   drawPoly(ctx, citadel, true);
   ctx.stroke();
 
   const p = anchors?.citadel;
 
   if (p && Number.isFinite(p.x) && Number.isFinite(p.y)) {
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = style.markerFill;
     drawCircle(ctx, p, 2.5);
     ctx.fill();
   }
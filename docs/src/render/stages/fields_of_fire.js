@@ -0,0 +1,54 @@
+// docs/src/render/stages/fields_of_fire.js
+//
+// Debug overlay for Stage 155 (model.fieldsOfFire): firing sectors and dead ground.
+// Gated behind model.debug.showFieldsOfFire or globalThis.__EMCG_DEBUG_FIELDS_OF_FIRE__.
+
+import { drawPoly } from "../helpers/draw.js";
+
+const DEAD_GROUND_STROKE = {
+  curtain: "rgba(255,60,60,0.95)",
+  ditch: "rgba(255,140,0,0.90)",
+  glacis: "rgba(255,220,0,0.75)",
+};
+
+export function drawFieldsOfFireDebug(ctx, { fieldsOfFire, debug }) {
+  const enabled =
+    Boolean(debug?.showFieldsOfFire) ||
+    Boolean(globalThis.__EMCG_DEBUG_FIELDS_OF_FIRE__);
+  if (!enabled || !fieldsOfFire) return;
+
+  // Sectors: flanks blue, faces grey, lightly filled so overlaps read as denser cover
+  ctx.save();
+  ctx.lineWidth = 0.75;
+  for (const s of fieldsOfFire.sectors || []) {
+    if (!s?.poly || s.poly.length < 3) continue;
+    const isFlank = s.kind === "flank";
+    ctx.fillStyle = isFlank ? "rgba(80,160,255,0.06)" : "rgba(200,200,200,0.04)";
+    ctx.strokeStyle = isFlank ? "rgba(80,160,255,0.35)" : "rgba(200,200,200,0.20)";
+    drawPoly(ctx, s.poly, true);
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // Dead ground
+  ctx.save();
+  ctx.lineWidth = 3;
+  ctx.lineCap = "round";
+  for (const d of fieldsOfFire.deadGround || []) {
+    if (!d?.points || d.points.length < 2) continue;
+    ctx.strokeStyle = DEAD_GROUND_STROKE[d.kind] || DEAD_GROUND_STROKE.curtain;
+    drawPoly(ctx, d.points, false);
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  const sum = fieldsOfFire.summary;
+  if (sum?.poorlyFlanked) {
+    ctx.save();
+    ctx.font = "12px sans-serif";
+    ctx.fillStyle = "rgba(255,60,60,0.95)";
+    ctx.fillText(`Poorly flanked: ${Math.round(sum.deadRatio * 100)}% dead curtain + ditch`, 12, 20);
+    ctx.restore();
+  }
+}
@@ -2,13 +2,28 @@
 
 import { drawCircle } from "../helpers/draw.js";
 import { drawGatehouse } from "../icons/gatehouse.js";
+import { drawPostern } from "../icons/postern.js";
+
+export function drawGatesAndPrimaryGate(ctx, { gates, innerGates, posterns = null, primaryGate, cx, cy, squareR, anchors, style }) {
+  // Posterns and water gates: below the land gates
+  if (posterns && posterns.length) {
+    for (const p of posterns) {
+      drawPostern(ctx, p, { x: cx, y: cy }, (squareR || 10) * 0.35, style.postern);
+    }
+  }
+
+  // Inner enceinte gates: smaller gatehouses, no marker
+  if (innerGates && innerGates.length) {
+    for (const g of innerGates) {
+      drawGatehouse(ctx, g, { x: cx, y: cy }, (squareR || 10) * 0.4, style.gatehouse);
+    }
+  }
 
-export function drawGatesAndPrimaryGate(ctx, { gates, primaryGate, cx, cy, squareR, anchors }) {
   // Gates + markers
   if (gates && gates.length) {
     for (const g of gates) {
-      drawGatehouse(ctx, g, { x: cx, y: cy }, (squareR || 10) * 0.55);
-      ctx.fillStyle = "#ffffff";
+      drawGatehouse(ctx, g, { x: cx, y: cy }, (squareR || 10) * 0.55, style.gatehouse);
+      ctx.fillStyle = style.markerFill;
       drawCircle(ctx, g, 3.5);
       ctx.fill();
     }
@@ -16,7 +31,7 @@ export function drawGatesAndPrimaryGate(ctx, { gates, primaryGate, cx, cy, squar
 
   if (primaryGate) {
     ctx.save();
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = style.markerFill;
     drawCircle(ctx, primaryGate, 6);
     ctx.fill();
     ctx.restore();
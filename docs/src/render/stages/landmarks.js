@@ -10,6 +10,7 @@ export function drawLandmarksAndCentre(ctx, {
   squareR,
   anchors,
   site,
+  style,
 }) {
   const plaza = anchors?.plaza || null;
   const market = anchors?.market || null;
@@ -30,19 +31,19 @@ export function drawLandmarksAndCentre(ctx, {
 
     ctx.save();
     ctx.globalAlpha = 0.35;
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = style.haloFill;
     drawCircle(ctx, plaza, r * 1.15);
     ctx.fill();
     ctx.restore();
 
     ctx.save();
     ctx.globalAlpha = 1.0;
-    ctx.fillStyle = "#1a1a1a";
+    ctx.fillStyle = style.plaza.fill;
     drawCircle(ctx, plaza, r);
     ctx.fill();
 
-    ctx.strokeStyle = "#efefef";
-    ctx.lineWidth = 2.5;
+    ctx.strokeStyle = style.plaza.stroke;
+    ctx.lineWidth = style.plaza.width;
     drawCircle(ctx, plaza, r);
     ctx.stroke();
     ctx.restore();
@@ -54,19 +55,19 @@ export function drawLandmarksAndCentre(ctx, {
 
     ctx.save();
     ctx.globalAlpha = 0.55;
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = style.haloFill;
     drawCircle(ctx, market, r * 1.9);
     ctx.fill();
     ctx.restore();
 
     ctx.save();
     ctx.globalAlpha = 1.0;
-    ctx.fillStyle = "#0f0f0f";
+    ctx.fillStyle = style.market.fill;
     drawCircle(ctx, market, r);
     ctx.fill();
 
-    ctx.strokeStyle = "#efefef";
-    ctx.lineWidth = 2;
+    ctx.strokeStyle = style.market.stroke;
+    ctx.lineWidth = style.market.width;
     drawCircle(ctx, market, r);
     ctx.stroke();
     ctx.restore();
@@ -89,7 +90,7 @@ export function drawLandmarksAndCentre(ctx, {
     // Halo
     ctx.save();
     ctx.globalAlpha = 0.55;
-    ctx.fillStyle = "#ffffff";
+    ctx.fillStyle = style.haloFill;
     drawCircle(ctx, docks, r * 2.0);
     ctx.fill();
     ctx.restore();
@@ -97,12 +98,12 @@ export function drawLandmarksAndCentre(ctx, {
     // Core dot
     ctx.save();
     ctx.globalAlpha = 1.0;
-    ctx.fillStyle = "#101010";
+    ctx.fillStyle = style.docks.fill;
     drawCircle(ctx, docks, r);
     ctx.fill();
 
-    ctx.strokeStyle = "#efefef";
-    ctx.lineWidth = 2;
+    ctx.strokeStyle = style.docks.stroke;
+    ctx.lineWidth = style.docks.width;
     drawCircle(ctx, docks, r);
     ctx.stroke();
     ctx.restore();
@@ -112,7 +113,7 @@ export function drawLandmarksAndCentre(ctx, {
   if (centreP) {
     ctx.save();
     ctx.globalAlpha = 0.85;
-    ctx.fillStyle = "#efefef";
+    ctx.fillStyle = style.centreFill;
     drawCircle(ctx, centreP, 2.5);
     ctx.fill();
     ctx.restore();
@@ -2,42 +2,141 @@
 
 import { drawPoly } from "../helpers/draw.js";
 
-export function drawMoatworksAndRavelins(ctx, { glacisOuter, ditchOuter, ditchInner, ravelins }) {
+export function drawMoatworksAndRavelins(ctx, {
+  glacisOuter,
+  ditchOuter,
+  ditchInner,
+  coveredWay,
+  glacisCrest,
+  placesOfArms,
+  traverses,
+  ravelinCoveredWays,
+  ravelins,
+  hornworks,
+  tenailles,
+  counterguards,
+  style,
+}) {
   // Glacis ring
   if (glacisOuter && glacisOuter.length >= 3) {
     ctx.save();
     ctx.globalAlpha = 0.35;
-    ctx.strokeStyle = "#242424";
-    ctx.lineWidth = 2;
+    ctx.strokeStyle = style.glacis.stroke;
+    ctx.lineWidth = style.glacis.width;
     drawPoly(ctx, glacisOuter, true);
     ctx.stroke();
     ctx.restore();
   }
 
+  // Covered way: places of arms (filled), glacis crest, parapet line, traverses
+  if (placesOfArms && placesOfArms.length) {
+    ctx.save();
+    ctx.globalAlpha = 0.18;
+    ctx.fillStyle = style.placesOfArms.fill;
+    for (const pa of placesOfArms) {
+      const poly = pa?.poly;
+      if (!poly || poly.length < 3) continue;
+      drawPoly(ctx, poly, true);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  if (glacisCrest && glacisCrest.length >= 3) {
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.strokeStyle = style.glacisCrest.stroke;
+    ctx.lineWidth = style.glacisCrest.width;
+    drawPoly(ctx, glacisCrest, true);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  if ((coveredWay && coveredWay.length >= 3) || (ravelinCoveredWays && ravelinCoveredWays.length)) {
+    ctx.save();
+    ctx.globalAlpha = 0.55;
+    ctx.strokeStyle = style.coveredWay.stroke;
+    ctx.lineWidth = style.coveredWay.width;
+    if (coveredWay && coveredWay.length >= 3) {
+      drawPoly(ctx, coveredWay, true);
+      ctx.stroke();
+    }
+    for (const line of (ravelinCoveredWays || [])) {
+      if (!line || line.length < 2) continue;
+      drawPoly(ctx, line, false);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  if (traverses && traverses.length) {
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.strokeStyle = style.traverses.stroke;
+    ctx.lineWidth = style.traverses.width;
+    for (const t of traverses) {
+      if (!t || t.length < 2) continue;
+      drawPoly(ctx, t, false);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
   // Ditch rings
   if (ditchOuter && ditchOuter.length >= 3 && ditchInner && ditchInner.length >= 3) {
     ctx.save();
     ctx.globalAlpha = 0.55;
 
-    ctx.strokeStyle = "#5a5a5a";
-    ctx.lineWidth = 2;
+    ctx.strokeStyle = style.ditchOuter.stroke;
+    ctx.lineWidth = style.ditchOuter.width;
     drawPoly(ctx, ditchOuter, true);
     ctx.stroke();
 
-    ctx.strokeStyle = "#3f3f3f";
-    ctx.lineWidth = 2;
+    ctx.strokeStyle = style.ditchInner.stroke;
+    ctx.lineWidth = style.ditchInner.width;
     drawPoly(ctx, ditchInner, true);
     ctx.stroke();
 
     ctx.restore();
   }
 
+  // Tenailles / counterguards (inside the ditch)
+  if ((tenailles && tenailles.length) || (counterguards && counterguards.length)) {
+    ctx.save();
+    ctx.globalAlpha = 0.7;
+    ctx.fillStyle = style.ditchWorks.fill;
+    ctx.strokeStyle = style.ditchWorks.stroke;
+    ctx.lineWidth = style.ditchWorks.width;
+    for (const poly of [...(tenailles || []), ...(counterguards || [])]) {
+      if (!poly || poly.length < 3) continue;
+      drawPoly(ctx, poly, true);
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Hornworks / crownworks
+  if (hornworks && hornworks.length) {
+    ctx.save();
+    ctx.globalAlpha = 0.75;
+    ctx.strokeStyle = style.hornworks.stroke;
+    ctx.lineWidth = style.hornworks.width;
+    for (const hw of hornworks) {
+      const poly = hw?.poly;
+      if (!poly || poly.length < 3) continue;
+      drawPoly(ctx, poly, true);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
   // Ravelins
   if (ravelins && ravelins.length) {
     ctx.save();
     ctx.globalAlpha = 0.65;
-    ctx.strokeStyle = "#8a8a8a";
-    ctx.lineWidth = 2;
+    ctx.strokeStyle = style.ravelins.stroke;
+    ctx.lineWidth = style.ravelins.width;
     for (const rv of ravelins) {
       if (!rv || rv.length < 3) continue;
       drawPoly(ctx, rv, true);
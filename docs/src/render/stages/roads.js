@@ -34,22 +34,24 @@ function drawPolylineList(ctx, roads, { strokeStyle, lineWidth, globalAlpha }) {
  * @param {object} args
  * @param {Array<Array<{x:number,y:number}>>} args.roads
  * @param {"primary"|"secondary"} args.kind
+ * @param {object} args.style - roads layer tokens (style_tokens.js layers.roads)
  */
-export function drawRoadPolylines(ctx, { roads, kind }) {
+export function drawRoadPolylines(ctx, { roads, kind, style }) {
   const isPrimary = kind === "primary";
+  const s = isPrimary ? style.primary : style.secondary;
 
   drawPolylineList(ctx, roads, {
-    strokeStyle: isPrimary ? "#c9b07b" : "#c9b07b",
-    lineWidth: isPrimary ? 2.0 : 1.0,
+    strokeStyle: s.stroke,
+    lineWidth: s.width,
     globalAlpha: isPrimary ? 0.95 : 0.70,
   });
 }
 
 /**
  * Draw a normalised roadGraph (Milestone 8+).
- * Existing API preserved.
+ * Edge widths from the graph win over the style widths.
  */
-export function drawRoadGraph(ctx, { roadGraph }) {
+export function drawRoadGraph(ctx, { roadGraph, style }) {
   if (!roadGraph || !roadGraph.nodes || !roadGraph.edges) return;
 
   const nodeById = new Map(roadGraph.nodes.map((n) => [n.id, n]));
@@ -57,7 +59,7 @@ export function drawRoadGraph(ctx, { roadGraph }) {
   // Secondary first
   ctx.save();
   ctx.globalAlpha = 0.70;
-  ctx.strokeStyle = "#c9b07b";
+  ctx.strokeStyle = style.secondary.stroke;
 
   for (const e of roadGraph.edges) {
     if (!e || e.kind !== "secondary") continue;
@@ -66,7 +68,7 @@ export function drawRoadGraph(ctx, { roadGraph }) {
     const b = nodeById.get(e.b);
     if (!a || !b) continue;
 
-    ctx.lineWidth = e.width || 1.0;
+    ctx.lineWidth = e.width || style.secondary.width;
     ctx.beginPath();
     ctx.moveTo(a.x, a.y);
     ctx.lineTo(b.x, b.y);
@@ -77,7 +79,7 @@ export function drawRoadGraph(ctx, { roadGraph }) {
   // Primary on top
   ctx.save();
   ctx.globalAlpha = 0.95;
-  ctx.strokeStyle = "#c9b07b";
+  ctx.strokeStyle = style.primary.stroke;
 
   for (const e of roadGraph.edges) {
     if (!e || e.kind !== "primary") continue;
@@ -86,7 +88,7 @@ export function drawRoadGraph(ctx, { roadGraph }) {
     const b = nodeById.get(e.b);
     if (!a || !b) continue;
 
-    ctx.lineWidth = e.width || 2.0;
+    ctx.lineWidth = e.width || style.primary.width;
     ctx.beginPath();
     ctx.moveTo(a.x, a.y);
     ctx.lineTo(b.x, b.y);
@@ -99,12 +101,12 @@ export function drawRoadGraph(ctx, { roadGraph }) {
  * Optional wrapper: draw roads from either roadGraph or polylines.
  * This keeps render code simple and guarantees consistent styling.
  */
-export function drawRoadLayers(ctx, { roadGraph, primaryRoads, secondaryRoads }) {
+export function drawRoadLayers(ctx, { roadGraph, primaryRoads, secondaryRoads, style }) {
   if (roadGraph) {
-    drawRoadGraph(ctx, { roadGraph });
+    drawRoadGraph(ctx, { roadGraph, style });
     return;
   }
 
-  drawRoadPolylines(ctx, { roads: secondaryRoads, kind: "secondary" });
-  drawRoadPolylines(ctx, { roads: primaryRoads, kind: "primary" });
+  drawRoadPolylines(ctx, { roads: secondaryRoads, kind: "secondary", style });
+  drawRoadPolylines(ctx, { roads: primaryRoads, kind: "primary", style });
 }
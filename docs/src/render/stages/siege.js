@@ -0,0 +1,46 @@
+// docs/src/render/stages/siege.js
+
+import { drawPoly } from "../helpers/draw.js";
+
+export function drawSiegeWorks(ctx, { siege, style }) {
+  if (!siege) return;
+
+  // Parallels: heavier for the third, where the breaching batteries stand
+  ctx.save();
+  ctx.strokeStyle = style.parallels.stroke;
+  ctx.lineJoin = "round";
+  for (const par of siege.parallels || []) {
+    ctx.lineWidth = par.n === 3 ? style.parallels.thirdWidth : style.parallels.width;
+    for (const line of par.lines || []) {
+      if (!line || line.length < 2) continue;
+      drawPoly(ctx, line, false);
+      ctx.stroke();
+    }
+  }
+  ctx.restore();
+
+  // Zig-zag saps
+  ctx.save();
+  ctx.strokeStyle = style.saps.stroke;
+  ctx.lineWidth = style.saps.width;
+  ctx.lineJoin = "round";
+  for (const sap of siege.saps || []) {
+    if (!sap?.points || sap.points.length < 2) continue;
+    drawPoly(ctx, sap.points, false);
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // Batteries
+  ctx.save();
+  ctx.lineWidth = style.batteries.width;
+  ctx.strokeStyle = style.batteries.stroke;
+  for (const b of siege.batteries || []) {
+    if (!b?.poly || b.poly.length < 3) continue;
+    ctx.fillStyle = b.kind === "breach" ? style.batteries.breachFill : style.batteries.fill;
+    drawPoly(ctx, b.poly, true);
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+}
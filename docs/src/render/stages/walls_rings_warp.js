@@ -1,6 +1,6 @@
 // docs/src/render/stages/walls_rings_warp.js
 
-import { drawPoly } from "../helpers/draw.js";
+import { drawPoly, drawCircle } from "../helpers/draw.js";
 
 export function drawWallsAndRingsAndWarp(ctx, {
   wall,
@@ -11,6 +11,8 @@ export function drawWallsAndRingsAndWarp(ctx, {
   ring2,
   warp,
   fortHulls,
+  innerEnceinte = null,
+  style,
 }) {
   // Curtain wall (warped) - debug geometry kept, rendering disabled
   const showCurtainWall = false;
@@ -113,8 +115,8 @@ export function drawWallsAndRingsAndWarp(ctx, {
   const hasWarpCurtain = !!(wallCurtain && wallCurtain.length >= 3);
   
   if (wallBase && wallBase.length >= 3 && !hasWarpCurtain) {
-    ctx.strokeStyle = "#999";
-    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = style.wallBase.stroke;
+    ctx.lineWidth = style.wallBase.width;
     drawPoly(ctx, wallBase, true);
     ctx.stroke();
   }
@@ -126,8 +128,8 @@ export function drawWallsAndRingsAndWarp(ctx, {
 
   if (!hasCompositeWall) {
     if (ring && ring.length >= 3) {
-      ctx.strokeStyle = "#BBB";
-      ctx.lineWidth = 2;
+      ctx.strokeStyle = style.ring.stroke;
+      ctx.lineWidth = style.ring.width;
       drawPoly(ctx, ring, true);
       ctx.stroke();
     }
@@ -135,18 +137,47 @@ export function drawWallsAndRingsAndWarp(ctx, {
     if (ring2 && ring2.length >= 3) {
       ctx.save();
       ctx.globalAlpha = 0.60;
-      ctx.strokeStyle = "#BBB";
-      ctx.lineWidth = 1.25;
+      ctx.strokeStyle = style.ring2.stroke;
+      ctx.lineWidth = style.ring2.width;
       drawPoly(ctx, ring2, true);
       ctx.stroke();
       ctx.restore();
     }
   }
 
+  // Inner enceinte: thin ditch, older wall, round towers
+  if (innerEnceinte && Array.isArray(innerEnceinte.wall) && innerEnceinte.wall.length >= 3) {
+    ctx.save();
+
+    if (Array.isArray(innerEnceinte.ditchOuter) && innerEnceinte.ditchOuter.length >= 3) {
+      ctx.globalAlpha = 0.55;
+      ctx.strokeStyle = style.innerEnceinte.ditchStroke;
+      ctx.lineWidth = style.innerEnceinte.ditchWidth;
+      drawPoly(ctx, innerEnceinte.ditchOuter, true);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    ctx.strokeStyle = style.innerEnceinte.stroke;
+    ctx.lineWidth = style.innerEnceinte.width;
+    drawPoly(ctx, innerEnceinte.wall, true);
+    ctx.stroke();
+
+    ctx.fillStyle = style.innerEnceinte.towerFill;
+    ctx.lineWidth = style.innerEnceinte.towerWidth;
+    for (const t of innerEnceinte.towers || []) {
+      drawCircle(ctx, t, t.r);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
   // Bastioned wall (final composite)
   if (wall && wall.length >= 3) {
-    const wallStroke = warp?.wall?.drawComposite?.stroke ?? "rgba(0,255,0,0.90)";
-    const wallWidth = warp?.wall?.drawComposite?.width ?? 3;
+    const wallStroke = warp?.wall?.drawComposite?.stroke ?? style.composite.stroke;
+    const wallWidth = warp?.wall?.drawComposite?.width ?? style.composite.width;
 
     ctx.save();
     ctx.strokeStyle = wallStroke;
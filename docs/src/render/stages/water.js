@@ -1,6 +1,8 @@
 // docs/src/render/stages/water.js
 
 import { drawPoly } from "../helpers/draw.js";
+import { ensureWinding } from "../../geom/poly.js";
+import { drawCrossing } from "../icons/bridge.js";
 
 function drawPolyline(ctx, pts) {
   if (!Array.isArray(pts) || pts.length < 2) return;
@@ -12,55 +14,282 @@ function drawPolyline(ctx, pts) {
   }
 }
 
-export function drawWater(ctx, { water }) {
+// River bodies (generate_helpers/river.js): water between the banks, islands left as land.
+// The main river and a confluence tributary overlap at the confluence, so they are filled as one
+// nonzero path with the islands wound the other way.
+function drawRiverBody(ctx, rivers, style) {
+  const islands = rivers.flatMap((r) => (Array.isArray(r.islands) ? r.islands : []));
+
+  ctx.save();
+
+  ctx.globalAlpha = 0.4;
+  ctx.fillStyle = style.fill;
+  ctx.beginPath();
+  const rings = [
+    ...rivers.map((r) => ensureWinding(r.polygon, true)),
+    ...islands.map((isl) => ensureWinding(isl.poly, false)),
+  ];
+  for (const poly of rings) {
+    if (poly.length < 3) continue;
+    ctx.moveTo(poly[0].x, poly[0].y);
+    for (let i = 1; i < poly.length; i++) ctx.lineTo(poly[i].x, poly[i].y);
+    ctx.closePath();
+  }
+  ctx.fill();
+
+  ctx.globalAlpha = 0.55;
+  ctx.strokeStyle = style.stroke;
+  ctx.lineWidth = style.river.bankWidth;
+  ctx.lineJoin = "round";
+  for (const r of rivers) {
+    drawPolyline(ctx, r.banks?.left);
+    ctx.stroke();
+    drawPolyline(ctx, r.banks?.right);
+    ctx.stroke();
+  }
+  for (const isl of islands) {
+    if (!Array.isArray(isl?.poly) || isl.poly.length < 3) continue;
+    drawPoly(ctx, isl.poly, true);
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
+
+// Canals (Stage 132): water between the quay walls, and the bridges that cross them
+function drawCanals(ctx, canals, style) {
+  if (!Array.isArray(canals) || !canals.length) return;
+
+  ctx.save();
+  ctx.lineJoin = "round";
+
+  ctx.globalAlpha = 0.4;
+  ctx.strokeStyle = style.fill;
+  ctx.lineCap = "butt";
+  for (const c of canals) {
+    ctx.lineWidth = c.width;
+    drawPolyline(ctx, c.polyline);
+    ctx.stroke();
+  }
+
+  // Quay walls
+  ctx.globalAlpha = 0.8;
+  ctx.strokeStyle = style.canals.quayStroke;
+  ctx.lineWidth = style.canals.quayWidth;
+  for (const c of canals) {
+    drawPolyline(ctx, c.quays?.left);
+    ctx.stroke();
+    drawPolyline(ctx, c.quays?.right);
+    ctx.stroke();
+  }
+
+  // Bridges: a deck across the canal, quay to quay
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = style.canals.bridgeStroke;
+  ctx.lineCap = "butt";
+  for (const c of canals) {
+    ctx.lineWidth = Math.max(style.canals.bridgeMinWidth, c.width * 0.6);
+    for (const br of c.bridges || []) {
+      const h = c.width * 0.5 + c.quayWidth;
+      const n = { x: -br.dir.y * h, y: br.dir.x * h };
+      drawPolyline(ctx, [
+        { x: br.point.x - n.x, y: br.point.y - n.y },
+        { x: br.point.x + n.x, y: br.point.y + n.y },
+      ]);
+      ctx.stroke();
+    }
+  }
+
+  ctx.restore();
+}
+
+// Harbour (Stage 105, coastGeometry.harbour): the carved basin as sea, quays, moles and the head
+function drawHarbour(ctx, harbour, style) {
+  if (!harbour) return;
+
+  const hs = style.harbour;
+
+  ctx.save();
+  ctx.lineJoin = "round";
+
+  if (Array.isArray(harbour.carved) && harbour.carved.length >= 3) {
+    ctx.globalAlpha = 0.28;
+    ctx.fillStyle = style.fill;
+    drawPoly(ctx, harbour.carved, true);
+    ctx.fill();
+  }
+
+  ctx.globalAlpha = 0.8;
+  ctx.strokeStyle = hs.quayStroke;
+  ctx.lineWidth = hs.quayWidth;
+  ctx.lineCap = "butt";
+  for (const q of harbour.quays || []) {
+    drawPolyline(ctx, q);
+    ctx.stroke();
+  }
+
+  // Moles: masonry with a pale walk on top
+  ctx.globalAlpha = 1;
+  ctx.lineCap = "round";
+  for (const m of harbour.moles || []) {
+    ctx.strokeStyle = hs.moleStroke;
+    ctx.lineWidth = m.width;
+    drawPolyline(ctx, m.polyline);
+    ctx.stroke();
+    ctx.strokeStyle = hs.moleWalkStroke;
+    ctx.lineWidth = m.width * 0.45;
+    drawPolyline(ctx, m.polyline);
+    ctx.stroke();
+  }
+
+  const head = harbour.head;
+  if (head?.kind === "fort" && Array.isArray(head.poly)) {
+    ctx.fillStyle = hs.headFill;
+    ctx.strokeStyle = hs.fortStroke;
+    ctx.lineWidth = hs.headWidth;
+    drawPoly(ctx, head.poly, true);
+    ctx.fill();
+    ctx.stroke();
+  } else if (head?.point) {
+    ctx.fillStyle = hs.headFill;
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = hs.headWidth;
+    ctx.beginPath();
+    ctx.arc(head.point.x, head.point.y, head.size, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = hs.lightFill;
+    ctx.beginPath();
+    ctx.arc(head.point.x, head.point.y, head.size * 0.45, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  ctx.restore();
+}
+
+// Wet ditch sectors (Stage 135): bands as water, feed channels, sluices and batardeaux
+function drawWetDitch(ctx, wetDitch, style) {
+  if (!wetDitch) return;
+
+  const ws = style.wetDitch;
+
+  ctx.save();
+
+  ctx.globalAlpha = 0.45;
+  ctx.fillStyle = style.fill;
+  for (const band of wetDitch.bands || []) {
+    if (!Array.isArray(band?.outer) || band.outer.length < 2) continue;
+    drawPoly(ctx, [...band.outer, ...band.inner.slice().reverse()], true);
+    ctx.fill();
+  }
+
+  ctx.globalAlpha = 0.55;
+  ctx.strokeStyle = style.stroke;
+  ctx.lineWidth = ws.channelWidth;
+  ctx.lineCap = "round";
+  for (const s of wetDitch.sluices || []) {
+    const [a, b] = s.channel || [];
+    if (!a || !b || Math.hypot(b.x - a.x, b.y - a.y) < 0.5) continue;
+    drawPolyline(ctx, s.channel);
+    ctx.stroke();
+  }
+
+  // Sluice gates: small dark squares on the counterscarp
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = ws.sluiceFill;
+  ctx.strokeStyle = ws.sluiceStroke;
+  ctx.lineWidth = ws.sluiceWidth;
+  for (const s of wetDitch.sluices || []) {
+    const p = s.point;
+    if (!p) continue;
+    ctx.fillRect(p.x - 2, p.y - 2, 4, 4);
+    ctx.strokeRect(p.x - 2, p.y - 2, 4, 4);
+  }
+
+  // Batardeaux: masonry dams across the ditch
+  ctx.strokeStyle = ws.batardeauStroke;
+  ctx.lineWidth = ws.batardeauWidth;
+  ctx.lineCap = "butt";
+  for (const d of wetDitch.batardeaux || []) {
+    if (!d?.a || !d?.b) continue;
+    drawPolyline(ctx, [d.a, d.b]);
+    ctx.stroke();
+  }
+
+  ctx.restore();
+}
+
+export function drawWater(ctx, { water, wetDitch = null, harbour = null, style }) {
   if (!water || water.kind === "none") return;
 
   // Normalised model shape:
-  // river: { polyline }, coast: { polygon }
+  // river / tributary: { polyline, banks, polygon, islands }, canals: [...], crossings: [...],
+  // coast: { polygon, beaches, rocks }, shoreline
   const coastPoly = water?.coast?.polygon || null;
   const riverLine = water?.river?.polyline || null;
 
-  const fill = "#5d8fc6";
-  const stroke = "#6fb7ff";
-
   if (water.kind === "coast") {
     if (!Array.isArray(coastPoly) || coastPoly.length < 3) return;
 
     ctx.save();
 
     ctx.globalAlpha = 0.28;
-    ctx.fillStyle = fill;
+    ctx.fillStyle = style.fill;
     drawPoly(ctx, coastPoly, true);
     ctx.fill();
 
-    // Optional: if you later add a longer shoreline polyline,
-    // you can stroke that instead of the whole sea polygon.
+    // Beaches: a sand band along the back of the bays
+    ctx.globalAlpha = 0.7;
+    ctx.strokeStyle = style.coast.beachStroke;
+    ctx.lineWidth = style.coast.beachWidth;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    for (const b of water.coast.beaches || []) {
+      drawPolyline(ctx, b);
+      ctx.stroke();
+    }
+
+    // The shore itself; older models only have the sea polygon's cut edge.
+    const shore = Array.isArray(water.shoreline) && water.shoreline.length > 2 ? water.shoreline : null;
     ctx.globalAlpha = 0.55;
-    ctx.strokeStyle = stroke;
-    ctx.lineWidth = 2.0;
-    drawPoly(ctx, coastPoly, true);
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = style.coast.shoreWidth;
+    if (shore) drawPolyline(ctx, shore);
+    else drawPoly(ctx, coastPoly, true);
     ctx.stroke();
 
+    // Off-shore rocks
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = style.coast.rockFill;
+    for (const r of water.coast.rocks || []) {
+      if (!Array.isArray(r?.poly) || r.poly.length < 3) continue;
+      drawPoly(ctx, r.poly, true);
+      ctx.fill();
+    }
+
     ctx.restore();
-    return;
-  }
 
-  if (water.kind === "river") {
+    drawHarbour(ctx, harbour, style);
+  } else if (water.kind === "river" && Array.isArray(water.river?.polygon) && water.river.polygon.length >= 3) {
+    const rivers = [water.river, water.tributary].filter((r) => Array.isArray(r?.polygon) && r.polygon.length >= 3);
+    drawRiverBody(ctx, rivers, style);
+  } else if (water.kind === "river") {
+    // Older models: centreline only
     if (!Array.isArray(riverLine) || riverLine.length < 2) return;
 
     ctx.save();
 
     ctx.globalAlpha = 0.22;
-    ctx.strokeStyle = fill;
-    ctx.lineWidth = 18;
+    ctx.strokeStyle = style.fill;
+    ctx.lineWidth = style.river.centreWidth;
     ctx.lineCap = "round";
     ctx.lineJoin = "round";
     drawPolyline(ctx, riverLine);
     ctx.stroke();
 
     ctx.globalAlpha = 0.55;
-    ctx.strokeStyle = stroke;
-    ctx.lineWidth = 5;
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = style.river.centreStrokeWidth;
     ctx.lineCap = "round";
     ctx.lineJoin = "round";
     drawPolyline(ctx, riverLine);
@@ -68,4 +297,12 @@ export function drawWater(ctx, { water }) {
 
     ctx.restore();
   }
+
+  drawCanals(ctx, water.canals, style);
+
+  // Bridges and fords (Stage 137), sized to the river
+  const crossingSize = Math.max(2, (water.river?.meander?.meanWidth ?? 18) * 0.12);
+  for (const c of water.crossings || []) drawCrossing(ctx, c, crossingSize, style.crossings);
+
+  drawWetDitch(ctx, wetDitch, style);
 }
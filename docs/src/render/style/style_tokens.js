@@ -238,7 +238,7 @@ export function makeStyleTokens({ baseR, exportScale = 1 }) {
         },
         // optional future: contour lines as separate layer, not part of biome fill
       },
-    }
+    },
 
     // Exterior road continuations (Milestone 5): lower alpha than interior roads
     exteriorRoads: {
@@ -247,6 +247,106 @@ export function makeStyleTokens({ baseR, exportScale = 1 }) {
     },
   };
 
+  // Draw-stage styling (render/stages/*), keyed like the SVG export layers.
+  // Widths are in world-frame units like the geometry they stroke, so they do not follow baseR;
+  // canvas and SVG output both come from these values.
+  const stone = "#b5aea1";
+  const stonePale = "#d8d2c4";
+  const blockFill = "#0f0f0f";
+  const halo = "#ffffff";
+  const outline = "#efefef";
+  const waterStroke = "#6fb7ff";
+  const sluiceStroke = "#8fbcdf";
+  const earth = "#8a6a3a";
+
+  const layers = {
+    background: {
+      fill: "#333333",
+    },
+    water: {
+      fill: "#5d8fc6",
+      stroke: waterStroke,
+      river: { bankWidth: 1.5, centreWidth: 18, centreStrokeWidth: 5 },
+      coast: { beachStroke: "#e3d3a4", beachWidth: 6, shoreWidth: 2.0, rockFill: "#6f6a62" },
+      canals: { quayStroke: stone, quayWidth: 1.2, bridgeStroke: stonePale, bridgeMinWidth: 2 },
+      harbour: {
+        quayStroke: stone,
+        quayWidth: 1.5,
+        moleStroke: "#8c857a",
+        moleWalkStroke: stonePale,
+        headFill: blockFill,
+        fortStroke: halo,
+        headWidth: 1.25,
+        lightFill: "#ffd76a",
+      },
+      wetDitch: {
+        channelWidth: 3,
+        sluiceFill: blockFill,
+        sluiceStroke,
+        sluiceWidth: 1,
+        batardeauStroke: stone,
+        batardeauWidth: 2.5,
+      },
+      crossings: { parapetStroke: "#5a554c", deckStroke: stonePale, fordFill: "#cfc6b4" },
+    },
+    moatworks: {
+      glacis: { stroke: "#242424", width: 2 },
+      placesOfArms: { fill: "#6b6b6b" },
+      glacisCrest: { stroke: "#3a3a3a", width: 1 },
+      coveredWay: { stroke: "#4a4a4a", width: 1.5 },
+      traverses: { stroke: "#4a4a4a", width: 2 },
+      ditchOuter: { stroke: "#5a5a5a", width: 2 },
+      ditchInner: { stroke: "#3f3f3f", width: 2 },
+      ditchWorks: { fill: "#b0b0b0", stroke: "#6a6a6a", width: 1 },
+      hornworks: { stroke: "#9a9a9a", width: 2 },
+      ravelins: { stroke: "#8a8a8a", width: 2 },
+    },
+    walls: {
+      wallBase: { stroke: "#999", width: 1.5 },
+      ring: { stroke: "#BBB", width: 2 },
+      ring2: { stroke: "#BBB", width: 1.25 },
+      innerEnceinte: {
+        ditchStroke: "#5a5a5a",
+        ditchWidth: 1.25,
+        stroke: "#b8b8b8",
+        width: 2.5,
+        towerFill: "#1a1a1a",
+        towerWidth: 1.5,
+      },
+      // warp.wall.drawComposite overrides these when set
+      composite: { stroke: "rgba(0,255,0,0.90)", width: 3 },
+    },
+    siege: {
+      parallels: { stroke: earth, width: 1.75, thirdWidth: 2.25 },
+      saps: { stroke: earth, width: 1.25 },
+      batteries: { stroke: "#5a3f1c", width: 1, fill: "#7a5a2e", breachFill: "#b0452f" },
+    },
+    roads: {
+      primary: { stroke: "#c9b07b", width: 2.0 },
+      secondary: { stroke: "#c9b07b", width: 1.0 },
+    },
+    gates: {
+      gatehouse: { fill: blockFill, stroke: halo, width: 2 },
+      postern: { fill: blockFill, stroke: halo, waterStroke: sluiceStroke, width: 1.25 },
+      markerFill: halo,
+    },
+    citadel: {
+      esplanadeFill: "rgba(181,174,161,0.18)",
+      fill: "#101010",
+      stroke: stone,
+      width: 2,
+      linkWidth: 2,
+      markerFill: halo,
+    },
+    landmarks: {
+      haloFill: halo,
+      plaza: { fill: "#1a1a1a", stroke: outline, width: 2.5 },
+      market: { fill: blockFill, stroke: outline, width: 2 },
+      docks: { fill: "#101010", stroke: outline, width: 2 },
+      centreFill: outline,
+    },
+  };
+
   return {
     baseR: r,
     exportScale: s,
@@ -257,5 +357,6 @@ export function makeStyleTokens({ baseR, exportScale = 1 }) {
     colour,
     inside,
     outside,
+    layers,
   };
 }
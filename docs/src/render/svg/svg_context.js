@@ -0,0 +1,371 @@
+// docs/src/render/svg/svg_context.js
+//
+// Minimal CanvasRenderingContext2D stand-in that records SVG elements.
+// Purpose:
+// - Let the existing canvas draw stages (render/stages/*) emit vector output unchanged.
+// - Keep output byte-stable: fixed number formatting, no ids or timestamps.
+//
+// Supported subset (what render/stages uses today):
+// - save/restore, setTransform/resetTransform/translate/scale
+// - beginPath/moveTo/lineTo/closePath/arc/rect
+// - fill (nonzero or evenodd)/stroke/fillRect/strokeRect/clearRect/fillText/strokeText/measureText (approximate)
+// - setLineDash/getLineDash
+// - fillStyle, strokeStyle, lineWidth, globalAlpha, lineCap, lineJoin, font, textAlign, textBaseline
+//
+// Not supported: clip (ignored), gradients/patterns (fall back to `fallbackColour`).
+
+const TAU = Math.PI * 2;
+const IDENTITY = Object.freeze([1, 0, 0, 1, 0, 0]);
+
+/**
+ * Deterministic number formatting: 2 decimals, trailing zeros stripped, no "-0".
+ * @param {number} n
+ * @returns {string}
+ */
+export function fmtSvgNumber(n) {
+  if (!Number.isFinite(n)) return "0";
+  const r = Math.round(n * 100) / 100;
+  if (r === 0) return "0";
+  return String(r);
+}
+
+export function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Split a canvas colour string into an SVG paint + opacity multiplier.
+ * SVG 1.1 viewers do not all accept rgba(), so alpha is moved to *-opacity.
+ * @param {*} style
+ * @param {string} fallbackColour
+ * @returns {{paint:string, alpha:number}}
+ */
+function parsePaint(style, fallbackColour) {
+  if (typeof style !== "string" || style.length === 0) {
+    return { paint: fallbackColour, alpha: 1 };
+  }
+
+  const s = style.trim();
+  const m = /^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/i.exec(s);
+  if (m) {
+    const a = Number(m[4]);
+    return {
+      paint: `rgb(${m[1].trim()},${m[2].trim()},${m[3].trim()})`,
+      alpha: Number.isFinite(a) ? Math.max(0, Math.min(1, a)) : 1,
+    };
+  }
+
+  return { paint: s, alpha: 1 };
+}
+
+function applyMatrix(m, x, y) {
+  return {
+    x: m[0] * x + m[2] * y + m[4],
+    y: m[1] * x + m[3] * y + m[5],
+  };
+}
+
+function multiplyMatrix(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+function defaultState() {
+  return {
+    fillStyle: "#000000",
+    strokeStyle: "#000000",
+    lineWidth: 1,
+    globalAlpha: 1,
+    lineCap: "butt",
+    lineJoin: "miter",
+    font: "10px sans-serif",
+    textAlign: "start",
+    textBaseline: "alphabetic",
+    lineDash: [],
+    matrix: IDENTITY,
+  };
+}
+
+export class SvgContext {
+  /**
+   * @param {object} args
+   * @param {number} args.width - logical canvas width (used by stages via ctx.canvas)
+   * @param {number} args.height - logical canvas height
+   * @param {number} [args.minLineWidth=0] - floor for stroke widths
+   * @param {string} [args.fallbackColour="#111111"] - paint used for non-string styles
+   */
+  constructor({ width, height, minLineWidth = 0, fallbackColour = "#111111" }) {
+    this.canvas = { width, height };
+
+    this._minLineWidth = Number.isFinite(minLineWidth) ? minLineWidth : 0;
+    this._fallbackColour = fallbackColour;
+
+    this._state = defaultState();
+    this._stack = [];
+
+    this._path = "";
+    this._hasCurrentPoint = false;
+
+    this._elements = [];
+  }
+
+  // ---------- State ----------
+  get fillStyle() { return this._state.fillStyle; }
+  set fillStyle(v) { this._state.fillStyle = v; }
+
+  get strokeStyle() { return this._state.strokeStyle; }
+  set strokeStyle(v) { this._state.strokeStyle = v; }
+
+  get lineWidth() { return this._state.lineWidth; }
+  set lineWidth(v) { if (Number.isFinite(v) && v > 0) this._state.lineWidth = v; }
+
+  get globalAlpha() { return this._state.globalAlpha; }
+  set globalAlpha(v) { if (Number.isFinite(v) && v >= 0 && v <= 1) this._state.globalAlpha = v; }
+
+  get lineCap() { return this._state.lineCap; }
+  set lineCap(v) { this._state.lineCap = String(v); }
+
+  get lineJoin() { return this._state.lineJoin; }
+  set lineJoin(v) { this._state.lineJoin = String(v); }
+
+  get font() { return this._state.font; }
+  set font(v) { this._state.font = String(v); }
+
+  get textAlign() { return this._state.textAlign; }
+  set textAlign(v) { this._state.textAlign = String(v); }
+
+  get textBaseline() { return this._state.textBaseline; }
+  set textBaseline(v) { this._state.textBaseline = String(v); }
+
+  save() {
+    this._stack.push({ ...this._state, lineDash: this._state.lineDash.slice() });
+  }
+
+  restore() {
+    if (this._stack.length > 0) this._state = this._stack.pop();
+  }
+
+  setLineDash(segments) {
+    this._state.lineDash = Array.isArray(segments)
+      ? segments.filter((v) => Number.isFinite(v) && v >= 0)
+      : [];
+  }
+
+  getLineDash() {
+    return this._state.lineDash.slice();
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this._state.matrix = [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this._state.matrix = IDENTITY;
+  }
+
+  translate(x, y) {
+    this._state.matrix = multiplyMatrix(this._state.matrix, [1, 0, 0, 1, x, y]);
+  }
+
+  scale(sx, sy) {
+    this._state.matrix = multiplyMatrix(this._state.matrix, [sx, 0, 0, sy, 0, 0]);
+  }
+
+  // Clipping is not needed by the exported layers; accept the call so stages do not break.
+  clip() {}
+
+  // ---------- Paths ----------
+  beginPath() {
+    this._path = "";
+    this._hasCurrentPoint = false;
+  }
+
+  moveTo(x, y) {
+    const p = applyMatrix(this._state.matrix, x, y);
+    this._path += `M${fmtSvgNumber(p.x)} ${fmtSvgNumber(p.y)}`;
+    this._hasCurrentPoint = true;
+  }
+
+  lineTo(x, y) {
+    if (!this._hasCurrentPoint) {
+      this.moveTo(x, y);
+      return;
+    }
+    const p = applyMatrix(this._state.matrix, x, y);
+    this._path += `L${fmtSvgNumber(p.x)} ${fmtSvgNumber(p.y)}`;
+  }
+
+  closePath() {
+    if (this._hasCurrentPoint) this._path += "Z";
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  arc(x, y, r, a0, a1, ccw = false) {
+    if (!Number.isFinite(r) || r < 0) return;
+
+    const m = this._state.matrix;
+    const rr = r * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    const R = fmtSvgNumber(rr);
+
+    const start = applyMatrix(m, x + r * Math.cos(a0), y + r * Math.sin(a0));
+    const startCmd = this._hasCurrentPoint ? "L" : "M";
+    this._path += `${startCmd}${fmtSvgNumber(start.x)} ${fmtSvgNumber(start.y)}`;
+    this._hasCurrentPoint = true;
+
+    // Canvas sweep semantics, clamped to a full turn.
+    let delta = a1 - a0;
+    if (!ccw && delta < 0) delta = (delta % TAU) + TAU;
+    if (ccw && delta > 0) delta = (delta % TAU) - TAU;
+    if (Math.abs(delta) >= TAU) delta = ccw ? -TAU : TAU;
+
+    const sweepFlag = delta > 0 ? 1 : 0;
+
+    if (Math.abs(delta) >= TAU - 1e-9) {
+      // A single SVG arc cannot describe a full circle: split at the halfway point.
+      const mid = applyMatrix(m, x + r * Math.cos(a0 + delta / 2), y + r * Math.sin(a0 + delta / 2));
+      this._path += `A${R} ${R} 0 0 ${sweepFlag} ${fmtSvgNumber(mid.x)} ${fmtSvgNumber(mid.y)}`;
+      this._path += `A${R} ${R} 0 0 ${sweepFlag} ${fmtSvgNumber(start.x)} ${fmtSvgNumber(start.y)}`;
+      return;
+    }
+
+    const end = applyMatrix(m, x + r * Math.cos(a0 + delta), y + r * Math.sin(a0 + delta));
+    const largeArc = Math.abs(delta) > Math.PI ? 1 : 0;
+    this._path += `A${R} ${R} 0 ${largeArc} ${sweepFlag} ${fmtSvgNumber(end.x)} ${fmtSvgNumber(end.y)}`;
+  }
+
+  // ---------- Painting ----------
+  fill(fillRule = "nonzero") {
+    if (!this._path) return;
+    const attrs = this._fillAttrs();
+    if (attrs == null) return;
+    const rule = fillRule === "evenodd" ? ` fill-rule="evenodd"` : "";
+    this._elements.push(`<path d="${this._path}"${attrs}${rule} stroke="none"/>`);
+  }
+
+  stroke() {
+    if (!this._path) return;
+    const attrs = this._strokeAttrs();
+    if (attrs == null) return;
+    this._elements.push(`<path d="${this._path}" fill="none"${attrs}/>`);
+  }
+
+  fillRect(x, y, w, h) {
+    const saved = this._path;
+    const savedHas = this._hasCurrentPoint;
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.fill();
+    this._path = saved;
+    this._hasCurrentPoint = savedHas;
+  }
+
+  strokeRect(x, y, w, h) {
+    const saved = this._path;
+    const savedHas = this._hasCurrentPoint;
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.stroke();
+    this._path = saved;
+    this._hasCurrentPoint = savedHas;
+  }
+
+  // The SVG document starts empty, so clearing is a no-op.
+  clearRect() {}
+
+  fillText(text, x, y) {
+    const attrs = this._fillAttrs();
+    if (attrs == null) return;
+    this._text(text, x, y, attrs);
+  }
+
+  strokeText(text, x, y) {
+    const attrs = this._strokeAttrs();
+    if (attrs == null) return;
+    this._text(text, x, y, ` fill="none"${attrs}`);
+  }
+
+  _text(text, x, y, attrs) {
+    const p = applyMatrix(this._state.matrix, x, y);
+
+    const anchor =
+      (this._state.textAlign === "center") ? "middle" :
+      (this._state.textAlign === "right" || this._state.textAlign === "end") ? "end" :
+      null;
+
+    const baseline =
+      (this._state.textBaseline === "middle") ? "central" :
+      (this._state.textBaseline === "top" || this._state.textBaseline === "hanging") ? "hanging" :
+      null;
+
+    let extra = ` style="font:${escapeXml(this._state.font)}"`;
+    if (anchor) extra += ` text-anchor="${anchor}"`;
+    if (baseline) extra += ` dominant-baseline="${baseline}"`;
+
+    this._elements.push(
+      `<text x="${fmtSvgNumber(p.x)}" y="${fmtSvgNumber(p.y)}"${attrs}${extra}>${escapeXml(text)}</text>`
+    );
+  }
+
+  // No font metrics without a canvas: estimate from the px size so label boxes stay deterministic.
+  measureText(text) {
+    const m = /(\d+(?:\.\d+)?)px/.exec(this._state.font);
+    const px = m ? Number(m[1]) : 10;
+    return { width: String(text).length * px * 0.6 };
+  }
+
+  // ---------- Output ----------
+  /**
+   * Return recorded elements and reset the buffer (used to split layers).
+   * @returns {string[]}
+   */
+  takeElements() {
+    const out = this._elements;
+    this._elements = [];
+    return out;
+  }
+
+  _fillAttrs() {
+    const { paint, alpha } = parsePaint(this._state.fillStyle, this._fallbackColour);
+    const a = alpha * this._state.globalAlpha;
+    if (a <= 0) return null;
+
+    let s = ` fill="${escapeXml(paint)}"`;
+    if (a < 1) s += ` fill-opacity="${fmtSvgNumber(a)}"`;
+    return s;
+  }
+
+  _strokeAttrs() {
+    const { paint, alpha } = parsePaint(this._state.strokeStyle, this._fallbackColour);
+    const a = alpha * this._state.globalAlpha;
+    if (a <= 0) return null;
+
+    const w = Math.max(this._minLineWidth, this._state.lineWidth);
+
+    let s = ` stroke="${escapeXml(paint)}" stroke-width="${fmtSvgNumber(w)}"`;
+    if (a < 1) s += ` stroke-opacity="${fmtSvgNumber(a)}"`;
+    if (this._state.lineCap !== "butt") s += ` stroke-linecap="${escapeXml(this._state.lineCap)}"`;
+    if (this._state.lineJoin !== "miter") s += ` stroke-linejoin="${escapeXml(this._state.lineJoin)}"`;
+    if (this._state.lineDash.length > 0) {
+      const dash = this._state.lineDash.map((v) => fmtSvgNumber(v)).join(" ");
+      s += ` stroke-dasharray="${dash}"`;
+    }
+    return s;
+  }
+}
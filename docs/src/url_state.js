@@ -0,0 +1,92 @@
+// docs/src/url_state.js
+//
+// Shareable URL state for the browser UI.
+//
+// Every generator input lives in the query string, so a copied link reproduces the exact city:
+//   ?seed=1331&bastions=medium&gates=high&school=dutch&water=river&dock=1&p.innerCount=4
+//
+// - seed, bastions, gates, school, water, dock mirror the header controls.
+//   school is the fortSchool param override; a p.fortSchool entry is read as school.
+// - The canvas size is not part of the state: the city is generated in the world frame
+//   (model/units.js) and fitted to whatever canvas shows it. Older links' w, h are ignored.
+// - p.<key> are ctx.params overrides (see model/param_overrides.js). They have no controls;
+//   they are kept as-is while the other controls change.
+
+import { PARAM_OVERRIDES, formatParamOverride, parseParamOverride } from "./model/param_overrides.js";
+import { FORT_SCHOOL_IDS } from "./model/fort_schools.js";
+import { SITE_WATER_KINDS } from "./model/water.js";
+
+const DENSITIES = ["low", "medium", "high"];
+const WATER_KINDS = SITE_WATER_KINDS;
+const PARAM_PREFIX = "p.";
+
+function pickOne(value, allowed) {
+  const v = String(value ?? "").toLowerCase();
+  return allowed.includes(v) ? v : null;
+}
+
+function positiveInt(value) {
+  const n = Number(value);
+  return (Number.isInteger(n) && n > 0) ? n : null;
+}
+
+/**
+ * Read generator state from a query string. Missing or invalid entries are null so the
+ * caller can fall back to its control defaults; unknown or malformed params are dropped
+ * with a warning.
+ *
+ * @param {string} search - e.g. window.location.search
+ * @returns {{seed:number|null, bastions:string|null, gates:string|null, school:string|null,
+ *   water:string|null, dock:boolean|null, params:object}}
+ */
+export function readUrlState(search) {
+  const q = new URLSearchParams(search);
+
+  const params = {};
+  for (const [k, v] of q) {
+    if (!k.startsWith(PARAM_PREFIX)) continue;
+    const key = k.slice(PARAM_PREFIX.length);
+    try {
+      params[key] = parseParamOverride(key, v);
+    } catch (err) {
+      console.warn(err.message);
+    }
+  }
+
+  const school = pickOne(q.get("school"), FORT_SCHOOL_IDS) ?? params.fortSchool ?? null;
+  delete params.fortSchool;
+
+  return {
+    seed: positiveInt(q.get("seed")),
+    bastions: pickOne(q.get("bastions"), DENSITIES),
+    gates: pickOne(q.get("gates"), DENSITIES),
+    school,
+    water: pickOne(q.get("water"), WATER_KINDS),
+    dock: q.has("dock") ? q.get("dock") === "1" : null,
+    params,
+  };
+}
+
+/**
+ * Build the query string for a generated city (inverse of readUrlState).
+ * @param {{seed:number, bastions:string, gates:string, school:string, water:string, dock:boolean,
+ *   params?:object}} s
+ * @returns {string} "?seed=..."
+ */
+export function formatUrlState(s) {
+  const q = new URLSearchParams();
+  q.set("seed", String(s.seed));
+  q.set("bastions", s.bastions);
+  q.set("gates", s.gates);
+  q.set("school", s.school);
+  q.set("water", s.water);
+  q.set("dock", s.dock ? "1" : "0");
+
+  const params = s.params || {};
+  for (const key of Object.keys(PARAM_OVERRIDES)) {
+    if (key === "fortSchool" || params[key] == null) continue;
+    q.set(PARAM_PREFIX + key, formatParamOverride(key, params[key]));
+  }
+
+  return `?${q.toString()}`;
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// emcg.mjs
+//
+// Headless command-line runner for the city generator.
+// Runs the same PIPELINE_STAGES as the browser and writes the model as versioned JSON.
+//
+// Usage:
+//   node emcg.mjs --seed 1331 --water river --bastions medium --out city.json
+//
+// Requires Node 18+. No npm install: the generator has no dependencies beyond the vendored d3-delaunay.
+
+import { writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+
+import { DEFAULT_OPTIONS, FORT_SCHOOL_IDS, WATER_KINDS, generateHeadless, loadGenerator, withGeneratorLogs } from "./tools/headless.mjs";
+import { PARAM_OVERRIDES, parseParamOverride } from "./docs/src/model/param_overrides.js";
+
+const USAGE = `Usage: node emcg.mjs [options]
+
+Options:
+  --seed <n>                 Seed (default ${DEFAULT_OPTIONS.seed})
+  --bastions <low|medium|high>  Bastion density (default ${DEFAULT_OPTIONS.bastions})
+  --gates <low|medium|high>  Gate density (default ${DEFAULT_OPTIONS.gates})
+  --school <id>              Fortification school (default ${DEFAULT_OPTIONS.school}):
+                             ${FORT_SCHOOL_IDS.join(", ")}
+  --water <kind>             Site water (default ${DEFAULT_OPTIONS.water}):
+                             ${WATER_KINDS.join(", ")}
+  --dock                     Add docks (ignored when --water none)
+  --width <px>               Output width the city is fitted into (default ${DEFAULT_OPTIONS.width})
+  --height <px>              Output height (default ${DEFAULT_OPTIONS.height})
+  --param <key=value>        Override a generator param (repeatable). Keys:
+                             ${Object.keys(PARAM_OVERRIDES).join(", ")}
+  --out <file>               Write the model JSON here (default: stdout)
+  --svg <file>               Also write the layered SVG render
+  --pretty                   Indent the JSON output
+  --verbose                  Forward generator logs to stderr
+  -h, --help                 Show this help
+`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      seed: { type: "string" },
+      bastions: { type: "string" },
+      gates: { type: "string" },
+      school: { type: "string" },
+      water: { type: "string" },
+      dock: { type: "boolean", default: false },
+      width: { type: "string" },
+      height: { type: "string" },
+      param: { type: "string", multiple: true },
+      out: { type: "string" },
+      svg: { type: "string" },
+      pretty: { type: "boolean", default: false },
+      verbose: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+    strict: true,
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const opts = {};
+  for (const k of ["seed", "bastions", "gates", "school", "water", "width", "height"]) {
+    if (values[k] != null) opts[k] = values[k];
+  }
+  opts.dock = values.dock;
+
+  if (values.param) {
+    opts.params = {};
+    for (const kv of values.param) {
+      const i = kv.indexOf("=");
+      if (i <= 0) throw new Error(`[EMCG] --param expects key=value, got "${kv}".`);
+      const key = kv.slice(0, i);
+      opts.params[key] = parseParamOverride(key, kv.slice(i + 1));
+    }
+  }
+
+  // Module loading logs too (console.count in roads/graph.js), so redirect around both.
+  const { serializeModel, model } = await withGeneratorLogs(values.verbose ? "stderr" : "silent", async () => {
+    const gen = await loadGenerator();
+    return { serializeModel: gen.serializeModel, model: await generateHeadless(opts) };
+  });
+
+  const json = JSON.stringify(serializeModel(model), null, values.pretty ? 2 : undefined) + "\n";
+
+  if (values.out) writeFileSync(values.out, json);
+  else process.stdout.write(json);
+
+  if (values.svg) {
+    const { renderSvg } = await import("./docs/src/render/render_svg.js");
+    const width = Number(values.width ?? DEFAULT_OPTIONS.width);
+    const height = Number(values.height ?? DEFAULT_OPTIONS.height);
+    writeFileSync(values.svg, renderSvg(model, { width, height }));
+  }
+}
+
+main().catch((err) => {
+  console.error(err && err.message ? err.message : err);
+  process.exitCode = 1;
+});
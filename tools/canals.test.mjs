@@ -0,0 +1,29 @@
+// tools/canals.test.mjs
+//
+// Canal sites build the canals asked for (Stage 132, generate_helpers/canals.js).
+//
+// Usage:
+//   node --test tools/
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { generateHeadless, withGeneratorLogs } from "./headless.mjs";
+import { CANAL_MIN_NODES } from "../docs/src/model/generate_helpers/canals.js";
+
+const SEEDS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+test("default canal sites build the requested number of real canals", async () => {
+  for (const seed of SEEDS) {
+    const model = await withGeneratorLogs("silent", () => generateHeadless({ seed, water: "canals" }));
+    const { canals, canalCount } = model.water;
+
+    assert.deepEqual(canalCount, { requested: 2, built: 2 }, `seed ${seed}`);
+    assert.equal(canals.length, 2, `seed ${seed}`);
+    for (const c of canals) {
+      assert.ok(c.nodeIds.length >= CANAL_MIN_NODES, `seed ${seed} canal ${c.id} has ${c.nodeIds.length} nodes`);
+      assert.ok(c.bridges.length >= 1, `seed ${seed} canal ${c.id} has a bridge`);
+    }
+    assert.notDeepEqual(canals[0].nodeIds, canals[1].nodeIds, `seed ${seed} canals differ`);
+  }
+});
@@ -0,0 +1,33 @@
+// tools/docks.test.mjs
+//
+// River docks stand on land next to a bank (Stage 130, stages/docks.js).
+//
+// Usage:
+//   node --test tools/
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { generateHeadless, withGeneratorLogs, loadGenerator } from "./headless.mjs";
+import { dist } from "../docs/src/geom/primitives.js";
+import { closestPointOnPolyline } from "../docs/src/geom/poly.js";
+
+await loadGenerator();
+const { DOCK_SHORE_REACH } = await import("../docs/src/model/stages/docks.js");
+const { inRiverBody } = await import("../docs/src/model/mesh/voronoi_planar_graph/water_flags.js");
+
+// Seeds that once docked in the river (1, 3, 10, 13, 14, 16) or far from the banks (7, 9, 11, 12, 15).
+const SEEDS = [1, 3, 7, 9, 10, 11, 12, 13, 14, 15, 16];
+
+test("river docks are on land within reach of a bank", async () => {
+  for (const seed of SEEDS) {
+    const model = await withGeneratorLogs("silent", () => generateHeadless({ seed, water: "river", dock: true }));
+    const dock = model.anchors.docks;
+    assert.ok(dock, `seed ${seed} has a dock`);
+    assert.ok(!inRiverBody(dock, model.water), `seed ${seed} dock is not in the river`);
+
+    const { left, right } = model.water.river.banks;
+    const toBank = Math.min(dist(dock, closestPointOnPolyline(dock, left)), dist(dock, closestPointOnPolyline(dock, right)));
+    assert.ok(toBank <= model.baseR * DOCK_SHORE_REACH, `seed ${seed} dock is ${toBank.toFixed(1)} from a bank`);
+  }
+});
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// tools/golden.mjs
+//
+// Golden-seed regression harness.
+//
+// Runs a matrix of seeds x site configs x densities headlessly, records a quantised hash of
+// every ctx.state key each stage adds or changes (docs/src/model/debug/state_hash.js), and
+// compares against the committed files in tools/golden/. For each case it reports the first
+// stage whose hashes diverged and which state keys changed.
+//
+// Usage:
+//   node tools/golden.mjs                  check every case
+//   node tools/golden.mjs --only river     check cases whose name contains "river"
+//   node tools/golden.mjs --update         rewrite golden files after an intended change
+//
+// Exit code 1 when any case diverges or has no golden file.
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { DENSITIES, generateHeadless, loadGenerator, withGeneratorLogs } from "./headless.mjs";
+
+const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), "golden");
+const GOLDEN_FORMAT = 1;
+
+export const GOLDEN_SEEDS = [1331, 7];
+
+export const GOLDEN_SITES = [
+  { water: "none", dock: false },
+  { water: "river", dock: false },
+  { water: "river", dock: true },
+  { water: "coast", dock: false },
+  { water: "coast", dock: true },
+];
+
+/**
+ * Expand the golden matrix. Density applies to both bastions and gates.
+ * @param {number[]} seeds
+ * @returns {Array<{name:string, options:object}>}
+ */
+export function goldenCases(seeds = GOLDEN_SEEDS) {
+  const out = [];
+  for (const seed of seeds) {
+    for (const site of GOLDEN_SITES) {
+      for (const density of DENSITIES) {
+        const name = `seed${seed}-${site.water}${site.dock ? "-dock" : ""}-${density}`;
+        out.push({
+          name,
+          options: { seed, water: site.water, dock: site.dock, bastions: density, gates: density },
+        });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Run one case and return its per-stage hash record.
+ * @param {{name:string, options:object}} c
+ */
+export async function recordCase(c) {
+  const { makeStageHashRecorder } = await import("../docs/src/model/debug/state_hash.js");
+  const rec = makeStageHashRecorder();
+  await generateHeadless(c.options, rec.hooks);
+  return {
+    format: GOLDEN_FORMAT,
+    case: c.name,
+    options: c.options,
+    stages: rec.stages,
+  };
+}
+
+/**
+ * Compare two records stage by stage.
+ * @returns {null|{stage:{id:number,name:string}, keys:Array<{key:string, expected:string|null, actual:string|null}>}}
+ */
+export function firstDivergence(expected, actual) {
+  const n = Math.max(expected.stages.length, actual.stages.length);
+
+  for (let i = 0; i < n; i++) {
+    const e = expected.stages[i] || null;
+    const a = actual.stages[i] || null;
+
+    if (!e || !a || e.id !== a.id) {
+      return {
+        stage: a ? { id: a.id, name: a.name } : { id: e.id, name: e.name },
+        keys: [{ key: "(stage order)", expected: e ? `${e.id} ${e.name}` : null, actual: a ? `${a.id} ${a.name}` : null }],
+      };
+    }
+
+    const keys = [];
+    const names = Array.from(new Set([...Object.keys(e.keys), ...Object.keys(a.keys)])).sort();
+    for (const k of names) {
+      const ev = e.keys[k] ?? null;
+      const av = a.keys[k] ?? null;
+      if (ev !== av) keys.push({ key: k, expected: ev, actual: av });
+    }
+
+    if (keys.length > 0) return { stage: { id: a.id, name: a.name }, keys };
+  }
+
+  return null;
+}
+
+function goldenPath(name) {
+  return join(GOLDEN_DIR, `${name}.json`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      update: { type: "boolean", default: false },
+      only: { type: "string" },
+      seeds: { type: "string" },
+    },
+    strict: true,
+  });
+
+  const seeds = values.seeds
+    ? values.seeds.split(",").map((s) => Number(s.trim())).filter(Number.isFinite)
+    : GOLDEN_SEEDS;
+
+  let cases = goldenCases(seeds);
+  if (values.only) cases = cases.filter((c) => c.name.includes(values.only));
+
+  await withGeneratorLogs("silent", () => loadGenerator());
+
+  if (values.update) mkdirSync(GOLDEN_DIR, { recursive: true });
+
+  let failed = 0;
+
+  for (const c of cases) {
+    let actual;
+    try {
+      actual = await withGeneratorLogs("silent", () => recordCase(c));
+    } catch (err) {
+      failed++;
+      console.log(`FAIL ${c.name}: threw ${err && err.message ? err.message : err}`);
+      continue;
+    }
+
+    const file = goldenPath(c.name);
+
+    if (values.update) {
+      writeFileSync(file, JSON.stringify(actual, null, 2) + "\n");
+      console.log(`wrote ${c.name}`);
+      continue;
+    }
+
+    if (!existsSync(file)) {
+      failed++;
+      console.log(`MISSING ${c.name}: no golden file (run with --update)`);
+      continue;
+    }
+
+    const expected = JSON.parse(readFileSync(file, "utf8"));
+    const div = firstDivergence(expected, actual);
+
+    if (!div) {
+      console.log(`ok   ${c.name}`);
+      continue;
+    }
+
+    failed++;
+    console.log(`DIFF ${c.name}: first divergence at stage ${div.stage.id} (${div.stage.name})`);
+    for (const k of div.keys) {
+      console.log(`       ${k.key}: expected ${k.expected ?? "(absent)"}, got ${k.actual ?? "(absent)"}`);
+    }
+  }
+
+  if (!values.update) {
+    console.log(`${cases.length - failed}/${cases.length} cases match`);
+  }
+  if (failed > 0) process.exitCode = 1;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main().catch((err) => {
+    console.error(err && err.message ? err.message : err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,158 @@
+// tools/headless.mjs
+//
+// Node bootstrap for running the generator outside the browser.
+//
+// The model code is browser-first ES modules. Two things need a host in Node:
+// - d3-delaunay: index.html loads the vendored UMD with a <script> tag, which sets globalThis.d3.
+//   Here the same file is loaded through require() and published on globalThis before any
+//   model module (and so the UMD shim) is imported.
+// - Inputs: main.js reads DOM controls. Headless callers pass the same values as options and
+//   they are mapped onto generate() exactly as main.js does.
+
+import { createRequire } from "node:module";
+import { FORT_SCHOOL_IDS, DEFAULT_FORT_SCHOOL } from "../docs/src/model/fort_schools.js";
+import { SITE_WATER_KINDS } from "../docs/src/model/water.js";
+
+const require = createRequire(import.meta.url);
+
+export const WATER_KINDS = SITE_WATER_KINDS;
+export const DENSITIES = ["low", "medium", "high"];
+export { FORT_SCHOOL_IDS };
+
+// The city is generated in the world frame (model/units.js); width and height only set the
+// view it is fitted into (model.view). The default matches the world frame.
+export const DEFAULT_OPTIONS = Object.freeze({
+  seed: 1331,
+  bastions: "medium",
+  gates: "medium",
+  school: DEFAULT_FORT_SCHOOL,
+  water: "none",
+  dock: false,
+  width: 1600,
+  height: 900,
+  params: null,
+});
+
+let loaded = null;
+
+/**
+ * Load the generator modules once, installing the d3 global first.
+ * @returns {Promise<object>} module namespace bag
+ */
+export async function loadGenerator() {
+  if (loaded) return loaded;
+
+  if (!globalThis.d3 || !globalThis.d3.Delaunay) {
+    globalThis.d3 = require("../docs/vendor/d3-delaunay-6.0.4.umd.min.js");
+  }
+
+  const generateMod = await import("../docs/src/model/generate.js");
+  const jsonMod = await import("../docs/src/model/export/model_json.js");
+  const registryMod = await import("../docs/src/model/pipeline/stage_registry.js");
+
+  loaded = {
+    generate: generateMod.generate,
+    computeBastionTargetN: generateMod.computeBastionTargetN,
+    GENERATOR_BUILD: generateMod.GENERATOR_BUILD,
+    serializeModel: jsonMod.serializeModel,
+    deserializeModel: jsonMod.deserializeModel,
+    PIPELINE_STAGES: registryMod.PIPELINE_STAGES,
+  };
+  return loaded;
+}
+
+function oneOf(value, allowed, name) {
+  const v = String(value).toLowerCase();
+  if (!allowed.includes(v)) {
+    throw new Error(`[EMCG] Invalid ${name}: ${value} (expected ${allowed.join("|")}).`);
+  }
+  return v;
+}
+
+function positiveInt(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) {
+    throw new Error(`[EMCG] Invalid ${name}: ${value} (expected a positive integer).`);
+  }
+  return n;
+}
+
+/**
+ * Fill defaults and validate headless options.
+ * @param {object} [opts]
+ * `params` holds optional ctx.params overrides (docs/src/model/param_overrides.js), already parsed.
+ * `school` is the fortification school; when not given, `params.fortSchool` is used if present.
+ * @returns {{seed:number, bastions:string, gates:string, school:string, water:string, dock:boolean,
+ *   width:number, height:number, params:object|null}}
+ */
+export function normaliseOptions(opts = {}) {
+  const o = { ...DEFAULT_OPTIONS, ...opts };
+  const school = opts.school ?? o.params?.fortSchool ?? DEFAULT_OPTIONS.school;
+
+  return {
+    seed: positiveInt(o.seed, "seed"),
+    bastions: oneOf(o.bastions, DENSITIES, "bastions"),
+    gates: oneOf(o.gates, DENSITIES, "gates"),
+    school: oneOf(school, FORT_SCHOOL_IDS, "school"),
+    water: oneOf(o.water, WATER_KINDS, "water"),
+    dock: Boolean(o.dock),
+    width: positiveInt(o.width, "width"),
+    height: positiveInt(o.height, "height"),
+    params: (o.params && typeof o.params === "object") ? { ...o.params } : null,
+  };
+}
+
+/**
+ * Run the full pipeline headlessly. Mirrors main.js regenerate().
+ * @param {object} [opts] - see normaliseOptions()
+ * @param {object|null} [hooks] - forwarded to runPipeline() (e.g. { afterStage(stage, ctx) })
+ * @returns {Promise<object>} model (same shape render() consumes)
+ */
+export async function generateHeadless(opts = {}, hooks = null) {
+  const { generate, computeBastionTargetN } = await loadGenerator();
+  const o = normaliseOptions(opts);
+
+  const bastionN = computeBastionTargetN({ density: o.bastions, school: o.school });
+  const site = {
+    water: o.water,
+    hasDock: o.water !== "none" && o.dock,
+  };
+  const params = { ...(o.params || {}), fortSchool: o.school };
+
+  return generate(o.seed, o.bastions, bastionN, 0, o.gates, o.width, o.height, site, params, hooks);
+}
+
+/**
+ * Run fn with generator console chatter redirected.
+ * Stages log freely with console.log/info/warn; in Node that would corrupt stdout output.
+ * console.error is left alone.
+ *
+ * @param {"stderr"|"silent"} mode
+ * @param {Function} fn
+ */
+export async function withGeneratorLogs(mode, fn) {
+  const saved = {
+    log: console.log,
+    info: console.info,
+    warn: console.warn,
+    debug: console.debug,
+  };
+
+  const sink = (mode === "stderr")
+    ? (...args) => saved.warn.apply(console, args)
+    : () => {};
+
+  console.log = sink;
+  console.info = sink;
+  console.warn = sink;
+  console.debug = sink;
+
+  try {
+    return await fn();
+  } finally {
+    console.log = saved.log;
+    console.info = saved.info;
+    console.warn = saved.warn;
+    console.debug = saved.debug;
+  }
+}
@@ -0,0 +1,47 @@
+// tools/measure.test.mjs
+//
+// Real-world measurements of a model (docs/src/model/measure.js).
+//
+// Usage:
+//   node --test tools/
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { generateHeadless, withGeneratorLogs } from "./headless.mjs";
+import { measureCurtains, measureModel } from "../docs/src/model/measure.js";
+
+// Bastion [B0, S0, T, S1, B1] with its point at angle `a` (degrees), radius 100 from the origin.
+function bastion(a, b0 = null, b1 = null) {
+  const at = (deg, r) => ({ x: Math.cos((deg * Math.PI) / 180) * r, y: Math.sin((deg * Math.PI) / 180) * r });
+  return [b0 ?? at(a - 20, 70), at(a - 10, 80), at(a, 100), at(a + 10, 80), b1 ?? at(a + 20, 70)];
+}
+
+test("a front where two bastions meet is joined and left out of the curtain stats", () => {
+  // Bastion 0 ends where bastion 1 starts; the other two fronts have curtains.
+  const shared = { x: Math.cos(Math.PI / 3) * 70, y: Math.sin(Math.PI / 3) * 70 };
+  const model = {
+    cx: 0,
+    cy: 0,
+    bastionPolys: [bastion(0, null, shared), bastion(120, shared), bastion(240)],
+  };
+
+  const curtains = measureCurtains(model);
+  assert.deepEqual(curtains.map((c) => [c.bastionIds, c.joined]), [[[0, 1], true], [[1, 2], false], [[2, 0], false]]);
+  assert.equal(curtains[0].length, 0);
+
+  const { curtainStats } = measureModel(model);
+  assert.equal(curtainStats.count, 2);
+  assert.ok(curtainStats.min > 0);
+});
+
+test("seed 9 reports its joined front without a zero-length curtain in the stats", async () => {
+  const model = await withGeneratorLogs("silent", () => generateHeadless({ seed: 9 }));
+  const { curtains, curtainStats } = measureModel(model);
+
+  const joined = curtains.filter((c) => c.joined);
+  assert.ok(joined.some((c) => c.bastionIds[0] === 4 && c.bastionIds[1] === 2));
+  assert.ok(joined.every((c) => c.length === 0));
+  assert.equal(curtainStats.count, curtains.length - joined.length);
+  assert.ok(curtainStats.min > 0);
+});
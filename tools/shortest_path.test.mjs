@@ -0,0 +1,59 @@
+// tools/shortest_path.test.mjs
+//
+// Routing through a via node (routing/shortest_path.js), as Stage 140 routes roads through the
+// inner gates.
+//
+// Usage:
+//   node --test tools/
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { dijkstraVia, dropLoops } from "../docs/src/model/routing/shortest_path.js";
+
+// Nodes 0-1-2-3 in a row, with node 4 on a spur off node 2.
+function spurGraph() {
+  const nodes = [
+    { id: 0, x: 0, y: 0 },
+    { id: 1, x: 10, y: 0 },
+    { id: 2, x: 20, y: 0 },
+    { id: 3, x: 30, y: 0 },
+    { id: 4, x: 20, y: 10 },
+  ];
+  const edges = [[0, 1], [1, 2], [2, 3], [2, 4]].map(([a, b], id) => ({ id, a, b }));
+  const adj = nodes.map(() => []);
+  for (const e of edges) {
+    adj[e.a].push({ to: e.b, edgeId: e.id });
+    adj[e.b].push({ to: e.a, edgeId: e.id });
+  }
+  return { nodes, edges, adj };
+}
+
+function length(graph) {
+  return (edgeId) => {
+    const e = graph.edges[edgeId];
+    const a = graph.nodes[e.a];
+    const b = graph.nodes[e.b];
+    return Math.hypot(b.x - a.x, b.y - a.y);
+  };
+}
+
+test("dropLoops removes the stretch a path doubles back over", () => {
+  assert.deepEqual(dropLoops([0, 1, 2, 4, 2, 3]), [0, 1, 2, 3]);
+  assert.deepEqual(dropLoops([0, 1, 2, 1, 0, 5]), [0, 5]);
+  assert.deepEqual(dropLoops([0, 1, 2, 3]), [0, 1, 2, 3]);
+});
+
+test("a second leg that starts back along the first does not double back", () => {
+  // 0 -> 4 runs 0, 1, 2, 4; 4 -> 3 starts back along it, 4, 2, 3.
+  const graph = spurGraph();
+  const nodePath = dijkstraVia({ graph, startNode: 0, viaNode: 4, goalNode: 3, weightFn: length(graph) });
+  assert.deepEqual(nodePath, [0, 1, 2, 3]);
+  assert.equal(new Set(nodePath).size, nodePath.length);
+});
+
+test("a via node on the way is kept", () => {
+  const graph = spurGraph();
+  const nodePath = dijkstraVia({ graph, startNode: 0, viaNode: 2, goalNode: 4, weightFn: length(graph) });
+  assert.deepEqual(nodePath, [0, 1, 2, 4]);
+});
@@ -0,0 +1,111 @@
+// tools/stage_order.test.mjs
+//
+// Stage ordering from reads / writes / updates declarations (stage_graph.js).
+//
+// Usage:
+//   node --test tools/
+
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+
+import { loadGenerator } from "./headless.mjs";
+import { resolveStageOrder } from "../docs/src/model/pipeline/stage_graph.js";
+
+// The registry pulls in every stage, and with them the d3-delaunay global loadGenerator() sets up.
+await loadGenerator();
+const { PIPELINE_STAGES, registerStage, resolvePipelineStages, unregisterStage } = await import(
+  "../docs/src/model/pipeline/stage_registry.js"
+);
+
+const PROBE_IDS = [1, 2, 3];
+
+afterEach(() => {
+  for (const id of PROBE_IDS) unregisterStage(id);
+});
+
+function stage(id, fields) {
+  return { id, name: `s${id}`, run() {}, ...fields };
+}
+
+function ids(order) {
+  return order.map((s) => s.id);
+}
+
+function indexOfId(order, id) {
+  const i = order.findIndex((s) => s.id === id);
+  assert.ok(i >= 0, `stage ${id} is in the order`);
+  return i;
+}
+
+test("built-in stages keep their numbered order", () => {
+  const { order } = resolvePipelineStages();
+  const sorted = PIPELINE_STAGES.map((s) => s.id).sort((a, b) => a - b);
+  assert.deepEqual(ids(order), sorted);
+});
+
+test("a reader runs after the updater before it, not just after the producer", () => {
+  // Without an updater -> reader edge, 7 is ready right after 1 and reads k before 5 updates it.
+  const { order } = resolveStageOrder([
+    stage(1, { writes: ["k"] }),
+    stage(9, { writes: ["q"] }),
+    stage(5, { reads: ["q"], updates: ["k"] }),
+    stage(7, { reads: ["k"] }),
+  ]);
+  assert.deepEqual(ids(order), [1, 9, 5, 7]);
+});
+
+test("a reader runs before the updater after it", () => {
+  // 4 needs a key from 12, so 6 (which updates k after 4 read it) waits for 4 and hence for 12.
+  const { order } = resolveStageOrder([
+    stage(2, { writes: ["k"] }),
+    stage(12, { writes: ["q"] }),
+    stage(4, { reads: ["k", "q"] }),
+    stage(6, { updates: ["k"] }),
+  ]);
+  assert.deepEqual(ids(order), [2, 12, 4, 6]);
+});
+
+test("a stage that reads and updates a key sees the updates before it", () => {
+  const { order } = resolveStageOrder([
+    stage(1, { writes: ["k"] }),
+    stage(9, { writes: ["q"] }),
+    stage(2, { reads: ["q"], updates: ["k"] }),
+    stage(4, { reads: ["k"], updates: ["k"] }),
+  ]);
+  assert.deepEqual(ids(order), [1, 9, 2, 4]);
+});
+
+test("a registered stage with a low id reads waterModel before the built-in updaters", () => {
+  // The waterModel updaters (70, 132, 137) all have higher ids, so stage 1 runs after the
+  // producer (40) and before the first update.
+  registerStage(stage(1, { reads: ["waterModel"], writes: ["probeEarly"] }));
+  let { order } = resolvePipelineStages();
+  assert.ok(indexOfId(order, 40) < indexOfId(order, 1));
+  assert.ok(indexOfId(order, 1) < indexOfId(order, 70));
+
+  // An updater registered with a low id joins the start of the chain; later readers wait for it.
+  registerStage(stage(2, { reads: ["probeEarly"], updates: ["waterModel"] }));
+  ({ order } = resolvePipelineStages());
+  assert.ok(indexOfId(order, 1) < indexOfId(order, 2));
+  assert.ok(indexOfId(order, 2) < indexOfId(order, 70));
+  assert.ok(indexOfId(order, 2) < indexOfId(order, 76));
+});
+
+test("a registered reader with a low id of a late key runs between its producer and updater", () => {
+  // fortGeometryWarped: written by 120, updated by 150 (outworks) and read by 155.
+  registerStage(stage(3, { reads: ["fortGeometryWarped"] }));
+  const { order } = resolvePipelineStages();
+  assert.ok(indexOfId(order, 120) < indexOfId(order, 3));
+  assert.ok(indexOfId(order, 3) < indexOfId(order, 150));
+  assert.ok(indexOfId(order, 150) < indexOfId(order, 155));
+});
+
+test("a registered reader that would need a key both before and after an update is a cycle", () => {
+  // At id 3 it reads waterModel before Stage 70 updates it, but fortGeometryWarped only exists
+  // after Stage 120, which itself runs after Stage 70.
+  registerStage(stage(3, { reads: ["waterModel"] }));
+  assert.throws(
+    () => registerStage(stage(2, { reads: ["fortGeometryWarped", "waterModel"] })),
+    /dependency cycle/
+  );
+});
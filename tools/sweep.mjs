@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+// tools/sweep.mjs
+//
+// Seed-sweep fuzzer.
+//
+// Runs many seeds across site/density configs headlessly and collects three kinds of failure:
+// - throw:      an Error escaping runPipeline(), attributed to the stage that was running
+//               ("assemble" when it came from the required-output checks after the last stage)
+// - invariant:  entries of model.debug.invariants.errors (Stage 900)
+// - diagnostic: soft checks on published audits (bastion slide repair, bastion count floor)
+//
+// Failures are grouped by kind + stage + message (numbers normalised to "#"), ranked by count,
+// and each group is minimised: its first case is simplified one option at a time while the same
+// failure still reproduces. The report has no timestamps, so the same sweep gives the same file.
+//
+// Usage:
+//   node tools/sweep.mjs --count 2000 --out sweep.json
+//   node tools/sweep.mjs --from 1 --count 200 --matrix        every config for every seed
+//
+// By default each seed runs one config, rotating through all of them, so a long sweep
+// covers every site/density combination evenly. Exit code 1 when any case fails.
+
+import { writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { DEFAULT_OPTIONS, DENSITIES, WATER_KINDS, generateHeadless, loadGenerator, withGeneratorLogs } from "./headless.mjs";
+import { formatParamOverride } from "../docs/src/model/param_overrides.js";
+
+const REPORT_FORMAT = 1;
+const MAX_EXAMPLES = 20;
+
+/**
+ * Every site/density config. Density applies to bastions and gates independently.
+ * @returns {object[]}
+ */
+export function sweepConfigs() {
+  const out = [];
+  for (const water of WATER_KINDS) {
+    for (const dock of (water === "none" ? [false] : [false, true])) {
+      for (const bastions of DENSITIES) {
+        for (const gates of DENSITIES) {
+          out.push({ water, dock, bastions, gates });
+        }
+      }
+    }
+  }
+  return out;
+}
+
+function normaliseMessage(msg) {
+  return String(msg)
+    .replace(/-?\d+(\.\d+)?(e[-+]?\d+)?/gi, "#")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function signatureOf(f) {
+  return `${f.kind}|${f.stageId ?? "-"}|${normaliseMessage(f.message)}`;
+}
+
+/**
+ * Soft checks that do not throw and are not Stage 900 invariants.
+ * @param {object} model
+ * @returns {Array<{kind:string, stageId:number, stageName:string, message:string}>}
+ */
+function diagnosticFailures(model) {
+  const out = [];
+  const ow = model?.warp?.outworks ?? null;
+
+  const repair = ow?.bastionSlideRepair ?? null;
+  if (repair && Number(repair.failed) > 0) {
+    out.push({
+      kind: "diagnostic",
+      stageId: 110,
+      stageName: "warpField",
+      message: `Bastion slide repair failed for ${repair.failed} of ${repair.attempted} bastions`,
+    });
+  }
+
+  const soft = ow?.bastionSoft ?? null;
+  const built = ow?.bastionsBuiltCount;
+  if (soft && Number.isFinite(built) && Number.isFinite(soft.targetN) && Number.isFinite(soft.minFinalRatio)) {
+    const floor = Math.ceil(soft.targetN * soft.minFinalRatio);
+    if (built < floor) {
+      out.push({
+        kind: "diagnostic",
+        stageId: 110,
+        stageName: "warpField",
+        message: `Bastion count ${built} below soft minimum ${floor} (target ${soft.targetN})`,
+      });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Run one case and return its failures (empty when clean).
+ * @param {object} options - generateHeadless() options
+ */
+export async function runCase(options) {
+  let current = null;
+  const hooks = {
+    beforeStage(stage) { current = stage; },
+    afterStage() { current = null; },
+  };
+
+  let model;
+  try {
+    model = await withGeneratorLogs("silent", () => generateHeadless(options, hooks));
+  } catch (err) {
+    return [{
+      kind: "throw",
+      stageId: current ? current.id : null,
+      stageName: current ? current.name : "assemble",
+      message: err && err.message ? err.message : String(err),
+    }];
+  }
+
+  const failures = [];
+  const inv = model?.debug?.invariants;
+  if (inv && Array.isArray(inv.errors)) {
+    for (const e of inv.errors) {
+      failures.push({ kind: "invariant", stageId: 900, stageName: "debugInvariants", message: String(e) });
+    }
+  }
+
+  return failures.concat(diagnosticFailures(model));
+}
+
+// emcg.mjs command for a case: every field that differs from the defaults, params included.
+function reproCommand(o) {
+  const parts = [
+    "node emcg.mjs",
+    `--seed ${o.seed}`,
+    `--water ${o.water}`,
+    `--bastions ${o.bastions}`,
+    `--gates ${o.gates}`,
+  ];
+  if (o.school && o.school !== DEFAULT_OPTIONS.school) parts.push(`--school ${o.school}`);
+  if (o.dock) parts.push("--dock");
+  if (o.width !== DEFAULT_OPTIONS.width) parts.push(`--width ${o.width}`);
+  if (o.height !== DEFAULT_OPTIONS.height) parts.push(`--height ${o.height}`);
+  for (const [key, value] of Object.entries(o.params || {})) {
+    // --school wins over params.fortSchool in generateHeadless().
+    if (value == null || (key === "fortSchool" && o.school)) continue;
+    parts.push(`--param ${key}=${formatParamOverride(key, value)}`);
+  }
+  return parts.join(" ");
+}
+
+// Simplifications tried in order; each is kept only if the same signature still reproduces.
+const SIMPLIFY_STEPS = [
+  (o) => ({ ...o, dock: false }),
+  (o) => ({ ...o, water: "none", dock: false }),
+  (o) => ({ ...o, gates: "medium" }),
+  (o) => ({ ...o, bastions: "medium" }),
+  (o) => ((o.school ?? o.params?.fortSchool ?? DEFAULT_OPTIONS.school) === DEFAULT_OPTIONS.school
+    ? o
+    : { ...o, school: DEFAULT_OPTIONS.school }),
+];
+
+/**
+ * Shrink a failing case while it still produces `signature`.
+ * @param {object} options
+ * @param {string} signature
+ */
+export async function minimiseCase(options, signature) {
+  let best = options;
+
+  for (const step of SIMPLIFY_STEPS) {
+    const candidate = step(best);
+    if (JSON.stringify(candidate) === JSON.stringify(best)) continue;
+
+    const failures = await runCase(candidate);
+    if (failures.some((f) => signatureOf(f) === signature)) best = candidate;
+  }
+
+  return best;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string", default: "1" },
+      count: { type: "string", default: "1000" },
+      matrix: { type: "boolean", default: false },
+      width: { type: "string" },
+      height: { type: "string" },
+      out: { type: "string" },
+      "no-minimise": { type: "boolean", default: false },
+    },
+    strict: true,
+  });
+
+  const from = Number(values.from);
+  const count = Number(values.count);
+  if (!Number.isInteger(from) || from <= 0 || !Number.isInteger(count) || count <= 0) {
+    throw new Error("[EMCG] --from and --count must be positive integers.");
+  }
+
+  const width = values.width != null ? Number(values.width) : DEFAULT_OPTIONS.width;
+  const height = values.height != null ? Number(values.height) : DEFAULT_OPTIONS.height;
+
+  const configs = sweepConfigs();
+
+  const cases = [];
+  for (let i = 0; i < count; i++) {
+    const seed = from + i;
+    const picked = values.matrix ? configs : [configs[i % configs.length]];
+    for (const cfg of picked) cases.push({ seed, ...cfg, width, height });
+  }
+
+  await withGeneratorLogs("silent", () => loadGenerator());
+  const { GENERATOR_BUILD } = await loadGenerator();
+
+  const groups = new Map();
+  let failingCases = 0;
+
+  for (let i = 0; i < cases.length; i++) {
+    const options = cases[i];
+    const failures = await runCase(options);
+
+    if (failures.length > 0) failingCases++;
+
+    // One entry per signature per case, so a case that logs the same error twice counts once.
+    const seen = new Set();
+    for (const f of failures) {
+      const sig = signatureOf(f);
+      if (seen.has(sig)) continue;
+      seen.add(sig);
+
+      let g = groups.get(sig);
+      if (!g) {
+        g = {
+          signature: sig,
+          kind: f.kind,
+          stageId: f.stageId,
+          stageName: f.stageName,
+          message: normaliseMessage(f.message),
+          sampleMessage: f.message,
+          count: 0,
+          examples: [],
+          minimal: null,
+        };
+        groups.set(sig, g);
+      }
+      g.count++;
+      if (g.examples.length < MAX_EXAMPLES) g.examples.push(options);
+    }
+
+    if ((i + 1) % 25 === 0 || i + 1 === cases.length) {
+      process.stderr.write(`[sweep] ${i + 1}/${cases.length} cases, ${failingCases} failing, ${groups.size} groups\n`);
+    }
+  }
+
+  const ranked = Array.from(groups.values()).sort((a, b) => (b.count - a.count) || a.signature.localeCompare(b.signature));
+
+  if (!values["no-minimise"]) {
+    for (const g of ranked) {
+      const minimal = await minimiseCase(g.examples[0], g.signature);
+      g.minimal = { options: minimal, repro: reproCommand(minimal) };
+    }
+  }
+
+  const report = {
+    format: REPORT_FORMAT,
+    build: GENERATOR_BUILD,
+    sweep: { from, count, matrix: values.matrix, width, height, cases: cases.length },
+    failingCases,
+    groups: ranked.map((g) => ({
+      kind: g.kind,
+      stageId: g.stageId,
+      stageName: g.stageName,
+      message: g.message,
+      sampleMessage: g.sampleMessage,
+      count: g.count,
+      minimal: g.minimal,
+      examples: g.examples.map((o) => ({ options: o, repro: reproCommand(o) })),
+    })),
+  };
+
+  if (values.out) writeFileSync(values.out, JSON.stringify(report, null, 2) + "\n");
+
+  console.log(`${cases.length} cases, ${failingCases} failing, ${ranked.length} failure groups`);
+  for (const g of report.groups) {
+    const stage = g.stageId == null ? g.stageName : `${g.stageId} ${g.stageName}`;
+    console.log(`${String(g.count).padStart(5)}  [${g.kind} @ ${stage}] ${g.message}`);
+    if (g.minimal) console.log(`       repro: ${g.minimal.repro}`);
+  }
+
+  if (failingCases > 0) process.exitCode = 1;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main().catch((err) => {
+    console.error(err && err.message ? err.message : err);
+    process.exitCode = 1;
+  });
+}